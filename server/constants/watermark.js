@@ -16,7 +16,9 @@ export const WATERMARK_POSITIONS = {
     MIDDLE_RIGHT: 'middle-right',
     BOTTOM_LEFT: 'bottom-left',
     BOTTOM_CENTER: 'bottom-center',
-    BOTTOM_RIGHT: 'bottom-right'
+    BOTTOM_RIGHT: 'bottom-right',
+    // Chosen per image: the candidate anchor over the least detailed area
+    AUTO: 'auto'
 };
 
 export const POSITION_PRESETS = [
@@ -28,9 +30,147 @@ export const POSITION_PRESETS = [
     { value: WATERMARK_POSITIONS.MIDDLE_RIGHT, label: 'Middle Right' },
     { value: WATERMARK_POSITIONS.BOTTOM_LEFT, label: 'Bottom Left' },
     { value: WATERMARK_POSITIONS.BOTTOM_CENTER, label: 'Bottom Center' },
-    { value: WATERMARK_POSITIONS.BOTTOM_RIGHT, label: 'Bottom Right' }
+    { value: WATERMARK_POSITIONS.BOTTOM_RIGHT, label: 'Bottom Right' },
+    { value: WATERMARK_POSITIONS.AUTO, label: 'Auto (calmest area)' }
 ];
 
+// Anchors tried by the auto position, in order of preference when scores tie.
+// The centre is left out since that is where the product usually is.
+export const AUTO_POSITION_CANDIDATES = [
+    WATERMARK_POSITIONS.BOTTOM_RIGHT,
+    WATERMARK_POSITIONS.BOTTOM_LEFT,
+    WATERMARK_POSITIONS.TOP_RIGHT,
+    WATERMARK_POSITIONS.TOP_LEFT,
+    WATERMARK_POSITIONS.BOTTOM_CENTER,
+    WATERMARK_POSITIONS.TOP_CENTER,
+    WATERMARK_POSITIONS.MIDDLE_RIGHT,
+    WATERMARK_POSITIONS.MIDDLE_LEFT
+];
+
+// ============================================================================
+// WATERMARK LAYOUTS
+// ============================================================================
+
+export const WATERMARK_LAYOUTS = {
+    SINGLE: 'single',
+    TILE: 'tile'
+};
+
+// Image side a logo's scale and a text's size are measured against
+export const SIZE_BASES = {
+    WIDTH: 'width',
+    HEIGHT: 'height',
+    SHORTER: 'shorter'
+};
+
+// What happens to images whose shorter side is under the small-image threshold
+export const SMALL_IMAGE_POLICIES = {
+    SKIP: 'skip',
+    SHRINK: 'shrink', // watermark scales down with the image, ignoring minimum sizes
+    UPSCALE: 'upscale' // image is enlarged to the threshold first
+};
+
+export const TILE_PATTERNS = {
+    GRID: 'grid',
+    DIAGONAL: 'diagonal'
+};
+
+export const LAYER_TYPES = {
+    LOGO: 'logo',
+    TEXT: 'text',
+    SHAPE: 'shape',
+    // Decorations: a border around the image, a corner ribbon or badge, a caption bar along an edge
+    FRAME: 'frame',
+    RIBBON: 'ribbon',
+    CAPTION: 'caption',
+    // QR code linking to the product page, placed like a logo
+    QR: 'qr'
+};
+
+export const SHAPE_TYPES = {
+    RECTANGLE: 'rectangle',
+    ELLIPSE: 'ellipse'
+};
+
+// A ribbon is a diagonal band across a corner; a badge is a pill that can sit at any anchor
+export const RIBBON_STYLES = {
+    RIBBON: 'ribbon',
+    BADGE: 'badge'
+};
+
+// Share of the code that can be damaged and still scan: about 7%, 15%, 25% and 30%
+export const QR_ERROR_CORRECTION = {
+    LOW: 'L',
+    MEDIUM: 'M',
+    QUARTILE: 'Q',
+    HIGH: 'H'
+};
+
+// UTM parameters a QR layer can append to its URL
+export const QR_UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign'];
+
+// Values are sharp composite blend modes
+export const BLEND_MODES = {
+    NORMAL: 'over',
+    MULTIPLY: 'multiply',
+    SCREEN: 'screen',
+    OVERLAY: 'overlay',
+    SOFT_LIGHT: 'soft-light',
+    DIFFERENCE: 'difference'
+};
+
+export const SHADOW_TYPES = {
+    NONE: 'none',
+    DROP: 'drop',
+    GLOW: 'glow'
+};
+
+// Adaptive layers pick the variant that contrasts most with the image behind them
+export const CONTRAST_VARIANTS = {
+    LIGHT: 'light',
+    DARK: 'dark'
+};
+
+// 'original' keeps the source format when it can be encoded, otherwise JPEG
+export const OUTPUT_FORMATS = {
+    ORIGINAL: 'original',
+    JPEG: 'jpeg',
+    PNG: 'png',
+    WEBP: 'webp',
+    AVIF: 'avif'
+};
+
+// Colour handling for the output: convert to sRGB, or keep the source's embedded ICC profile
+export const COLOR_PROFILES = {
+    SRGB: 'srgb',
+    KEEP: 'keep'
+};
+
+// Formats that can carry an animation; animated sources are always written in one of them
+export const ANIMATED_FORMATS = ['gif', 'webp'];
+
+export const OUTPUT_MIME_TYPES = {
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp',
+    avif: 'image/avif',
+    gif: 'image/gif'
+};
+
+export const OUTPUT_EXTENSIONS = {
+    jpeg: 'jpg',
+    png: 'png',
+    webp: 'webp',
+    avif: 'avif',
+    gif: 'gif'
+};
+
+export const TEXT_ALIGN = {
+    LEFT: 'left',
+    CENTER: 'center',
+    RIGHT: 'right'
+};
+
 // ============================================================================
 // JOB STATUSES
 // ============================================================================
@@ -53,6 +193,21 @@ export const JOB_ITEM_STATUS = {
     SKIPPED: 'skipped'
 };
 
+// Why an image is left as it is (the skip reason itself is a readable message)
+export const SKIP_CODES = {
+    TOO_SMALL: 'too_small',
+    ALREADY_WATERMARKED: 'already_watermarked'
+};
+
+// Progress of one product within an apply job, so a retried job can pick up where it stopped.
+// 'swapping' means product media is being changed: a retry reconciles it instead of starting over.
+export const CHECKPOINT_STATUS = {
+    PROCESSING: 'processing',
+    SWAPPING: 'swapping',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
 export const ROLLBACK_STATUS = {
     PENDING: 'pending',
     PROCESSING: 'processing',
@@ -66,13 +221,24 @@ export const ROLLBACK_STATUS = {
 
 export const JOB_TYPE = {
     APPLY: 'apply',
-    ROLLBACK: 'rollback'
+    ROLLBACK: 'rollback',
+    // Inspects the scope like an apply job and stores a report; nothing in the store changes
+    DRY_RUN: 'dry_run'
 };
 
 export const SCOPE_TYPE = {
     ALL: 'all',
     COLLECTION: 'collection',
-    MANUAL: 'manual'
+    MANUAL: 'manual',
+    // The failed images of an earlier job; scope_value is that job's ID
+    RETRY: 'retry'
+};
+
+// One-off schedules complete after their run; recurring ones stay active until cancelled
+export const SCHEDULE_STATUS = {
+    ACTIVE: 'active',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled'
 };
 
 // ============================================================================
@@ -88,12 +254,71 @@ export const RULE_TRIGGER = {
 // IMAGE LIMITS & DEFAULTS
 // ============================================================================
 
+export const LAYER_LIMITS = {
+    MAX_LAYERS: 10,
+    MAX_QR_URL_LENGTH: 300
+};
+
+// Accepted [min, max] of numeric layer properties (px at the 800px base resolution)
+export const LAYER_RANGES = {
+    x: [0, 100], // % of the image
+    y: [0, 100],
+    margin: [0, 400],
+    opacity: [0, 1],
+    rotation: [-360, 360],
+    scale: [0.01, 10], // Share of the size basis (logo, QR), multiplier of the text size otherwise
+    size: [1, 400],
+    line_height: [0.5, 5],
+    letter_spacing: [-50, 200],
+    width: [0, 100], // Shapes: % of the image
+    height: [0, 100],
+    stroke_width: [0, 100],
+    radius: [0, 400],
+    min_size_px: [1, 10000], // Output px
+    max_size_px: [1, 10000],
+    frame_width: [0, 400],
+    fill_opacity: [0, 1],
+    tile_spacing: [0, 1000],
+    tile_angle: [-360, 360],
+    shadow_offset_x: [-200, 200],
+    shadow_offset_y: [-200, 200],
+    shadow_blur: [0, 200],
+    shadow_opacity: [0, 1]
+};
+
+// Layer properties holding a colour; null or empty leaves the colour unset
+export const LAYER_COLOR_KEYS = ['color', 'light_color', 'dark_color', 'outline_color', 'fill', 'fill_end', 'stroke', 'shadow_color'];
+
+// Colours layers and logo variants accept: #RGB or #RRGGBB
+export const HEX_COLOR_PATTERN = /^#([0-9a-f]{3}){1,2}$/i;
+
+// Aspect ratios are width / height
+export const ASPECT_PROFILE_LIMITS = {
+    MAX_PROFILES: 10,
+    MIN_RATIO: 0.1,
+    MAX_RATIO: 10
+};
+
 export const IMAGE_LIMITS = {
     MAX_FILE_SIZE: 20 * 1024 * 1024, // 20MB
     MAX_DIMENSION: 10000, // 10000px
-    MIN_DIMENSION: 100, // 100px
-    SUPPORTED_FORMATS: ['image/jpeg', 'image/png', 'image/webp'],
-    SUPPORTED_EXTENSIONS: ['.jpg', '.jpeg', '.png', '.webp']
+    MIN_DIMENSION: 100, // 100px; smaller images are skipped unless the small-image policy upscales them
+    MAX_SMALL_IMAGE_THRESHOLD: 2000, // px
+    MAX_FRAMES: 300, // Animated GIF/WebP
+    SUPPORTED_FORMATS: ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif', 'image/heic', 'image/heif', 'image/tiff'],
+    SUPPORTED_EXTENSIONS: ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.avif', '.heic', '.heif', '.tif', '.tiff'],
+    // Hosts the verify endpoint downloads an imageUrl from; other images are uploaded as the request body
+    VERIFY_URL_HOSTS: ['cdn.shopify.com']
+};
+
+export const OUTPUT_LIMITS = {
+    MIN_QUALITY: 1,
+    MAX_QUALITY: 100,
+    // Lowest quality tried when shrinking an image to fit the byte budget
+    BUDGET_MIN_QUALITY: 40,
+    BUDGET_QUALITY_STEP: 10,
+    MIN_MAX_BYTES: 10 * 1024, // 10KB
+    MAX_METADATA_LENGTH: 500
 };
 
 export const WATERMARK_DEFAULTS = {
@@ -104,6 +329,13 @@ export const WATERMARK_DEFAULTS = {
     LOGO_SCALE: 0.2,
     LOGO_ROTATION: 0,
 
+    // Size basis for logo and text layers; min/max clamps are unset by default
+    SIZE_BASIS: SIZE_BASES.WIDTH,
+
+    // Small images (shorter side in px)
+    SMALL_IMAGE_POLICY: SMALL_IMAGE_POLICIES.SHRINK,
+    SMALL_IMAGE_MIN_PX: 400,
+
     // Text defaults
     TEXT_FONT: 'Arial',
     TEXT_SIZE: 24,
@@ -113,13 +345,99 @@ export const WATERMARK_DEFAULTS = {
     TEXT_OUTLINE: true,
     TEXT_OUTLINE_COLOR: '#000000',
     TEXT_ROTATION: 0,
-
-    // Mobile defaults
-    MOBILE_ENABLED: false,
+    TEXT_ALIGN: TEXT_ALIGN.CENTER,
+    TEXT_LINE_HEIGHT: 1.2,
+    TEXT_LETTER_SPACING: 0,
+    TEXT_FONT_WEIGHT: 'bold',
+    TEXT_FONT_STYLE: 'normal',
+    TEXT_MARGIN: 20,
+
+    // Shape defaults (width/height are percentages of the image)
+    SHAPE_TYPE: SHAPE_TYPES.RECTANGLE,
+    SHAPE_WIDTH: 100,
+    SHAPE_HEIGHT: 10,
+    SHAPE_FILL: '#000000',
+    SHAPE_OPACITY: 0.5,
+    SHAPE_RADIUS: 0,
+
+    // Decoration defaults (frame width and text sizes are in px at the 800px base resolution)
+    FRAME_WIDTH: 24,
+    FRAME_FILL: '#FFFFFF',
+    RIBBON_STYLE: RIBBON_STYLES.RIBBON,
+    RIBBON_CONTENT: 'SALE',
+    RIBBON_FILL: '#D72C0D',
+    RIBBON_TEXT_COLOR: '#FFFFFF',
+    RIBBON_TEXT_SIZE: 28,
+    CAPTION_FILL: '#000000',
+    CAPTION_FILL_OPACITY: 0.6,
+    CAPTION_TEXT_COLOR: '#FFFFFF',
+    CAPTION_TEXT_SIZE: 28,
+
+    // QR code defaults (the quiet zone is the blank border scanners need, in modules)
+    QR_URL: '{{product.url}}',
+    QR_SCALE: 0.15,
+    QR_COLOR: '#000000',
+    QR_BACKGROUND: '#FFFFFF',
+    QR_ERROR_CORRECTION: QR_ERROR_CORRECTION.MEDIUM,
+    QR_QUIET_ZONE: 2,
+
+    // Layer effect defaults (offset and blur are in px at the 800px base resolution)
+    BLEND_MODE: BLEND_MODES.NORMAL,
+    SHADOW_TYPE: SHADOW_TYPES.NONE,
+    SHADOW_COLOR: '#000000',
+    SHADOW_OFFSET_X: 4,
+    SHADOW_OFFSET_Y: 4,
+    SHADOW_BLUR: 6,
+    SHADOW_OPACITY: 0.6,
+
+    // Adaptive contrast defaults
+    ADAPTIVE_LIGHT_COLOR: '#FFFFFF',
+    ADAPTIVE_DARK_COLOR: '#000000',
+
+    // Layout defaults
+    LOGO_LAYOUT: WATERMARK_LAYOUTS.SINGLE,
+    TEXT_LAYOUT: WATERMARK_LAYOUTS.SINGLE,
+    TILE_PATTERN: TILE_PATTERNS.GRID,
+    TILE_SPACING: 40,
+    TILE_STAGGER: false,
+    TILE_ANGLE: -30,
+
+    // Output defaults
+    OUTPUT_FORMAT: OUTPUT_FORMATS.ORIGINAL,
+    OUTPUT_QUALITY: 90,
+    COLOR_PROFILE: COLOR_PROFILES.SRGB,
+
+    // Used when converting the legacy mobile toggle into a portrait profile
     MOBILE_SCALE: 0.15,
     MOBILE_POSITION: WATERMARK_POSITIONS.BOTTOM_RIGHT
 };
 
+// ============================================================================
+// ASSETS
+// ============================================================================
+
+export const ASSET_TYPES = {
+    LOGO: 'logo',
+    FONT: 'font'
+};
+
+// Flat background colours a logo variant can knock out into transparency
+export const LOGO_KNOCKOUT_COLORS = {
+    WHITE: 'white',
+    BLACK: 'black'
+};
+
+export const LOGO_LIMITS = {
+    SUPPORTED_EXTENSIONS: ['.png', '.jpg', '.jpeg', '.webp', '.gif', '.svg'],
+    SVG_MAX_DENSITY: 100000 // DPI cap when rasterizing vector logos (sharp's limit)
+};
+
+export const LOGO_PROCESSING_LIMITS = {
+    MAX_VARIANTS: 4, // Derived variants per registered logo
+    TRIM_THRESHOLD: 10, // Colour distance still counted as padding
+    KNOCKOUT_TOLERANCE: 24 // Colour distance keyed out fully; up to twice this fades out
+};
+
 // ============================================================================
 // FONTS
 // ============================================================================
@@ -138,6 +456,53 @@ export const AVAILABLE_FONTS = [
     'Impact'
 ];
 
+// Most of the fonts above aren't installed on a headless server; name a generic
+// family after them so fontconfig at least falls back to a matching style
+export const FONT_GENERIC_FAMILIES = {
+    'Times New Roman': 'serif',
+    'Georgia': 'serif',
+    'Palatino': 'serif',
+    'Garamond': 'serif',
+    'Courier New': 'monospace',
+    'Comic Sans MS': 'cursive'
+};
+
+export const FONT_WEIGHTS = {
+    NORMAL: 'normal',
+    BOLD: 'bold'
+};
+
+export const FONT_STYLES = {
+    NORMAL: 'normal',
+    ITALIC: 'italic'
+};
+
+export const FONT_LIMITS = {
+    MAX_FILE_SIZE: 5 * 1024 * 1024, // 5MB
+    SUPPORTED_FORMATS: ['font/ttf', 'font/otf', 'font/woff'],
+    SUPPORTED_EXTENSIONS: ['.ttf', '.otf', '.woff']
+};
+
+// ============================================================================
+// TEXT TOKENS
+// ============================================================================
+
+// Placeholders supported in text layer content, resolved per product at render time
+export const TEXT_TOKENS = [
+    'product.title',
+    'product.vendor',
+    'product.type',
+    'product.handle',
+    'product.url',
+    'product.id',
+    'variant.sku',
+    'variant.title',
+    'shop.name',
+    'shop.url',
+    'date',
+    'year'
+];
+
 // ============================================================================
 // PROCESSING LIMITS
 // ============================================================================
@@ -148,7 +513,26 @@ export const PROCESSING_LIMITS = {
     WORKER_CONCURRENCY: 5,
     RETRY_ATTEMPTS: 3,
     RETRY_DELAY_MS: 1000,
-    BACKOFF_MULTIPLIER: 2
+    BACKOFF_MULTIPLIER: 2,
+    // Perceptual hashes (256 bits) this close to an earlier output, and further from its source,
+    // count as already watermarked
+    PHASH_MAX_DISTANCE: 12,
+    // For outputs stored without their source hash. Our outputs come back from the CDN as uploaded,
+    // while a small logo alone can move the hash of its source by ~6 bits
+    PHASH_UNPAIRED_MAX_DISTANCE: 3
+};
+
+export const DRY_RUN_LIMITS = {
+    PREVIEW_SAMPLES: 6, // Products a dry run renders a preview for (their first image that would change)
+    PREVIEW_MAX_WIDTH: 400,
+    MAX_REPORTED_IMAGES: 100 // Skipped and failed images listed one by one; all are counted
+};
+
+export const SCHEDULE_LIMITS = {
+    MAX_ACTIVE_PER_SHOP: 20,
+    MIN_INTERVAL_MINUTES: 60, // Between two runs of a recurring schedule
+    MAX_CREATED_WITHIN_HOURS: 24 * 30,
+    MAX_NAME_LENGTH: 255
 };
 
 // ============================================================================
@@ -158,7 +542,8 @@ export const PROCESSING_LIMITS = {
 export const QUEUE_NAMES = {
     WATERMARK_APPLY: 'watermark-apply',
     WATERMARK_ROLLBACK: 'watermark-rollback',
-    WATERMARK_WEBHOOK: 'watermark-webhook'
+    WATERMARK_WEBHOOK: 'watermark-webhook',
+    WATERMARK_SCHEDULE: 'watermark-schedule'
 };
 
 // ============================================================================
@@ -188,6 +573,11 @@ export const MESSAGES = {
     JOB_FAILED: 'Watermark job failed',
     JOB_CANCELLED: 'Watermark job cancelled',
     ROLLBACK_STARTED: 'Rollback started',
+    RETRY_STARTED: 'Retry of failed images started',
+    DRY_RUN_STARTED: 'Dry run started, nothing in your store will change',
+    SCHEDULE_CREATED: 'Watermark job scheduled',
+    SCHEDULE_UPDATED: 'Schedule updated',
+    SCHEDULE_CANCELLED: 'Schedule cancelled',
     ROLLBACK_COMPLETED: 'Rollback completed successfully',
     ROLLBACK_FAILED: 'Rollback failed',
     SETTINGS_SAVED: 'Watermark settings saved',
@@ -201,19 +591,28 @@ export const MESSAGES = {
 // ASPECT RATIO DETECTION
 // ============================================================================
 
+// Width / height; anything between the two thresholds counts as square
 export const ASPECT_RATIO = {
-    PORTRAIT_THRESHOLD: 1.2, // height/width > 1.2 = portrait
-    LANDSCAPE_THRESHOLD: 0.8, // height/width < 0.8 = landscape
-    SQUARE_MIN: 0.8,
-    SQUARE_MAX: 1.2
+    PORTRAIT_MAX: 0.83, // taller than 1.2x the width
+    LANDSCAPE_MIN: 1.25 // shorter than 0.8x the width
+};
+
+// Custom profiles match their own ratio range and are checked before the built-in shapes
+export const ASPECT_PROFILE_KINDS = {
+    PORTRAIT: 'portrait',
+    LANDSCAPE: 'landscape',
+    SQUARE: 'square',
+    CUSTOM: 'custom'
 };
 
 /**
- * Determine if image should use mobile profile
+ * Built-in shape of an image: portrait, landscape or square
  */
-export function shouldUseMobileProfile(width, height) {
-    const ratio = height / width;
-    return ratio > ASPECT_RATIO.PORTRAIT_THRESHOLD;
+export function getAspectKind(width, height) {
+    const ratio = width / height;
+    if (ratio < ASPECT_RATIO.PORTRAIT_MAX) return ASPECT_PROFILE_KINDS.PORTRAIT;
+    if (ratio > ASPECT_RATIO.LANDSCAPE_MIN) return ASPECT_PROFILE_KINDS.LANDSCAPE;
+    return ASPECT_PROFILE_KINDS.SQUARE;
 }
 
 /**
@@ -52,6 +52,30 @@ export const QUERIES = {
             text_x INTEGER DEFAULT 0,
             text_y INTEGER DEFAULT 0,
             use_custom_placement BOOLEAN DEFAULT false,
+            logo_layout VARCHAR(20) DEFAULT 'single',
+            text_layout VARCHAR(20) DEFAULT 'single',
+            tile_pattern VARCHAR(20) DEFAULT 'grid',
+            tile_spacing INTEGER DEFAULT 40,
+            tile_stagger BOOLEAN DEFAULT false,
+            tile_angle INTEGER DEFAULT -30,
+            text_align VARCHAR(10) DEFAULT 'center',
+            text_line_height DECIMAL(3,2) DEFAULT 1.2,
+            text_letter_spacing INTEGER DEFAULT 0,
+            text_font_url TEXT,
+            text_font_weight VARCHAR(10) DEFAULT 'bold',
+            text_font_style VARCHAR(10) DEFAULT 'normal',
+            layers JSONB,
+            output_format VARCHAR(10) DEFAULT 'original',
+            output_quality INTEGER DEFAULT 90,
+            output_max_bytes INTEGER,
+            color_profile VARCHAR(10) DEFAULT 'srgb',
+            metadata_copyright TEXT,
+            metadata_creator TEXT,
+            metadata_usage_terms TEXT,
+            forensic_enabled BOOLEAN DEFAULT false,
+            aspect_profiles JSONB,
+            small_image_policy VARCHAR(10) DEFAULT 'shrink',
+            small_image_min_px INTEGER DEFAULT 400,
             mobile_enabled BOOLEAN DEFAULT false,
             mobile_position VARCHAR(50),
             mobile_scale DECIMAL(3,2) DEFAULT 0.15,
@@ -83,8 +107,77 @@ export const QUERIES = {
             IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_settings' AND column_name='use_custom_placement') THEN
                 ALTER TABLE watermark_settings ADD COLUMN use_custom_placement BOOLEAN DEFAULT false;
             END IF;
-            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_job_items' AND column_name='variant_ids') THEN
-                ALTER TABLE watermark_job_items ADD COLUMN variant_ids JSONB;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_settings' AND column_name='logo_layout') THEN
+                ALTER TABLE watermark_settings ADD COLUMN logo_layout VARCHAR(20) DEFAULT 'single';
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_settings' AND column_name='text_layout') THEN
+                ALTER TABLE watermark_settings ADD COLUMN text_layout VARCHAR(20) DEFAULT 'single';
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_settings' AND column_name='tile_pattern') THEN
+                ALTER TABLE watermark_settings ADD COLUMN tile_pattern VARCHAR(20) DEFAULT 'grid';
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_settings' AND column_name='tile_spacing') THEN
+                ALTER TABLE watermark_settings ADD COLUMN tile_spacing INTEGER DEFAULT 40;
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_settings' AND column_name='tile_stagger') THEN
+                ALTER TABLE watermark_settings ADD COLUMN tile_stagger BOOLEAN DEFAULT false;
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_settings' AND column_name='tile_angle') THEN
+                ALTER TABLE watermark_settings ADD COLUMN tile_angle INTEGER DEFAULT -30;
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_settings' AND column_name='text_align') THEN
+                ALTER TABLE watermark_settings ADD COLUMN text_align VARCHAR(10) DEFAULT 'center';
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_settings' AND column_name='text_line_height') THEN
+                ALTER TABLE watermark_settings ADD COLUMN text_line_height DECIMAL(3,2) DEFAULT 1.2;
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_settings' AND column_name='text_letter_spacing') THEN
+                ALTER TABLE watermark_settings ADD COLUMN text_letter_spacing INTEGER DEFAULT 0;
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_settings' AND column_name='text_font_url') THEN
+                ALTER TABLE watermark_settings ADD COLUMN text_font_url TEXT;
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_settings' AND column_name='text_font_weight') THEN
+                ALTER TABLE watermark_settings ADD COLUMN text_font_weight VARCHAR(10) DEFAULT 'bold';
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_settings' AND column_name='text_font_style') THEN
+                ALTER TABLE watermark_settings ADD COLUMN text_font_style VARCHAR(10) DEFAULT 'normal';
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_settings' AND column_name='layers') THEN
+                ALTER TABLE watermark_settings ADD COLUMN layers JSONB;
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_settings' AND column_name='output_format') THEN
+                ALTER TABLE watermark_settings ADD COLUMN output_format VARCHAR(10) DEFAULT 'original';
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_settings' AND column_name='output_quality') THEN
+                ALTER TABLE watermark_settings ADD COLUMN output_quality INTEGER DEFAULT 90;
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_settings' AND column_name='output_max_bytes') THEN
+                ALTER TABLE watermark_settings ADD COLUMN output_max_bytes INTEGER;
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_settings' AND column_name='color_profile') THEN
+                ALTER TABLE watermark_settings ADD COLUMN color_profile VARCHAR(10) DEFAULT 'srgb';
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_settings' AND column_name='metadata_copyright') THEN
+                ALTER TABLE watermark_settings ADD COLUMN metadata_copyright TEXT;
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_settings' AND column_name='metadata_creator') THEN
+                ALTER TABLE watermark_settings ADD COLUMN metadata_creator TEXT;
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_settings' AND column_name='metadata_usage_terms') THEN
+                ALTER TABLE watermark_settings ADD COLUMN metadata_usage_terms TEXT;
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_settings' AND column_name='forensic_enabled') THEN
+                ALTER TABLE watermark_settings ADD COLUMN forensic_enabled BOOLEAN DEFAULT false;
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_settings' AND column_name='aspect_profiles') THEN
+                ALTER TABLE watermark_settings ADD COLUMN aspect_profiles JSONB;
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_settings' AND column_name='small_image_policy') THEN
+                ALTER TABLE watermark_settings ADD COLUMN small_image_policy VARCHAR(10) DEFAULT 'shrink';
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_settings' AND column_name='small_image_min_px') THEN
+                ALTER TABLE watermark_settings ADD COLUMN small_image_min_px INTEGER DEFAULT 400;
             END IF;
         END $$;
         
@@ -96,6 +189,9 @@ export const QUERIES = {
             file_size INTEGER,
             mime_type VARCHAR(100),
             shopify_file_id TEXT,
+            asset_type VARCHAR(20) DEFAULT 'logo',
+            parent_asset_id INTEGER REFERENCES watermark_assets(id),
+            processing JSONB,
             created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
             deleted_at TIMESTAMP
         );
@@ -112,6 +208,9 @@ export const QUERIES = {
             processed_products INTEGER DEFAULT 0,
             failed_products INTEGER DEFAULT 0,
             error_log TEXT,
+            report JSONB,
+            created_after TIMESTAMP,
+            schedule_run VARCHAR(100),
             started_at TIMESTAMP,
             completed_at TIMESTAMP,
             created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -132,6 +231,12 @@ export const QUERIES = {
             status VARCHAR(50) DEFAULT 'pending',
             error_message TEXT,
             image_hash VARCHAR(64),
+            source_hash VARCHAR(64),
+            variant_ids JSONB,
+            render_decisions JSONB,
+            forensic_id BIGINT,
+            skip_reason TEXT,
+            error_code VARCHAR(50),
             processed_at TIMESTAMP,
             created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
             updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -163,15 +268,95 @@ export const QUERIES = {
             updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
         );
         
+        CREATE TABLE IF NOT EXISTS watermark_job_checkpoints (
+            id SERIAL PRIMARY KEY,
+            job_id UUID NOT NULL REFERENCES watermark_jobs(id) ON DELETE CASCADE,
+            product_id TEXT NOT NULL,
+            status VARCHAR(50) DEFAULT 'processing',
+            error_message TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (job_id, product_id)
+        );
+        
+        CREATE TABLE IF NOT EXISTS watermark_schedules (
+            id SERIAL PRIMARY KEY,
+            shop VARCHAR(255) NOT NULL,
+            name VARCHAR(255),
+            scope_type VARCHAR(50) NOT NULL,
+            scope_value TEXT,
+            run_at TIMESTAMPTZ,
+            cron VARCHAR(100),
+            timezone VARCHAR(64) DEFAULT 'UTC',
+            created_within_hours INTEGER,
+            status VARCHAR(20) DEFAULT 'active',
+            last_run_at TIMESTAMPTZ,
+            last_job_id UUID REFERENCES watermark_jobs(id) ON DELETE SET NULL,
+            last_error TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        
+        -- Migrations for tables created above (must run after their CREATE TABLE)
+        DO $$ 
+        BEGIN 
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_job_items' AND column_name='variant_ids') THEN
+                ALTER TABLE watermark_job_items ADD COLUMN variant_ids JSONB;
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_assets' AND column_name='asset_type') THEN
+                ALTER TABLE watermark_assets ADD COLUMN asset_type VARCHAR(20) DEFAULT 'logo';
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_assets' AND column_name='parent_asset_id') THEN
+                ALTER TABLE watermark_assets ADD COLUMN parent_asset_id INTEGER REFERENCES watermark_assets(id);
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_assets' AND column_name='processing') THEN
+                ALTER TABLE watermark_assets ADD COLUMN processing JSONB;
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_job_items' AND column_name='render_decisions') THEN
+                ALTER TABLE watermark_job_items ADD COLUMN render_decisions JSONB;
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_job_items' AND column_name='forensic_id') THEN
+                ALTER TABLE watermark_job_items ADD COLUMN forensic_id BIGINT;
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_job_items' AND column_name='source_hash') THEN
+                ALTER TABLE watermark_job_items ADD COLUMN source_hash VARCHAR(64);
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_job_items' AND column_name='skip_reason') THEN
+                ALTER TABLE watermark_job_items ADD COLUMN skip_reason TEXT;
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_job_items' AND column_name='error_code') THEN
+                ALTER TABLE watermark_job_items ADD COLUMN error_code VARCHAR(50);
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_jobs' AND column_name='report') THEN
+                ALTER TABLE watermark_jobs ADD COLUMN report JSONB;
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_jobs' AND column_name='created_after') THEN
+                ALTER TABLE watermark_jobs ADD COLUMN created_after TIMESTAMP;
+            END IF;
+            IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_jobs' AND column_name='schedule_run') THEN
+                ALTER TABLE watermark_jobs ADD COLUMN schedule_run VARCHAR(100);
+            END IF;
+            IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_schedules' AND column_name='run_at' AND data_type='timestamp without time zone') THEN
+                ALTER TABLE watermark_schedules ALTER COLUMN run_at TYPE TIMESTAMPTZ;
+            END IF;
+            IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='watermark_schedules' AND column_name='last_run_at' AND data_type='timestamp without time zone') THEN
+                ALTER TABLE watermark_schedules ALTER COLUMN last_run_at TYPE TIMESTAMPTZ;
+            END IF;
+        END $$;
+
         -- Indexes
         CREATE INDEX IF NOT EXISTS idx_watermark_jobs_shop_status ON watermark_jobs(shop, status);
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_watermark_jobs_schedule_run ON watermark_jobs(schedule_run);
         CREATE INDEX IF NOT EXISTS idx_watermark_job_items_job_id ON watermark_job_items(job_id);
         CREATE INDEX IF NOT EXISTS idx_watermark_job_items_status ON watermark_job_items(status);
         CREATE INDEX IF NOT EXISTS idx_watermark_job_items_hash ON watermark_job_items(image_hash);
         CREATE INDEX IF NOT EXISTS idx_watermark_job_items_product ON watermark_job_items(product_id);
+        CREATE INDEX IF NOT EXISTS idx_watermark_job_items_forensic_id ON watermark_job_items(forensic_id);
         CREATE INDEX IF NOT EXISTS idx_rollback_runs_job_id ON rollback_runs(job_id);
         CREATE INDEX IF NOT EXISTS idx_watermark_rules_shop_enabled ON watermark_rules(shop, enabled);
         CREATE INDEX IF NOT EXISTS idx_watermark_assets_shop ON watermark_assets(shop);
+        CREATE INDEX IF NOT EXISTS idx_watermark_assets_parent ON watermark_assets(parent_asset_id);
+        CREATE INDEX IF NOT EXISTS idx_watermark_schedules_shop_status ON watermark_schedules(shop, status);
     `,
 
     SAVE_TOKEN: `
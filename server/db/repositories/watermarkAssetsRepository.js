@@ -1,14 +1,19 @@
 import pool from '../index.js';
+import { ASSET_TYPES } from '../../constants/watermark.js';
 import {
     CREATE_ASSET,
     GET_ASSETS_BY_SHOP,
-    SOFT_DELETE_ASSET
+    GET_ASSETS_BY_SHOP_AND_TYPE,
+    SOFT_DELETE_ASSET,
+    SOFT_DELETE_DERIVED_ASSETS
 } from '../watermark-queries.js';
 
 /**
  * Create a new watermark asset record
+ * @param {number|null} parentAssetId - Asset a derived variant was made from
+ * @param {Object|null} processing - Processing that produced the variant (see normalizeLogoProcessing)
  */
-export async function createWatermarkAsset(shop, fileName, fileUrl, fileSize, mimeType, shopifyFileId) {
+export async function createWatermarkAsset(shop, fileName, fileUrl, fileSize, mimeType, shopifyFileId, assetType = ASSET_TYPES.LOGO, parentAssetId = null, processing = null) {
     const safeShop = shop?.toLowerCase();
 
     if (!pool) {
@@ -22,7 +27,10 @@ export async function createWatermarkAsset(shop, fileName, fileUrl, fileSize, mi
             fileUrl,
             fileSize,
             mimeType,
-            shopifyFileId
+            shopifyFileId,
+            assetType,
+            parentAssetId,
+            processing ? JSON.stringify(processing) : null
         ]);
 
         console.log(`[WatermarkAssets] Created asset ${res.rows[0].id} for ${safeShop}`);
@@ -34,9 +42,9 @@ export async function createWatermarkAsset(shop, fileName, fileUrl, fileSize, mi
 }
 
 /**
- * Get all assets for a shop (excluding soft-deleted)
+ * Get all assets for a shop (excluding soft-deleted), optionally filtered by type
  */
-export async function getWatermarkAssets(shop) {
+export async function getWatermarkAssets(shop, assetType = null) {
     const safeShop = shop?.toLowerCase();
 
     if (!pool) {
@@ -44,7 +52,9 @@ export async function getWatermarkAssets(shop) {
     }
 
     try {
-        const res = await pool.query(GET_ASSETS_BY_SHOP, [safeShop]);
+        const res = assetType
+            ? await pool.query(GET_ASSETS_BY_SHOP_AND_TYPE, [safeShop, assetType])
+            : await pool.query(GET_ASSETS_BY_SHOP, [safeShop]);
         return res.rows;
     } catch (error) {
         console.error(`[WatermarkAssets] Error fetching assets for ${safeShop}:`, error.message);
@@ -53,7 +63,7 @@ export async function getWatermarkAssets(shop) {
 }
 
 /**
- * Soft delete an asset
+ * Soft delete an asset along with its derived variants
  */
 export async function deleteWatermarkAsset(assetId) {
     if (!pool) {
@@ -62,6 +72,7 @@ export async function deleteWatermarkAsset(assetId) {
 
     try {
         const res = await pool.query(SOFT_DELETE_ASSET, [assetId]);
+        await pool.query(SOFT_DELETE_DERIVED_ASSETS, [assetId]);
         console.log(`[WatermarkAssets] Soft deleted asset ${assetId}`);
         return res.rows[0];
     } catch (error) {
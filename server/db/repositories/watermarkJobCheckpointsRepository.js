@@ -0,0 +1,40 @@
+import pool from '../index.js';
+import {
+    UPSERT_JOB_CHECKPOINT,
+    GET_JOB_CHECKPOINTS
+} from '../watermark-queries.js';
+
+/**
+ * Record how far a product got within a job
+ */
+export async function setProductCheckpoint(jobId, productId, status, errorMessage = null) {
+    if (!pool) {
+        throw new Error('Database pool not available');
+    }
+
+    try {
+        const res = await pool.query(UPSERT_JOB_CHECKPOINT, [jobId, productId, status, errorMessage]);
+        return res.rows[0];
+    } catch (error) {
+        console.error(`[JobCheckpoints] Error saving checkpoint of ${productId} for job ${jobId}:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Checkpoints of a job from earlier attempts
+ * @returns {Promise<Map<string, string>>} product ID -> checkpoint status
+ */
+export async function getJobCheckpoints(jobId) {
+    if (!pool) {
+        throw new Error('Database pool not available');
+    }
+
+    try {
+        const res = await pool.query(GET_JOB_CHECKPOINTS, [jobId]);
+        return new Map(res.rows.map(row => [row.product_id, row.status]));
+    } catch (error) {
+        console.error(`[JobCheckpoints] Error fetching checkpoints for job ${jobId}:`, error.message);
+        throw error;
+    }
+}
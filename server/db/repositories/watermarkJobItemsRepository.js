@@ -4,15 +4,21 @@ import {
     UPDATE_JOB_ITEM_COMPLETED,
     UPDATE_JOB_ITEM_FAILED,
     UPDATE_JOB_ITEM_ROLLED_BACK,
+    UPDATE_JOB_ITEM_SKIPPED,
     GET_JOB_ITEMS_BY_JOB,
     GET_JOB_ITEMS_FOR_ROLLBACK,
-    CHECK_DUPLICATE_HASH
+    CHECK_DUPLICATE_HASH,
+    GET_JOB_ITEMS_BY_FORENSIC_ID,
+    GET_WATERMARKED_HASHES_BY_SHOP,
+    GET_PRODUCT_JOB_ITEMS,
+    GET_FAILED_JOB_ITEMS,
+    DELETE_UNFINISHED_PRODUCT_JOB_ITEMS
 } from '../watermark-queries.js';
 
 /**
  * Create a new job item
  */
-export async function createJobItem(jobId, productId, productTitle, originalMediaId, originalMediaUrl, originalPosition, originalIsFeatured, imageHash, variantIds = null) {
+export async function createJobItem(jobId, productId, productTitle, originalMediaId, originalMediaUrl, originalPosition, originalIsFeatured, imageHash, variantIds = null, renderDecisions = null, forensicId = null, sourceHash = null) {
     if (!pool) {
         throw new Error('Database pool not available');
     }
@@ -27,7 +33,10 @@ export async function createJobItem(jobId, productId, productTitle, originalMedi
             originalPosition,
             originalIsFeatured,
             imageHash,
-            variantIds ? JSON.stringify(variantIds) : null
+            variantIds ? JSON.stringify(variantIds) : null,
+            renderDecisions?.length ? JSON.stringify(renderDecisions) : null,
+            forensicId,
+            sourceHash
         ]);
 
         return res.rows[0];
@@ -61,8 +70,9 @@ export async function markJobItemCompleted(itemId, newMediaId, newMediaUrl) {
 
 /**
  * Mark job item as failed
+ * @param {string|null} errorCode - One of ERROR_CODES, see classifyJobError
  */
-export async function markJobItemFailed(itemId, errorMessage) {
+export async function markJobItemFailed(itemId, errorMessage, errorCode = null) {
     if (!pool) {
         throw new Error('Database pool not available');
     }
@@ -70,7 +80,8 @@ export async function markJobItemFailed(itemId, errorMessage) {
     try {
         const res = await pool.query(UPDATE_JOB_ITEM_FAILED, [
             itemId,
-            errorMessage
+            errorMessage,
+            errorCode
         ]);
 
         return res.rows[0];
@@ -97,6 +108,75 @@ export async function markJobItemRolledBack(itemId) {
     }
 }
 
+/**
+ * Mark job item as skipped, with the reason it wasn't processed
+ */
+export async function markJobItemSkipped(itemId, reason) {
+    if (!pool) {
+        throw new Error('Database pool not available');
+    }
+
+    try {
+        const res = await pool.query(UPDATE_JOB_ITEM_SKIPPED, [itemId, reason]);
+        return res.rows[0];
+    } catch (error) {
+        console.error(`[JobItems] Error marking item ${itemId} skipped:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Get the failed items of a job. Items without original_media_id stand for a whole product
+ * that failed before its images were reached.
+ */
+export async function getFailedJobItems(jobId) {
+    if (!pool) {
+        throw new Error('Database pool not available');
+    }
+
+    try {
+        const res = await pool.query(GET_FAILED_JOB_ITEMS, [jobId]);
+        return res.rows;
+    } catch (error) {
+        console.error(`[JobItems] Error fetching failed items for job ${jobId}:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Get one product's items in a job, in media order
+ */
+export async function getProductJobItems(jobId, productId) {
+    if (!pool) {
+        throw new Error('Database pool not available');
+    }
+
+    try {
+        const res = await pool.query(GET_PRODUCT_JOB_ITEMS, [jobId, productId]);
+        return res.rows;
+    } catch (error) {
+        console.error(`[JobItems] Error fetching items of ${productId} for job ${jobId}:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Remove a product's pending, failed and skipped items before it is retried
+ */
+export async function deleteUnfinishedProductJobItems(jobId, productId) {
+    if (!pool) {
+        throw new Error('Database pool not available');
+    }
+
+    try {
+        const res = await pool.query(DELETE_UNFINISHED_PRODUCT_JOB_ITEMS, [jobId, productId]);
+        return res.rowCount;
+    } catch (error) {
+        console.error(`[JobItems] Error clearing items of ${productId} for job ${jobId}:`, error.message);
+        throw error;
+    }
+}
+
 /**
  * Get job items by job ID (paginated)
  */
@@ -148,6 +228,46 @@ export async function checkDuplicateHash(jobId, imageHash) {
     }
 }
 
+/**
+ * Image hashes of every watermarked image a shop's jobs have produced, with the hash of its source
+ * and its forensic mark ID
+ * @returns {Promise<Array>} [{ hash, sourceHash, forensicId }], sourceHash null for items saved before it was stored
+ */
+export async function getWatermarkedImageHashes(shop) {
+    if (!pool) {
+        return [];
+    }
+
+    try {
+        const res = await pool.query(GET_WATERMARKED_HASHES_BY_SHOP, [shop?.toLowerCase()]);
+        return res.rows.map(row => ({
+            hash: row.image_hash,
+            sourceHash: row.source_hash,
+            forensicId: row.forensic_id === null ? null : Number(row.forensic_id)
+        }));
+    } catch (error) {
+        console.error(`[JobItems] Error fetching watermarked hashes for ${shop}:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Find a shop's job items whose image carried the given forensic mark ID
+ */
+export async function getJobItemsByForensicId(shop, forensicId) {
+    if (!pool) {
+        return [];
+    }
+
+    try {
+        const res = await pool.query(GET_JOB_ITEMS_BY_FORENSIC_ID, [forensicId, shop?.toLowerCase()]);
+        return res.rows;
+    } catch (error) {
+        console.error(`[JobItems] Error looking up forensic ID ${forensicId}:`, error.message);
+        return [];
+    }
+}
+
 /**
  * Bulk create job items (optimized for large batches)
  */
@@ -173,7 +293,10 @@ export async function bulkCreateJobItems(jobId, items) {
                 item.originalPosition,
                 item.originalIsFeatured,
                 item.imageHash,
-                item.variantIds ? JSON.stringify(item.variantIds) : null
+                item.variantIds ? JSON.stringify(item.variantIds) : null,
+                item.renderDecisions?.length ? JSON.stringify(item.renderDecisions) : null,
+                item.forensicId ?? null,
+                item.sourceHash ?? null
             ]);
 
             createdItems.push(res.rows[0]);
@@ -2,19 +2,24 @@ import pool from '../index.js';
 import {
     CREATE_JOB,
     GET_JOB_BY_ID,
+    GET_JOB_BY_SCHEDULE_RUN,
+    GET_ACTIVE_RETRY_JOB,
     GET_JOBS_BY_SHOP,
     UPDATE_JOB_STATUS,
     UPDATE_JOB_PROGRESS,
     START_JOB,
     COMPLETE_JOB,
-    UPDATE_JOB_TOTAL_PRODUCTS
+    UPDATE_JOB_TOTAL_PRODUCTS,
+    SAVE_JOB_REPORT
 } from '../watermark-queries.js';
 import { JOB_STATUS, JOB_TYPE } from '../../constants/watermark.js';
 
 /**
  * Create a new watermark job
+ * @param {Date|null} createdAfter - Only cover products created after this time (scheduled jobs)
+ * @param {string|null} scheduleRun - Run of a schedule that started the job (unique, see getWatermarkJobByScheduleRun)
  */
-export async function createWatermarkJob(shop, jobType, scopeType, scopeValue, settingsSnapshot, totalProducts) {
+export async function createWatermarkJob(shop, jobType, scopeType, scopeValue, settingsSnapshot, totalProducts, createdAfter = null, scheduleRun = null) {
     const safeShop = shop?.toLowerCase();
 
     if (!pool) {
@@ -29,7 +34,9 @@ export async function createWatermarkJob(shop, jobType, scopeType, scopeValue, s
             scopeType,
             scopeValue,
             JSON.stringify(settingsSnapshot),
-            totalProducts
+            totalProducts,
+            createdAfter,
+            scheduleRun
         ]);
 
         console.log(`[WatermarkJobs] Created job ${res.rows[0].id} for ${safeShop}`);
@@ -62,6 +69,41 @@ export async function getWatermarkJob(jobId) {
     }
 }
 
+/**
+ * Get the job a schedule run started, if any
+ * @param {string} scheduleRun - Schedule ID and run time, as given to createWatermarkJob
+ */
+export async function getWatermarkJobByScheduleRun(scheduleRun) {
+    if (!pool) {
+        throw new Error('Database pool not available');
+    }
+
+    try {
+        const res = await pool.query(GET_JOB_BY_SCHEDULE_RUN, [scheduleRun]);
+        return res.rows[0] || null;
+    } catch (error) {
+        console.error(`[WatermarkJobs] Error fetching job of schedule run ${scheduleRun}:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Get a pending or processing retry of the given job, if any
+ */
+export async function getActiveRetryJob(jobId) {
+    if (!pool) {
+        throw new Error('Database pool not available');
+    }
+
+    try {
+        const res = await pool.query(GET_ACTIVE_RETRY_JOB, [String(jobId)]);
+        return res.rows[0] || null;
+    } catch (error) {
+        console.error(`[WatermarkJobs] Error fetching active retry of job ${jobId}:`, error.message);
+        throw error;
+    }
+}
+
 /**
  * Get jobs by shop (paginated)
  */
@@ -204,3 +246,20 @@ export async function setTotalProducts(jobId, totalProducts) {
         throw error;
     }
 }
+
+/**
+ * Store the impact report of a dry run
+ */
+export async function saveJobReport(jobId, report) {
+    if (!pool) {
+        throw new Error('Database pool not available');
+    }
+
+    try {
+        const res = await pool.query(SAVE_JOB_REPORT, [jobId, JSON.stringify(report)]);
+        return res.rows[0];
+    } catch (error) {
+        console.error(`[WatermarkJobs] Error saving report for ${jobId}:`, error.message);
+        throw error;
+    }
+}
@@ -0,0 +1,137 @@
+import pool from '../index.js';
+import {
+    CREATE_SCHEDULE,
+    GET_SCHEDULE_BY_ID,
+    GET_SCHEDULES_BY_SHOP,
+    UPDATE_SCHEDULE,
+    UPDATE_SCHEDULE_STATUS,
+    RECORD_SCHEDULE_RUN
+} from '../watermark-queries.js';
+
+/**
+ * Create a scheduled watermark job
+ * @param {Object} schedule - { name, scopeType, scopeValue, runAt, cron, timezone, createdWithinHours }
+ */
+export async function createWatermarkSchedule(shop, schedule) {
+    const safeShop = shop?.toLowerCase();
+
+    if (!pool) {
+        throw new Error('Database pool not available');
+    }
+
+    try {
+        const res = await pool.query(CREATE_SCHEDULE, [
+            safeShop,
+            schedule.name,
+            schedule.scopeType,
+            schedule.scopeValue,
+            schedule.runAt,
+            schedule.cron,
+            schedule.timezone,
+            schedule.createdWithinHours
+        ]);
+
+        console.log(`[WatermarkSchedules] Created schedule ${res.rows[0].id} for ${safeShop}`);
+        return res.rows[0];
+    } catch (error) {
+        console.error(`[WatermarkSchedules] Error creating schedule for ${safeShop}:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Get schedule by ID
+ */
+export async function getWatermarkSchedule(scheduleId) {
+    if (!pool) {
+        throw new Error('Database pool not available');
+    }
+
+    try {
+        const res = await pool.query(GET_SCHEDULE_BY_ID, [scheduleId]);
+        return res.rows[0] || null;
+    } catch (error) {
+        console.error(`[WatermarkSchedules] Error fetching schedule ${scheduleId}:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Get all schedules for a shop
+ */
+export async function getWatermarkSchedules(shop) {
+    const safeShop = shop?.toLowerCase();
+
+    if (!pool) {
+        return [];
+    }
+
+    try {
+        const res = await pool.query(GET_SCHEDULES_BY_SHOP, [safeShop]);
+        return res.rows;
+    } catch (error) {
+        console.error(`[WatermarkSchedules] Error fetching schedules for ${safeShop}:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Update a schedule's scope and timing (same fields as createWatermarkSchedule)
+ */
+export async function updateWatermarkSchedule(scheduleId, schedule) {
+    if (!pool) {
+        throw new Error('Database pool not available');
+    }
+
+    try {
+        const res = await pool.query(UPDATE_SCHEDULE, [
+            scheduleId,
+            schedule.name,
+            schedule.scopeType,
+            schedule.scopeValue,
+            schedule.runAt,
+            schedule.cron,
+            schedule.timezone,
+            schedule.createdWithinHours
+        ]);
+        return res.rows[0];
+    } catch (error) {
+        console.error(`[WatermarkSchedules] Error updating schedule ${scheduleId}:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Set a schedule's status
+ */
+export async function updateScheduleStatus(scheduleId, status) {
+    if (!pool) {
+        throw new Error('Database pool not available');
+    }
+
+    try {
+        const res = await pool.query(UPDATE_SCHEDULE_STATUS, [scheduleId, status]);
+        console.log(`[WatermarkSchedules] Updated schedule ${scheduleId} status to ${status}`);
+        return res.rows[0];
+    } catch (error) {
+        console.error(`[WatermarkSchedules] Error updating schedule ${scheduleId} status:`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Record a run of a schedule: the job it started, or why it started none
+ */
+export async function recordScheduleRun(scheduleId, status, jobId = null, errorMessage = null) {
+    if (!pool) {
+        throw new Error('Database pool not available');
+    }
+
+    try {
+        const res = await pool.query(RECORD_SCHEDULE_RUN, [scheduleId, status, jobId, errorMessage]);
+        return res.rows[0];
+    } catch (error) {
+        console.error(`[WatermarkSchedules] Error recording run of schedule ${scheduleId}:`, error.message);
+        throw error;
+    }
+}
@@ -4,6 +4,8 @@ import {
     UPSERT_SETTINGS
 } from '../watermark-queries.js';
 import { WATERMARK_DEFAULTS } from '../../constants/watermark.js';
+import { getLayers } from '../../services/watermark/layers.js';
+import { getAspectProfiles } from '../../services/watermark/aspectProfiles.js';
 
 /**
  * Get watermark settings for a shop
@@ -25,7 +27,9 @@ export async function getWatermarkSettings(shop) {
             return getDefaultSettings(safeShop);
         }
 
-        return res.rows[0];
+        // Settings saved before layers or aspect profiles existed get converted on read
+        const settings = res.rows[0];
+        return { ...settings, layers: getLayers(settings), aspect_profiles: getAspectProfiles(settings) };
     } catch (error) {
         console.error(`[WatermarkSettings] Error fetching settings for ${safeShop}:`, error.message);
         return getDefaultSettings(safeShop);
@@ -66,9 +70,30 @@ export async function upsertWatermarkSettings(shop, settings) {
             settings.text_x ?? 0,
             settings.text_y ?? 0,
             settings.use_custom_placement ?? false,
-            settings.mobile_enabled ?? WATERMARK_DEFAULTS.MOBILE_ENABLED,
-            settings.mobile_position || WATERMARK_DEFAULTS.MOBILE_POSITION,
-            settings.mobile_scale ?? WATERMARK_DEFAULTS.MOBILE_SCALE
+            settings.logo_layout || WATERMARK_DEFAULTS.LOGO_LAYOUT,
+            settings.text_layout || WATERMARK_DEFAULTS.TEXT_LAYOUT,
+            settings.tile_pattern || WATERMARK_DEFAULTS.TILE_PATTERN,
+            settings.tile_spacing ?? WATERMARK_DEFAULTS.TILE_SPACING,
+            settings.tile_stagger ?? WATERMARK_DEFAULTS.TILE_STAGGER,
+            settings.tile_angle ?? WATERMARK_DEFAULTS.TILE_ANGLE,
+            settings.text_align || WATERMARK_DEFAULTS.TEXT_ALIGN,
+            settings.text_line_height ?? WATERMARK_DEFAULTS.TEXT_LINE_HEIGHT,
+            settings.text_letter_spacing ?? WATERMARK_DEFAULTS.TEXT_LETTER_SPACING,
+            settings.text_font_url || null,
+            settings.text_font_weight || WATERMARK_DEFAULTS.TEXT_FONT_WEIGHT,
+            settings.text_font_style || WATERMARK_DEFAULTS.TEXT_FONT_STYLE,
+            Array.isArray(settings.layers) ? JSON.stringify(settings.layers) : null,
+            settings.output_format || WATERMARK_DEFAULTS.OUTPUT_FORMAT,
+            settings.output_quality ?? WATERMARK_DEFAULTS.OUTPUT_QUALITY,
+            settings.output_max_bytes || null,
+            settings.color_profile || WATERMARK_DEFAULTS.COLOR_PROFILE,
+            settings.metadata_copyright || null,
+            settings.metadata_creator || null,
+            settings.metadata_usage_terms || null,
+            settings.forensic_enabled ?? false,
+            Array.isArray(settings.aspect_profiles) ? JSON.stringify(settings.aspect_profiles) : null,
+            settings.small_image_policy || WATERMARK_DEFAULTS.SMALL_IMAGE_POLICY,
+            settings.small_image_min_px ?? WATERMARK_DEFAULTS.SMALL_IMAGE_MIN_PX
         ]);
 
         console.log(`[WatermarkSettings] Settings saved for ${safeShop}`);
@@ -105,8 +130,29 @@ function getDefaultSettings(shop) {
         text_x: 0,
         text_y: 0,
         use_custom_placement: false,
-        mobile_enabled: WATERMARK_DEFAULTS.MOBILE_ENABLED,
-        mobile_position: WATERMARK_DEFAULTS.MOBILE_POSITION,
-        mobile_scale: WATERMARK_DEFAULTS.MOBILE_SCALE
+        logo_layout: WATERMARK_DEFAULTS.LOGO_LAYOUT,
+        text_layout: WATERMARK_DEFAULTS.TEXT_LAYOUT,
+        tile_pattern: WATERMARK_DEFAULTS.TILE_PATTERN,
+        tile_spacing: WATERMARK_DEFAULTS.TILE_SPACING,
+        tile_stagger: WATERMARK_DEFAULTS.TILE_STAGGER,
+        tile_angle: WATERMARK_DEFAULTS.TILE_ANGLE,
+        text_align: WATERMARK_DEFAULTS.TEXT_ALIGN,
+        text_line_height: WATERMARK_DEFAULTS.TEXT_LINE_HEIGHT,
+        text_letter_spacing: WATERMARK_DEFAULTS.TEXT_LETTER_SPACING,
+        text_font_url: null,
+        text_font_weight: WATERMARK_DEFAULTS.TEXT_FONT_WEIGHT,
+        text_font_style: WATERMARK_DEFAULTS.TEXT_FONT_STYLE,
+        layers: [],
+        output_format: WATERMARK_DEFAULTS.OUTPUT_FORMAT,
+        output_quality: WATERMARK_DEFAULTS.OUTPUT_QUALITY,
+        output_max_bytes: null,
+        color_profile: WATERMARK_DEFAULTS.COLOR_PROFILE,
+        metadata_copyright: null,
+        metadata_creator: null,
+        metadata_usage_terms: null,
+        forensic_enabled: false,
+        aspect_profiles: [],
+        small_image_policy: WATERMARK_DEFAULTS.SMALL_IMAGE_POLICY,
+        small_image_min_px: WATERMARK_DEFAULTS.SMALL_IMAGE_MIN_PX
     };
 }
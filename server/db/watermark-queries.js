@@ -68,6 +68,9 @@ CREATE TABLE IF NOT EXISTS watermark_jobs (
     processed_products INTEGER DEFAULT 0,
     failed_products INTEGER DEFAULT 0,
     error_log TEXT,
+    report JSONB,
+    created_after TIMESTAMP,
+    schedule_run VARCHAR(100),
     started_at TIMESTAMP,
     completed_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -88,9 +91,14 @@ CREATE TABLE IF NOT EXISTS watermark_job_items (
     new_media_id TEXT,
     new_media_url TEXT,
     variant_ids JSONB,
+    render_decisions JSONB,
+    forensic_id BIGINT,
+    skip_reason TEXT,
     status VARCHAR(50) DEFAULT 'pending',
+    error_code VARCHAR(50),
     error_message TEXT,
     image_hash VARCHAR(64),
+    source_hash VARCHAR(64),
     processed_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -127,12 +135,46 @@ CREATE TABLE IF NOT EXISTS rollback_runs (
 );
 `;
 
+export const CREATE_JOB_CHECKPOINTS_TABLE = `
+CREATE TABLE IF NOT EXISTS watermark_job_checkpoints (
+    id SERIAL PRIMARY KEY,
+    job_id UUID NOT NULL REFERENCES watermark_jobs(id) ON DELETE CASCADE,
+    product_id TEXT NOT NULL,
+    status VARCHAR(50) DEFAULT 'processing',
+    error_message TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (job_id, product_id)
+);
+`;
+
+export const CREATE_WATERMARK_SCHEDULES_TABLE = `
+CREATE TABLE IF NOT EXISTS watermark_schedules (
+    id SERIAL PRIMARY KEY,
+    shop VARCHAR(255) NOT NULL,
+    name VARCHAR(255),
+    scope_type VARCHAR(50) NOT NULL,
+    scope_value TEXT,
+    run_at TIMESTAMPTZ,
+    cron VARCHAR(100),
+    timezone VARCHAR(64) DEFAULT 'UTC',
+    created_within_hours INTEGER,
+    status VARCHAR(20) DEFAULT 'active',
+    last_run_at TIMESTAMPTZ,
+    last_job_id UUID REFERENCES watermark_jobs(id) ON DELETE SET NULL,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+`;
+
 // ============================================================================
 // INDEX CREATION QUERIES
 // ============================================================================
 
 export const CREATE_INDEXES = `
 CREATE INDEX IF NOT EXISTS idx_watermark_jobs_shop_status ON watermark_jobs(shop, status);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_watermark_jobs_schedule_run ON watermark_jobs(schedule_run);
 CREATE INDEX IF NOT EXISTS idx_watermark_job_items_job_id ON watermark_job_items(job_id);
 CREATE INDEX IF NOT EXISTS idx_watermark_job_items_status ON watermark_job_items(status);
 CREATE INDEX IF NOT EXISTS idx_watermark_job_items_hash ON watermark_job_items(image_hash);
@@ -140,6 +182,7 @@ CREATE INDEX IF NOT EXISTS idx_watermark_job_items_product ON watermark_job_item
 CREATE INDEX IF NOT EXISTS idx_rollback_runs_job_id ON rollback_runs(job_id);
 CREATE INDEX IF NOT EXISTS idx_watermark_rules_shop_enabled ON watermark_rules(shop, enabled);
 CREATE INDEX IF NOT EXISTS idx_watermark_assets_shop ON watermark_assets(shop);
+CREATE INDEX IF NOT EXISTS idx_watermark_schedules_shop_status ON watermark_schedules(shop, status);
 `;
 
 // ============================================================================
@@ -156,8 +199,13 @@ INSERT INTO watermark_settings(
     text_content, text_font, text_size, text_color, text_position,
     text_opacity, text_outline, text_outline_color, text_rotation, text_x, text_y,
     use_custom_placement,
-    mobile_enabled, mobile_position, mobile_scale, updated_at
-) VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, CURRENT_TIMESTAMP)
+    logo_layout, text_layout, tile_pattern, tile_spacing, tile_stagger, tile_angle,
+    text_align, text_line_height, text_letter_spacing,
+    text_font_url, text_font_weight, text_font_style, layers,
+    output_format, output_quality, output_max_bytes,
+    color_profile, metadata_copyright, metadata_creator, metadata_usage_terms, forensic_enabled,
+    aspect_profiles, small_image_policy, small_image_min_px, updated_at
+) VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32, $33, $34, $35, $36, $37, $38, $39, $40, $41, $42, $43, $44, $45, CURRENT_TIMESTAMP)
 ON CONFLICT(shop) DO UPDATE SET
     logo_url = EXCLUDED.logo_url,
     logo_position = EXCLUDED.logo_position,
@@ -179,9 +227,30 @@ ON CONFLICT(shop) DO UPDATE SET
     text_x = EXCLUDED.text_x,
     text_y = EXCLUDED.text_y,
     use_custom_placement = EXCLUDED.use_custom_placement,
-    mobile_enabled = EXCLUDED.mobile_enabled,
-    mobile_position = EXCLUDED.mobile_position,
-    mobile_scale = EXCLUDED.mobile_scale,
+    logo_layout = EXCLUDED.logo_layout,
+    text_layout = EXCLUDED.text_layout,
+    tile_pattern = EXCLUDED.tile_pattern,
+    tile_spacing = EXCLUDED.tile_spacing,
+    tile_stagger = EXCLUDED.tile_stagger,
+    tile_angle = EXCLUDED.tile_angle,
+    text_align = EXCLUDED.text_align,
+    text_line_height = EXCLUDED.text_line_height,
+    text_letter_spacing = EXCLUDED.text_letter_spacing,
+    text_font_url = EXCLUDED.text_font_url,
+    text_font_weight = EXCLUDED.text_font_weight,
+    text_font_style = EXCLUDED.text_font_style,
+    layers = EXCLUDED.layers,
+    output_format = EXCLUDED.output_format,
+    output_quality = EXCLUDED.output_quality,
+    output_max_bytes = EXCLUDED.output_max_bytes,
+    color_profile = EXCLUDED.color_profile,
+    metadata_copyright = EXCLUDED.metadata_copyright,
+    metadata_creator = EXCLUDED.metadata_creator,
+    metadata_usage_terms = EXCLUDED.metadata_usage_terms,
+    forensic_enabled = EXCLUDED.forensic_enabled,
+    aspect_profiles = EXCLUDED.aspect_profiles,
+    small_image_policy = EXCLUDED.small_image_policy,
+    small_image_min_px = EXCLUDED.small_image_min_px,
     updated_at = CURRENT_TIMESTAMP
 RETURNING *;
 `;
@@ -192,8 +261,8 @@ RETURNING *;
 
 export const CREATE_JOB = `
 INSERT INTO watermark_jobs (
-    shop, job_type, status, scope_type, scope_value, settings_snapshot, total_products
-) VALUES ($1, $2, $3, $4, $5, $6, $7)
+    shop, job_type, status, scope_type, scope_value, settings_snapshot, total_products, created_after, schedule_run
+) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
 RETURNING *;
 `;
 
@@ -201,10 +270,28 @@ export const GET_JOB_BY_ID = `
 SELECT * FROM watermark_jobs WHERE id = $1;
 `;
 
+export const GET_JOB_BY_SCHEDULE_RUN = `
+SELECT * FROM watermark_jobs WHERE schedule_run = $1;
+`;
+
+// A retry job of the given job that hasn't finished yet
+export const GET_ACTIVE_RETRY_JOB = `
+SELECT * FROM watermark_jobs
+WHERE scope_type = 'retry' AND scope_value = $1 AND status IN ('pending', 'processing')
+ORDER BY created_at DESC
+LIMIT 1;
+`;
+
+// Without the settings snapshot and a dry run's preview images, which only the job itself returns
 export const GET_JOBS_BY_SHOP = `
-SELECT * FROM watermark_jobs 
-WHERE shop = $1 
-ORDER BY created_at DESC 
+SELECT j.id, j.shop, j.job_type, j.status, j.scope_type, j.scope_value,
+    j.total_products, j.processed_products, j.failed_products, j.error_log,
+    j.created_after, j.started_at, j.completed_at, j.created_at, j.updated_at,
+    j.report - 'previews' AS report,
+    (SELECT COUNT(*)::int FROM watermark_job_items i WHERE i.job_id = j.id AND i.status = 'failed') AS failed_items
+FROM watermark_jobs j
+WHERE j.shop = $1 
+ORDER BY j.created_at DESC 
 LIMIT $2 OFFSET $3;
 `;
 
@@ -236,6 +323,13 @@ WHERE id = $1
 RETURNING *;
 `;
 
+export const SAVE_JOB_REPORT = `
+UPDATE watermark_jobs 
+SET report = $2, updated_at = CURRENT_TIMESTAMP
+WHERE id = $1
+RETURNING *;
+`;
+
 export const UPDATE_JOB_TOTAL_PRODUCTS = `
 UPDATE watermark_jobs 
 SET total_products = $2, updated_at = CURRENT_TIMESTAMP
@@ -250,8 +344,8 @@ RETURNING *;
 export const CREATE_JOB_ITEM = `
 INSERT INTO watermark_job_items (
     job_id, product_id, product_title, original_media_id, original_media_url,
-    original_position, original_is_featured, image_hash, variant_ids
-) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    original_position, original_is_featured, image_hash, variant_ids, render_decisions, forensic_id, source_hash
+) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
 RETURNING *;
 `;
 
@@ -270,6 +364,7 @@ export const UPDATE_JOB_ITEM_FAILED = `
 UPDATE watermark_job_items 
 SET status = 'failed', 
     error_message = $2,
+    error_code = $3,
     processed_at = CURRENT_TIMESTAMP,
     updated_at = CURRENT_TIMESTAMP
 WHERE id = $1
@@ -283,6 +378,16 @@ WHERE id = $1
 RETURNING *;
 `;
 
+export const UPDATE_JOB_ITEM_SKIPPED = `
+UPDATE watermark_job_items 
+SET status = 'skipped', 
+    skip_reason = $2,
+    processed_at = CURRENT_TIMESTAMP,
+    updated_at = CURRENT_TIMESTAMP
+WHERE id = $1
+RETURNING *;
+`;
+
 export const GET_JOB_ITEMS_BY_JOB = `
 SELECT * FROM watermark_job_items 
 WHERE job_id = $1 
@@ -302,6 +407,59 @@ WHERE job_id = $1 AND image_hash = $2
 LIMIT 1;
 `;
 
+export const GET_WATERMARKED_HASHES_BY_SHOP = `
+SELECT DISTINCT i.image_hash, i.source_hash, i.forensic_id
+FROM watermark_job_items i
+JOIN watermark_jobs j ON i.job_id = j.id
+WHERE j.shop = $1 AND i.status = 'completed' AND i.image_hash IS NOT NULL;
+`;
+
+export const GET_FAILED_JOB_ITEMS = `
+SELECT product_id, original_media_id, error_code FROM watermark_job_items 
+WHERE job_id = $1 AND status = 'failed'
+ORDER BY created_at ASC;
+`;
+
+export const GET_PRODUCT_JOB_ITEMS = `
+SELECT * FROM watermark_job_items 
+WHERE job_id = $1 AND product_id = $2
+ORDER BY original_position ASC;
+`;
+
+// Items a retried product records again: everything but the images already swapped
+export const DELETE_UNFINISHED_PRODUCT_JOB_ITEMS = `
+DELETE FROM watermark_job_items 
+WHERE job_id = $1 AND product_id = $2 AND status <> 'completed';
+`;
+
+export const GET_JOB_ITEMS_BY_FORENSIC_ID = `
+SELECT i.*, j.shop, j.job_type, j.created_at AS job_created_at
+FROM watermark_job_items i
+JOIN watermark_jobs j ON i.job_id = j.id
+WHERE i.forensic_id = $1 AND j.shop = $2
+ORDER BY i.created_at DESC;
+`;
+
+// ============================================================================
+// JOB CHECKPOINTS QUERIES
+// ============================================================================
+
+export const UPSERT_JOB_CHECKPOINT = `
+INSERT INTO watermark_job_checkpoints (job_id, product_id, status, error_message)
+VALUES ($1, $2, $3, $4)
+ON CONFLICT (job_id, product_id) 
+DO UPDATE SET 
+    status = EXCLUDED.status,
+    error_message = EXCLUDED.error_message,
+    updated_at = CURRENT_TIMESTAMP
+RETURNING *;
+`;
+
+export const GET_JOB_CHECKPOINTS = `
+SELECT product_id, status FROM watermark_job_checkpoints 
+WHERE job_id = $1;
+`;
+
 // ============================================================================
 // ROLLBACK RUNS QUERIES
 // ============================================================================
@@ -370,14 +528,59 @@ export const DELETE_RULE = `
 DELETE FROM watermark_rules WHERE id = $1 RETURNING *;
 `;
 
+// ============================================================================
+// WATERMARK SCHEDULES QUERIES
+// ============================================================================
+
+export const CREATE_SCHEDULE = `
+INSERT INTO watermark_schedules (
+    shop, name, scope_type, scope_value, run_at, cron, timezone, created_within_hours
+) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+RETURNING *;
+`;
+
+export const GET_SCHEDULE_BY_ID = `
+SELECT * FROM watermark_schedules WHERE id = $1;
+`;
+
+export const GET_SCHEDULES_BY_SHOP = `
+SELECT * FROM watermark_schedules 
+WHERE shop = $1 
+ORDER BY created_at DESC;
+`;
+
+export const UPDATE_SCHEDULE = `
+UPDATE watermark_schedules 
+SET name = $2, scope_type = $3, scope_value = $4, run_at = $5, cron = $6,
+    timezone = $7, created_within_hours = $8, last_error = NULL,
+    updated_at = CURRENT_TIMESTAMP
+WHERE id = $1
+RETURNING *;
+`;
+
+export const UPDATE_SCHEDULE_STATUS = `
+UPDATE watermark_schedules 
+SET status = $2, updated_at = CURRENT_TIMESTAMP
+WHERE id = $1
+RETURNING *;
+`;
+
+export const RECORD_SCHEDULE_RUN = `
+UPDATE watermark_schedules 
+SET status = $2, last_run_at = CURRENT_TIMESTAMP, last_job_id = COALESCE($3, last_job_id),
+    last_error = $4, updated_at = CURRENT_TIMESTAMP
+WHERE id = $1
+RETURNING *;
+`;
+
 // ============================================================================
 // WATERMARK ASSETS QUERIES
 // ============================================================================
 
 export const CREATE_ASSET = `
 INSERT INTO watermark_assets (
-    shop, file_name, file_url, file_size, mime_type, shopify_file_id
-) VALUES ($1, $2, $3, $4, $5, $6)
+    shop, file_name, file_url, file_size, mime_type, shopify_file_id, asset_type, parent_asset_id, processing
+) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
 RETURNING *;
 `;
 
@@ -387,9 +590,22 @@ WHERE shop = $1 AND deleted_at IS NULL
 ORDER BY created_at DESC;
 `;
 
+export const GET_ASSETS_BY_SHOP_AND_TYPE = `
+SELECT * FROM watermark_assets 
+WHERE shop = $1 AND asset_type = $2 AND deleted_at IS NULL
+ORDER BY created_at DESC;
+`;
+
 export const SOFT_DELETE_ASSET = `
 UPDATE watermark_assets 
 SET deleted_at = CURRENT_TIMESTAMP
 WHERE id = $1
 RETURNING *;
 `;
+
+// Derived variants go with the asset they were made from
+export const SOFT_DELETE_DERIVED_ASSETS = `
+UPDATE watermark_assets
+SET deleted_at = CURRENT_TIMESTAMP
+WHERE parent_asset_id = $1 AND deleted_at IS NULL;
+`;
@@ -12,10 +12,16 @@ export const GET_PRODUCT_MEDIA = `
     product(id: $id) {
       id
       title
+      vendor
+      productType
+      handle
+      onlineStoreUrl
       variants(first: 100) {
         edges {
           node {
             id
+            sku
+            title
             image {
               id
             }
@@ -27,6 +33,7 @@ export const GET_PRODUCT_MEDIA = `
           node {
             ... on MediaImage {
               id
+              alt
               image {
                 id
                 url
@@ -51,8 +58,8 @@ export const GET_PRODUCT_MEDIA = `
 `;
 
 export const GET_ALL_PRODUCTS = `
-  query getAllProducts($cursor: String) {
-    products(first: 50, after: $cursor, query: "status:active") {
+  query getAllProducts($cursor: String, $query: String = "status:active") {
+    products(first: 50, after: $cursor, query: $query) {
       edges {
         node {
           id
@@ -78,6 +85,7 @@ export const GET_PRODUCTS_BY_COLLECTION = `
           node {
             id
             title
+            createdAt
           }
         }
         pageInfo {
@@ -120,6 +128,22 @@ export const GET_COLLECTIONS = `
   }
 `;
 
+// ============================================================================
+// SHOP QUERIES
+// ============================================================================
+
+export const GET_SHOP_INFO = `
+  query getShopInfo {
+    shop {
+      name
+      myshopifyDomain
+      primaryDomain {
+        url
+      }
+    }
+  }
+`;
+
 // ============================================================================
 // FILE UPLOAD MUTATIONS
 // ============================================================================
@@ -375,6 +399,18 @@ export const FILE_UPDATE = `
   }
 `;
 
+export const FILE_DELETE = `
+  mutation fileDelete($fileIds: [ID!]!) {
+    fileDelete(fileIds: $fileIds) {
+      deletedFileIds
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
 export const GET_FILE_ID_FROM_MEDIA = `
   query getFileIdFromMedia($id: ID!) {
     node(id: $id) {
@@ -12,6 +12,7 @@ import { requestLogger, logSessionCheck } from './middleware/requestLogger.js';
 import { errorHandler } from './middleware/error.js';
 import './services/watermarkWorker.js';
 import './services/rollbackWorker.js'; // Start the rollback worker
+import './services/scheduleWorker.js'; // Start the schedule worker
 
 
 
@@ -8,10 +8,13 @@ import {
     createWatermarkJob,
     getWatermarkJob,
     getWatermarkJobsByShop,
+    getActiveRetryJob,
     updateJobStatus
 } from '../db/repositories/watermarkJobsRepository.js';
 import {
-    getJobItems
+    getJobItems,
+    getJobItemsByForensicId,
+    getFailedJobItems
 } from '../db/repositories/watermarkJobItemsRepository.js';
 import {
     getWatermarkRules,
@@ -20,6 +23,13 @@ import {
     deleteWatermarkRule,
     toggleRuleEnabled
 } from '../db/repositories/watermarkRulesRepository.js';
+import {
+    createWatermarkSchedule,
+    getWatermarkSchedule,
+    getWatermarkSchedules,
+    updateWatermarkSchedule,
+    updateScheduleStatus
+} from '../db/repositories/watermarkSchedulesRepository.js';
 import {
     getWatermarkAssets,
     deleteWatermarkAsset,
@@ -29,15 +39,54 @@ import {
     JOB_STATUS,
     JOB_TYPE,
     SCOPE_TYPE,
-    MESSAGES
+    SCHEDULE_STATUS,
+    SCHEDULE_LIMITS,
+    MESSAGES,
+    ASSET_TYPES,
+    FONT_LIMITS,
+    LOGO_LIMITS,
+    IMAGE_LIMITS
 } from '../constants/watermark.js';
 import { createPreview } from '../services/watermark/previewService.js';
-import { addWatermarkJob, cancelJob, addRollbackJob } from '../services/watermarkQueue.js';
-import { GET_COLLECTIONS, STAGED_UPLOADS_CREATE, FILE_CREATE } from '../graphql/watermark-queries.js';
+import { loadFont, isSupportedFontFile } from '../services/watermark/fontLoader.js';
+import { getActiveLayers, validateLayers } from '../services/watermark/layers.js';
+import { validateOutputSettings } from '../services/watermark/outputEncoder.js';
+import { validateAspectProfiles } from '../services/watermark/aspectProfiles.js';
+import { validateSmallImageSettings } from '../services/watermark/smallImages.js';
+import {
+    normalizeLogoProcessing,
+    describeLogoProcessing,
+    validateLogoVariants,
+    processLogo
+} from '../services/watermark/logoProcessing.js';
+import { createShopifyFile, deleteShopifyFile, uploadImageFile } from '../services/watermark/shopifyUpload.js';
+import { isSupportedLogoFile, isSvgFile, readSvgSize } from '../services/watermark/svgLogo.js';
+import { extractForensicMark } from '../services/watermark/forensicMark.js';
+import { downloadImage } from '../services/watermark/imageEngine.js';
+import { normalizeSchedule, validateSchedule, getNextRun } from '../services/jobSchedules.js';
+import {
+    addWatermarkJob,
+    cancelJob,
+    addRollbackJob,
+    addScheduledRun,
+    removeScheduledRun
+} from '../services/watermarkQueue.js';
+import { GET_COLLECTIONS, STAGED_UPLOADS_CREATE } from '../graphql/watermark-queries.js';
 import { shopify } from '../config/shopify-app.js';
 
 const router = express.Router();
 
+/**
+ * Validate settings submitted from the settings UI, for saving or for a preview
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateWatermarkSettings(settings) {
+    return validateLayers(settings.layers)
+        || validateAspectProfiles(settings.aspect_profiles)
+        || validateSmallImageSettings(settings)
+        || validateOutputSettings(settings);
+}
+
 // ============================================================================
 // SETTINGS ROUTES
 // ============================================================================
@@ -65,6 +114,14 @@ router.post('/settings', asyncHandler(async (req, res) => {
     const { session } = res.locals.shopify;
     const settingsData = req.body;
 
+    const validationError = validateWatermarkSettings(settingsData);
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            error: validationError
+        });
+    }
+
     const settings = await upsertWatermarkSettings(session.shop, settingsData);
 
     res.json({
@@ -94,11 +151,98 @@ router.post('/preview', asyncHandler(async (req, res) => {
         });
     }
 
+    // Unsaved settings render like saved ones, so they get the same checks
+    const validationError = settings && validateWatermarkSettings(settings);
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            error: validationError
+        });
+    }
+
     const preview = await createPreview(session.shop, imageUrl, settings);
 
     res.json(preview);
 }));
 
+// ============================================================================
+// VERIFY ROUTE
+// ============================================================================
+
+/**
+ * POST /api/watermark/verify
+ * Decode the invisible forensic mark of an image and look it up in this shop's job items
+ * Body: the image itself (Content-Type: image/*), or JSON { imageUrl } for an image on the Shopify CDN
+ */
+router.post('/verify', express.raw({ type: 'image/*', limit: IMAGE_LIMITS.MAX_FILE_SIZE }), asyncHandler(async (req, res) => {
+    const { session } = res.locals.shopify;
+
+    let image = Buffer.isBuffer(req.body) && req.body.length > 0 ? req.body : null;
+    if (!image && req.body?.imageUrl) {
+        // Only Shopify's CDN is fetched, so the server can't be pointed at internal addresses
+        let url = null;
+        try {
+            url = new URL(req.body.imageUrl);
+        } catch {
+            // Rejected below like any other URL
+        }
+        if (url?.protocol !== 'https:' || !IMAGE_LIMITS.VERIFY_URL_HOSTS.includes(url.hostname)) {
+            return res.status(400).json({
+                success: false,
+                error: `imageUrl must be an https URL on ${IMAGE_LIMITS.VERIFY_URL_HOSTS.join(', ')}; upload other images as the request body`
+            });
+        }
+
+        try {
+            image = await downloadImage(url.href);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+
+    if (!image) {
+        return res.status(400).json({
+            success: false,
+            error: 'An image body or imageUrl is required'
+        });
+    }
+
+    let mark;
+    try {
+        mark = await extractForensicMark(image);
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            error: `Could not read image: ${error.message}`
+        });
+    }
+
+    const items = mark.id === null ? [] : await getJobItemsByForensicId(session.shop, mark.id);
+
+    res.json({
+        success: true,
+        found: items.length > 0,
+        forensic_id: mark.id === null ? null : String(mark.id),
+        confidence: mark.confidence,
+        matches: items.map(item => ({
+            shop: item.shop,
+            job_id: item.job_id,
+            job_type: item.job_type,
+            job_created_at: item.job_created_at,
+            job_item_id: item.id,
+            product_id: item.product_id,
+            product_title: item.product_title,
+            original_media_id: item.original_media_id,
+            new_media_id: item.new_media_id,
+            status: item.status,
+            created_at: item.created_at
+        }))
+    });
+}));
+
 // ============================================================================
 // ASSETS ROUTES
 // ============================================================================
@@ -110,7 +254,7 @@ router.post('/preview', asyncHandler(async (req, res) => {
 router.get('/assets', asyncHandler(async (req, res) => {
     const { session } = res.locals.shopify;
 
-    const assets = await getWatermarkAssets(session.shop);
+    const assets = await getWatermarkAssets(session.shop, req.query.type || null);
 
     res.json({
         success: true,
@@ -124,7 +268,22 @@ router.get('/assets', asyncHandler(async (req, res) => {
  */
 router.post('/assets/staged-url', asyncHandler(async (req, res) => {
     const { session } = res.locals.shopify;
-    const { filename, mimeType } = req.body;
+    const { filename, mimeType, assetType = ASSET_TYPES.LOGO } = req.body;
+    const svg = assetType === ASSET_TYPES.LOGO && isSvgFile(filename, mimeType);
+
+    if (assetType === ASSET_TYPES.FONT && !isSupportedFontFile(filename)) {
+        return res.status(400).json({
+            success: false,
+            error: `Unsupported font file. Allowed: ${FONT_LIMITS.SUPPORTED_EXTENSIONS.join(', ')}`
+        });
+    }
+
+    if (assetType === ASSET_TYPES.LOGO && !isSupportedLogoFile(filename)) {
+        return res.status(400).json({
+            success: false,
+            error: `Unsupported logo file. Allowed: ${LOGO_LIMITS.SUPPORTED_EXTENSIONS.join(', ')}`
+        });
+    }
 
     const client = new shopify.api.clients.Graphql({ session });
     const response = await client.request(STAGED_UPLOADS_CREATE, {
@@ -132,7 +291,8 @@ router.post('/assets/staged-url', asyncHandler(async (req, res) => {
             input: [{
                 filename,
                 mimeType,
-                resource: 'IMAGE',
+                // Fonts and SVG logos aren't media images; Shopify stores them as generic files
+                resource: assetType === ASSET_TYPES.FONT || svg ? 'FILE' : 'IMAGE',
                 httpMethod: 'POST'
             }]
         }
@@ -146,77 +306,154 @@ router.post('/assets/staged-url', asyncHandler(async (req, res) => {
 
 /**
  * POST /api/watermark/assets/register
- * Register uploaded file in Shopify and save to DB
+ * Register uploaded file in Shopify and save to DB.
+ * Logos can ask for derived variants (body.variants, see validateLogoVariants), saved as linked assets.
  */
 router.post('/assets/register', asyncHandler(async (req, res) => {
     const { session } = res.locals.shopify;
-    const { resourceUrl, filename, mimeType, fileSize } = req.body;
+    const { resourceUrl, filename, mimeType, fileSize, assetType = ASSET_TYPES.LOGO, variants = [] } = req.body;
+    const svg = assetType === ASSET_TYPES.LOGO && isSvgFile(filename, mimeType);
+
+    if (assetType === ASSET_TYPES.FONT && !isSupportedFontFile(filename)) {
+        return res.status(400).json({
+            success: false,
+            error: `Unsupported font file. Allowed: ${FONT_LIMITS.SUPPORTED_EXTENSIONS.join(', ')}`
+        });
+    }
+
+    if (assetType === ASSET_TYPES.LOGO && !isSupportedLogoFile(filename)) {
+        return res.status(400).json({
+            success: false,
+            error: `Unsupported logo file. Allowed: ${LOGO_LIMITS.SUPPORTED_EXTENSIONS.join(', ')}`
+        });
+    }
+
+    let variantsError = assetType === ASSET_TYPES.LOGO
+        ? validateLogoVariants(variants)
+        : variants?.length && 'Only logos can have processed variants';
+    if (!variantsError && svg && variants?.length) {
+        variantsError = 'Clean-up options apply to bitmap logos; SVG logos are used as they are';
+    }
+    if (variantsError) {
+        return res.status(400).json({
+            success: false,
+            error: variantsError
+        });
+    }
 
     const client = new shopify.api.clients.Graphql({ session });
 
     // 1. Create file in Shopify
-    const fileCreateRes = await client.request(FILE_CREATE, {
-        variables: {
-            files: [{
-                originalSource: resourceUrl,
-                contentType: 'IMAGE',
-                alt: filename
-            }]
+    const { shopifyFileId, publicUrl } = await createShopifyFile(
+        client,
+        resourceUrl,
+        assetType === ASSET_TYPES.FONT || svg ? 'FILE' : 'IMAGE',
+        filename
+    );
+
+    // The file can only be read once Shopify has it, so a rejected one is deleted again.
+    // SVG logos are sanitized whenever they are rendered; make sure this one survives that
+    if (svg) {
+        try {
+            await readSvgSize(await downloadImage(publicUrl));
+        } catch (error) {
+            console.error(`[Assets] Invalid SVG logo ${filename}:`, error.message);
+            await deleteShopifyFile(client, shopifyFileId);
+            return res.status(400).json({
+                success: false,
+                error: `Could not read SVG logo: ${error.message}`
+            });
         }
-    });
+    }
 
-    const userErrors = fileCreateRes.data.fileCreate.userErrors;
-    if (userErrors?.length > 0) {
-        throw new Error(`Shopify FileCreate Error: ${userErrors[0].message}`);
-    }
-
-    let fileData = fileCreateRes.data.fileCreate.files[0];
-    const shopifyFileId = fileData.id;
-
-    // Shopify files are processed asynchronously. If it's a MediaImage, 
-    // the image.url might be null initially while Shopify processes it.
-    let publicUrl = fileData.image?.url || fileData.url;
-
-    // Retry polling for the URL if it's not immediately available
-    if (!publicUrl) {
-        console.log(`[Assets] URL not ready for ${shopifyFileId}, polling...`);
-        for (let i = 0; i < 5; i++) {
-            await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2s
-            const pollRes = await client.request(`
-                query getFile($id: ID!) {
-                    node(id: $id) {
-                        ... on MediaImage {
-                            image { url }
-                        }
-                        ... on GenericFile {
-                            url
-                        }
-                    }
-                }
-            `, { variables: { id: shopifyFileId } });
-
-            publicUrl = pollRes.data.node?.image?.url || pollRes.data.node?.url;
-            if (publicUrl) break;
+    // Make sure the font can actually be read before offering it in settings
+    let fontFamily = null;
+    if (assetType === ASSET_TYPES.FONT) {
+        try {
+            fontFamily = await loadFont(publicUrl);
+        } catch (error) {
+            console.error(`[Assets] Invalid font ${filename}:`, error.message);
+            await deleteShopifyFile(client, shopifyFileId);
+            return res.status(400).json({
+                success: false,
+                error: `Could not read font file: ${error.message}`
+            });
         }
     }
 
-    if (!publicUrl) {
-        throw new Error('Shopify confirmed file creation but public URL is still not available after polling.');
+    // 2. Derived logo variants (trimmed, background knocked out, recolored), all rendered and uploaded
+    // before anything is saved, so a failing variant doesn't leave the logo registered without it
+    const rendered = [];
+    const uploaded = [];
+    if (variants?.length) {
+        const baseName = filename.replace(/\.[^.]+$/, '');
+        let variantName = null;
+        try {
+            const original = await downloadImage(publicUrl);
+            for (const options of variants) {
+                const processing = normalizeLogoProcessing(options);
+                variantName = `${baseName}-${describeLogoProcessing(processing)}.png`;
+                rendered.push({ processing, variantName, buffer: await processLogo(original, processing) });
+            }
+        } catch (error) {
+            console.error(`[Assets] Could not process ${variantName || filename}:`, error.message);
+            await deleteShopifyFile(client, shopifyFileId);
+            return res.status(400).json({
+                success: false,
+                error: variantName
+                    ? `Could not create logo variant ${variantName}: ${error.message}`
+                    : `Could not read logo: ${error.message}`
+            });
+        }
+
+        try {
+            for (const variant of rendered) {
+                uploaded.push(await uploadImageFile(client, variant.buffer, variant.variantName, 'image/png'));
+            }
+        } catch (error) {
+            console.error(`[Assets] Upload of ${rendered[uploaded.length].variantName} failed:`, error.message);
+            for (const file of [{ shopifyFileId }, ...uploaded]) {
+                await deleteShopifyFile(client, file.shopifyFileId);
+            }
+            throw error;
+        }
     }
 
-    // 2. Save to our database
+    // 3. Save to our database, variants linked to the original
     const asset = await createWatermarkAsset(
         session.shop,
         filename,
         publicUrl,
         fileSize || 0,
         mimeType,
-        shopifyFileId
+        shopifyFileId,
+        assetType
     );
 
+    const derived = [];
+    for (const [i, { processing, variantName, buffer }] of rendered.entries()) {
+        const file = uploaded[i];
+        derived.push(await createWatermarkAsset(
+            session.shop,
+            variantName,
+            file.publicUrl,
+            buffer.length,
+            'image/png',
+            file.shopifyFileId,
+            ASSET_TYPES.LOGO,
+            asset.id,
+            processing
+        ));
+    }
+    if (derived.length) {
+        console.log(`[Assets] Created ${derived.length} variants of asset ${asset.id}`);
+    }
+
     res.json({
         success: true,
-        asset
+        asset,
+        variants: derived,
+        fontFamily
     });
 }));
 
@@ -266,14 +503,15 @@ router.get('/shopify/collections', asyncHandler(async (req, res) => {
 /**
  * POST /api/watermark/jobs
  * Create a new watermark job
- * Body: { scopeType, scopeValue, totalProducts }
+ * Body: { scopeType, scopeValue, totalProducts, dryRun }
+ *   dryRun: only inspect the scope and store a report of what the job would change (see runDryRun)
  */
 router.post('/jobs', asyncHandler(async (req, res) => {
     const { session } = res.locals.shopify;
-    const { scopeType, scopeValue, totalProducts } = req.body;
+    const { scopeType, scopeValue, totalProducts, dryRun = false } = req.body;
 
-    // Validate scope type
-    if (!Object.values(SCOPE_TYPE).includes(scopeType)) {
+    // Validate scope type (retries are created from their job, see /jobs/:id/retry-failed)
+    if (!Object.values(SCOPE_TYPE).includes(scopeType) || scopeType === SCOPE_TYPE.RETRY) {
         return res.status(400).json({
             success: false,
             error: 'Invalid scope type'
@@ -284,17 +522,17 @@ router.post('/jobs', asyncHandler(async (req, res) => {
     const settings = await getWatermarkSettings(session.shop);
 
     // Validate settings
-    if (!settings.logo_url && !settings.text_content) {
+    if (getActiveLayers(settings).length === 0) {
         return res.status(400).json({
             success: false,
-            error: 'Please configure watermark settings (logo or text) before creating a job'
+            error: 'Please configure watermark settings (at least one logo, text or shape layer) before creating a job'
         });
     }
 
     // Create job
     const job = await createWatermarkJob(
         session.shop,
-        JOB_TYPE.APPLY,
+        dryRun === true ? JOB_TYPE.DRY_RUN : JOB_TYPE.APPLY,
         scopeType,
         scopeValue,
         settings,
@@ -306,7 +544,7 @@ router.post('/jobs', asyncHandler(async (req, res) => {
 
     res.json({
         success: true,
-        message: MESSAGES.JOB_CREATED,
+        message: dryRun === true ? MESSAGES.DRY_RUN_STARTED : MESSAGES.JOB_CREATED,
         job
     });
 }));
@@ -436,6 +674,13 @@ router.post('/jobs/:id/rollback', asyncHandler(async (req, res) => {
         });
     }
 
+    if (job.job_type === JOB_TYPE.DRY_RUN) {
+        return res.status(400).json({
+            success: false,
+            error: 'A dry run changed nothing, so there is nothing to roll back'
+        });
+    }
+
     // 🚀 Create rollback job and queue
     await addRollbackJob(id, session.shop);
 
@@ -446,6 +691,68 @@ router.post('/jobs/:id/rollback', asyncHandler(async (req, res) => {
     });
 }));
 
+/**
+ * POST /api/watermark/jobs/:id/retry-failed
+ * Queue a new job for the images that failed in a finished job, with the same settings
+ */
+router.post('/jobs/:id/retry-failed', asyncHandler(async (req, res) => {
+    const { session } = res.locals.shopify;
+    const { id } = req.params;
+
+    const job = await getWatermarkJob(id);
+
+    if (!job || job.shop !== session.shop?.toLowerCase()) {
+        return res.status(404).json({
+            success: false,
+            error: 'Job not found'
+        });
+    }
+
+    if (job.job_type !== JOB_TYPE.APPLY || (job.status !== JOB_STATUS.COMPLETED && job.status !== JOB_STATUS.FAILED)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Only finished watermark jobs can be retried'
+        });
+    }
+
+    // Retrying again while a retry is still queued or running would process the same images twice
+    const activeRetry = await getActiveRetryJob(id);
+    if (activeRetry) {
+        return res.status(409).json({
+            success: false,
+            error: 'A retry of this job is already in progress',
+            retryJobId: activeRetry.id
+        });
+    }
+
+    const failedItems = await getFailedJobItems(id);
+    if (failedItems.length === 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'This job has no failed images to retry'
+        });
+    }
+
+    const productCount = new Set(failedItems.map(item => item.product_id)).size;
+    const retryJob = await createWatermarkJob(
+        session.shop,
+        JOB_TYPE.APPLY,
+        SCOPE_TYPE.RETRY,
+        id,
+        job.settings_snapshot,
+        productCount
+    );
+
+    await addWatermarkJob(retryJob.id, session.shop, SCOPE_TYPE.RETRY, id);
+
+    res.json({
+        success: true,
+        message: MESSAGES.RETRY_STARTED,
+        job: retryJob,
+        failedImages: failedItems.length
+    });
+}));
+
 // ============================================================================
 // RULES ROUTES
 // ============================================================================
@@ -551,4 +858,153 @@ router.post('/rules/:id/toggle', asyncHandler(async (req, res) => {
     });
 }));
 
+// ============================================================================
+// SCHEDULES ROUTES
+// ============================================================================
+
+/**
+ * GET /api/watermark/schedules
+ * Get all scheduled and recurring jobs for the shop, with the next run of active ones
+ */
+router.get('/schedules', asyncHandler(async (req, res) => {
+    const { session } = res.locals.shopify;
+
+    const schedules = await getWatermarkSchedules(session.shop);
+
+    res.json({
+        success: true,
+        schedules: schedules.map(schedule => ({
+            ...schedule,
+            next_run_at: schedule.status === SCHEDULE_STATUS.ACTIVE ? getNextRun(schedule) : null
+        }))
+    });
+}));
+
+/**
+ * POST /api/watermark/schedules
+ * Schedule a watermark job, once or recurring. Each run uses the settings the shop has at that time.
+ * Body: { name, scopeType, scopeValue, runAt, cron, timezone, createdWithinHours }
+ *   runAt: when a one-off job runs, or when a recurrence starts; cron: recurrence pattern in the timezone;
+ *   createdWithinHours: only watermark products created within this many hours before each run
+ */
+router.post('/schedules', asyncHandler(async (req, res) => {
+    const { session } = res.locals.shopify;
+
+    const schedule = normalizeSchedule(req.body);
+    const validationError = validateSchedule(schedule);
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            error: validationError
+        });
+    }
+
+    const existing = await getWatermarkSchedules(session.shop);
+    if (existing.filter(s => s.status === SCHEDULE_STATUS.ACTIVE).length >= SCHEDULE_LIMITS.MAX_ACTIVE_PER_SHOP) {
+        return res.status(400).json({
+            success: false,
+            error: `At most ${SCHEDULE_LIMITS.MAX_ACTIVE_PER_SHOP} schedules can be active at once`
+        });
+    }
+
+    const settings = await getWatermarkSettings(session.shop);
+    if (getActiveLayers(settings).length === 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'Please configure watermark settings (at least one logo, text or shape layer) before scheduling a job'
+        });
+    }
+
+    const created = await createWatermarkSchedule(session.shop, schedule);
+    try {
+        await addScheduledRun(created);
+    } catch (error) {
+        await updateScheduleStatus(created.id, SCHEDULE_STATUS.CANCELLED).catch(() => {});
+        throw error;
+    }
+
+    res.json({
+        success: true,
+        message: MESSAGES.SCHEDULE_CREATED,
+        schedule: { ...created, next_run_at: getNextRun(created) }
+    });
+}));
+
+/**
+ * PUT /api/watermark/schedules/:id
+ * Update an active schedule (same body as creating one); its queued runs are replaced
+ */
+router.put('/schedules/:id', asyncHandler(async (req, res) => {
+    const { session } = res.locals.shopify;
+    const { id } = req.params;
+
+    const current = await getWatermarkSchedule(id);
+
+    if (!current || current.shop !== session.shop?.toLowerCase()) {
+        return res.status(404).json({
+            success: false,
+            error: 'Schedule not found'
+        });
+    }
+
+    if (current.status !== SCHEDULE_STATUS.ACTIVE) {
+        return res.status(400).json({
+            success: false,
+            error: 'Only active schedules can be edited'
+        });
+    }
+
+    const schedule = normalizeSchedule(req.body);
+    const validationError = validateSchedule(schedule);
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            error: validationError
+        });
+    }
+
+    const updated = await updateWatermarkSchedule(current.id, schedule);
+    await addScheduledRun(updated);
+
+    res.json({
+        success: true,
+        message: MESSAGES.SCHEDULE_UPDATED,
+        schedule: { ...updated, next_run_at: getNextRun(updated) }
+    });
+}));
+
+/**
+ * POST /api/watermark/schedules/:id/cancel
+ * Cancel an active schedule. A job one of its runs already started keeps going.
+ */
+router.post('/schedules/:id/cancel', asyncHandler(async (req, res) => {
+    const { session } = res.locals.shopify;
+    const { id } = req.params;
+
+    const schedule = await getWatermarkSchedule(id);
+
+    if (!schedule || schedule.shop !== session.shop?.toLowerCase()) {
+        return res.status(404).json({
+            success: false,
+            error: 'Schedule not found'
+        });
+    }
+
+    if (schedule.status !== SCHEDULE_STATUS.ACTIVE) {
+        return res.status(400).json({
+            success: false,
+            error: 'Only active schedules can be cancelled'
+        });
+    }
+
+    await removeScheduledRun(schedule.id);
+    const cancelled = await updateScheduleStatus(schedule.id, SCHEDULE_STATUS.CANCELLED);
+
+    res.json({
+        success: true,
+        message: MESSAGES.SCHEDULE_CANCELLED,
+        schedule: cancelled
+    });
+}));
+
 export default router;
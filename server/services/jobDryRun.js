@@ -0,0 +1,127 @@
+import { DRY_RUN_LIMITS, ERROR_CODES } from '../constants/watermark.js';
+import {
+    incrementProcessedProducts,
+    incrementFailedProducts,
+    updateJobProgress,
+    saveJobReport
+} from '../db/repositories/watermarkJobsRepository.js';
+import { GET_PRODUCT_MEDIA } from '../graphql/watermark-queries.js';
+import { graphqlRequest } from '../utils/shopify-client.js';
+import { buildTokenContext } from './watermark/textTokens.js';
+import { classifyJobError } from './jobErrors.js';
+
+/**
+ * Impact report of a dry run.
+ * skip_reasons counts skipped images by SKIP_CODES value; error_codes counts failures by ERROR_CODES value,
+ * for images and for products that could not be read (listed with media_id null).
+ */
+function createReport(totalProducts) {
+    return {
+        products: { total: totalProducts, would_change: 0, unchanged: 0, failed: 0 },
+        images: { total: 0, would_change: 0, skipped: 0, failed: 0 },
+        skip_reasons: {},
+        error_codes: {},
+        skipped: [],
+        failed: [],
+        previews: []
+    };
+}
+
+function listImage(list, entry) {
+    if (list.length < DRY_RUN_LIMITS.MAX_REPORTED_IMAGES) list.push(entry);
+}
+
+function recordFailure(report, entry, error, fallbackCode) {
+    const code = classifyJobError(error, fallbackCode);
+    report.error_codes[code] = (report.error_codes[code] || 0) + 1;
+    listImage(report.failed, { ...entry, error_code: code, error: error.message });
+}
+
+/**
+ * Run every check an apply job makes on a product's images, without uploading anything
+ * @returns {Promise<number>} Images of the product that would be watermarked
+ */
+async function inspectProduct(productId, processor, report, context) {
+    const { shop, accessToken, shopInfo, watermarkedHashes } = context;
+    const mediaRes = await graphqlRequest(shop, accessToken, GET_PRODUCT_MEDIA, { id: productId });
+    const productNode = mediaRes.product;
+    const mediaNodes = productNode.media.edges
+        .map(e => e.node)
+        .filter(m => m.mediaContentType === 'IMAGE');
+
+    let changes = 0;
+    for (const media of mediaNodes) {
+        const image = { product_id: productId, product_title: productNode.title, media_id: media.id };
+        report.images.total++;
+
+        try {
+            const inspected = await processor.inspect(media.image.url, { watermarkedHashes });
+            if (inspected.skipped) {
+                report.images.skipped++;
+                report.skip_reasons[inspected.code] = (report.skip_reasons[inspected.code] || 0) + 1;
+                listImage(report.skipped, { ...image, code: inspected.code, reason: inspected.reason });
+                continue;
+            }
+
+            // The first image of the first few products is rendered, with the product's own token values
+            if (changes === 0 && context.previewsLeft > 0) {
+                context.previewsLeft--;
+                const tokenContext = buildTokenContext(productNode, media.image?.id, shopInfo);
+                const preview = await processor.preview(inspected, tokenContext, DRY_RUN_LIMITS.PREVIEW_MAX_WIDTH);
+                report.previews.push({
+                    ...image,
+                    preview: `data:${preview.output.mimeType};base64,${preview.buffer.toString('base64')}`,
+                    width: preview.metadata.width,
+                    height: preview.metadata.height
+                });
+            }
+
+            changes++;
+            report.images.would_change++;
+        } catch (error) {
+            console.error(`[DryRun] Image ${media.id} in ${productId} failed:`, error.message);
+            report.images.failed++;
+            recordFailure(report, image, error);
+        }
+    }
+    return changes;
+}
+
+/**
+ * Dry run of an apply job: inspect every product in scope like the job would and store what it would change.
+ * Images are downloaded and checked (small-image policy, already watermarked) but only the sampled
+ * previews are rendered, so errors that only show while rendering at full size aren't caught.
+ * No staged upload, archive, media or variant mutation runs.
+ * @param {Object} context - { shop, accessToken, shopInfo, watermarkedHashes } as loaded for the job
+ * @returns {Promise<Object>} The report (see createReport)
+ */
+export async function runDryRun(jobId, productIds, processor, context) {
+    // A retried attempt starts over, as the report is only stored at the end
+    await updateJobProgress(jobId, 0, 0);
+
+    const report = createReport(productIds.length);
+    const state = { ...context, previewsLeft: DRY_RUN_LIMITS.PREVIEW_SAMPLES };
+
+    const CONCURRENCY = 3;
+    for (let i = 0; i < productIds.length; i += CONCURRENCY) {
+        const chunk = productIds.slice(i, i + CONCURRENCY);
+        await Promise.all(chunk.map(async (productId) => {
+            try {
+                const changes = await inspectProduct(productId, processor, report, state);
+                if (changes > 0) report.products.would_change++;
+                else report.products.unchanged++;
+                await incrementProcessedProducts(jobId);
+            } catch (error) {
+                console.error(`[DryRun] Product ${productId} failed:`, error.message);
+                report.products.failed++;
+                recordFailure(report, { product_id: productId, product_title: null, media_id: null }, error, ERROR_CODES.SHOPIFY_API_ERROR);
+                await incrementFailedProducts(jobId);
+            }
+        }));
+    }
+
+    await saveJobReport(jobId, report);
+    const { products, images } = report;
+    console.log(`[DryRun] Job ${jobId}: ${products.would_change} of ${products.total} products and ${images.would_change} of ${images.total} images would change, ${images.skipped} skipped, ${images.failed} failed`);
+    return report;
+}
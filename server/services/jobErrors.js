@@ -0,0 +1,23 @@
+import { ERROR_CODES } from '../constants/watermark.js';
+
+/**
+ * Error code for a failed job image, from the error itself and the step it failed in.
+ * Errors can carry their own code (errorCode), e.g. validateImage marks undecodable images.
+ * @param {string} fallback - Code of the step: PROCESSING_FAILED while rendering,
+ *   UPLOAD_FAILED for staged uploads, SHOPIFY_API_ERROR for product and media calls
+ */
+export function classifyJobError(error, fallback = ERROR_CODES.PROCESSING_FAILED) {
+    if (error?.errorCode) return error.errorCode;
+
+    const message = String(error?.message || '').toLowerCase();
+    const status = error?.response?.status ?? error?.response?.code;
+    if (status === 429 || message.includes('throttled') || message.includes('rate limit')) {
+        return ERROR_CODES.RATE_LIMIT_EXCEEDED;
+    }
+
+    // Rendering only makes requests to download the source (logos are fetched before the job starts)
+    if (error?.isAxiosError && fallback === ERROR_CODES.PROCESSING_FAILED) {
+        return ERROR_CODES.DOWNLOAD_FAILED;
+    }
+    return fallback;
+}
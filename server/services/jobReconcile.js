@@ -0,0 +1,69 @@
+import axios from 'axios';
+import { IMAGE_LIMITS, JOB_ITEM_STATUS } from '../constants/watermark.js';
+import {
+    getProductJobItems,
+    markJobItemCompleted,
+    deleteUnfinishedProductJobItems
+} from '../db/repositories/watermarkJobItemsRepository.js';
+import { computePerceptualHash, createHashIndex } from './watermark/perceptualHash.js';
+
+/**
+ * Alt text of the media a job creates, which is how unrecorded media is recognised on retry
+ */
+export function watermarkedMediaAlt(productName) {
+    return `Watermarked ${productName}`;
+}
+
+async function hashMedia(url) {
+    const response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: 30000,
+        maxContentLength: IMAGE_LIMITS.MAX_FILE_SIZE
+    });
+    return computePerceptualHash(Buffer.from(response.data));
+}
+
+/**
+ * Pick up a product an earlier attempt of the job left unfinished.
+ * Images it already swapped are kept. Media it created without recording it (the attempt stopped
+ * between creating the media and saving the item) is matched back to its pending item by hash.
+ * Every other item is cleared, so the product's remaining images are rendered again.
+ * @param {Object} productNode - Product from GET_PRODUCT_MEDIA
+ * @returns {Promise<Object>} { swapped, handled }: the completed items, and the media IDs
+ *   (originals and their replacements) that must not be rendered again
+ */
+export async function reconcileProduct(jobId, productNode) {
+    const items = await getProductJobItems(jobId, productNode.id);
+    const swapped = items.filter(item => item.status === JOB_ITEM_STATUS.COMPLETED);
+    const pending = items.filter(item => item.status === JOB_ITEM_STATUS.PENDING && item.image_hash);
+
+    if (pending.length) {
+        const recorded = new Set(swapped.map(item => item.new_media_id));
+        const alt = watermarkedMediaAlt(productNode.title);
+        const candidates = productNode.media.edges
+            .map(e => e.node)
+            .filter(media => media.mediaContentType === 'IMAGE' && media.alt === alt && !recorded.has(media.id));
+
+        const index = createHashIndex(pending.map(item => ({ hash: item.image_hash, sourceHash: item.source_hash })));
+        const claimed = new Set();
+        for (const media of candidates) {
+            try {
+                const match = index.find(await hashMedia(media.image.url));
+                const item = match && pending.find(p => p.image_hash === match.hash && !claimed.has(p.id));
+                if (!item) continue;
+
+                claimed.add(item.id);
+                swapped.push(await markJobItemCompleted(item.id, media.id, media.image.url));
+                console.log(`[Reconcile] Adopted unrecorded media ${media.id} for ${item.original_media_id} in ${productNode.id}`);
+            } catch (error) {
+                console.warn(`[Reconcile] Could not check media ${media.id} in ${productNode.id}:`, error.message);
+            }
+        }
+    }
+
+    const cleared = await deleteUnfinishedProductJobItems(jobId, productNode.id);
+    console.log(`[Reconcile] ${productNode.id}: ${swapped.length} images already swapped, ${cleared} unfinished items cleared`);
+
+    const handled = new Set(swapped.flatMap(item => [item.original_media_id, item.new_media_id]));
+    return { swapped, handled };
+}
@@ -0,0 +1,100 @@
+import cronParser from 'cron-parser';
+import { SCOPE_TYPE, SCHEDULE_LIMITS } from '../constants/watermark.js';
+
+// Consecutive runs compared when checking a recurrence against the minimum interval
+const INTERVAL_SAMPLES = 5;
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Schedule fields of a request body, with defaults: { name, scopeType, scopeValue, runAt, cron, timezone, createdWithinHours }
+ */
+export function normalizeSchedule(body = {}) {
+    const cron = typeof body.cron === 'string' && body.cron.trim() ? body.cron.trim() : null;
+    const hours = body.createdWithinHours;
+    return {
+        name: typeof body.name === 'string' && body.name.trim() ? body.name.trim() : null,
+        scopeType: body.scopeType,
+        scopeValue: body.scopeType === SCOPE_TYPE.COLLECTION ? body.scopeValue || null : null,
+        runAt: body.runAt ? new Date(body.runAt) : null,
+        cron,
+        timezone: body.timezone || 'UTC',
+        createdWithinHours: hours === undefined || hours === null || hours === '' ? null : Number(hours)
+    };
+}
+
+/**
+ * Validate a normalized schedule. One-off schedules need a future runAt; recurring ones a cron
+ * pattern (five fields, or six with seconds) whose runs are at least SCHEDULE_LIMITS.MIN_INTERVAL_MINUTES apart,
+ * where runAt, if set, is when the recurrence starts.
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateSchedule(schedule) {
+    const { name, scopeType, scopeValue, runAt, cron, timezone, createdWithinHours } = schedule;
+
+    if (scopeType !== SCOPE_TYPE.ALL && scopeType !== SCOPE_TYPE.COLLECTION) {
+        return 'Schedules cover all products or a collection';
+    }
+    if (scopeType === SCOPE_TYPE.COLLECTION && !scopeValue) {
+        return 'Select the collection to watermark';
+    }
+    if (name && name.length > SCHEDULE_LIMITS.MAX_NAME_LENGTH) {
+        return `Name must be at most ${SCHEDULE_LIMITS.MAX_NAME_LENGTH} characters`;
+    }
+    if (!isValidTimezone(timezone)) {
+        return `Invalid timezone: ${timezone}`;
+    }
+    if (runAt && Number.isNaN(runAt.getTime())) {
+        return 'runAt must be a date';
+    }
+
+    if (!cron) {
+        if (!runAt) return 'Give a run time (runAt) or a recurrence (cron)';
+        if (runAt.getTime() <= Date.now()) return 'runAt must be in the future';
+    } else {
+        let runs;
+        try {
+            const interval = cronParser.parseExpression(cron, { tz: timezone, currentDate: runAt || new Date() });
+            runs = Array.from({ length: INTERVAL_SAMPLES + 1 }, () => interval.next().getTime());
+        } catch (error) {
+            return `Invalid cron pattern: ${error.message}`;
+        }
+        const shortest = Math.min(...runs.slice(1).map((run, i) => run - runs[i]));
+        if (shortest < SCHEDULE_LIMITS.MIN_INTERVAL_MINUTES * 60 * 1000) {
+            return `Recurring jobs can run at most every ${SCHEDULE_LIMITS.MIN_INTERVAL_MINUTES} minutes`;
+        }
+    }
+
+    if (createdWithinHours !== null) {
+        if (!Number.isInteger(createdWithinHours) || createdWithinHours < 1 || createdWithinHours > SCHEDULE_LIMITS.MAX_CREATED_WITHIN_HOURS) {
+            return `createdWithinHours must be between 1 and ${SCHEDULE_LIMITS.MAX_CREATED_WITHIN_HOURS}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * When an active schedule runs next
+ * @param {Object} schedule - Schedule row
+ * @returns {Date|null} null when it has no run left
+ */
+export function getNextRun(schedule, from = new Date()) {
+    const runAt = schedule.run_at ? new Date(schedule.run_at) : null;
+    if (!schedule.cron) {
+        return runAt && runAt > from ? runAt : null;
+    }
+    try {
+        const start = runAt && runAt > from ? runAt : from;
+        return cronParser.parseExpression(schedule.cron, { tz: schedule.timezone, currentDate: start }).next().toDate();
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,90 @@
+import { Worker } from 'bullmq';
+import { redisConnection } from '../config/redis.js';
+import { QUEUE_NAMES, JOB_STATUS, JOB_TYPE, SCHEDULE_STATUS } from '../constants/watermark.js';
+import { createWatermarkJob, getWatermarkJob, getWatermarkJobByScheduleRun } from '../db/repositories/watermarkJobsRepository.js';
+import { getWatermarkSchedule, recordScheduleRun } from '../db/repositories/watermarkSchedulesRepository.js';
+import { getWatermarkSettings } from '../db/repositories/watermarkSettingsRepository.js';
+import { getActiveLayers } from './watermark/layers.js';
+import { addWatermarkJob } from './watermarkQueue.js';
+
+/**
+ * Watermark Schedule Worker
+ * Each run of a schedule creates an apply job with the shop's settings at that time, queued like one
+ * started from the dashboard. The job is keyed on the schedule and the run's time, so a retried run
+ * picks up the job its first attempt created instead of starting another.
+ */
+export const scheduleWorker = new Worker(
+    QUEUE_NAMES.WATERMARK_SCHEDULE,
+    async (job) => {
+        const { scheduleId, shop } = job.data;
+
+        try {
+            const schedule = await getWatermarkSchedule(scheduleId);
+            if (!schedule || schedule.status !== SCHEDULE_STATUS.ACTIVE) {
+                console.log(`[ScheduleWorker] Schedule ${scheduleId} is no longer active, skipping run`);
+                return;
+            }
+
+            // A one-off schedule is done after this run, whether it starts a job or not
+            const status = schedule.cron ? SCHEDULE_STATUS.ACTIVE : SCHEDULE_STATUS.COMPLETED;
+
+            // Jobs of a job scheduler carry their run time in prevMillis; a one-off schedule runs at run_at
+            const runTime = new Date(schedule.cron ? (job.opts.prevMillis ?? job.timestamp) : schedule.run_at);
+            const scheduleRun = `${scheduleId}@${runTime.toISOString()}`;
+
+            const started = await getWatermarkJobByScheduleRun(scheduleRun);
+            if (started) {
+                // Queuing is a no-op when the job is already queued
+                if (started.status === JOB_STATUS.PENDING) {
+                    await addWatermarkJob(started.id, shop, started.scope_type, started.scope_value);
+                }
+                await recordScheduleRun(scheduleId, status, started.id);
+                console.log(`[ScheduleWorker] Run ${scheduleRun} already started job ${started.id}`);
+                return;
+            }
+
+            // Runs don't pile up behind a job that is still going
+            if (schedule.last_job_id) {
+                const lastJob = await getWatermarkJob(schedule.last_job_id);
+                if (lastJob && (lastJob.status === JOB_STATUS.PENDING || lastJob.status === JOB_STATUS.PROCESSING)) {
+                    console.log(`[ScheduleWorker] Job ${lastJob.id} of schedule ${scheduleId} is still running, skipping run`);
+                    await recordScheduleRun(scheduleId, status, null, 'Skipped: the previous run was still in progress');
+                    return;
+                }
+            }
+
+            const settings = await getWatermarkSettings(shop);
+            if (getActiveLayers(settings).length === 0) {
+                console.warn(`[ScheduleWorker] ${shop} has no watermark layers, schedule ${scheduleId} started no job`);
+                await recordScheduleRun(scheduleId, status, null, 'Skipped: no watermark is configured');
+                return;
+            }
+
+            const createdAfter = schedule.created_within_hours
+                ? new Date(Date.now() - schedule.created_within_hours * 60 * 60 * 1000)
+                : null;
+
+            const watermarkJob = await createWatermarkJob(
+                shop,
+                JOB_TYPE.APPLY,
+                schedule.scope_type,
+                schedule.scope_value,
+                settings,
+                0,
+                createdAfter,
+                scheduleRun
+            );
+            await addWatermarkJob(watermarkJob.id, shop, schedule.scope_type, schedule.scope_value);
+            await recordScheduleRun(scheduleId, status, watermarkJob.id);
+
+            console.log(`[ScheduleWorker] Schedule ${scheduleId} started job ${watermarkJob.id} for ${shop}`);
+        } catch (error) {
+            console.error(`[ScheduleWorker] Run of schedule ${scheduleId} failed:`, error.message);
+            throw error;
+        }
+    },
+    {
+        connection: redisConnection,
+        concurrency: 1
+    }
+);
@@ -0,0 +1,174 @@
+import sharp from 'sharp';
+import { LAYER_TYPES, CONTRAST_VARIANTS, WATERMARK_DEFAULTS } from '../../constants/watermark.js';
+
+// Resolution of the luminance grid sampled from each image; enough to tell light from dark areas
+const MAP_SIZE = 64;
+
+// Mean luminance of logo images, keyed by the downloaded buffer
+const logoLuminance = new WeakMap();
+
+function toLinear(channel) {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+}
+
+/**
+ * Relative luminance (0 = black, 1 = white) of an sRGB colour
+ */
+export function relativeLuminance(r, g, b) {
+    return 0.2126 * toLinear(r) + 0.7152 * toLinear(g) + 0.0722 * toLinear(b);
+}
+
+/**
+ * WCAG contrast ratio between two relative luminances (1 to 21)
+ */
+export function contrastRatio(a, b) {
+    const [hi, lo] = a > b ? [a, b] : [b, a];
+    return (hi + 0.05) / (lo + 0.05);
+}
+
+function hexLuminance(hex) {
+    let value = String(hex || '').replace('#', '');
+    if (value.length === 3) {
+        value = value.split('').map(c => c + c).join('');
+    }
+    const int = parseInt(value, 16);
+    if (value.length !== 6 || Number.isNaN(int)) return null;
+
+    return relativeLuminance((int >> 16) & 255, (int >> 8) & 255, int & 255);
+}
+
+/**
+ * Downsample an image to a small grid of luminance values for region sampling
+ */
+export async function createLuminanceMap(input) {
+    const { data, info } = await sharp(input)
+        .rotate()
+        .resize(MAP_SIZE, MAP_SIZE, { fit: 'fill' })
+        .removeAlpha()
+        .toColourspace('srgb')
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const values = new Float32Array(info.width * info.height);
+    for (let i = 0; i < values.length; i++) {
+        values[i] = relativeLuminance(data[i * 3], data[i * 3 + 1], data[i * 3 + 2]);
+    }
+    return { width: info.width, height: info.height, values };
+}
+
+/**
+ * Mean value of a sampled map ({ width, height, values }) over a region of the image
+ * ({ left, top, width, height } in image pixels). A null region averages the whole image.
+ */
+export function regionMean(map, region, imageWidth, imageHeight) {
+    let x0 = 0, y0 = 0, x1 = map.width, y1 = map.height;
+    if (region) {
+        x0 = Math.floor(Math.max(0, region.left) / imageWidth * map.width);
+        y0 = Math.floor(Math.max(0, region.top) / imageHeight * map.height);
+        x1 = Math.ceil(Math.min(imageWidth, region.left + region.width) / imageWidth * map.width);
+        y1 = Math.ceil(Math.min(imageHeight, region.top + region.height) / imageHeight * map.height);
+        x0 = Math.min(x0, map.width - 1);
+        y0 = Math.min(y0, map.height - 1);
+        x1 = Math.max(x1, x0 + 1);
+        y1 = Math.max(y1, y0 + 1);
+    }
+
+    let sum = 0;
+    for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+            sum += map.values[y * map.width + x];
+        }
+    }
+    return sum / ((x1 - x0) * (y1 - y0));
+}
+
+/**
+ * Mean luminance of a logo's visible pixels, weighted by alpha
+ */
+async function measureLogoLuminance(buffer) {
+    if (logoLuminance.has(buffer)) return logoLuminance.get(buffer);
+
+    const { data } = await sharp(buffer)
+        .resize(MAP_SIZE, MAP_SIZE, { fit: 'inside' })
+        .ensureAlpha()
+        .toColourspace('srgb')
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    let sum = 0;
+    let weight = 0;
+    for (let i = 0; i < data.length; i += 4) {
+        const alpha = data[i + 3] / 255;
+        sum += relativeLuminance(data[i], data[i + 1], data[i + 2]) * alpha;
+        weight += alpha;
+    }
+
+    const luminance = weight ? sum / weight : null;
+    logoLuminance.set(buffer, luminance);
+    return luminance;
+}
+
+/**
+ * Light and dark variants of an adaptive layer, as overrides for the layer.
+ * A missing logo variant falls back to the layer's main logo.
+ */
+export function getContrastVariants(layer) {
+    switch (layer.type) {
+        case LAYER_TYPES.LOGO:
+            return [
+                { name: CONTRAST_VARIANTS.LIGHT, patch: { url: layer.light_url || layer.url || layer.dark_url } },
+                { name: CONTRAST_VARIANTS.DARK, patch: { url: layer.dark_url || layer.url || layer.light_url } }
+            ];
+        case LAYER_TYPES.TEXT:
+            return [
+                { name: CONTRAST_VARIANTS.LIGHT, patch: { color: layer.light_color || WATERMARK_DEFAULTS.ADAPTIVE_LIGHT_COLOR } },
+                { name: CONTRAST_VARIANTS.DARK, patch: { color: layer.dark_color || WATERMARK_DEFAULTS.ADAPTIVE_DARK_COLOR } }
+            ];
+        default:
+            return [];
+    }
+}
+
+async function variantLuminance(layer, variant, assets) {
+    if (layer.type === LAYER_TYPES.TEXT) {
+        return hexLuminance(variant.patch.color);
+    }
+
+    const buffer = assets.get(variant.patch.url);
+    if (buffer) return measureLogoLuminance(buffer);
+
+    // Not downloaded yet: assume the usual convention of a white "light" and a black "dark" logo
+    return variant.name === CONTRAST_VARIANTS.LIGHT ? 1 : 0;
+}
+
+/**
+ * Pick the variant of an adaptive layer with the most contrast against the image region behind it
+ * @param {Object} layer - Adaptive layer
+ * @param {Object|null} region - Area the mark covers, or null for the whole image (tiled layers)
+ * @param {Object} context - { luminanceMap, image, assets }
+ * @returns {Promise<{ variant: string, patch: Object, decision: Object }>} decision is recorded on the job item
+ */
+export async function pickContrastVariant(layer, region, { luminanceMap, image, assets }) {
+    const variants = getContrastVariants(layer);
+    const background = regionMean(luminanceMap, region, image.width, image.height);
+
+    let best = null;
+    for (const variant of variants) {
+        const luminance = await variantLuminance(layer, variant, assets);
+        const contrast = luminance === null ? 1 : contrastRatio(luminance, background);
+        if (!best || contrast > best.contrast) {
+            best = { ...variant, contrast };
+        }
+    }
+
+    return {
+        variant: best.name,
+        patch: best.patch,
+        decision: {
+            variant: best.name,
+            background_luminance: Number(background.toFixed(3)),
+            contrast: Number(best.contrast.toFixed(2))
+        }
+    };
+}
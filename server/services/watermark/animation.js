@@ -0,0 +1,32 @@
+import sharp from 'sharp';
+import { ANIMATED_FORMATS } from '../../constants/watermark.js';
+
+const TRANSPARENT = { r: 0, g: 0, b: 0, alpha: 0 };
+
+/**
+ * Whether sharp metadata describes a multi-frame GIF or WebP
+ */
+export function isAnimated(metadata) {
+    return (metadata?.pages || 1) > 1 && ANIMATED_FORMATS.includes(metadata.format);
+}
+
+/**
+ * Turn composite entries laid out on one frame into entries that cover every frame.
+ * sharp loads an animation as a single strip of stacked frames and draws an overlay only once,
+ * so each entry is drawn onto a transparent frame-sized canvas that is tiled down the strip.
+ * @param {Array} entries - Composite entries from buildCompositeLayers(), sized for one frame
+ * @param {number} width - Frame width
+ * @param {number} frameHeight - Height of a single frame (sharp's pageHeight)
+ */
+export async function repeatForEveryFrame(entries, width, frameHeight) {
+    const repeated = [];
+    for (const { input, left = 0, top = 0, blend } of entries) {
+        const frame = await sharp({ create: { width, height: frameHeight, channels: 4, background: TRANSPARENT } })
+            .composite([{ input, left, top }])
+            .png()
+            .toBuffer();
+
+        repeated.push({ input: frame, tile: true, gravity: 'northwest', ...(blend ? { blend } : {}) });
+    }
+    return repeated;
+}
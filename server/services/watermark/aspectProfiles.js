@@ -0,0 +1,165 @@
+import {
+    ASPECT_PROFILE_KINDS,
+    ASPECT_PROFILE_LIMITS,
+    LAYER_TYPES,
+    WATERMARK_DEFAULTS,
+    WATERMARK_POSITIONS,
+    getAspectKind
+} from '../../constants/watermark.js';
+
+// Overrides a profile can set, per layer type it applies to; unset (null) values keep the layer's own
+const OVERRIDE_KEYS = ['position', 'scale', 'margin', 'opacity', 'rotation'];
+const OVERRIDE_GROUPS = {
+    [LAYER_TYPES.LOGO]: 'logo',
+    [LAYER_TYPES.TEXT]: 'text'
+};
+
+function normalizeOverrides(overrides = {}) {
+    const normalized = {};
+    for (const key of OVERRIDE_KEYS) {
+        const value = overrides?.[key];
+        if (value === undefined || value === null || value === '') {
+            normalized[key] = null;
+        } else {
+            normalized[key] = key === 'position' ? String(value) : Number(value);
+        }
+    }
+    return normalized;
+}
+
+/**
+ * Fill in defaults for a stored profile and coerce numeric fields
+ */
+export function normalizeAspectProfile(profile, index = 0) {
+    const custom = profile.kind === ASPECT_PROFILE_KINDS.CUSTOM;
+    return {
+        id: String(profile.id || `profile-${index}`),
+        kind: profile.kind,
+        name: profile.name || null,
+        enabled: profile.enabled !== false,
+        min_ratio: custom ? Number(profile.min_ratio) : null,
+        max_ratio: custom ? Number(profile.max_ratio) : null,
+        logo: normalizeOverrides(profile.logo),
+        text: normalizeOverrides(profile.text)
+    };
+}
+
+/**
+ * Convert the legacy mobile toggle into a portrait profile.
+ * Its position applied to every layer, its scale only ever made sense for logos.
+ */
+export function legacyMobileToProfiles(settings) {
+    if (!settings.mobile_enabled) return [];
+
+    const position = settings.mobile_position || WATERMARK_DEFAULTS.MOBILE_POSITION;
+    return [normalizeAspectProfile({
+        id: 'mobile',
+        kind: ASPECT_PROFILE_KINDS.PORTRAIT,
+        logo: { position, scale: settings.mobile_scale ?? WATERMARK_DEFAULTS.MOBILE_SCALE },
+        text: { position }
+    })];
+}
+
+/**
+ * Aspect profiles for the settings.
+ * Settings saved before profiles existed (aspect_profiles is NULL) are converted from the mobile columns.
+ */
+export function getAspectProfiles(settings) {
+    return Array.isArray(settings?.aspect_profiles)
+        ? settings.aspect_profiles.map(normalizeAspectProfile)
+        : legacyMobileToProfiles(settings || {});
+}
+
+/**
+ * Enabled profile for an image of the given size, or null.
+ * Custom ratio ranges win over the built-in portrait/landscape/square profiles.
+ */
+export function matchAspectProfile(profiles, width, height) {
+    if (!profiles?.length || !width || !height) return null;
+
+    const ratio = width / height;
+    const enabled = profiles.filter(profile => profile.enabled);
+    const custom = enabled.find(profile => profile.kind === ASPECT_PROFILE_KINDS.CUSTOM
+        && ratio >= profile.min_ratio && ratio <= profile.max_ratio);
+    if (custom) return custom;
+
+    const kind = getAspectKind(width, height);
+    return enabled.find(profile => profile.kind === kind) || null;
+}
+
+/**
+ * Layer with the profile's overrides for its type applied.
+ * A profile position replaces free placement, so the layer follows the profile's preset.
+ */
+export function applyAspectProfile(layer, profile) {
+    const group = profile && OVERRIDE_GROUPS[layer.type];
+    if (!group) return layer;
+
+    const patch = {};
+    for (const [key, value] of Object.entries(profile[group])) {
+        if (value !== null) patch[key] = value;
+    }
+    if (patch.position) {
+        patch.custom_placement = false;
+    }
+    return { ...layer, ...patch };
+}
+
+function validateOverrides(overrides, label) {
+    if (!overrides) return null;
+
+    const { position, scale, margin, opacity, rotation } = overrides;
+    if (position != null && !Object.values(WATERMARK_POSITIONS).includes(position)) {
+        return `${label}: invalid position ${position}`;
+    }
+    if (scale != null && !(Number(scale) > 0 && Number(scale) <= 10)) {
+        return `${label}: scale must be above 0 and at most 10`;
+    }
+    if (margin != null && !(Number(margin) >= 0)) {
+        return `${label}: margin must be 0 or more`;
+    }
+    if (opacity != null && !(Number(opacity) >= 0 && Number(opacity) <= 1)) {
+        return `${label}: opacity must be between 0 and 1`;
+    }
+    if (rotation != null && !(Math.abs(Number(rotation)) <= 360)) {
+        return `${label}: rotation must be between -360 and 360`;
+    }
+    return null;
+}
+
+/**
+ * Validate the profiles of a settings payload
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateAspectProfiles(profiles) {
+    if (profiles === undefined || profiles === null) return null;
+    if (!Array.isArray(profiles)) return 'aspect_profiles must be an array';
+    if (profiles.length > ASPECT_PROFILE_LIMITS.MAX_PROFILES) {
+        return `At most ${ASPECT_PROFILE_LIMITS.MAX_PROFILES} aspect profiles are allowed`;
+    }
+
+    const kinds = Object.values(ASPECT_PROFILE_KINDS);
+    const builtIn = new Set();
+    for (const profile of profiles) {
+        if (!kinds.includes(profile?.kind)) {
+            return `Invalid aspect profile kind: ${profile?.kind}`;
+        }
+
+        const label = profile.name || profile.kind;
+        if (profile.kind === ASPECT_PROFILE_KINDS.CUSTOM) {
+            const min = Number(profile.min_ratio);
+            const max = Number(profile.max_ratio);
+            if (!(min >= ASPECT_PROFILE_LIMITS.MIN_RATIO && max <= ASPECT_PROFILE_LIMITS.MAX_RATIO && min < max)) {
+                return `${label}: ratio range must be between ${ASPECT_PROFILE_LIMITS.MIN_RATIO} and ${ASPECT_PROFILE_LIMITS.MAX_RATIO}, minimum below maximum`;
+            }
+        } else if (builtIn.has(profile.kind)) {
+            return `Only one ${profile.kind} profile is allowed`;
+        } else {
+            builtIn.add(profile.kind);
+        }
+
+        const error = validateOverrides(profile.logo, `${label} logo`) || validateOverrides(profile.text, `${label} text`);
+        if (error) return error;
+    }
+    return null;
+}
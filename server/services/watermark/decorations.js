@@ -0,0 +1,190 @@
+import sharp from 'sharp';
+import {
+    WATERMARK_DEFAULTS,
+    WATERMARK_POSITIONS,
+    RIBBON_STYLES
+} from '../../constants/watermark.js';
+import { resolveTextTokens } from './textTokens.js';
+import { escapeXml, measureTextLine, svgFontFamily } from './textRenderer.js';
+import { resolveFontFamily } from './fontLoader.js';
+
+const TRANSPARENT = { r: 0, g: 0, b: 0, alpha: 0 };
+
+const CORNERS = [
+    WATERMARK_POSITIONS.TOP_LEFT,
+    WATERMARK_POSITIONS.TOP_RIGHT,
+    WATERMARK_POSITIONS.BOTTOM_LEFT,
+    WATERMARK_POSITIONS.BOTTOM_RIGHT
+];
+
+/**
+ * Whether the layer is drawn as a diagonal band across a corner.
+ * Ribbons anchored anywhere else fall back to a badge.
+ */
+export function isCornerRibbon(layer) {
+    return (layer.ribbon_style || WATERMARK_DEFAULTS.RIBBON_STYLE) === RIBBON_STYLES.RIBBON
+        && CORNERS.includes(layer.position);
+}
+
+async function getTextStyle(layer, size) {
+    const font = await resolveFontFamily(layer, WATERMARK_DEFAULTS.TEXT_FONT);
+    const weight = layer.font_weight || WATERMARK_DEFAULTS.TEXT_FONT_WEIGHT;
+    const style = layer.font_style || WATERMARK_DEFAULTS.TEXT_FONT_STYLE;
+    return {
+        font,
+        weight,
+        style,
+        attrs: `font-family="${svgFontFamily(font)}" font-size="${size}" font-weight="${weight}" font-style="${style}" dominant-baseline="central"`
+    };
+}
+
+function svgToPng(svg) {
+    return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+/**
+ * Border around the whole image: a full-size canvas with the inside cut out.
+ * fill_end turns the solid fill into a diagonal gradient.
+ */
+export async function renderFrameLayer(layer, image) {
+    const { width, height } = image;
+    const border = Math.min(
+        Math.max(1, Math.round(Number(layer.frame_width) * image.resFactor)),
+        Math.floor(Math.min(width, height) / 2)
+    );
+    const fill = layer.fill || WATERMARK_DEFAULTS.FRAME_FILL;
+
+    let defs = '';
+    let paint = escapeXml(fill);
+    if (layer.fill_end) {
+        defs = `<defs><linearGradient id="frame" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="${escapeXml(fill)}"/><stop offset="1" stop-color="${escapeXml(layer.fill_end)}"/></linearGradient></defs>`;
+        paint = 'url(#frame)';
+    }
+
+    const path = `M0 0H${width}V${height}H0Z M${border} ${border}V${height - border}H${width - border}V${border}Z`;
+    return svgToPng(`<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">${defs}<path d="${path}" fill="${paint}" fill-rule="evenodd"/></svg>`);
+}
+
+/**
+ * Diagonal band cut to fit a corner. The canvas is a square whose outer corner sits on the
+ * image corner, so the band always reaches both edges.
+ */
+function cornerRibbonSVG(text, layer, size, textWidth, textStyle, position) {
+    const thickness = size * 1.6;
+    const half = thickness / Math.SQRT2;
+    // Distance along each edge to the middle of the band, leaving room for the text on its inner edge
+    const reach = (textWidth + size + thickness) / Math.SQRT2;
+    const side = Math.ceil(reach + half) + 1;
+
+    const flipX = position.endsWith('right');
+    const flipY = position.startsWith('bottom');
+    const point = (x, y) => `${(flipX ? side - x : x).toFixed(2)},${(flipY ? side - y : y).toFixed(2)}`;
+
+    const band = [
+        point(reach - half, 0),
+        point(reach + half, 0),
+        point(0, reach + half),
+        point(0, reach - half)
+    ].join(' ');
+    const [cx, cy] = point(reach / 2, reach / 2).split(',');
+    const angle = flipX === flipY ? -45 : 45;
+
+    const fill = escapeXml(layer.fill || WATERMARK_DEFAULTS.RIBBON_FILL);
+    const color = escapeXml(layer.color || WATERMARK_DEFAULTS.RIBBON_TEXT_COLOR);
+
+    return `<svg width="${side}" height="${side}" xmlns="http://www.w3.org/2000/svg">`
+        + `<polygon points="${band}" fill="${fill}"/>`
+        + `<text x="${cx}" y="${cy}" transform="rotate(${angle} ${cx} ${cy})" text-anchor="middle" ${textStyle.attrs} fill="${color}">${escapeXml(text)}</text>`
+        + '</svg>';
+}
+
+/**
+ * Pill-shaped badge around the text
+ */
+function badgeSVG(text, layer, size, textWidth, textStyle) {
+    const height = Math.ceil(size * 1.8);
+    const width = Math.ceil(Math.max(height, textWidth + size * 1.2));
+
+    const fill = escapeXml(layer.fill || WATERMARK_DEFAULTS.RIBBON_FILL);
+    const color = escapeXml(layer.color || WATERMARK_DEFAULTS.RIBBON_TEXT_COLOR);
+
+    return `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">`
+        + `<rect width="${width}" height="${height}" rx="${height / 2}" ry="${height / 2}" fill="${fill}"/>`
+        + `<text x="${width / 2}" y="${height / 2}" text-anchor="middle" ${textStyle.attrs} fill="${color}">${escapeXml(text)}</text>`
+        + '</svg>';
+}
+
+/**
+ * Corner ribbon or badge with a single line of text
+ */
+export async function renderRibbonLayer(layer, image, { tokenContext }) {
+    const text = resolveTextTokens(layer.content, tokenContext)?.replace(/\s*\r?\n\s*/g, ' ');
+    if (!text) return null;
+
+    const size = Math.max(1, Math.floor(layer.size * layer.scale * image.resFactor));
+    const textStyle = await getTextStyle(layer, size);
+    const textWidth = await measureTextLine(text, textStyle.font, size, 0, textStyle.weight, textStyle.style);
+
+    if (isCornerRibbon(layer)) {
+        return svgToPng(cornerRibbonSVG(text, layer, size, textWidth, textStyle, layer.position));
+    }
+
+    return sharp(Buffer.from(badgeSVG(text, layer, size, textWidth, textStyle)))
+        .rotate(layer.rotation || 0, { background: TRANSPARENT })
+        .png()
+        .toBuffer();
+}
+
+/**
+ * Semi-transparent bar across the image with (multi-line) text. The bar spans the width
+ * inside the margin; the horizontal part of the position aligns the text.
+ * Text too wide for the bar is scaled down to fit.
+ */
+export async function renderCaptionLayer(layer, image, { tokenContext }) {
+    const text = resolveTextTokens(layer.content, tokenContext);
+    if (!text) return null;
+
+    const margin = Math.floor(layer.margin * image.resFactor);
+    const width = Math.max(1, image.width - margin * 2);
+    const lines = String(text).split(/\r?\n/);
+
+    let size = Math.max(1, Math.floor(layer.size * layer.scale * image.resFactor));
+    let textStyle = await getTextStyle(layer, size);
+    const measure = () => Promise.all(lines.map(line => measureTextLine(line, textStyle.font, size, 0, textStyle.weight, textStyle.style)));
+
+    const room = width - size * 1.2;
+    const widest = Math.max(...(await measure()), 1);
+    if (widest > room && room > 0) {
+        size = Math.max(1, Math.floor(size * room / widest));
+        textStyle = await getTextStyle(layer, size);
+    }
+
+    const paddingX = size * 0.6;
+    const paddingY = size * 0.4;
+    const lineHeight = size * Number(layer.line_height || WATERMARK_DEFAULTS.TEXT_LINE_HEIGHT);
+    const height = Math.ceil(lines.length * lineHeight + paddingY * 2);
+
+    let anchor = 'middle';
+    let x = width / 2;
+    if (layer.position?.endsWith('left')) {
+        anchor = 'start';
+        x = paddingX;
+    } else if (layer.position?.endsWith('right')) {
+        anchor = 'end';
+        x = width - paddingX;
+    }
+
+    const fill = escapeXml(layer.fill || WATERMARK_DEFAULTS.CAPTION_FILL);
+    const fillOpacity = Math.min(1, Math.max(0, Number(layer.fill_opacity ?? WATERMARK_DEFAULTS.CAPTION_FILL_OPACITY)));
+    const color = escapeXml(layer.color || WATERMARK_DEFAULTS.CAPTION_TEXT_COLOR);
+
+    const textElements = lines.map((line, i) => {
+        const y = (paddingY + (i + 0.5) * lineHeight).toFixed(2);
+        return `<text x="${x.toFixed(2)}" y="${y}" text-anchor="${anchor}" ${textStyle.attrs} fill="${color}">${escapeXml(line)}</text>`;
+    }).join('');
+
+    return svgToPng(`<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">`
+        + `<rect width="${width}" height="${height}" fill="${fill}" fill-opacity="${fillOpacity}"/>`
+        + textElements
+        + '</svg>');
+}
@@ -0,0 +1,252 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import axios from 'axios';
+import sharp from 'sharp';
+import { FONT_LIMITS } from '../../constants/watermark.js';
+
+const FONT_DIR = path.join(os.tmpdir(), 'watermark-fonts');
+
+// Font URL -> Promise<alias>; fonts stay registered for the lifetime of the process
+const loadedFonts = new Map();
+
+/**
+ * Check a font upload's file name against the supported extensions
+ */
+export function isSupportedFontFile(filename) {
+    const ext = path.extname(filename || '').toLowerCase();
+    return FONT_LIMITS.SUPPORTED_EXTENSIONS.includes(ext);
+}
+
+/**
+ * Read the table directory of a TTF/OTF (sfnt) or WOFF file
+ * @returns {Map<string, Buffer>} Uncompressed table data keyed by tag
+ */
+function readFontTables(buffer) {
+    const tables = new Map();
+    const signature = buffer.toString('latin1', 0, 4);
+
+    if (signature === 'wOFF') {
+        const numTables = buffer.readUInt16BE(12);
+        for (let i = 0; i < numTables; i++) {
+            const record = 44 + i * 20;
+            const tag = buffer.toString('latin1', record, record + 4);
+            const offset = buffer.readUInt32BE(record + 4);
+            const compLength = buffer.readUInt32BE(record + 8);
+            const origLength = buffer.readUInt32BE(record + 12);
+            const data = buffer.subarray(offset, offset + compLength);
+            tables.set(tag, compLength < origLength ? zlib.inflateSync(data) : data);
+        }
+        return tables;
+    }
+
+    if (!['\0\x01\0\0', 'OTTO', 'true'].includes(signature)) {
+        throw new Error('Unsupported font format (expected TTF, OTF or WOFF)');
+    }
+
+    const numTables = buffer.readUInt16BE(4);
+    for (let i = 0; i < numTables; i++) {
+        const record = 12 + i * 16;
+        const tag = buffer.toString('latin1', record, record + 4);
+        const offset = buffer.readUInt32BE(record + 8);
+        const length = buffer.readUInt32BE(record + 12);
+        tables.set(tag, buffer.subarray(offset, offset + length));
+    }
+    return tables;
+}
+
+/**
+ * Read the checksum of each table from the directory of a TTF/OTF or WOFF file
+ * @returns {Map<string, number>}
+ */
+function readTableChecksums(buffer) {
+    const checksums = new Map();
+    const woff = buffer.toString('latin1', 0, 4) === 'wOFF';
+    const [directory, recordSize, checksumAt] = woff ? [44, 20, 16] : [12, 16, 4];
+    for (let i = 0; i < buffer.readUInt16BE(woff ? 12 : 4); i++) {
+        const record = directory + i * recordSize;
+        checksums.set(buffer.toString('latin1', record, record + 4), buffer.readUInt32BE(record + checksumAt));
+    }
+    return checksums;
+}
+
+/**
+ * Sum of a table's data as big-endian uint32s, zero-padded to 4 bytes
+ */
+function tableChecksum(data) {
+    const padded = Buffer.alloc(Math.ceil(data.length / 4) * 4);
+    data.copy(padded);
+    let sum = 0;
+    for (let i = 0; i < padded.length; i += 4) {
+        sum = (sum + padded.readUInt32BE(i)) >>> 0;
+    }
+    return sum;
+}
+
+/**
+ * Write a TTF/OTF file: the table directory sorted by tag, then each table 4-byte aligned
+ */
+function writeSfnt(flavor, tables, checksums) {
+    const sorted = [...tables].sort(([a], [b]) => (a < b ? -1 : 1));
+    const numTables = sorted.length;
+    const entrySelector = Math.floor(Math.log2(numTables));
+    const searchRange = 2 ** entrySelector * 16;
+
+    const header = Buffer.alloc(12 + numTables * 16);
+    header.writeUInt32BE(flavor, 0);
+    header.writeUInt16BE(numTables, 4);
+    header.writeUInt16BE(searchRange, 6);
+    header.writeUInt16BE(entrySelector, 8);
+    header.writeUInt16BE(numTables * 16 - searchRange, 10);
+
+    const chunks = [header];
+    let offset = header.length;
+    sorted.forEach(([tag, data], i) => {
+        const record = 12 + i * 16;
+        header.write(tag, record, 4, 'latin1');
+        header.writeUInt32BE(checksums.get(tag) ?? tableChecksum(data), record + 4);
+        header.writeUInt32BE(offset, record + 8);
+        header.writeUInt32BE(data.length, record + 12);
+
+        const padded = Buffer.alloc(Math.ceil(data.length / 4) * 4);
+        data.copy(padded);
+        chunks.push(padded);
+        offset += padded.length;
+    });
+
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Repack a WOFF file as a plain TTF/OTF. The freetype build bundled with sharp
+ * has no WOFF support, so fontconfig would otherwise silently ignore the file.
+ */
+export function woffToSfnt(buffer) {
+    return writeSfnt(buffer.readUInt32BE(4), readFontTables(buffer), readTableChecksums(buffer));
+}
+
+/**
+ * Replace the 'name' table of a TTF/OTF so the font's family, full and
+ * PostScript names are all `family`. Fonts are registered with fontconfig
+ * under such an alias, as uploads often share a family name ("Inter" for both
+ * Inter Regular and Inter Bold) and fontconfig would pick either one for it.
+ */
+export function renameFont(buffer, family) {
+    const records = [[1, family], [2, 'Regular'], [4, family], [6, family]];
+    const strings = records.map(([, value]) => Buffer.from(value, 'utf16le').swap16());
+    const name = Buffer.alloc(6 + records.length * 12);
+    name.writeUInt16BE(records.length, 2);
+    name.writeUInt16BE(name.length, 4);
+
+    let offset = 0;
+    records.forEach(([nameId], i) => {
+        // Windows platform, Unicode BMP, US English
+        const record = 6 + i * 12;
+        name.writeUInt16BE(3, record);
+        name.writeUInt16BE(1, record + 2);
+        name.writeUInt16BE(0x409, record + 4);
+        name.writeUInt16BE(nameId, record + 6);
+        name.writeUInt16BE(strings[i].length, record + 8);
+        name.writeUInt16BE(offset, record + 10);
+        offset += strings[i].length;
+    });
+
+    const tables = readFontTables(buffer);
+    const checksums = readTableChecksums(buffer);
+    tables.set('name', Buffer.concat([name, ...strings]));
+    checksums.delete('name');
+    return writeSfnt(buffer.readUInt32BE(0), tables, checksums);
+}
+
+/**
+ * Extract the font family name from the 'name' table.
+ * Prefers the typographic family (ID 16) over the legacy family (ID 1) and
+ * Windows (UTF-16BE) records over Mac Roman ones.
+ */
+export function readFontFamily(buffer) {
+    const name = readFontTables(buffer).get('name');
+    if (!name) {
+        throw new Error('Font file has no name table');
+    }
+
+    const count = name.readUInt16BE(2);
+    const stringOffset = name.readUInt16BE(4);
+    const candidates = [];
+
+    for (let i = 0; i < count; i++) {
+        const record = 6 + i * 12;
+        const platformId = name.readUInt16BE(record);
+        const nameId = name.readUInt16BE(record + 6);
+        if (nameId !== 1 && nameId !== 16) continue;
+        if (platformId !== 1 && platformId !== 3) continue;
+
+        const length = name.readUInt16BE(record + 8);
+        const start = stringOffset + name.readUInt16BE(record + 10);
+        const raw = name.subarray(start, start + length);
+        const value = platformId === 3
+            ? Buffer.from(raw).swap16().toString('utf16le')
+            : raw.toString('latin1');
+
+        candidates.push({ value: value.trim(), rank: (nameId === 16 ? 0 : 2) + (platformId === 3 ? 0 : 1) });
+    }
+
+    const best = candidates.filter(c => c.value).sort((a, b) => a.rank - b.rank)[0];
+    if (!best) {
+        throw new Error('Font file has no family name');
+    }
+    return best.value;
+}
+
+async function fetchAndRegisterFont(fontUrl) {
+    const response = await axios.get(fontUrl, {
+        responseType: 'arraybuffer',
+        timeout: 30000,
+        maxContentLength: FONT_LIMITS.MAX_FILE_SIZE
+    });
+    const downloaded = Buffer.from(response.data);
+    const family = readFontFamily(downloaded);
+
+    const sfnt = downloaded.toString('latin1', 0, 4) === 'wOFF' ? woffToSfnt(downloaded) : downloaded;
+    const ext = sfnt.toString('latin1', 0, 4) === 'OTTO' ? '.otf' : '.ttf';
+    const hash = crypto.createHash('sha1').update(sfnt).digest('hex');
+    const alias = `wm-${hash.slice(0, 16)}`;
+    const fontPath = path.join(FONT_DIR, `${hash}${ext}`);
+
+    await fs.mkdir(FONT_DIR, { recursive: true });
+    await fs.writeFile(fontPath, renameFont(sfnt, alias));
+
+    // Rendering once with `fontfile` adds the font to this process's fontconfig,
+    // which makes the alias available to librsvg when it renders text SVGs
+    await sharp({ text: { text: alias, font: `${alias} 12px`, fontfile: fontPath } }).toBuffer();
+
+    console.log(`[FontLoader] Registered font "${family}" from ${fontUrl} as ${alias}`);
+    return alias;
+}
+
+/**
+ * Download and register a custom font, returning the family name to render it with.
+ * Each URL is only fetched once per process; failed loads are retried on the next call.
+ */
+export function loadFont(fontUrl) {
+    if (!loadedFonts.has(fontUrl)) {
+        const pending = fetchAndRegisterFont(fontUrl).catch(error => {
+            loadedFonts.delete(fontUrl);
+            throw error;
+        });
+        loadedFonts.set(fontUrl, pending);
+    }
+    return loadedFonts.get(fontUrl);
+}
+
+/**
+ * Resolve the font family for a text layer: the uploaded font when set,
+ * otherwise the configured system font
+ */
+export async function resolveFontFamily(layer, fallback) {
+    if (layer.font_url) {
+        return loadFont(layer.font_url);
+    }
+    return layer.font || fallback;
+}
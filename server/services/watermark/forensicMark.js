@@ -0,0 +1,203 @@
+import sharp from 'sharp';
+import crypto from 'crypto';
+
+// The mark lives in the DCT of a fixed-size luma grid, so any rescaled copy maps back onto the same blocks
+const GRID_SIZE = 256;
+const BLOCK_SIZE = 8;
+const BLOCKS_PER_ROW = GRID_SIZE / BLOCK_SIZE;
+
+// 48-bit random ID plus a 16-bit checksum, each bit repeated over 16 scattered blocks
+const ID_BITS = 48;
+const CHECK_BITS = 16;
+const PAYLOAD_BITS = ID_BITS + CHECK_BITS;
+
+// Target gap between the two mid-frequency coefficients, and the most either may move
+const STRENGTH = 18;
+const MAX_ADJUST = 12;
+
+// Largest vote a single block casts when reading: encoders (mozjpeg, WebP) shrink the marked gaps well below STRENGTH
+const VOTE_LIMIT = STRENGTH / 2;
+
+// Share of blocks that must agree with the decoded bits before a match is reported
+const MIN_CONFIDENCE = 0.6;
+
+// Orthonormal DCT basis for the (u=1, v=2) and (u=2, v=1) coefficients of an 8x8 block
+const BASIS_A = new Float32Array(BLOCK_SIZE * BLOCK_SIZE);
+const BASIS_B = new Float32Array(BLOCK_SIZE * BLOCK_SIZE);
+for (let y = 0; y < BLOCK_SIZE; y++) {
+    for (let x = 0; x < BLOCK_SIZE; x++) {
+        const cx1 = Math.cos((2 * x + 1) * Math.PI / 16);
+        const cx2 = Math.cos((2 * x + 1) * 2 * Math.PI / 16);
+        const cy1 = Math.cos((2 * y + 1) * Math.PI / 16);
+        const cy2 = Math.cos((2 * y + 1) * 2 * Math.PI / 16);
+        BASIS_A[y * BLOCK_SIZE + x] = 0.25 * cx1 * cy2;
+        BASIS_B[y * BLOCK_SIZE + x] = 0.25 * cx2 * cy1;
+    }
+}
+
+// Fixed pseudo-random block order so each bit is spread over the whole image
+const BLOCK_ORDER = (() => {
+    const count = BLOCKS_PER_ROW * BLOCKS_PER_ROW;
+    const order = Array.from({ length: count }, (_, i) => i);
+    let seed = 0x5eed1e55;
+    const random = () => {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    for (let i = count - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+    return order;
+})();
+
+/**
+ * Random ID for one rendered image, recorded on its job item
+ */
+export function generateForensicId() {
+    return crypto.randomBytes(6).readUIntBE(0, 6);
+}
+
+function checksum(id) {
+    const bytes = Buffer.alloc(6);
+    bytes.writeUIntBE(id, 0, 6);
+    return crypto.createHash('sha256').update(bytes).digest().readUInt16BE(0);
+}
+
+function encodePayload(id) {
+    const check = checksum(id);
+    const bits = new Uint8Array(PAYLOAD_BITS);
+    for (let i = 0; i < ID_BITS; i++) {
+        bits[i] = Math.floor(id / 2 ** (ID_BITS - 1 - i)) % 2;
+    }
+    for (let i = 0; i < CHECK_BITS; i++) {
+        bits[ID_BITS + i] = (check >> (CHECK_BITS - 1 - i)) & 1;
+    }
+    return bits;
+}
+
+async function lumaGrid(image) {
+    const { data } = await image
+        .resize(GRID_SIZE, GRID_SIZE, { fit: 'fill' })
+        .removeAlpha()
+        .greyscale()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    return data;
+}
+
+/**
+ * Difference between the two marked coefficients of a block
+ */
+function blockGap(grid, block) {
+    const bx = (block % BLOCKS_PER_ROW) * BLOCK_SIZE;
+    const by = Math.floor(block / BLOCKS_PER_ROW) * BLOCK_SIZE;
+    let a = 0;
+    let b = 0;
+    for (let y = 0; y < BLOCK_SIZE; y++) {
+        for (let x = 0; x < BLOCK_SIZE; x++) {
+            const value = grid[(by + y) * GRID_SIZE + bx + x];
+            a += value * BASIS_A[y * BLOCK_SIZE + x];
+            b += value * BASIS_B[y * BLOCK_SIZE + x];
+        }
+    }
+    return a - b;
+}
+
+/**
+ * Embed an ID into a composited image.
+ * Each bit is written as the sign of the gap between two mid-frequency DCT coefficients of a grid
+ * block; the change is drawn on the grid and scaled up smoothly, which keeps it below a few levels
+ * of brightness and lets it survive JPEG re-compression and resizing. Cropping is not survived.
+ * @param {sharp.Sharp} image - Final composited pipeline
+ * @param {number} id - From generateForensicId()
+ * @returns {Promise<sharp.Sharp>} Marked image as an sRGB raw pipeline, ready for encodeImage
+ */
+export async function embedForensicMark(image, id) {
+    // The mark is computed on sRGB pixels; a kept ICC profile would no longer describe them
+    const { data, info } = await image.withIccProfile('srgb').raw().toBuffer({ resolveWithObject: true });
+    const raw = { width: info.width, height: info.height, channels: info.channels };
+
+    const grid = await lumaGrid(sharp(data, { raw }));
+    const bits = encodePayload(id);
+    const delta = new Float32Array(GRID_SIZE * GRID_SIZE);
+
+    BLOCK_ORDER.forEach((block, i) => {
+        const gap = blockGap(grid, block);
+        const target = bits[i % PAYLOAD_BITS] ? STRENGTH : -STRENGTH;
+        const needed = bits[i % PAYLOAD_BITS] ? target - gap : gap - target;
+        if (needed <= 0) return;
+
+        // Move both coefficients towards each other's side by half the shortfall
+        const adjust = Math.min(needed / 2, MAX_ADJUST) * (bits[i % PAYLOAD_BITS] ? 1 : -1);
+        const bx = (block % BLOCKS_PER_ROW) * BLOCK_SIZE;
+        const by = Math.floor(block / BLOCKS_PER_ROW) * BLOCK_SIZE;
+        for (let y = 0; y < BLOCK_SIZE; y++) {
+            for (let x = 0; x < BLOCK_SIZE; x++) {
+                const k = y * BLOCK_SIZE + x;
+                delta[(by + y) * GRID_SIZE + bx + x] += adjust * (BASIS_A[k] - BASIS_B[k]);
+            }
+        }
+    });
+
+    // Bilinear upscale of the grid delta, added equally to R, G and B
+    const { width, height, channels } = raw;
+    const colourChannels = Math.min(channels, 3);
+    for (let y = 0; y < height; y++) {
+        const gy = Math.min(GRID_SIZE - 1, Math.max(0, (y + 0.5) * GRID_SIZE / height - 0.5));
+        const y0 = Math.floor(gy);
+        const y1 = Math.min(GRID_SIZE - 1, y0 + 1);
+        const fy = gy - y0;
+        for (let x = 0; x < width; x++) {
+            const gx = Math.min(GRID_SIZE - 1, Math.max(0, (x + 0.5) * GRID_SIZE / width - 0.5));
+            const x0 = Math.floor(gx);
+            const x1 = Math.min(GRID_SIZE - 1, x0 + 1);
+            const fx = gx - x0;
+            const d = (delta[y0 * GRID_SIZE + x0] * (1 - fx) + delta[y0 * GRID_SIZE + x1] * fx) * (1 - fy)
+                + (delta[y1 * GRID_SIZE + x0] * (1 - fx) + delta[y1 * GRID_SIZE + x1] * fx) * fy;
+            if (d === 0) continue;
+
+            const offset = (y * width + x) * channels;
+            for (let c = 0; c < colourChannels; c++) {
+                data[offset + c] = Math.max(0, Math.min(255, Math.round(data[offset + c] + d)));
+            }
+        }
+    }
+
+    return sharp(data, { raw });
+}
+
+/**
+ * Read the ID back from an image (any size or compression of a marked original)
+ * @param {Buffer} input - Encoded image
+ * @returns {Promise<{ id: number|null, confidence: number }>} id is null when no valid mark was found
+ */
+export async function extractForensicMark(input) {
+    const grid = await lumaGrid(sharp(input, { failOnError: false }).rotate());
+
+    const sums = new Float32Array(PAYLOAD_BITS);
+    const gaps = BLOCK_ORDER.map((block, i) => {
+        const gap = blockGap(grid, block);
+        // Clamp so strong natural edges can't outvote the blocks that carry the mark
+        sums[i % PAYLOAD_BITS] += Math.max(-VOTE_LIMIT, Math.min(VOTE_LIMIT, gap));
+        return gap;
+    });
+
+    const bits = Array.from(sums, sum => (sum > 0 ? 1 : 0));
+    const agreeing = gaps.filter((gap, i) => (gap > 0 ? 1 : 0) === bits[i % PAYLOAD_BITS]).length;
+    const confidence = Number((agreeing / gaps.length).toFixed(3));
+
+    let id = 0;
+    for (let i = 0; i < ID_BITS; i++) {
+        id = id * 2 + bits[i];
+    }
+    let check = 0;
+    for (let i = 0; i < CHECK_BITS; i++) {
+        check = (check << 1) | bits[ID_BITS + i];
+    }
+
+    const valid = check === checksum(id) && confidence >= MIN_CONFIDENCE;
+    return { id: valid ? id : null, confidence };
+}
@@ -0,0 +1,219 @@
+import { OUTPUT_FORMATS } from '../../constants/watermark.js';
+import { resolveTextTokens } from './textTokens.js';
+
+// Maximum byte lengths of the IPTC-IIM datasets we write (By-line, Copyright Notice)
+const IPTC_LIMITS = { BYLINE: 32, COPYRIGHT: 128 };
+
+const XMP_NAMESPACE = 'http://ns.adobe.com/xap/1.0/\0';
+const PHOTOSHOP_SIGNATURE = 'Photoshop 3.0\0';
+const PNG_XMP_KEYWORD = 'XML:com.adobe.xmp';
+
+/**
+ * Layout dimensions of an image once its EXIF orientation is applied.
+ * Orientations 5-8 are rotated by 90°, so width and height swap.
+ */
+export function orientMetadata(metadata) {
+    if (!metadata || !(metadata.orientation >= 5)) return metadata;
+    return { ...metadata, width: metadata.height, height: metadata.width };
+}
+
+/**
+ * Format of a source image. sharp reports every HEIF container as 'heif',
+ * so AVIF and HEIC are told apart by their compression.
+ */
+export function getSourceFormat(metadata) {
+    if (metadata?.format !== 'heif') return metadata?.format;
+    if (metadata.compression === 'av1') return 'avif';
+    if (metadata.compression === 'hevc') return 'heic';
+    return 'heif';
+}
+
+/**
+ * Rights metadata for one image, with text tokens resolved
+ * @returns {Object|null} { copyright, creator, usageTerms }, or null when nothing is configured
+ */
+export function getRightsMetadata(settings = {}, tokenContext = {}) {
+    const rights = {
+        copyright: resolveTextTokens(settings.metadata_copyright, tokenContext) || null,
+        creator: resolveTextTokens(settings.metadata_creator, tokenContext) || null,
+        usageTerms: resolveTextTokens(settings.metadata_usage_terms, tokenContext) || null
+    };
+    return rights.copyright || rights.creator || rights.usageTerms ? rights : null;
+}
+
+/**
+ * EXIF tags for sharp's withExif()
+ */
+export function buildExif(rights) {
+    const IFD0 = {};
+    if (rights.copyright) IFD0.Copyright = rights.copyright;
+    if (rights.creator) IFD0.Artist = rights.creator;
+    return { IFD0 };
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function buildXmp(rights) {
+    const properties = ['   <xmpRights:Marked>True</xmpRights:Marked>'];
+    if (rights.copyright) {
+        properties.push(`   <dc:rights><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(rights.copyright)}</rdf:li></rdf:Alt></dc:rights>`);
+    }
+    if (rights.creator) {
+        properties.push(`   <dc:creator><rdf:Seq><rdf:li>${escapeXml(rights.creator)}</rdf:li></rdf:Seq></dc:creator>`);
+    }
+    if (rights.usageTerms) {
+        properties.push(`   <xmpRights:UsageTerms><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(rights.usageTerms)}</rdf:li></rdf:Alt></xmpRights:UsageTerms>`);
+    }
+
+    return [
+        '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+        ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+        '  <rdf:Description rdf:about=""',
+        '    xmlns:dc="http://purl.org/dc/elements/1.1/"',
+        '    xmlns:xmpRights="http://ns.adobe.com/xap/1.0/rights/">',
+        ...properties,
+        '  </rdf:Description>',
+        ' </rdf:RDF>',
+        '</x:xmpmeta>',
+        '<?xpacket end="w"?>'
+    ].join('\n');
+}
+
+function truncateBytes(value, maxBytes) {
+    let buffer = Buffer.from(value, 'utf8');
+    if (buffer.length <= maxBytes) return buffer;
+
+    // Don't cut a multi-byte character in half
+    buffer = buffer.subarray(0, maxBytes);
+    return Buffer.from(buffer.toString('utf8').replace(/\uFFFD$/, ''), 'utf8');
+}
+
+function iptcDataset(record, dataset, data) {
+    const header = Buffer.from([0x1c, record, dataset, (data.length >> 8) & 0xff, data.length & 0xff]);
+    return Buffer.concat([header, data]);
+}
+
+/**
+ * IPTC-IIM record: UTF-8 marker, By-line (2:80) and Copyright Notice (2:116).
+ * Usage terms have no IIM dataset and are only written to XMP.
+ */
+function buildIptc(rights) {
+    const datasets = [iptcDataset(1, 90, Buffer.from([0x1b, 0x25, 0x47]))];
+    if (rights.creator) datasets.push(iptcDataset(2, 80, truncateBytes(rights.creator, IPTC_LIMITS.BYLINE)));
+    if (rights.copyright) datasets.push(iptcDataset(2, 116, truncateBytes(rights.copyright, IPTC_LIMITS.COPYRIGHT)));
+    return Buffer.concat(datasets);
+}
+
+function jpegSegment(marker, payload) {
+    const header = Buffer.from([0xff, marker, 0, 0]);
+    header.writeUInt16BE(payload.length + 2, 2);
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Insert XMP (APP1) and IPTC (APP13 Photoshop resource) after the existing APPn segments
+ */
+function embedJpeg(buffer, rights) {
+    const xmp = Buffer.concat([Buffer.from(XMP_NAMESPACE, 'latin1'), Buffer.from(buildXmp(rights), 'utf8')]);
+
+    // Photoshop image resource block 0x0404 (IPTC-NAA) with an empty, even-padded name
+    const iptc = buildIptc(rights);
+    const size = Buffer.alloc(4);
+    size.writeUInt32BE(iptc.length);
+    const resource = Buffer.concat([
+        Buffer.from('8BIM', 'latin1'), Buffer.from([0x04, 0x04, 0x00, 0x00]), size, iptc,
+        iptc.length % 2 ? Buffer.alloc(1) : Buffer.alloc(0)
+    ]);
+    const photoshop = Buffer.concat([Buffer.from(PHOTOSHOP_SIGNATURE, 'latin1'), resource]);
+
+    let offset = 2;
+    while (offset + 4 <= buffer.length && buffer[offset] === 0xff && buffer[offset + 1] >= 0xe0 && buffer[offset + 1] <= 0xef) {
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+
+    return Buffer.concat([
+        buffer.subarray(0, offset),
+        jpegSegment(0xe1, xmp),
+        jpegSegment(0xed, photoshop),
+        buffer.subarray(offset)
+    ]);
+}
+
+// CRC-32 lookup table (polynomial 0xEDB88320) for PNG chunk checksums; zlib.crc32 needs Node 20.15+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Insert an uncompressed iTXt XMP chunk right after IHDR
+ */
+function embedPng(buffer, rights) {
+    const data = Buffer.concat([
+        Buffer.from(`${PNG_XMP_KEYWORD}\0\0\0\0\0`, 'latin1'),
+        Buffer.from(buildXmp(rights), 'utf8')
+    ]);
+    const ihdrEnd = 8 + 8 + buffer.readUInt32BE(8) + 4;
+
+    return Buffer.concat([buffer.subarray(0, ihdrEnd), pngChunk('iTXt', data), buffer.subarray(ihdrEnd)]);
+}
+
+/**
+ * Append an XMP chunk to an extended (VP8X) WebP and flag it in the header.
+ * Simple WebPs have no header to flag; sharp writes VP8X whenever EXIF is present.
+ */
+function embedWebp(buffer, rights) {
+    if (buffer.toString('latin1', 12, 16) !== 'VP8X') return buffer;
+
+    const xmp = Buffer.from(buildXmp(rights), 'utf8');
+    const header = Buffer.alloc(8);
+    header.write('XMP ', 0, 'latin1');
+    header.writeUInt32LE(xmp.length, 4);
+
+    const output = Buffer.concat([buffer, header, xmp, xmp.length % 2 ? Buffer.alloc(1) : Buffer.alloc(0)]);
+    output[20] |= 0x04;
+    output.writeUInt32LE(output.length - 8, 4);
+    return output;
+}
+
+/**
+ * Write XMP (and IPTC for JPEG) rights metadata into an encoded image.
+ * AVIF only carries the EXIF tags written by sharp.
+ */
+export function embedRightsMetadata(buffer, format, rights) {
+    if (!rights) return buffer;
+
+    switch (format) {
+        case OUTPUT_FORMATS.JPEG:
+            return embedJpeg(buffer, rights);
+        case OUTPUT_FORMATS.PNG:
+            return embedPng(buffer, rights);
+        case OUTPUT_FORMATS.WEBP:
+            return embedWebp(buffer, rights);
+        default:
+            return buffer;
+    }
+}
@@ -0,0 +1,393 @@
+import sharp from 'sharp';
+import axios from 'axios';
+import {
+    IMAGE_LIMITS,
+    LAYER_TYPES,
+    BLEND_MODES,
+    SHAPE_TYPES,
+    SIZE_BASES,
+    WATERMARK_LAYOUTS,
+    WATERMARK_POSITIONS,
+    getPositionCoordinates
+} from '../../constants/watermark.js';
+import { buildTiledOverlay, getTileOptions } from './tileLayout.js';
+import { resolveTextTokens } from './textTokens.js';
+import { generateTextSVG, escapeXml } from './textRenderer.js';
+import { loadFont } from './fontLoader.js';
+import { renderFrameLayer, renderRibbonLayer, renderCaptionLayer, isCornerRibbon } from './decorations.js';
+import { applyOpacity, applyShadow, getShadowOptions } from './layerEffects.js';
+import { createLuminanceMap, getContrastVariants, pickContrastVariant } from './adaptiveContrast.js';
+import { createDetailMap, pickCalmestPosition } from './smartPlacement.js';
+import { getLayerLogoUrls } from './layers.js';
+import { getAspectProfiles, matchAspectProfile, applyAspectProfile } from './aspectProfiles.js';
+import { looksLikeSvg, sanitizeSvg, getSvgDensity } from './svgLogo.js';
+import { buildQrUrl, renderQrCode } from './qrCode.js';
+
+const TRANSPARENT = { r: 0, g: 0, b: 0, alpha: 0 };
+
+// Base resolution for scaling (matches preview maxWidth)
+const BASE_RESOLUTION = 800;
+
+// Decorations are drawn once around or along the image, never tiled
+const DECORATION_TYPES = [LAYER_TYPES.FRAME, LAYER_TYPES.RIBBON, LAYER_TYPES.CAPTION];
+
+/**
+ * Download logo images and register custom fonts used by the layers.
+ * Logos are cached in the given map (url -> Buffer) so a job only fetches them once;
+ * SVG logos are sanitized before they are cached.
+ */
+export async function preloadLayerAssets(layers, assets = new Map()) {
+    for (const layer of layers) {
+        for (const url of getLayerLogoUrls(layer)) {
+            if (assets.has(url)) continue;
+            const res = await axios.get(url, {
+                responseType: 'arraybuffer',
+                timeout: 30000,
+                maxContentLength: IMAGE_LIMITS.MAX_FILE_SIZE
+            });
+            const buffer = Buffer.from(res.data);
+            assets.set(url, looksLikeSvg(buffer) ? sanitizeSvg(buffer) : buffer);
+        }
+
+        if (layer.font_url) {
+            await loadFont(layer.font_url);
+        }
+    }
+    return assets;
+}
+
+/**
+ * Length of the image side the layer's size is measured against
+ */
+function getBasisLength(layer, image) {
+    switch (layer.size_basis) {
+        case SIZE_BASES.HEIGHT:
+            return image.height;
+        case SIZE_BASES.SHORTER:
+            return Math.min(image.width, image.height);
+        default:
+            return image.width;
+    }
+}
+
+/**
+ * Keep a mark size within the layer's min/max pixel sizes (given for the output image)
+ */
+function clampMarkSize(size, layer, image) {
+    const min = image.minSizes && layer.min_size_px ? layer.min_size_px * image.pixelRatio : 0;
+    const max = layer.max_size_px ? layer.max_size_px * image.pixelRatio : Infinity;
+    return Math.max(1, Math.floor(Math.min(Math.max(size, min), max)));
+}
+
+async function renderLogoLayer(layer, image, { assets }) {
+    let logoBuffer = assets.get(layer.url);
+    if (!logoBuffer) {
+        await preloadLayerAssets([layer], assets);
+        logoBuffer = assets.get(layer.url);
+    }
+
+    const logoMeta = await sharp(logoBuffer).metadata();
+    const w = clampMarkSize(getBasisLength(layer, image) * layer.scale, layer, image);
+    const h = Math.max(1, Math.floor((logoMeta.height / logoMeta.width) * w));
+
+    // Scaled to the image even past the logo's own size, so it covers the same share at any resolution.
+    // Vector logos are rasterized at the target size instead of scaling up a small bitmap.
+    const logo = logoMeta.format === 'svg'
+        ? sharp(logoBuffer, { density: getSvgDensity(logoMeta.width, w) })
+        : sharp(logoBuffer);
+    return logo
+        .resize(w, h, { fit: 'inside' })
+        .rotate(layer.rotation || 0, { background: TRANSPARENT })
+        .png()
+        .toBuffer();
+}
+
+/**
+ * QR code for the product's URL, sized like a logo. Products without a URL get no code.
+ */
+async function renderQrLayer(layer, image, { tokenContext }) {
+    const url = buildQrUrl(layer, tokenContext);
+    if (!url) return null;
+
+    const size = clampMarkSize(getBasisLength(layer, image) * layer.scale, layer, image);
+    const code = await renderQrCode(url, size, {
+        color: layer.color,
+        background: layer.fill,
+        errorCorrection: layer.error_correction
+    });
+
+    if (!layer.rotation) return code;
+    return sharp(code)
+        .rotate(layer.rotation, { background: TRANSPARENT })
+        .png()
+        .toBuffer();
+}
+
+async function renderTextLayer(layer, image, { tokenContext }) {
+    const content = resolveTextTokens(layer.content, tokenContext);
+    if (!content) return null;
+
+    // Text size is in px at the base resolution, measured along the layer's size basis
+    const size = clampMarkSize(layer.size * layer.scale * getBasisLength(layer, image) / BASE_RESOLUTION, layer, image);
+
+    const { svg } = await generateTextSVG(content, layer, size, image.resFactor);
+    return sharp(svg).png().toBuffer();
+}
+
+async function renderShapeLayer(layer, image) {
+    const width = Math.max(1, Math.round(image.width * layer.width / 100));
+    const height = Math.max(1, Math.round(image.height * layer.height / 100));
+    const strokeWidth = layer.stroke ? Math.max(0, Math.round(layer.stroke_width * image.resFactor)) : 0;
+    const inset = strokeWidth / 2;
+
+    const paint = `fill="${escapeXml(layer.fill || 'none')}"${strokeWidth ? ` stroke="${escapeXml(layer.stroke)}" stroke-width="${strokeWidth}"` : ''}`;
+    let shape;
+    if (layer.shape === SHAPE_TYPES.ELLIPSE) {
+        shape = `<ellipse cx="${width / 2}" cy="${height / 2}" rx="${Math.max(0, width / 2 - inset)}" ry="${Math.max(0, height / 2 - inset)}" ${paint}/>`;
+    } else {
+        const radius = Math.round((layer.radius || 0) * image.resFactor);
+        shape = `<rect x="${inset}" y="${inset}" width="${Math.max(0, width - strokeWidth)}" height="${Math.max(0, height - strokeWidth)}" rx="${radius}" ry="${radius}" ${paint}/>`;
+    }
+
+    const svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">${shape}</svg>`;
+
+    return sharp(Buffer.from(svg))
+        .rotate(layer.rotation || 0, { background: TRANSPARENT })
+        .png()
+        .toBuffer();
+}
+
+/**
+ * Render the layer's mark on its own, before effects and placement
+ */
+async function renderMark(layer, image, context, tiled) {
+    let buffer;
+    switch (layer.type) {
+        case LAYER_TYPES.LOGO:
+            buffer = await renderLogoLayer(layer, image, context);
+            break;
+        case LAYER_TYPES.TEXT:
+            buffer = await renderTextLayer(layer, image, context);
+            break;
+        case LAYER_TYPES.SHAPE:
+            buffer = await renderShapeLayer(layer, image);
+            break;
+        case LAYER_TYPES.FRAME:
+            buffer = await renderFrameLayer(layer, image);
+            break;
+        case LAYER_TYPES.RIBBON:
+            buffer = await renderRibbonLayer(layer, image, context);
+            break;
+        case LAYER_TYPES.CAPTION:
+            buffer = await renderCaptionLayer(layer, image, context);
+            break;
+        case LAYER_TYPES.QR:
+            buffer = await renderQrLayer(layer, image, context);
+            break;
+        default:
+            return null;
+    }
+
+    // sharp refuses overlays larger than the base image
+    if (buffer && !tiled) {
+        const meta = await sharp(buffer).metadata();
+        if (meta.width > image.width || meta.height > image.height) {
+            buffer = await sharp(buffer).resize(image.width, image.height, { fit: 'inside' }).png().toBuffer();
+        }
+    }
+    return buffer;
+}
+
+/**
+ * Preset the layer is anchored to on this image. The auto position scores the
+ * candidate anchors by how much detail they would cover and takes the calmest.
+ */
+async function resolvePosition(layer, image, context, width, height, decision) {
+    const { position } = layer;
+
+    if (position !== WATERMARK_POSITIONS.AUTO || layer.custom_placement || !context.detailMap) {
+        return position;
+    }
+
+    const margin = Math.floor(layer.margin * image.resFactor);
+    const best = pickCalmestPosition(await context.detailMap(), image, width, height, margin);
+    console.log(`[Placement] Layer ${layer.id}: auto -> ${best.position} (detail ${best.score.toFixed(3)})`);
+
+    decision.position = best.position;
+    decision.detail = Number(best.score.toFixed(3));
+    return best.position;
+}
+
+/**
+ * Top-left corner of a mark of the given size on the image
+ */
+function getMarkCoords(layer, position, image, width, height) {
+    const coords = getPositionCoordinates(
+        position, image.width, image.height,
+        width, height,
+        Math.floor(layer.margin * image.resFactor),
+        layer.custom_placement ? { x: layer.x, y: layer.y } : null
+    );
+    return { x: Math.floor(coords.x), y: Math.floor(coords.y) };
+}
+
+/**
+ * Render a single layer to a composite entry for the given image.
+ * Choices made for this image (auto position, contrast variant) are pushed to context.decisions.
+ * @returns {Promise<Object|null>} sharp composite entry, or null when there is nothing to draw
+ */
+export async function renderLayer(layer, image, context) {
+    const tiled = layer.layout === WATERMARK_LAYOUTS.TILE && !DECORATION_TYPES.includes(layer.type);
+    const variants = layer.adaptive ? getContrastVariants(layer) : [];
+    const decision = { layer_id: layer.id };
+
+    // Placement, size and opacity can differ per image shape
+    layer = applyAspectProfile(layer, context.aspectProfile);
+
+    // A corner ribbon is cut to its corner, so it sits flush against both edges
+    if (layer.type === LAYER_TYPES.RIBBON && isCornerRibbon(layer)) {
+        layer = { ...layer, margin: 0, custom_placement: false };
+    }
+
+    // Adaptive layers are measured with their first variant, then swapped if the other reads better
+    if (variants.length) {
+        layer = { ...layer, ...variants[0].patch };
+    }
+
+    let buffer = await renderMark(layer, image, context, tiled);
+    if (!buffer) return null;
+
+    let position = null;
+    let region = null;
+    if (!tiled) {
+        const meta = await sharp(buffer).metadata();
+        position = await resolvePosition(layer, image, context, meta.width, meta.height, decision);
+        const coords = getMarkCoords(layer, position, image, meta.width, meta.height);
+        region = { left: coords.x, top: coords.y, width: meta.width, height: meta.height };
+    }
+
+    if (variants.length && context.luminanceMap) {
+        const choice = await pickContrastVariant(layer, region, {
+            luminanceMap: await context.luminanceMap(),
+            image,
+            assets: context.assets
+        });
+        Object.assign(decision, choice.decision);
+
+        if (choice.variant !== variants[0].name) {
+            layer = { ...layer, ...choice.patch };
+            buffer = await renderMark(layer, image, context, tiled);
+        }
+    }
+
+    if (Object.keys(decision).length > 1) {
+        context.decisions.push(decision);
+    }
+
+    // The shadow is drawn around the mark, so it fades together with it
+    let pad = 0;
+    const shadow = getShadowOptions(layer, image.resFactor);
+    if (shadow) {
+        ({ buffer, pad } = await applyShadow(buffer, shadow));
+    }
+    buffer = await applyOpacity(buffer, Number(layer.opacity ?? 1));
+
+    const blend = layer.blend_mode && layer.blend_mode !== BLEND_MODES.NORMAL
+        ? { blend: layer.blend_mode }
+        : {};
+
+    if (tiled) {
+        // Padding already separates the marks, so keep the visible gap at the configured spacing
+        const tileOptions = getTileOptions(layer, image.resFactor);
+        tileOptions.spacing = Math.max(0, tileOptions.spacing - pad * 2);
+
+        return {
+            input: await buildTiledOverlay(buffer, image.width, image.height, tileOptions),
+            top: 0,
+            left: 0,
+            ...blend
+        };
+    }
+
+    // Place the mark itself; its shadow padding hangs over the edges
+    const meta = await sharp(buffer).metadata();
+    const coords = getMarkCoords(layer, position, image, meta.width - pad * 2, meta.height - pad * 2);
+
+    return {
+        ...(await clipToImage(buffer, meta, coords.x - pad, coords.y - pad, image)),
+        ...blend
+    };
+}
+
+/**
+ * Crop an overlay to the part that falls inside the image.
+ * sharp clips offsets that run off the edge, but not overlays larger than the base.
+ */
+async function clipToImage(buffer, meta, left, top, image) {
+    if (meta.width <= image.width && meta.height <= image.height) {
+        return { input: buffer, left, top };
+    }
+
+    const x0 = Math.max(0, left);
+    const y0 = Math.max(0, top);
+    const x1 = Math.min(image.width, left + meta.width);
+    const y1 = Math.min(image.height, top + meta.height);
+
+    const input = await sharp(buffer)
+        .extract({ left: x0 - left, top: y0 - top, width: x1 - x0, height: y1 - y0 })
+        .png()
+        .toBuffer();
+
+    return { input, left: x0, top: y0 };
+}
+
+function once(factory) {
+    let promise = null;
+    return () => (promise ??= factory());
+}
+
+/**
+ * Render ordered layers into sharp composite entries (bottom layer first)
+ * @param {Array} layers - Active layers from getActiveLayers()
+ * @param {Object} metadata - Target image metadata ({ width, height })
+ * @param {Object} options - { settings, tokenContext, assets, source, decisions, pixelRatio, minSizes }
+ *   source: the image itself, sampled by adaptive layers and the auto position;
+ *   decisions: array that receives the per-image choices made for those layers;
+ *   pixelRatio: size of this image relative to the output (below 1 for previews), applied to pixel size limits;
+ *   minSizes: false to ignore the layers' minimum sizes (small images under the shrink policy)
+ */
+export async function buildCompositeLayers(layers, metadata, options = {}) {
+    const {
+        settings = {},
+        tokenContext = {},
+        assets = new Map(),
+        source = null,
+        decisions = [],
+        pixelRatio = 1,
+        minSizes = true
+    } = options;
+
+    const image = {
+        width: metadata.width,
+        height: metadata.height,
+        resFactor: metadata.width / BASE_RESOLUTION,
+        pixelRatio,
+        minSizes
+    };
+    const context = {
+        tokenContext,
+        assets,
+        aspectProfile: matchAspectProfile(getAspectProfiles(settings), metadata.width, metadata.height),
+        // Sampled from the image only when a layer asks for it
+        luminanceMap: source ? once(() => createLuminanceMap(source)) : null,
+        detailMap: source ? once(() => createDetailMap(source)) : null,
+        decisions
+    };
+
+    const entries = [];
+    for (const layer of layers) {
+        const entry = await renderLayer(layer, image, context);
+        if (entry) entries.push(entry);
+    }
+    return entries;
+}
@@ -0,0 +1,79 @@
+import sharp from 'sharp';
+import { WATERMARK_DEFAULTS, SHADOW_TYPES } from '../../constants/watermark.js';
+
+const TRANSPARENT = { r: 0, g: 0, b: 0, alpha: 0 };
+
+/**
+ * Multiply the alpha channel of an overlay by a constant opacity
+ */
+export async function applyOpacity(buffer, opacity) {
+    if (opacity >= 1.0) return buffer;
+
+    return sharp(buffer)
+        .composite([{
+            input: Buffer.from([255, 255, 255, Math.floor(opacity * 255)]),
+            raw: { width: 1, height: 1, channels: 4 },
+            tile: true, blend: 'dest-in'
+        }])
+        .png()
+        .toBuffer();
+}
+
+/**
+ * Resolve shadow/glow options for a layer, scaled to the target image resolution
+ * @returns {Object|null} null when the layer has no shadow
+ */
+export function getShadowOptions(layer, resFactor = 1) {
+    const type = layer.shadow || WATERMARK_DEFAULTS.SHADOW_TYPE;
+    if (type === SHADOW_TYPES.NONE) return null;
+
+    // A glow is a shadow centred on the mark
+    const glow = type === SHADOW_TYPES.GLOW;
+    return {
+        color: layer.shadow_color || WATERMARK_DEFAULTS.SHADOW_COLOR,
+        offsetX: glow ? 0 : Math.round(Number(layer.shadow_offset_x ?? WATERMARK_DEFAULTS.SHADOW_OFFSET_X) * resFactor),
+        offsetY: glow ? 0 : Math.round(Number(layer.shadow_offset_y ?? WATERMARK_DEFAULTS.SHADOW_OFFSET_Y) * resFactor),
+        blur: Math.max(0, Number(layer.shadow_blur ?? WATERMARK_DEFAULTS.SHADOW_BLUR) * resFactor),
+        opacity: Number(layer.shadow_opacity ?? WATERMARK_DEFAULTS.SHADOW_OPACITY)
+    };
+}
+
+/**
+ * Draw a blurred, tinted copy of the mark's silhouette behind it.
+ * The result is padded so the shadow isn't cut off; the mark sits `pad` pixels in from the top-left.
+ * @returns {Promise<{ buffer: Buffer, pad: number }>}
+ */
+export async function applyShadow(markBuffer, options) {
+    const meta = await sharp(markBuffer).metadata();
+    const sigma = options.blur / 2;
+    const pad = Math.ceil(sigma * 3) + Math.max(Math.abs(options.offsetX), Math.abs(options.offsetY));
+
+    // Solid colour clipped to the mark's alpha
+    const silhouette = await sharp({
+        create: { width: meta.width, height: meta.height, channels: 4, background: options.color }
+    })
+        .composite([{ input: markBuffer, blend: 'dest-in' }])
+        .png()
+        .toBuffer();
+
+    let shadow = sharp(await applyOpacity(silhouette, options.opacity))
+        .extend({
+            top: pad + options.offsetY,
+            bottom: pad - options.offsetY,
+            left: pad + options.offsetX,
+            right: pad - options.offsetX,
+            background: TRANSPARENT
+        });
+
+    // libvips rejects tiny sigmas; such a blur would be invisible anyway
+    if (sigma >= 0.3) {
+        shadow = shadow.blur(sigma);
+    }
+
+    const buffer = await sharp(await shadow.png().toBuffer())
+        .composite([{ input: markBuffer, left: pad, top: pad }])
+        .png()
+        .toBuffer();
+
+    return { buffer, pad };
+}
@@ -0,0 +1,415 @@
+import crypto from 'crypto';
+import {
+    WATERMARK_DEFAULTS,
+    LAYER_TYPES,
+    LAYER_LIMITS,
+    LAYER_RANGES,
+    LAYER_COLOR_KEYS,
+    HEX_COLOR_PATTERN,
+    BLEND_MODES,
+    SHADOW_TYPES,
+    RIBBON_STYLES,
+    SIZE_BASES,
+    QR_ERROR_CORRECTION,
+    QR_UTM_PARAMS,
+    WATERMARK_POSITIONS
+} from '../../constants/watermark.js';
+import { hasTextTokens, PREVIEW_TOKEN_CONTEXT } from './textTokens.js';
+import { buildQrUrl } from './qrCode.js';
+
+/**
+ * Properties shared by every layer type
+ */
+function getCommonDefaults() {
+    return {
+        enabled: true,
+        position: WATERMARK_DEFAULTS.LOGO_POSITION,
+        custom_placement: false,
+        x: 50,
+        y: 50,
+        margin: WATERMARK_DEFAULTS.LOGO_MARGIN,
+        opacity: WATERMARK_DEFAULTS.LOGO_OPACITY,
+        rotation: 0,
+        layout: WATERMARK_DEFAULTS.LOGO_LAYOUT,
+        tile_pattern: WATERMARK_DEFAULTS.TILE_PATTERN,
+        tile_spacing: WATERMARK_DEFAULTS.TILE_SPACING,
+        tile_stagger: WATERMARK_DEFAULTS.TILE_STAGGER,
+        tile_angle: WATERMARK_DEFAULTS.TILE_ANGLE,
+        blend_mode: WATERMARK_DEFAULTS.BLEND_MODE,
+        shadow: WATERMARK_DEFAULTS.SHADOW_TYPE,
+        shadow_color: WATERMARK_DEFAULTS.SHADOW_COLOR,
+        shadow_offset_x: WATERMARK_DEFAULTS.SHADOW_OFFSET_X,
+        shadow_offset_y: WATERMARK_DEFAULTS.SHADOW_OFFSET_Y,
+        shadow_blur: WATERMARK_DEFAULTS.SHADOW_BLUR,
+        shadow_opacity: WATERMARK_DEFAULTS.SHADOW_OPACITY,
+        adaptive: false
+    };
+}
+
+/**
+ * Font properties shared by every layer type that draws text
+ */
+function getFontDefaults() {
+    return {
+        font: WATERMARK_DEFAULTS.TEXT_FONT,
+        font_url: null,
+        font_weight: WATERMARK_DEFAULTS.TEXT_FONT_WEIGHT,
+        font_style: WATERMARK_DEFAULTS.TEXT_FONT_STYLE
+    };
+}
+
+/**
+ * Size properties of logo, QR and text layers: the image side their scale is measured
+ * against, and optional pixel limits (logo width, text size) on the output image
+ */
+function getSizeDefaults() {
+    return {
+        size_basis: WATERMARK_DEFAULTS.SIZE_BASIS,
+        min_size_px: null,
+        max_size_px: null
+    };
+}
+
+// Layer types whose content may contain text tokens
+const TEXT_CONTENT_TYPES = [LAYER_TYPES.TEXT, LAYER_TYPES.RIBBON, LAYER_TYPES.CAPTION];
+
+/**
+ * Default properties for a new layer of the given type
+ */
+export function getLayerDefaults(type) {
+    const common = getCommonDefaults();
+
+    switch (type) {
+        case LAYER_TYPES.LOGO:
+            return {
+                ...common,
+                url: null,
+                light_url: null,
+                dark_url: null,
+                scale: WATERMARK_DEFAULTS.LOGO_SCALE,
+                ...getSizeDefaults()
+            };
+        case LAYER_TYPES.TEXT:
+            return {
+                ...common,
+                position: WATERMARK_DEFAULTS.TEXT_POSITION,
+                margin: WATERMARK_DEFAULTS.TEXT_MARGIN,
+                opacity: WATERMARK_DEFAULTS.TEXT_OPACITY,
+                content: '',
+                ...getFontDefaults(),
+                size: WATERMARK_DEFAULTS.TEXT_SIZE,
+                scale: 1,
+                ...getSizeDefaults(),
+                color: WATERMARK_DEFAULTS.TEXT_COLOR,
+                light_color: WATERMARK_DEFAULTS.ADAPTIVE_LIGHT_COLOR,
+                dark_color: WATERMARK_DEFAULTS.ADAPTIVE_DARK_COLOR,
+                outline: WATERMARK_DEFAULTS.TEXT_OUTLINE,
+                outline_color: WATERMARK_DEFAULTS.TEXT_OUTLINE_COLOR,
+                align: WATERMARK_DEFAULTS.TEXT_ALIGN,
+                line_height: WATERMARK_DEFAULTS.TEXT_LINE_HEIGHT,
+                letter_spacing: WATERMARK_DEFAULTS.TEXT_LETTER_SPACING
+            };
+        case LAYER_TYPES.SHAPE:
+            return {
+                ...common,
+                position: WATERMARK_DEFAULTS.TEXT_POSITION,
+                margin: 0,
+                opacity: WATERMARK_DEFAULTS.SHAPE_OPACITY,
+                shape: WATERMARK_DEFAULTS.SHAPE_TYPE,
+                width: WATERMARK_DEFAULTS.SHAPE_WIDTH,
+                height: WATERMARK_DEFAULTS.SHAPE_HEIGHT,
+                fill: WATERMARK_DEFAULTS.SHAPE_FILL,
+                stroke: null,
+                stroke_width: 0,
+                radius: WATERMARK_DEFAULTS.SHAPE_RADIUS
+            };
+        case LAYER_TYPES.FRAME:
+            // Covers the whole image: position and margin don't apply
+            return {
+                ...common,
+                position: WATERMARK_POSITIONS.CENTER,
+                margin: 0,
+                opacity: 1,
+                frame_width: WATERMARK_DEFAULTS.FRAME_WIDTH,
+                fill: WATERMARK_DEFAULTS.FRAME_FILL,
+                fill_end: null
+            };
+        case LAYER_TYPES.RIBBON:
+            return {
+                ...common,
+                position: WATERMARK_POSITIONS.TOP_LEFT,
+                opacity: 1,
+                ribbon_style: WATERMARK_DEFAULTS.RIBBON_STYLE,
+                content: WATERMARK_DEFAULTS.RIBBON_CONTENT,
+                ...getFontDefaults(),
+                size: WATERMARK_DEFAULTS.RIBBON_TEXT_SIZE,
+                scale: 1,
+                color: WATERMARK_DEFAULTS.RIBBON_TEXT_COLOR,
+                fill: WATERMARK_DEFAULTS.RIBBON_FILL
+            };
+        case LAYER_TYPES.CAPTION:
+            // The bar spans the full width; the position picks the edge and the text alignment
+            return {
+                ...common,
+                position: WATERMARK_POSITIONS.BOTTOM_CENTER,
+                margin: 0,
+                opacity: 1,
+                content: '',
+                ...getFontDefaults(),
+                size: WATERMARK_DEFAULTS.CAPTION_TEXT_SIZE,
+                scale: 1,
+                color: WATERMARK_DEFAULTS.CAPTION_TEXT_COLOR,
+                line_height: WATERMARK_DEFAULTS.TEXT_LINE_HEIGHT,
+                fill: WATERMARK_DEFAULTS.CAPTION_FILL,
+                fill_opacity: WATERMARK_DEFAULTS.CAPTION_FILL_OPACITY
+            };
+        case LAYER_TYPES.QR:
+            // fill is the background behind the code, null for transparent
+            return {
+                ...common,
+                opacity: 1,
+                qr_url: WATERMARK_DEFAULTS.QR_URL,
+                utm_source: null,
+                utm_medium: null,
+                utm_campaign: null,
+                error_correction: WATERMARK_DEFAULTS.QR_ERROR_CORRECTION,
+                color: WATERMARK_DEFAULTS.QR_COLOR,
+                fill: WATERMARK_DEFAULTS.QR_BACKGROUND,
+                scale: WATERMARK_DEFAULTS.QR_SCALE,
+                ...getSizeDefaults()
+            };
+        default:
+            throw new Error(`Unknown layer type: ${type}`);
+    }
+}
+
+/**
+ * Convert the legacy single logo + single text columns into layers.
+ * The logo sits below the text, matching the original composition order.
+ */
+export function legacySettingsToLayers(settings) {
+    const layers = [];
+    const tile = {
+        tile_pattern: settings.tile_pattern ?? WATERMARK_DEFAULTS.TILE_PATTERN,
+        tile_spacing: settings.tile_spacing ?? WATERMARK_DEFAULTS.TILE_SPACING,
+        tile_stagger: settings.tile_stagger ?? WATERMARK_DEFAULTS.TILE_STAGGER,
+        tile_angle: settings.tile_angle ?? WATERMARK_DEFAULTS.TILE_ANGLE
+    };
+
+    if (settings.logo_url) {
+        layers.push({
+            ...getLayerDefaults(LAYER_TYPES.LOGO),
+            ...tile,
+            id: 'logo',
+            type: LAYER_TYPES.LOGO,
+            url: settings.logo_url,
+            position: settings.logo_position || WATERMARK_DEFAULTS.LOGO_POSITION,
+            custom_placement: !!settings.use_custom_placement,
+            x: settings.logo_x ?? 50,
+            y: settings.logo_y ?? 50,
+            margin: settings.logo_margin ?? WATERMARK_DEFAULTS.LOGO_MARGIN,
+            scale: Number(settings.logo_scale ?? WATERMARK_DEFAULTS.LOGO_SCALE),
+            opacity: Number(settings.logo_opacity ?? WATERMARK_DEFAULTS.LOGO_OPACITY),
+            rotation: settings.logo_rotation || 0,
+            layout: settings.logo_layout || WATERMARK_DEFAULTS.LOGO_LAYOUT
+        });
+    }
+
+    if (settings.text_content) {
+        layers.push({
+            ...getLayerDefaults(LAYER_TYPES.TEXT),
+            ...tile,
+            id: 'text',
+            type: LAYER_TYPES.TEXT,
+            content: settings.text_content,
+            font: settings.text_font || WATERMARK_DEFAULTS.TEXT_FONT,
+            font_url: settings.text_font_url || null,
+            font_weight: settings.text_font_weight || WATERMARK_DEFAULTS.TEXT_FONT_WEIGHT,
+            font_style: settings.text_font_style || WATERMARK_DEFAULTS.TEXT_FONT_STYLE,
+            size: settings.text_size || WATERMARK_DEFAULTS.TEXT_SIZE,
+            color: settings.text_color || WATERMARK_DEFAULTS.TEXT_COLOR,
+            outline: settings.text_outline ?? WATERMARK_DEFAULTS.TEXT_OUTLINE,
+            outline_color: settings.text_outline_color || WATERMARK_DEFAULTS.TEXT_OUTLINE_COLOR,
+            align: settings.text_align || WATERMARK_DEFAULTS.TEXT_ALIGN,
+            line_height: Number(settings.text_line_height || WATERMARK_DEFAULTS.TEXT_LINE_HEIGHT),
+            letter_spacing: settings.text_letter_spacing ?? WATERMARK_DEFAULTS.TEXT_LETTER_SPACING,
+            position: settings.text_position || WATERMARK_DEFAULTS.TEXT_POSITION,
+            custom_placement: !!settings.use_custom_placement,
+            x: settings.text_x ?? 50,
+            y: settings.text_y ?? 50,
+            opacity: Number(settings.text_opacity ?? WATERMARK_DEFAULTS.TEXT_OPACITY),
+            rotation: settings.text_rotation || 0,
+            layout: settings.text_layout || WATERMARK_DEFAULTS.TEXT_LAYOUT
+        });
+    }
+
+    return layers.map((layer, index) => ({ ...layer, z_index: index }));
+}
+
+/**
+ * Fill in defaults for a stored layer and coerce numeric fields
+ * (JSONB round-trips through the UI can turn numbers into strings)
+ */
+export function normalizeLayer(layer, index = 0) {
+    const normalized = {
+        ...getLayerDefaults(layer.type),
+        ...layer,
+        id: layer.id || crypto.randomUUID(),
+        z_index: Number(layer.z_index ?? index)
+    };
+
+    for (const key of Object.keys(LAYER_RANGES)) {
+        if (normalized[key] !== undefined && normalized[key] !== null) {
+            normalized[key] = Number(normalized[key]);
+        }
+    }
+
+    return normalized;
+}
+
+/**
+ * All layers for the settings, ordered bottom to top.
+ * Settings saved before layers existed (layers is NULL) are converted from the legacy columns.
+ */
+export function getLayers(settings) {
+    const stored = Array.isArray(settings?.layers)
+        ? settings.layers
+        : legacySettingsToLayers(settings || {});
+
+    return stored
+        .map((layer, index) => normalizeLayer(layer, index))
+        .sort((a, b) => a.z_index - b.z_index);
+}
+
+/**
+ * Check whether a layer has something to draw
+ */
+export function layerHasContent(layer) {
+    switch (layer.type) {
+        case LAYER_TYPES.LOGO:
+            return !!(layer.url || (layer.adaptive && (layer.light_url || layer.dark_url)));
+        case LAYER_TYPES.TEXT:
+            return !!layer.content?.trim();
+        case LAYER_TYPES.SHAPE:
+            return layer.width > 0 && layer.height > 0;
+        case LAYER_TYPES.FRAME:
+            return layer.frame_width > 0;
+        case LAYER_TYPES.RIBBON:
+        case LAYER_TYPES.CAPTION:
+            return !!layer.content?.trim();
+        case LAYER_TYPES.QR:
+            return !!layer.qr_url?.trim();
+        default:
+            return false;
+    }
+}
+
+/**
+ * Enabled layers with content, ordered bottom to top
+ */
+export function getActiveLayers(settings) {
+    return getLayers(settings).filter(layer => layer.enabled !== false && layerHasContent(layer));
+}
+
+/**
+ * Check whether any layer's text or QR code URL uses dynamic tokens
+ */
+export function layersUseTextTokens(layers) {
+    return layers.some(layer => {
+        if (layer.type === LAYER_TYPES.QR) {
+            return [layer.qr_url, ...QR_UTM_PARAMS.map(key => layer[key])].some(hasTextTokens);
+        }
+        return TEXT_CONTENT_TYPES.includes(layer.type) && hasTextTokens(layer.content);
+    });
+}
+
+/**
+ * Logo URLs a layer may render, including adaptive variants
+ */
+export function getLayerLogoUrls(layer) {
+    if (layer.type !== LAYER_TYPES.LOGO) return [];
+    const urls = layer.adaptive ? [layer.url, layer.light_url, layer.dark_url] : [layer.url];
+    return [...new Set(urls.filter(Boolean))];
+}
+
+/**
+ * Validate a layer list submitted from the settings UI
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateLayers(layers) {
+    if (layers === undefined || layers === null) return null;
+    if (!Array.isArray(layers)) return 'Layers must be an array';
+    if (layers.length > LAYER_LIMITS.MAX_LAYERS) {
+        return `A design can have at most ${LAYER_LIMITS.MAX_LAYERS} layers`;
+    }
+
+    const types = Object.values(LAYER_TYPES);
+    const invalid = layers.find(layer => !layer || !types.includes(layer.type));
+    if (invalid) {
+        return `Invalid layer type: ${invalid?.type}`;
+    }
+
+    for (const layer of layers) {
+        for (const [key, [min, max]] of Object.entries(LAYER_RANGES)) {
+            const value = layer[key];
+            if (value === undefined || value === null || value === '') continue;
+            if (!(Number(value) >= min && Number(value) <= max)) {
+                return `${key} must be between ${min} and ${max} (${layer.type} layer)`;
+            }
+        }
+        // Colours end up in SVG attributes and sharp backgrounds, which throw on anything they can't parse
+        for (const key of LAYER_COLOR_KEYS) {
+            if (layer[key] && !HEX_COLOR_PATTERN.test(layer[key])) {
+                return `Invalid ${key} colour: ${layer[key]} (${layer.type} layer, use #RRGGBB)`;
+            }
+        }
+    }
+
+    const blendModes = Object.values(BLEND_MODES);
+    const badBlend = layers.find(layer => layer.blend_mode && !blendModes.includes(layer.blend_mode));
+    if (badBlend) {
+        return `Invalid blend mode: ${badBlend.blend_mode}`;
+    }
+
+    const shadowTypes = Object.values(SHADOW_TYPES);
+    const badShadow = layers.find(layer => layer.shadow && !shadowTypes.includes(layer.shadow));
+    if (badShadow) {
+        return `Invalid shadow type: ${badShadow.shadow}`;
+    }
+
+    const sizeBases = Object.values(SIZE_BASES);
+    const badBasis = layers.find(layer => layer.size_basis && !sizeBases.includes(layer.size_basis));
+    if (badBasis) {
+        return `Invalid size basis: ${badBasis.size_basis}`;
+    }
+
+    const badClamp = layers.find(layer => layer.min_size_px && layer.max_size_px && Number(layer.min_size_px) > Number(layer.max_size_px));
+    if (badClamp) {
+        return 'A layer\'s minimum size must not exceed its maximum size';
+    }
+
+    const ribbonStyles = Object.values(RIBBON_STYLES);
+    const badRibbon = layers.find(layer => layer.ribbon_style && !ribbonStyles.includes(layer.ribbon_style));
+    if (badRibbon) {
+        return `Invalid ribbon style: ${badRibbon.ribbon_style}`;
+    }
+
+    const levels = Object.values(QR_ERROR_CORRECTION);
+    const badLevel = layers.find(layer => layer.type === LAYER_TYPES.QR && layer.error_correction && !levels.includes(layer.error_correction));
+    if (badLevel) {
+        return `Invalid QR error correction level: ${badLevel.error_correction}`;
+    }
+
+    // Tokens are checked with the preview values; a real product URL is no different in shape
+    for (const layer of layers.filter(l => l.type === LAYER_TYPES.QR && l.qr_url?.trim())) {
+        const url = buildQrUrl(layer, PREVIEW_TOKEN_CONTEXT);
+        if (!url) {
+            return 'QR code URL must be an http:// or https:// link';
+        }
+        if (url.length > LAYER_LIMITS.MAX_QR_URL_LENGTH) {
+            return `QR code URL must be at most ${LAYER_LIMITS.MAX_QR_URL_LENGTH} characters; longer links make codes too dense to scan`;
+        }
+    }
+
+    return null;
+}
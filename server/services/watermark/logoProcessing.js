@@ -0,0 +1,148 @@
+import sharp from 'sharp';
+import {
+    HEX_COLOR_PATTERN,
+    LOGO_KNOCKOUT_COLORS,
+    LOGO_PROCESSING_LIMITS
+} from '../../constants/watermark.js';
+
+const KNOCKOUT_KEYS = {
+    [LOGO_KNOCKOUT_COLORS.WHITE]: 255,
+    [LOGO_KNOCKOUT_COLORS.BLACK]: 0
+};
+
+/**
+ * Processing options of one derived logo variant:
+ * { trim, knockout: 'white' | 'black' | null, tint: hex color | null }
+ */
+export function normalizeLogoProcessing(processing = {}) {
+    return {
+        trim: processing?.trim === true,
+        knockout: processing?.knockout || null,
+        tint: processing?.tint ? String(processing.tint).toUpperCase() : null
+    };
+}
+
+/**
+ * Short file name suffix describing the processing, e.g. "trim-no-white-tint-FFFFFF"
+ */
+export function describeLogoProcessing(processing) {
+    const parts = [];
+    if (processing.trim) parts.push('trim');
+    if (processing.knockout) parts.push(`no-${processing.knockout}`);
+    if (processing.tint) parts.push(`tint-${processing.tint.slice(1)}`);
+    return parts.join('-');
+}
+
+/**
+ * Validate the logo variants requested when registering an asset
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateLogoVariants(variants) {
+    if (variants === undefined || variants === null) return null;
+    if (!Array.isArray(variants)) return 'variants must be an array';
+    if (variants.length > LOGO_PROCESSING_LIMITS.MAX_VARIANTS) {
+        return `At most ${LOGO_PROCESSING_LIMITS.MAX_VARIANTS} logo variants are allowed`;
+    }
+
+    const knockouts = Object.values(LOGO_KNOCKOUT_COLORS);
+    for (const variant of variants) {
+        const { trim, knockout, tint } = normalizeLogoProcessing(variant);
+        if (!trim && !knockout && !tint) {
+            return 'Each logo variant needs at least one processing option';
+        }
+        if (knockout && !knockouts.includes(knockout)) {
+            return `Invalid knockout color: ${knockout}`;
+        }
+        if (tint && !HEX_COLOR_PATTERN.test(tint)) {
+            return `Invalid tint color: ${variant.tint} (use #RRGGBB)`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Make the flat background around a logo transparent. The fill starts at the edges and only
+ * spreads through background-coloured pixels, so the same colour inside the logo is kept.
+ * Pixels just past the tolerance fade out instead of leaving a hard fringe.
+ * @param {Buffer} data - Raw RGBA pixels, changed in place
+ */
+function knockOutBackground(data, width, height, key) {
+    const tolerance = LOGO_PROCESSING_LIMITS.KNOCKOUT_TOLERANCE;
+    const count = width * height;
+    const queued = new Uint8Array(count);
+    const stack = new Int32Array(count);
+    let top = 0;
+
+    const push = (i) => {
+        if (!queued[i]) {
+            queued[i] = 1;
+            stack[top++] = i;
+        }
+    };
+    // Already transparent pixels count as background
+    const distance = (i) => {
+        const o = i * 4;
+        if (data[o + 3] === 0) return 0;
+        return Math.max(Math.abs(data[o] - key), Math.abs(data[o + 1] - key), Math.abs(data[o + 2] - key));
+    };
+
+    for (let x = 0; x < width; x++) {
+        push(x);
+        push((height - 1) * width + x);
+    }
+    for (let y = 0; y < height; y++) {
+        push(y * width);
+        push(y * width + width - 1);
+    }
+
+    while (top > 0) {
+        const i = stack[--top];
+        const d = distance(i);
+        if (d > tolerance * 2) continue;
+
+        const alpha = i * 4 + 3;
+        data[alpha] = d <= tolerance ? 0 : Math.round(data[alpha] * (d - tolerance) / tolerance);
+        // Fringe pixels fade but don't spread the fill into the logo
+        if (d > tolerance) continue;
+
+        const x = i % width;
+        if (x > 0) push(i - 1);
+        if (x < width - 1) push(i + 1);
+        if (i >= width) push(i - width);
+        if (i < count - width) push(i + width);
+    }
+}
+
+/**
+ * Render a derived logo variant: knock out the background, trim the padding, then recolor.
+ * @returns {Promise<Buffer>} PNG with transparency
+ */
+export async function processLogo(buffer, processing) {
+    const { trim, knockout, tint } = normalizeLogoProcessing(processing);
+
+    // Upright RGBA, so every step works on the logo as displayed
+    let logo = await sharp(buffer).rotate().ensureAlpha().png().toBuffer();
+
+    if (knockout) {
+        const { data, info } = await sharp(logo).raw().toBuffer({ resolveWithObject: true });
+        knockOutBackground(data, info.width, info.height, KNOCKOUT_KEYS[knockout]);
+        logo = await sharp(data, { raw: { width: info.width, height: info.height, channels: 4 } }).png().toBuffer();
+    }
+
+    // Trims transparent padding, or solid padding in the colour of the top-left pixel
+    if (trim) {
+        logo = await sharp(logo).trim({ threshold: LOGO_PROCESSING_LIMITS.TRIM_THRESHOLD }).png().toBuffer();
+    }
+
+    // Single colour keeping only the logo's shape (its alpha channel)
+    if (tint) {
+        const { width, height } = await sharp(logo).metadata();
+        const alpha = await sharp(logo).extractChannel('alpha').raw().toBuffer();
+        logo = await sharp({ create: { width, height, channels: 3, background: tint } })
+            .joinChannel(alpha, { raw: { width, height, channels: 1 } })
+            .png()
+            .toBuffer();
+    }
+
+    return logo;
+}
@@ -0,0 +1,188 @@
+import sharp from 'sharp';
+import {
+    OUTPUT_FORMATS,
+    OUTPUT_MIME_TYPES,
+    OUTPUT_EXTENSIONS,
+    OUTPUT_LIMITS,
+    COLOR_PROFILES,
+    ANIMATED_FORMATS,
+    WATERMARK_DEFAULTS
+} from '../../constants/watermark.js';
+import { buildExif, embedRightsMetadata, getSourceFormat } from './imageMetadata.js';
+import { isAnimated } from './animation.js';
+
+/**
+ * Format a watermarked image is written in.
+ * 'original' keeps the source format when it is web-safe; HEIC and TIFF become PNG when
+ * they have transparency and JPEG otherwise.
+ * Animations stay GIF or WebP whatever is requested, so they keep their frames.
+ * @param {Object} source - sharp metadata of the source image
+ */
+export function resolveOutputFormat(source, settings = {}) {
+    const sourceFormat = getSourceFormat(source);
+    const requested = settings.output_format || WATERMARK_DEFAULTS.OUTPUT_FORMAT;
+    if (isAnimated(source)) {
+        return ANIMATED_FORMATS.includes(requested) ? requested : sourceFormat;
+    }
+    if (requested !== OUTPUT_FORMATS.ORIGINAL && OUTPUT_MIME_TYPES[requested]) {
+        return requested;
+    }
+    if (OUTPUT_MIME_TYPES[sourceFormat]) {
+        return sourceFormat;
+    }
+    return source?.hasAlpha ? OUTPUT_FORMATS.PNG : OUTPUT_FORMATS.JPEG;
+}
+
+/**
+ * Validate the output settings of a settings payload
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateOutputSettings(settings = {}) {
+    const { output_format, output_quality, output_max_bytes, color_profile } = settings;
+
+    if (output_format !== undefined && !Object.values(OUTPUT_FORMATS).includes(output_format)) {
+        return `Unsupported output format: ${output_format}`;
+    }
+
+    if (output_quality !== undefined && output_quality !== null) {
+        const quality = Number(output_quality);
+        if (!Number.isInteger(quality) || quality < OUTPUT_LIMITS.MIN_QUALITY || quality > OUTPUT_LIMITS.MAX_QUALITY) {
+            return `Output quality must be between ${OUTPUT_LIMITS.MIN_QUALITY} and ${OUTPUT_LIMITS.MAX_QUALITY}`;
+        }
+    }
+
+    if (output_max_bytes !== undefined && output_max_bytes !== null && output_max_bytes !== '') {
+        const maxBytes = Number(output_max_bytes);
+        if (!Number.isInteger(maxBytes) || maxBytes < OUTPUT_LIMITS.MIN_MAX_BYTES) {
+            return `Max file size must be at least ${OUTPUT_LIMITS.MIN_MAX_BYTES / 1024}KB`;
+        }
+    }
+
+    if (color_profile !== undefined && !Object.values(COLOR_PROFILES).includes(color_profile)) {
+        return `Unsupported color profile: ${color_profile}`;
+    }
+
+    for (const key of ['metadata_copyright', 'metadata_creator', 'metadata_usage_terms']) {
+        if (settings[key] && String(settings[key]).length > OUTPUT_LIMITS.MAX_METADATA_LENGTH) {
+            return `${key} must be at most ${OUTPUT_LIMITS.MAX_METADATA_LENGTH} characters`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Convert to sRGB (tagged), or keep the embedded profile.
+ * CMYK profiles can't describe the RGB output, so CMYK sources are always converted.
+ */
+function applyColorProfile(image, colorProfile, sourceSpace) {
+    if (colorProfile === COLOR_PROFILES.KEEP && sourceSpace !== 'cmyk') {
+        return image.keepIccProfile();
+    }
+    return image.withIccProfile('srgb');
+}
+
+function applyFormat(image, format, { quality, palette }) {
+    switch (format) {
+        case OUTPUT_FORMATS.PNG:
+            // PNG stays lossless unless the byte budget forces a palette
+            return image.png(palette ? { compressionLevel: 9, palette: true, quality } : { compressionLevel: 9 });
+        case OUTPUT_FORMATS.WEBP:
+            return image.webp({ quality });
+        case OUTPUT_FORMATS.AVIF:
+            return image.avif({ quality });
+        case 'gif':
+            // GIF has no quality setting: the budget shrinks the palette instead
+            return image.gif(palette ? { colours: Math.max(2, Math.round(256 * quality / 100)) } : {});
+        default:
+            // JPEG has no alpha channel: transparent areas become white instead of black
+            return image
+                .flatten({ background: '#ffffff' })
+                .jpeg({ quality, progressive: true, mozjpeg: true });
+    }
+}
+
+/**
+ * Encoder settings tried in order until the output fits the byte budget
+ */
+function getAttempts(format, quality, maxBytes) {
+    const first = { quality, palette: false };
+    if (!maxBytes) return [first];
+
+    const attempts = [first];
+    const step = OUTPUT_LIMITS.BUDGET_QUALITY_STEP;
+    const floor = Math.min(quality, OUTPUT_LIMITS.BUDGET_MIN_QUALITY);
+
+    if (format === OUTPUT_FORMATS.PNG || format === 'gif') {
+        for (let q = quality; q >= floor; q -= step) {
+            attempts.push({ quality: q, palette: true });
+        }
+    } else {
+        for (let q = quality - step; q >= floor; q -= step) {
+            attempts.push({ quality: q, palette: false });
+        }
+    }
+    return attempts;
+}
+
+/**
+ * Encode a sharp pipeline to the given format.
+ * With a byte budget, quality is lowered step by step until the output fits; if even the
+ * lowest step is too large, that smallest attempt is returned and a warning is logged.
+ * @param {sharp.Sharp} image - Pipeline with all compositing already set up
+ * @param {string} format - Resolved output format (see resolveOutputFormat)
+ * @param {Object} options - { quality, maxBytes, colorProfile, sourceSpace, rights, animated }
+ *   rights is the result of getRightsMetadata(), written to EXIF/XMP/IPTC when set;
+ *   animated marks a multi-frame pipeline, whose frame delays and loop count are kept
+ * @returns {Promise<{ buffer: Buffer, format: string, mimeType: string, extension: string, quality: number }>}
+ */
+export async function encodeImage(image, format, { quality, maxBytes = null, colorProfile, sourceSpace, rights = null, animated = false } = {}) {
+    const targetQuality = Math.round(Number(quality ?? WATERMARK_DEFAULTS.OUTPUT_QUALITY));
+    const budget = Number(maxBytes) || null;
+    const attempts = getAttempts(format, targetQuality, budget);
+    const profile = colorProfile || WATERMARK_DEFAULTS.COLOR_PROFILE;
+
+    // XMP/IPTC are spliced in after encoding, so they count towards the budget too
+    const encode = async (pipeline, attempt, space) => {
+        applyColorProfile(pipeline, profile, space);
+        if (rights) pipeline.withExif(buildExif(rights));
+        return embedRightsMetadata(await applyFormat(pipeline, format, attempt).toBuffer(), format, rights);
+    };
+
+    let buffer;
+    let used = attempts[0];
+
+    if (attempts.length === 1) {
+        buffer = await encode(image, used, sourceSpace);
+    } else if (animated) {
+        // A PNG intermediate would flatten the frames, so each retry re-runs a copy of the pipeline
+        for (const attempt of attempts) {
+            used = attempt;
+            buffer = await encode(image.clone(), attempt, sourceSpace);
+            if (buffer.length <= budget) break;
+        }
+    } else {
+        // Render once to a fast lossless PNG (carrying the colour profile) so each retry only re-encodes
+        const intermediate = await applyColorProfile(image, profile, sourceSpace)
+            .png({ compressionLevel: 0 })
+            .toBuffer();
+
+        for (const attempt of attempts) {
+            used = attempt;
+            buffer = await encode(sharp(intermediate), attempt, 'srgb');
+            if (buffer.length <= budget) break;
+        }
+    }
+
+    if (budget && buffer.length > budget) {
+        console.warn(`[Encoder] ${format} output is ${buffer.length} bytes, over the ${budget} byte budget at lowest quality`);
+    }
+
+    return {
+        buffer,
+        format,
+        mimeType: OUTPUT_MIME_TYPES[format],
+        extension: OUTPUT_EXTENSIONS[format],
+        quality: used.quality
+    };
+}
@@ -0,0 +1,103 @@
+import sharp from 'sharp';
+import { PROCESSING_LIMITS } from '../../constants/watermark.js';
+
+// 256-bit difference hash: 17x16 greyscale grid, one bit per horizontal neighbour pair
+const HASH_WIDTH = 17;
+const HASH_HEIGHT = 16;
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Perceptual (difference) hash of an image as 64 hex characters.
+ * Re-encoding, resizing and small edits barely change it, unlike a byte hash.
+ */
+export async function computePerceptualHash(input) {
+    const { data } = await sharp(input, { failOnError: false })
+        .rotate()
+        .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+        .removeAlpha()
+        .greyscale()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    let hex = '';
+    for (let y = 0; y < HASH_HEIGHT; y++) {
+        let row = 0;
+        for (let x = 0; x < HASH_WIDTH - 1; x++) {
+            const i = y * HASH_WIDTH + x;
+            row = (row << 1) | (data[i] > data[i + 1] ? 1 : 0);
+        }
+        hex += row.toString(16).padStart(4, '0');
+    }
+    return hex;
+}
+
+function toWords(hash) {
+    const words = new Uint32Array(8);
+    for (let i = 0; i < 8; i++) {
+        words[i] = parseInt(hash.slice(i * 8, i * 8 + 8), 16);
+    }
+    return words;
+}
+
+function popcount(n) {
+    n = n - ((n >>> 1) & 0x55555555);
+    n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+    return (((n + (n >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+function distance(a, b) {
+    let bits = 0;
+    for (let i = 0; i < 8; i++) {
+        bits += popcount(a[i] ^ b[i]);
+    }
+    return bits;
+}
+
+/**
+ * In-memory set of a shop's watermarked output hashes with near-match lookup.
+ * A small watermark moves the hash only a few bits, so each output is stored with the hash of the
+ * source it was rendered from: a candidate at least as close to that source as to the output is the
+ * unwatermarked original (or a duplicate of it) and doesn't match. Outputs stored without a source
+ * (saved before it was recorded) only match within PROCESSING_LIMITS.PHASH_UNPAIRED_MAX_DISTANCE.
+ * Values that aren't perceptual hashes (legacy byte hashes, placeholders) are ignored.
+ * @param {Array<string|Object>} hashes - Output hashes, or { hash, sourceHash, forensicId }
+ */
+export function createHashIndex(hashes = []) {
+    const entries = [];
+
+    const add = (entry) => {
+        const { hash, sourceHash = null, forensicId = null } = typeof entry === 'string' ? { hash: entry } : entry || {};
+        if (typeof hash === 'string' && HASH_PATTERN.test(hash)) {
+            const source = HASH_PATTERN.test(sourceHash || '') ? toWords(sourceHash) : null;
+            entries.push({ hash, words: toWords(hash), source, forensicId });
+        }
+    };
+    hashes.forEach(add);
+
+    return {
+        add,
+        get size() {
+            return entries.length;
+        },
+        /**
+         * Closest stored output within the duplicate threshold, or null
+         * @returns {Object|null} { hash, distance, forensicId }: forensicId is the mark the output carries, if any
+         */
+        find(hash) {
+            if (!HASH_PATTERN.test(hash || '')) return null;
+
+            const words = toWords(hash);
+            let best = null;
+            for (const entry of entries) {
+                const bits = distance(words, entry.words);
+                const original = entry.source
+                    ? distance(words, entry.source) <= bits
+                    : bits > PROCESSING_LIMITS.PHASH_UNPAIRED_MAX_DISTANCE;
+                if (!original && bits <= PROCESSING_LIMITS.PHASH_MAX_DISTANCE && (!best || bits < best.distance)) {
+                    best = { hash: entry.hash, distance: bits, forensicId: entry.forensicId };
+                }
+            }
+            return best;
+        }
+    };
+}
@@ -1,4 +1,8 @@
 import { generatePreview } from './imageEngine.js';
+import { PREVIEW_TOKEN_CONTEXT } from './textTokens.js';
+import { getActiveLayers } from './layers.js';
+import { getAspectProfiles } from './aspectProfiles.js';
+import { LAYER_TYPES, getAspectKind } from '../../constants/watermark.js';
 import { getWatermarkSettings } from '../../db/repositories/watermarkSettingsRepository.js';
 
 /**
@@ -10,23 +14,33 @@ export async function createPreview(shop, sampleImageUrl, customSettings = null)
         const settings = customSettings || await getWatermarkSettings(shop);
 
         // Validate settings
-        if (!settings.logo_url && !settings.text_content) {
-            throw new Error('No watermark configured. Please add a logo or text.');
+        const layers = getActiveLayers(settings);
+        if (layers.length === 0) {
+            throw new Error('No watermark configured. Please add a logo, text or shape layer.');
         }
 
-        // Generate preview
-        const preview = await generatePreview(sampleImageUrl, settings);
+        // Generate preview (text tokens use sample values with the real shop name)
+        const tokenContext = {
+            ...PREVIEW_TOKEN_CONTEXT,
+            shop: { name: shop?.replace('.myshopify.com', '') || PREVIEW_TOKEN_CONTEXT.shop.name }
+        };
+        const preview = await generatePreview(sampleImageUrl, settings, 800, tokenContext);
 
         return {
             success: true,
             preview: preview.base64,
             width: preview.width,
             height: preview.height,
+            format: preview.format,
+            decisions: preview.decisions,
+            // Built-in aspect profile the sample falls under, so the editor matches profiles like the renderer
+            aspectKind: getAspectKind(preview.width, preview.height),
             settings: {
-                hasLogo: !!settings.logo_url,
-                hasText: !!settings.text_content,
-                position: settings.logo_url ? settings.logo_position : settings.text_position,
-                mobileEnabled: settings.mobile_enabled
+                hasLogo: layers.some(layer => layer.type === LAYER_TYPES.LOGO),
+                hasText: layers.some(layer => layer.type === LAYER_TYPES.TEXT),
+                layerCount: layers.length,
+                position: layers[0].position,
+                aspectProfileCount: getAspectProfiles(settings).length
             }
         };
     } catch (error) {
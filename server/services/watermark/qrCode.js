@@ -0,0 +1,66 @@
+import sharp from 'sharp';
+import QRCode from 'qrcode';
+import { QR_UTM_PARAMS, WATERMARK_DEFAULTS } from '../../constants/watermark.js';
+import { resolveTextTokens } from './textTokens.js';
+
+/**
+ * URL a QR layer encodes for the given product: its template with tokens resolved
+ * and the layer's UTM parameters appended (replacing any already in the template).
+ * @returns {string|null} null when the template doesn't resolve to an http(s) URL
+ */
+export function buildQrUrl(layer, tokenContext) {
+    const resolved = resolveTextTokens(layer.qr_url, tokenContext);
+    if (!resolved) return null;
+
+    let url;
+    try {
+        url = new URL(resolved);
+    } catch {
+        return null;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+
+    for (const key of QR_UTM_PARAMS) {
+        const value = resolveTextTokens(layer[key], tokenContext);
+        if (value) url.searchParams.set(key, value);
+    }
+    return url.toString();
+}
+
+/**
+ * Render a QR code about `size` px square, quiet zone included.
+ * Every module covers the same whole number of pixels so scanners see clean edges,
+ * which can leave the code slightly smaller than asked.
+ * @param {Object} options - color of the modules, background (null for transparent), errorCorrection level
+ * @returns {Promise<Buffer>} PNG with transparency
+ */
+export async function renderQrCode(text, size, { color, background, errorCorrection }) {
+    const { modules } = QRCode.create(text, {
+        errorCorrectionLevel: errorCorrection || WATERMARK_DEFAULTS.QR_ERROR_CORRECTION
+    });
+
+    // One byte per module: opaque where the module is dark
+    const quiet = WATERMARK_DEFAULTS.QR_QUIET_ZONE;
+    const side = modules.size + quiet * 2;
+    const mask = Buffer.alloc(side * side);
+    for (let y = 0; y < modules.size; y++) {
+        for (let x = 0; x < modules.size; x++) {
+            if (modules.get(y, x)) mask[(y + quiet) * side + x + quiet] = 255;
+        }
+    }
+
+    const px = side * Math.max(1, Math.floor(size / side));
+    const alpha = await sharp(mask, { raw: { width: side, height: side, channels: 1 } })
+        .resize(px, px, { kernel: 'nearest' })
+        .extractChannel(0)
+        .raw()
+        .toBuffer();
+
+    const code = await sharp({ create: { width: px, height: px, channels: 3, background: color || WATERMARK_DEFAULTS.QR_COLOR } })
+        .joinChannel(alpha, { raw: { width: px, height: px, channels: 1 } })
+        .png()
+        .toBuffer();
+
+    if (!background) return code;
+    return sharp(code).flatten({ background }).ensureAlpha().png().toBuffer();
+}
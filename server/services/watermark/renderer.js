@@ -0,0 +1,153 @@
+import sharp from 'sharp';
+import { IMAGE_LIMITS, SMALL_IMAGE_POLICIES, ERROR_CODES } from '../../constants/watermark.js';
+import { getActiveLayers } from './layers.js';
+import { buildCompositeLayers } from './layerComposer.js';
+import { resolveOutputFormat, encodeImage } from './outputEncoder.js';
+import { orientMetadata, getRightsMetadata, getSourceFormat } from './imageMetadata.js';
+import { isAnimated, repeatForEveryFrame } from './animation.js';
+import { generateForensicId, embedForensicMark } from './forensicMark.js';
+import { planSmallImage } from './smallImages.js';
+
+/**
+ * Validate image buffer.
+ * For animations, width and height are those of a single frame and pages is the frame count.
+ */
+export async function validateImage(buffer) {
+    try {
+        const metadata = await sharp(buffer).metadata();
+
+        // Check format
+        const format = getSourceFormat(metadata);
+        if (!IMAGE_LIMITS.SUPPORTED_FORMATS.includes(`image/${format}`)) {
+            throw new Error(`Unsupported format: ${format}`);
+        }
+
+        // HEIC needs an HEVC decoder, which not every libvips build includes
+        if (format === 'heic') {
+            await sharp(buffer).resize(16, 16).raw().toBuffer().catch(() => {
+                throw new Error('HEIC images cannot be decoded on this server');
+            });
+        }
+
+        if (isAnimated(metadata) && metadata.pages > IMAGE_LIMITS.MAX_FRAMES) {
+            throw new Error(`Too many frames: ${metadata.pages} (max: ${IMAGE_LIMITS.MAX_FRAMES})`);
+        }
+
+        // Check dimensions (small images are handled by the small-image policy, see planSmallImage)
+        if (metadata.width > IMAGE_LIMITS.MAX_DIMENSION || metadata.height > IMAGE_LIMITS.MAX_DIMENSION) {
+            throw new Error(`Image too large: ${metadata.width}x${metadata.height}px (max: ${IMAGE_LIMITS.MAX_DIMENSION}px)`);
+        }
+
+        return metadata;
+    } catch (error) {
+        console.error('[Renderer] Image validation failed:', error.message);
+        error.errorCode = ERROR_CODES.INVALID_IMAGE;
+        throw error;
+    }
+}
+
+/**
+ * Resample a source to the given width for a preview or an upscale: upright, in sRGB,
+ * and lossless whatever the source format
+ */
+async function resample(source, width) {
+    return sharp(source)
+        .rotate()
+        .withIccProfile('srgb')
+        .resize(width, null, { fit: 'inside' })
+        .png()
+        .toBuffer();
+}
+
+/**
+ * Render every layer onto an image and encode it in the shop's output format.
+ * Jobs, automation rules and previews all render through here, so a preview uses
+ * exactly the math that lands on the product.
+ * @param {Buffer} source - Encoded source image
+ * @param {Object} settings - Watermark settings
+ * @param {Object} options - { layers, assets, tokenContext, metadata, maxWidth }
+ *   layers/assets: active layers and the url -> Buffer logo cache (logos are fetched on demand otherwise);
+ *   metadata: the source's validateImage() result, when the caller already has it;
+ *   maxWidth: render a preview on the source scaled down to this width. Previews show the first
+ *   frame of an animation and skip the byte budget and forensic mark, which only apply at full size.
+ *   Small images are upscaled or keep their watermark small as the small-image policy says; skipping
+ *   them is up to the caller (see planSmallImage), here they render like under the shrink policy.
+ * @returns {Promise<Object>} { buffer, output, metadata, decisions, forensicId } where output is
+ *   { format, mimeType, extension } and metadata is { width, height, format, frames?, output_size }
+ */
+export async function renderWatermark(source, settings, options = {}) {
+    const {
+        layers = getActiveLayers(settings),
+        assets = new Map(),
+        tokenContext = {},
+        metadata = null,
+        maxWidth = null
+    } = options;
+
+    const sourceMetadata = metadata || await validateImage(source);
+    const preview = !!maxWidth;
+    const animated = !preview && isAnimated(sourceMetadata);
+
+    // Width the output has: the source's, or larger when a small image is upscaled first
+    const displayed = orientMetadata(sourceMetadata);
+    const small = planSmallImage(displayed, settings, isAnimated(sourceMetadata));
+    const upscale = small?.policy === SMALL_IMAGE_POLICIES.UPSCALE;
+    const outputWidth = Math.round(displayed.width * (upscale ? small.scale : 1));
+
+    // Layers are laid out on the image as displayed, i.e. after EXIF orientation
+    // (for animations: on a single frame, then repeated on every frame)
+    const resampled = preview || upscale;
+    const base = resampled ? await resample(source, preview ? Math.min(maxWidth, outputWidth) : outputWidth) : source;
+    const layout = resampled ? await sharp(base).metadata() : displayed;
+
+    const decisions = [];
+    const compositeLayers = await buildCompositeLayers(layers, layout, {
+        settings,
+        tokenContext,
+        assets,
+        source: base,
+        decisions,
+        // Pixel size limits are meant for the output, so a preview scales them down with the image
+        pixelRatio: layout.width / outputWidth,
+        minSizes: !small || upscale
+    });
+
+    let composed = sharp(base, { sequentialRead: true, failOnError: false, animated })
+        .rotate()
+        .composite(animated ? await repeatForEveryFrame(compositeLayers, layout.width, layout.height) : compositeLayers);
+
+    // Invisible mark carrying an ID that is recorded on the job item
+    // (not for animations: it is laid out on a single still image)
+    const forensicId = settings.forensic_enabled && !preview && !animated ? generateForensicId() : null;
+    if (forensicId !== null) {
+        composed = await embedForensicMark(composed, forensicId);
+    }
+
+    // Keep the source format or use the one forced in settings
+    const encoded = await encodeImage(composed, resolveOutputFormat(sourceMetadata, settings), {
+        quality: settings.output_quality,
+        maxBytes: preview ? null : settings.output_max_bytes,
+        colorProfile: settings.color_profile,
+        sourceSpace: layout.space,
+        rights: getRightsMetadata(settings, tokenContext),
+        animated
+    });
+
+    return {
+        buffer: encoded.buffer,
+        output: {
+            format: encoded.format,
+            mimeType: encoded.mimeType,
+            extension: encoded.extension
+        },
+        metadata: {
+            width: layout.width,
+            height: layout.height,
+            format: getSourceFormat(sourceMetadata),
+            ...(animated ? { frames: sourceMetadata.pages } : {}),
+            output_size: encoded.buffer.length
+        },
+        decisions,
+        forensicId
+    };
+}
@@ -1,10 +1,15 @@
 import axios from 'axios';
 import { PassThrough } from 'stream';
 import FormData from 'form-data';
+import { STAGED_UPLOADS_CREATE, FILE_CREATE, FILE_DELETE, GET_FILE_URL } from '../../graphql/watermark-queries.js';
+
+const FILE_URL_POLL_ATTEMPTS = 5;
+const FILE_URL_POLL_INTERVAL_MS = 2000;
 
 /**
- * Upload a stream to Shopify Staged Upload URL
+ * Upload an encoded image (Buffer or stream) to Shopify Staged Upload URL
  * Uses axios with a stream to keep memory usage low.
+ * mimeType and filename must match the staged target the file was requested for.
  */
 export async function uploadToShopify(target, stream, mimeType, filename) {
     const startTime = Date.now();
@@ -12,8 +17,12 @@ export async function uploadToShopify(target, stream, mimeType, filename) {
     // In Node.js environment with axios, we can use form-data or just pipe
     // But direct S3/GCS uploads usually require multipart/form-data with specific fields.
     // We'll use a PassThrough to ensure we don't consume the stream before axios starts.
-    const uploadStream = new PassThrough();
-    stream.pipe(uploadStream);
+    // Buffers are appended as-is so form-data can send a Content-Length.
+    let uploadStream = stream;
+    if (!Buffer.isBuffer(stream)) {
+        uploadStream = new PassThrough();
+        stream.pipe(uploadStream);
+    }
 
     try {
         // Shopify's stagedUploads targets usually require multipart/form-data
@@ -97,3 +106,77 @@ export async function uploadToShopify(target, stream, mimeType, filename) {
         throw error;
     }
 }
+
+/**
+ * Create a Shopify file from a staged upload and wait for its public URL.
+ * Shopify processes files asynchronously: a MediaImage's image.url may be null at first.
+ * @param {Object} client - Admin GraphQL client of the shop's session
+ * @param {string} contentType - 'IMAGE' or 'FILE'
+ * @returns {Promise<{ shopifyFileId: string, publicUrl: string }>}
+ */
+export async function createShopifyFile(client, resourceUrl, contentType, alt) {
+    const fileCreateRes = await client.request(FILE_CREATE, {
+        variables: {
+            files: [{ originalSource: resourceUrl, contentType, alt }]
+        }
+    });
+
+    const userErrors = fileCreateRes.data.fileCreate.userErrors;
+    if (userErrors?.length > 0) {
+        throw new Error(`Shopify FileCreate Error: ${userErrors[0].message}`);
+    }
+
+    const fileData = fileCreateRes.data.fileCreate.files[0];
+    const shopifyFileId = fileData.id;
+    let publicUrl = fileData.image?.url || fileData.url;
+
+    if (!publicUrl) {
+        console.log(`[ShopifyUpload] URL not ready for ${shopifyFileId}, polling...`);
+        for (let i = 0; i < FILE_URL_POLL_ATTEMPTS; i++) {
+            await new Promise(resolve => setTimeout(resolve, FILE_URL_POLL_INTERVAL_MS));
+            const pollRes = await client.request(GET_FILE_URL, { variables: { id: shopifyFileId } });
+
+            publicUrl = pollRes.data.node?.image?.url || pollRes.data.node?.url;
+            if (publicUrl) break;
+        }
+    }
+
+    if (!publicUrl) {
+        throw new Error('Shopify confirmed file creation but public URL is still not available after polling.');
+    }
+
+    return { shopifyFileId, publicUrl };
+}
+
+/**
+ * Delete a Shopify file created for an upload that was then rejected.
+ * Failures are only logged: the file is left in the shop's Files but the request still fails as it should.
+ */
+export async function deleteShopifyFile(client, shopifyFileId) {
+    try {
+        const res = await client.request(FILE_DELETE, { variables: { fileIds: [shopifyFileId] } });
+        const userErrors = res.data.fileDelete.userErrors;
+        if (userErrors?.length > 0) {
+            throw new Error(userErrors[0].message);
+        }
+        console.log(`[ShopifyUpload] Deleted rejected file ${shopifyFileId}`);
+    } catch (error) {
+        console.warn(`[ShopifyUpload] Could not delete rejected file ${shopifyFileId}:`, error.message);
+    }
+}
+
+/**
+ * Upload an image generated on the server (e.g. a derived logo variant) as a Shopify file
+ * @returns {Promise<{ shopifyFileId: string, publicUrl: string }>}
+ */
+export async function uploadImageFile(client, buffer, filename, mimeType) {
+    const stagedRes = await client.request(STAGED_UPLOADS_CREATE, {
+        variables: {
+            input: [{ filename, mimeType, resource: 'IMAGE', httpMethod: 'POST' }]
+        }
+    });
+
+    const target = stagedRes.data.stagedUploadsCreate.stagedTargets[0];
+    await uploadToShopify(target, buffer, mimeType, filename);
+    return createShopifyFile(client, target.resourceUrl, 'IMAGE', filename);
+}
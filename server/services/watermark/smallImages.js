@@ -0,0 +1,57 @@
+import {
+    IMAGE_LIMITS,
+    SMALL_IMAGE_POLICIES,
+    WATERMARK_DEFAULTS
+} from '../../constants/watermark.js';
+
+/**
+ * How an image is handled under the shop's small-image policy.
+ * Images below IMAGE_LIMITS.MIN_DIMENSION always count as small; only upscaling rescues them.
+ * Animations are never upscaled: their frames would have to be re-encoded one by one.
+ * @param {Object} metadata - Displayed size of the image ({ width, height })
+ * @returns {Object|null} null when the image isn't small, otherwise
+ *   { policy, scale, reason } where scale is the upscale factor (1 unless upscaling)
+ */
+export function planSmallImage(metadata, settings = {}, animated = false) {
+    const threshold = Math.max(
+        Number(settings.small_image_min_px ?? WATERMARK_DEFAULTS.SMALL_IMAGE_MIN_PX) || 0,
+        IMAGE_LIMITS.MIN_DIMENSION
+    );
+    const shorter = Math.min(metadata.width, metadata.height);
+    if (shorter >= threshold) return null;
+
+    let policy = settings.small_image_policy || WATERMARK_DEFAULTS.SMALL_IMAGE_POLICY;
+    if (policy === SMALL_IMAGE_POLICIES.UPSCALE && animated) {
+        policy = SMALL_IMAGE_POLICIES.SHRINK;
+    }
+    if (policy === SMALL_IMAGE_POLICIES.SHRINK && shorter < IMAGE_LIMITS.MIN_DIMENSION) {
+        policy = SMALL_IMAGE_POLICIES.SKIP;
+    }
+
+    return {
+        policy,
+        scale: policy === SMALL_IMAGE_POLICIES.UPSCALE ? threshold / shorter : 1,
+        reason: `Image too small: ${metadata.width}x${metadata.height}px (shorter side under ${threshold}px)`
+    };
+}
+
+/**
+ * Validate the small-image settings of a settings payload
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateSmallImageSettings(settings = {}) {
+    const { small_image_policy, small_image_min_px } = settings;
+
+    if (small_image_policy !== undefined && !Object.values(SMALL_IMAGE_POLICIES).includes(small_image_policy)) {
+        return `Invalid small image policy: ${small_image_policy}`;
+    }
+
+    if (small_image_min_px !== undefined && small_image_min_px !== null) {
+        const threshold = Number(small_image_min_px);
+        if (!Number.isInteger(threshold) || threshold < IMAGE_LIMITS.MIN_DIMENSION || threshold > IMAGE_LIMITS.MAX_SMALL_IMAGE_THRESHOLD) {
+            return `Small image threshold must be between ${IMAGE_LIMITS.MIN_DIMENSION} and ${IMAGE_LIMITS.MAX_SMALL_IMAGE_THRESHOLD}px`;
+        }
+    }
+
+    return null;
+}
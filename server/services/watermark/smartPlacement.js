@@ -0,0 +1,50 @@
+import sharp from 'sharp';
+import { AUTO_POSITION_CANDIDATES, getPositionCoordinates } from '../../constants/watermark.js';
+import { regionMean } from './adaptiveContrast.js';
+
+// Long side of the greyscale grid used to measure detail
+const GRID_SIZE = 128;
+
+/**
+ * Downsample an image to a grid of edge strengths (0 = flat, 1 = hard black/white edge).
+ * Busy areas such as the product itself score high; plain backgrounds score near zero.
+ */
+export async function createDetailMap(input) {
+    const { data, info } = await sharp(input)
+        .rotate()
+        .resize(GRID_SIZE, GRID_SIZE, { fit: 'inside' })
+        .removeAlpha()
+        .greyscale()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const { width, height } = info;
+    const at = (x, y) => data[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+
+    const values = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const gx = at(x + 1, y) - at(x - 1, y);
+            const gy = at(x, y + 1) - at(x, y - 1);
+            values[y * width + x] = (Math.abs(gx) + Math.abs(gy)) / 510;
+        }
+    }
+    return { width, height, values };
+}
+
+/**
+ * Score every candidate anchor for a mark of the given size and return the calmest one
+ * @returns {{ position: string, score: number }}
+ */
+export function pickCalmestPosition(detailMap, image, markWidth, markHeight, margin) {
+    let best = null;
+    for (const position of AUTO_POSITION_CANDIDATES) {
+        const { x, y } = getPositionCoordinates(position, image.width, image.height, markWidth, markHeight, margin);
+        const score = regionMean(detailMap, { left: x, top: y, width: markWidth, height: markHeight }, image.width, image.height);
+
+        if (!best || score < best.score) {
+            best = { position, score };
+        }
+    }
+    return best;
+}
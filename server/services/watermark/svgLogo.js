@@ -0,0 +1,145 @@
+import path from 'path';
+import sharp from 'sharp';
+import { LOGO_LIMITS } from '../../constants/watermark.js';
+
+// Elements dropped with everything inside them: scripting, embedded documents and animation
+// (which can rewrite attributes, e.g. set an href to javascript: after sanitizing)
+const BLOCKED_ELEMENTS = new Set([
+    'script', 'foreignobject', 'iframe', 'embed', 'object', 'audio', 'video', 'canvas',
+    'animate', 'animatemotion', 'animatetransform', 'animatecolor', 'set', 'handler', 'listener'
+]);
+
+// Images embedded in the SVG itself are allowed; anything fetched from elsewhere is not
+const SAFE_DATA_URI = /^data:image\/(png|jpe?g|gif|webp);base64,/i;
+
+const TOKEN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<!DOCTYPE(?:[^>[]|\[[\s\S]*?\])*>|<\?[\s\S]*?\?>|<\/?[A-Za-z][^\s/>]*(?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*\s*\/?>/gi;
+const TAG = /^<(\/?)([A-Za-z][^\s/>]*)([\s\S]*?)(\/?)>$/;
+const ATTRIBUTE = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+export function isSupportedLogoFile(filename) {
+    const ext = path.extname(filename || '').toLowerCase();
+    return LOGO_LIMITS.SUPPORTED_EXTENSIONS.includes(ext);
+}
+
+export function isSvgFile(filename, mimeType) {
+    return mimeType === 'image/svg+xml' || path.extname(filename || '').toLowerCase() === '.svg';
+}
+
+/**
+ * Whether a downloaded logo is an SVG document rather than a bitmap
+ */
+export function looksLikeSvg(buffer) {
+    const head = buffer.subarray(0, 4096).toString('utf8').replace(/^\uFEFF/, '');
+    return /^\s*(<\?xml[\s\S]*?\?>\s*)?(<!--[\s\S]*?-->\s*|<!DOCTYPE(?:[^>[]|\[[\s\S]*?\])*>\s*)*<svg[\s/>]/i.test(head);
+}
+
+function localName(name) {
+    return name.split(':').pop().toLowerCase();
+}
+
+// url(...) references other than same-document fragments (#id)
+function hasExternalUrl(value) {
+    return /url\s*\(\s*(?!['"]?\s*#)/i.test(value);
+}
+
+function sanitizeCss(css) {
+    return css
+        .replace(/@import[^;]*;?/gi, '')
+        .replace(/url\s*\(\s*(?!['"]?\s*#)[^)]*\)/gi, 'none')
+        .replace(/expression\s*\(/gi, '');
+}
+
+function sanitizeAttributes(source) {
+    const kept = [];
+    for (const [, rawName, doubleQuoted, singleQuoted, unquoted] of source.matchAll(ATTRIBUTE)) {
+        const value = doubleQuoted ?? singleQuoted ?? unquoted;
+        const name = localName(rawName);
+        // Attributes without a value aren't XML; event handlers run script
+        if (value === undefined || name.startsWith('on')) continue;
+
+        if (name === 'href' || name === 'src') {
+            const target = value.trim();
+            if (!target.startsWith('#') && !SAFE_DATA_URI.test(target)) continue;
+        } else if (name === 'style') {
+            kept.push(`${rawName}="${sanitizeCss(value).replace(/"/g, '&quot;')}"`);
+            continue;
+        } else if (hasExternalUrl(value)) {
+            continue;
+        }
+        kept.push(`${rawName}="${value.replace(/"/g, '&quot;')}"`);
+    }
+    return kept.length ? ` ${kept.join(' ')}` : '';
+}
+
+/**
+ * Strip everything from an SVG logo that could run script or load other resources:
+ * script and embedded-document elements, animation, event handlers, external links and
+ * CSS imports/urls, DOCTYPEs (entity expansion) and processing instructions.
+ * Only same-document references (#id) and embedded base64 images are kept.
+ * @returns {Buffer} The sanitized SVG
+ * @throws {Error} When the buffer is not an SVG document
+ */
+export function sanitizeSvg(buffer) {
+    if (!looksLikeSvg(buffer)) {
+        throw new Error('Not an SVG document');
+    }
+
+    const source = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    let output = '';
+    let skipDepth = 0; // > 0 while inside a blocked element
+    let inStyle = false;
+    let last = 0;
+
+    for (const match of source.matchAll(TOKEN)) {
+        const text = source.slice(last, match.index);
+        last = match.index + match[0].length;
+        if (!skipDepth) output += inStyle ? sanitizeCss(text) : text;
+
+        const token = match[0];
+        if (token.startsWith('<!--') || token.startsWith('<?') || /^<!DOCTYPE/i.test(token)) continue;
+        if (token.startsWith('<![CDATA[')) {
+            if (!skipDepth) output += inStyle ? sanitizeCss(token) : token;
+            continue;
+        }
+
+        const [, closing, rawName, attributes, selfClosing] = token.match(TAG);
+        const name = localName(rawName);
+
+        if (skipDepth) {
+            if (BLOCKED_ELEMENTS.has(name) && !selfClosing) skipDepth += closing ? -1 : 1;
+            continue;
+        }
+        if (BLOCKED_ELEMENTS.has(name)) {
+            if (!closing && !selfClosing) skipDepth = 1;
+            continue;
+        }
+
+        if (name === 'style') inStyle = !closing && !selfClosing;
+        output += closing ? `</${rawName}>` : `<${rawName}${sanitizeAttributes(attributes)}${selfClosing ? '/' : ''}>`;
+    }
+    if (!skipDepth) output += source.slice(last);
+
+    return Buffer.from(output, 'utf8');
+}
+
+/**
+ * Size of an SVG logo once sanitized, as rendered at the default density
+ * @throws {Error} When it isn't an SVG or can't be rendered
+ */
+export async function readSvgSize(buffer) {
+    const { width, height } = await sharp(sanitizeSvg(buffer)).metadata();
+    if (!width || !height) {
+        throw new Error('SVG has no width or height');
+    }
+    return { width, height };
+}
+
+/**
+ * Density (DPI) that rasterizes an SVG straight to the given width.
+ * sharp renders SVGs at 72 DPI by default, where their declared width is measured.
+ * @param {number} declaredWidth - Width sharp reports for the SVG at the default density
+ */
+export function getSvgDensity(declaredWidth, targetWidth) {
+    const density = 72 * targetWidth / Math.max(1, declaredWidth);
+    return Math.min(LOGO_LIMITS.SVG_MAX_DENSITY, Math.max(1, density));
+}
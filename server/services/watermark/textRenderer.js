@@ -0,0 +1,137 @@
+import sharp from 'sharp';
+import { WATERMARK_DEFAULTS, TEXT_ALIGN, FONT_WEIGHTS, FONT_STYLES, FONT_GENERIC_FAMILIES } from '../../constants/watermark.js';
+import { resolveFontFamily } from './fontLoader.js';
+
+// Pango measurements are deterministic per font/size/text, so cache them across images
+const MEASURE_CACHE_LIMIT = 500;
+const measureCache = new Map();
+
+/**
+ * Escape text for use inside SVG / Pango markup
+ */
+export function escapeXml(text) {
+    return String(text).replace(/[<>&'"]/g, c => ({
+        '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+    }[c]));
+}
+
+/**
+ * Build the family list for a font: the font itself plus a generic fallback
+ */
+function getFontFamilies(font) {
+    return [font, FONT_GENERIC_FAMILIES[font] || 'sans-serif'];
+}
+
+/**
+ * Value for an SVG font-family attribute: the font plus its generic fallback
+ */
+export function svgFontFamily(font) {
+    return escapeXml(getFontFamilies(font).map(f => `'${f.replace(/'/g, '')}'`).join(', '));
+}
+
+/**
+ * Measure the ink width of a single line using Pango glyph metrics.
+ * librsvg lays out SVG text with the same Pango/fontconfig stack, so the
+ * measured width matches what ends up in the rendered watermark.
+ */
+export async function measureTextLine(text, font, size, letterSpacing = 0, weight = FONT_WEIGHTS.BOLD, style = FONT_STYLES.NORMAL) {
+    if (!text || !text.trim()) return 0;
+
+    const key = `${font}|${weight}|${style}|${size}|${letterSpacing}|${text}`;
+    if (measureCache.has(key)) return measureCache.get(key);
+
+    // Pango letter_spacing is in 1/1024 pt; sharp renders text at 72 DPI so 1pt == 1px
+    const escaped = escapeXml(text);
+    const markup = letterSpacing
+        ? `<span letter_spacing="${Math.round(letterSpacing * 1024)}">${escaped}</span>`
+        : escaped;
+
+    // Pango font description, e.g. "Lobster, sans-serif, Bold Italic 48px"
+    const variant = [
+        weight === FONT_WEIGHTS.BOLD ? 'Bold' : '',
+        style === FONT_STYLES.ITALIC ? 'Italic' : ''
+    ].filter(Boolean).join(' ');
+    const description = `${getFontFamilies(font).join(', ')},${variant ? ` ${variant}` : ''} ${size}px`;
+
+    let width;
+    try {
+        const { info } = await sharp({
+            text: { text: markup, font: description, rgba: true }
+        }).toBuffer({ resolveWithObject: true });
+        width = info.width;
+    } catch (error) {
+        // Fall back to a generous estimate rather than failing the whole render
+        console.warn(`[TextRenderer] Measurement failed for "${text}": ${error.message}`);
+        width = Math.ceil(text.length * (size * 0.65 + letterSpacing));
+    }
+
+    if (measureCache.size >= MEASURE_CACHE_LIMIT) {
+        measureCache.delete(measureCache.keys().next().value);
+    }
+    measureCache.set(key, width);
+
+    return width;
+}
+
+/**
+ * Generate an SVG for a (multi-line) text layer.
+ * The canvas is sized from measured glyph widths and, when rotated, to the exact
+ * bounding box of the rotated block so anchored positions stay on their margin.
+ * @param {Object} layer - Text layer (font, color, outline, align, line_height, ...)
+ * @returns {Promise<{ svg: Buffer, width: number, height: number }>}
+ */
+export async function generateTextSVG(text, layer, size, resFactor = 1) {
+    const font = await resolveFontFamily(layer, WATERMARK_DEFAULTS.TEXT_FONT);
+    const weight = layer.font_weight || WATERMARK_DEFAULTS.TEXT_FONT_WEIGHT;
+    const style = layer.font_style || WATERMARK_DEFAULTS.TEXT_FONT_STYLE;
+    const color = layer.color || WATERMARK_DEFAULTS.TEXT_COLOR;
+    const outlineColor = layer.outline_color || WATERMARK_DEFAULTS.TEXT_OUTLINE_COLOR;
+    const outline = layer.outline ?? WATERMARK_DEFAULTS.TEXT_OUTLINE;
+    const align = layer.align || WATERMARK_DEFAULTS.TEXT_ALIGN;
+    const lineHeight = Number(layer.line_height || WATERMARK_DEFAULTS.TEXT_LINE_HEIGHT);
+    const letterSpacing = Math.round(Number(layer.letter_spacing || 0) * resFactor);
+    const rotation = Number(layer.rotation || 0);
+
+    const lines = String(text).split(/\r?\n/);
+    const widths = await Promise.all(lines.map(line => measureTextLine(line, font, size, letterSpacing, weight, style)));
+
+    // Outline stroke is scaled by resFactor; padding keeps strokes and side bearings off the edge
+    const strokeWidth = outline ? Math.max(2, Math.floor(4 * resFactor)) : 0;
+    const padding = Math.ceil(strokeWidth + size * 0.1);
+    const lineHeightPx = size * lineHeight;
+
+    const blockWidth = Math.ceil(Math.max(...widths, 1) + padding * 2);
+    const blockHeight = Math.ceil(lines.length * lineHeightPx + padding * 2);
+
+    const radians = rotation * Math.PI / 180;
+    const cos = Math.abs(Math.cos(radians));
+    const sin = Math.abs(Math.sin(radians));
+    const canvasWidth = Math.ceil(blockWidth * cos + blockHeight * sin);
+    const canvasHeight = Math.ceil(blockWidth * sin + blockHeight * cos);
+
+    let anchor = 'middle';
+    let x = blockWidth / 2;
+    if (align === TEXT_ALIGN.LEFT) {
+        anchor = 'start';
+        x = padding;
+    } else if (align === TEXT_ALIGN.RIGHT) {
+        anchor = 'end';
+        x = blockWidth - padding;
+    }
+
+    const attrs = `font-family="${svgFontFamily(font)}" font-size="${size}" font-weight="${weight}" font-style="${style}" text-anchor="${anchor}" dominant-baseline="central"${letterSpacing ? ` letter-spacing="${letterSpacing}"` : ''}`;
+    const lineElements = (paint) => lines.map((line, i) => {
+        const y = (padding + (i + 0.5) * lineHeightPx).toFixed(2);
+        return `<text x="${x}" y="${y}" ${attrs} ${paint}>${escapeXml(line)}</text>`;
+    }).join('');
+
+    let svg = `<svg width="${canvasWidth}" height="${canvasHeight}" viewBox="0 0 ${canvasWidth} ${canvasHeight}" xmlns="http://www.w3.org/2000/svg">`;
+    svg += `<g transform="translate(${canvasWidth / 2}, ${canvasHeight / 2}) rotate(${rotation}) translate(${-blockWidth / 2}, ${-blockHeight / 2})">`;
+    if (outline) {
+        svg += lineElements(`fill="none" stroke="${escapeXml(outlineColor)}" stroke-width="${strokeWidth}" stroke-linejoin="round"`);
+    }
+    svg += lineElements(`fill="${escapeXml(color)}"`);
+    svg += `</g></svg>`;
+
+    return { svg: Buffer.from(svg), width: canvasWidth, height: canvasHeight };
+}
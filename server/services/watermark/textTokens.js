@@ -0,0 +1,93 @@
+import { TEXT_TOKENS } from '../../constants/watermark.js';
+
+// Matches {{product.title}}, {{ shop.name }}, {{date}} ...
+const TOKEN_PATTERN = /\{\{\s*([a-z_]+(?:\.[a-z_]+)*)\s*\}\}/gi;
+
+/**
+ * Sample values used when rendering previews outside of a product context
+ */
+export const PREVIEW_TOKEN_CONTEXT = {
+    product: {
+        title: 'Sample Product',
+        vendor: 'Sample Vendor',
+        type: 'Sample Type',
+        handle: 'sample-product',
+        url: 'https://sample-store.com/products/sample-product',
+        id: '1234567890'
+    },
+    variant: {
+        sku: 'SKU-0001',
+        title: 'Default Title'
+    },
+    shop: {
+        name: 'Sample Store',
+        url: 'https://sample-store.com'
+    }
+};
+
+/**
+ * Check whether a text template contains any dynamic tokens
+ */
+export function hasTextTokens(text) {
+    if (!text) return false;
+    TOKEN_PATTERN.lastIndex = 0;
+    return TOKEN_PATTERN.test(text);
+}
+
+/**
+ * Build a token context from a product node returned by GET_PRODUCT_MEDIA
+ * The variant is the one attached to the image, falling back to the first variant.
+ * Unpublished products have no onlineStoreUrl, so their URL is built from the shop's domain.
+ */
+export function buildTokenContext(productNode, imageId = null, shopInfo = null) {
+    const variants = productNode?.variants?.edges?.map(e => e.node) || [];
+    const variant = variants.find(v => imageId && v.image?.id === imageId) || variants[0] || null;
+
+    const shopUrl = shopInfo?.primaryDomain?.url
+        || (shopInfo?.myshopifyDomain ? `https://${shopInfo.myshopifyDomain}` : null);
+    const productUrl = productNode?.onlineStoreUrl
+        || (shopUrl && productNode?.handle ? `${shopUrl}/products/${productNode.handle}` : null);
+
+    return {
+        product: {
+            title: productNode?.title,
+            vendor: productNode?.vendor,
+            type: productNode?.productType,
+            handle: productNode?.handle,
+            url: productUrl,
+            id: productNode?.id?.split('/').pop()
+        },
+        variant: {
+            sku: variant?.sku,
+            title: variant?.title
+        },
+        shop: {
+            name: shopInfo?.name,
+            url: shopUrl
+        }
+    };
+}
+
+/**
+ * Replace known tokens in a text template with values from the context.
+ * Known tokens without a value resolve to an empty string; unknown tokens are left as-is
+ * so a typo stays visible in the preview instead of silently disappearing.
+ */
+export function resolveTextTokens(text, context = {}, now = new Date()) {
+    if (!text) return text;
+
+    const resolved = text.replace(TOKEN_PATTERN, (match, path) => {
+        const key = path.toLowerCase();
+        if (!TEXT_TOKENS.includes(key)) return match;
+
+        // Both in UTC, so the year always agrees with the date
+        if (key === 'date') return now.toISOString().slice(0, 10);
+        if (key === 'year') return String(now.getUTCFullYear());
+
+        const value = key.split('.').reduce((obj, part) => obj?.[part], context);
+        return value === null || value === undefined ? '' : String(value);
+    });
+
+    // Empty tokens shouldn't leave double spaces behind
+    return resolved.replace(/[ \t]{2,}/g, ' ').trim();
+}
@@ -0,0 +1,86 @@
+import sharp from 'sharp';
+import { WATERMARK_DEFAULTS, TILE_PATTERNS } from '../../constants/watermark.js';
+
+const TRANSPARENT = { r: 0, g: 0, b: 0, alpha: 0 };
+
+/**
+ * Resolve tile options from settings, scaled to the target image resolution
+ */
+export function getTileOptions(settings, resFactor = 1) {
+    return {
+        pattern: settings.tile_pattern || WATERMARK_DEFAULTS.TILE_PATTERN,
+        spacing: Math.floor((settings.tile_spacing ?? WATERMARK_DEFAULTS.TILE_SPACING) * resFactor),
+        stagger: settings.tile_stagger ?? WATERMARK_DEFAULTS.TILE_STAGGER,
+        angle: Number(settings.tile_angle ?? WATERMARK_DEFAULTS.TILE_ANGLE)
+    };
+}
+
+/**
+ * Build a full-size overlay that repeats a watermark across the whole image.
+ * Grid patterns are tiled directly; diagonal patterns are tiled on a larger
+ * canvas, rotated by the pattern angle and cropped back to the image size.
+ * @returns {Promise<Buffer>} PNG buffer with the same dimensions as the image
+ */
+export async function buildTiledOverlay(markBuffer, imageWidth, imageHeight, options = {}) {
+    const markMeta = await sharp(markBuffer).metadata();
+    // Wider gaps than the image leave a single mark anyway; capping them keeps the repeat unit small
+    const spacing = Math.min(Math.max(0, options.spacing || 0), Math.max(imageWidth, imageHeight));
+    const angle = options.pattern === TILE_PATTERNS.DIAGONAL ? (options.angle || 0) % 360 : 0;
+
+    const cellWidth = markMeta.width + spacing;
+    const cellHeight = markMeta.height + spacing;
+
+    // One repeat unit: a single mark, or two rows with the second shifted by half a cell
+    const unitLayers = [{ input: markBuffer, left: 0, top: 0 }];
+    if (options.stagger) {
+        const shift = Math.floor(cellWidth / 2);
+        unitLayers.push(
+            { input: markBuffer, left: shift, top: cellHeight },
+            { input: markBuffer, left: shift - cellWidth, top: cellHeight }
+        );
+    }
+
+    const unitWidth = cellWidth;
+    const unitHeight = options.stagger ? cellHeight * 2 : cellHeight;
+    const unit = await sharp({
+        create: { width: unitWidth, height: unitHeight, channels: 4, background: TRANSPARENT }
+    })
+        .composite(unitLayers)
+        .png()
+        .toBuffer();
+
+    // A rotated pattern needs a canvas that still covers the image corners after rotation
+    const canvasWidth = angle ? Math.ceil(Math.hypot(imageWidth, imageHeight)) : imageWidth;
+    const canvasHeight = angle ? canvasWidth : imageHeight;
+
+    // sharp can only tile overlays that fit inside the base; larger marks are centred once
+    const fits = unitWidth <= canvasWidth && unitHeight <= canvasHeight;
+    const patternLayer = fits
+        ? { input: unit, tile: true, gravity: 'centre' }
+        : { input: markBuffer, gravity: 'centre' };
+
+    const patternBuffer = await sharp({
+        create: { width: canvasWidth, height: canvasHeight, channels: 4, background: TRANSPARENT }
+    })
+        .composite([patternLayer])
+        .png()
+        .toBuffer();
+
+    if (!angle) {
+        return patternBuffer;
+    }
+
+    const rotated = await sharp(patternBuffer)
+        .rotate(angle, { background: TRANSPARENT })
+        .toBuffer({ resolveWithObject: true });
+
+    return sharp(rotated.data)
+        .extract({
+            left: Math.floor((rotated.info.width - imageWidth) / 2),
+            top: Math.floor((rotated.info.height - imageHeight) / 2),
+            width: imageWidth,
+            height: imageHeight
+        })
+        .png()
+        .toBuffer();
+}
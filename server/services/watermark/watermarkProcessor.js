@@ -1,33 +1,42 @@
-import sharp from 'sharp';
 import axios from 'axios';
-import { PassThrough } from 'stream';
-import { getPositionCoordinates, shouldUseMobileProfile } from '../../constants/watermark.js';
+import { IMAGE_LIMITS, SMALL_IMAGE_POLICIES, SKIP_CODES } from '../../constants/watermark.js';
+import { getActiveLayers } from './layers.js';
+import { preloadLayerAssets } from './layerComposer.js';
+import { orientMetadata, getSourceFormat } from './imageMetadata.js';
+import { computePerceptualHash } from './perceptualHash.js';
+import { extractForensicMark } from './forensicMark.js';
+import { isAnimated } from './animation.js';
+import { validateImage, renderWatermark } from './renderer.js';
+import { planSmallImage } from './smallImages.js';
 
 /**
  * Senior Watermark Processor
- * Optimized for memory and speed using Sharp's streaming capabilities.
+ * Downloads a product image, skips it when it already is one of our outputs,
+ * and renders it through the shared renderer in a single Sharp pass.
  */
 export class WatermarkProcessor {
     constructor(settings) {
         this.settings = settings;
-        this.logoBuffer = null;
+        this.layers = getActiveLayers(settings);
+        this.assets = new Map();
     }
 
     async init() {
-        if (this.settings.logo_url && !this.logoBuffer) {
-            const start = process.hrtime();
-            const res = await axios.get(this.settings.logo_url, { responseType: 'arraybuffer' });
-            this.logoBuffer = Buffer.from(res.data);
-            const end = process.hrtime(start);
-            console.log(`[Processor] Logo preloaded in ${(end[0] * 1000 + end[1] / 1000000).toFixed(2)}ms`);
-        }
+        // Logos and custom fonts are fetched once per job; a broken asset fails the job early
+        const start = process.hrtime();
+        await preloadLayerAssets(this.layers, this.assets);
+        const end = process.hrtime(start);
+        console.log(`[Processor] ${this.layers.length} layers ready, assets preloaded in ${(end[0] * 1000 + end[1] / 1000000).toFixed(2)}ms`);
     }
 
     /**
-     * Processes a single image via streams
-     * @returns {Object} { stream, stats }
+     * Downloads an image and runs the checks that decide whether it is watermarked, without rendering it
+     * @param {string} imageUrl - Source image URL
+     * @param {Object} options - { watermarkedHashes }: hash index of the shop's earlier outputs (see createHashIndex)
+     * @returns {Object} { source, probe, small, hash, metadata, timings }, plus { skipped: true, code, reason }
+     *   when the source already is one of our outputs or the small-image policy skips it (code is a SKIP_CODES value)
      */
-    async process(imageUrl) {
+    async inspect(imageUrl, { watermarkedHashes = null } = {}) {
         const timings = {
             total_start: process.hrtime(),
             download_ms: 0,
@@ -36,176 +45,120 @@ export class WatermarkProcessor {
             total_ms: 0
         };
 
-        // 1. Download as Stream
+        // 1. Download (buffered: the source is hashed, and adaptive/auto layers sample it)
         const downloadStart = process.hrtime();
         const response = await axios({
             url: imageUrl,
             method: 'GET',
-            responseType: 'stream',
-            timeout: 30000
+            responseType: 'arraybuffer',
+            timeout: 30000,
+            maxContentLength: IMAGE_LIMITS.MAX_FILE_SIZE
         });
+        const source = Buffer.from(response.data);
         const downloadEnd = process.hrtime(downloadStart);
         timings.download_ms = (downloadEnd[0] * 1000 + downloadEnd[1] / 1000000).toFixed(2);
 
-        const inputSize = parseInt(response.headers['content-length'] || 0);
+        // 2. Metadata, small-image and duplicate checks
+        timings.sharp_start = process.hrtime();
+
+        // Dimensions as displayed, i.e. after EXIF orientation (for animations: of a single frame)
+        const probe = await validateImage(source);
+        const displayed = orientMetadata(probe);
+        const animated = isAnimated(probe);
+        console.log(`[Processor] Detected ${probe.format} (${displayed.width}x${displayed.height}${animated ? `, ${probe.pages} frames` : ''}) for ${imageUrl.split('?')[0].split('/').pop()}`);
+
+        const metadata = {
+            width: displayed.width,
+            height: displayed.height,
+            format: getSourceFormat(probe),
+            input_size: source.length,
+            ...(animated ? { frames: probe.pages } : {})
+        };
 
-        // 2. Fetch Metadata via Range Request (Fast & Stream-safe)
-        const sharpStart = process.hrtime();
+        const hash = await computePerceptualHash(source);
+        const small = planSmallImage(displayed, this.settings, animated);
+        const inspected = { source, probe, small, hash, metadata, timings };
 
-        // We fetch the first 128KB which contains metadata for almost all images (JPEG/PNG/WebP)
-        const headResponse = await axios({
-            url: imageUrl,
-            method: 'GET',
-            headers: { 'Range': 'bytes=0-131071' },
-            responseType: 'arraybuffer',
-            timeout: 10000
-        }).catch(err => {
-            console.warn(`[Processor] Range request failed, falling back to full metadata probe: ${err.message}`);
-            return axios.get(imageUrl, { responseType: 'arraybuffer' }); // Fallback to full download if Range fails
-        });
+        const skip = (code, reason) => {
+            const sharpEnd = process.hrtime(timings.sharp_start);
+            timings.sharp_ms = (sharpEnd[0] * 1000 + sharpEnd[1] / 1000000).toFixed(2);
+            return { ...inspected, skipped: true, code, reason };
+        };
 
-        const probeResult = await sharp(Buffer.from(headResponse.data)).metadata();
-        console.log(`[Processor] Detected ${probeResult.format} (${probeResult.width}x${probeResult.height}) for ${imageUrl.split('?')[0].split('/').pop()}`);
-        const compositeLayers = await this._prepareLayers(probeResult);
-        console.log(`[Processor] Applying ${compositeLayers.length} watermark layers`);
+        if (small?.policy === SMALL_IMAGE_POLICIES.SKIP) {
+            return skip(SKIP_CODES.TOO_SMALL, small.reason);
+        }
 
-        // Configure output format to match input (or default to JPEG)
-        const format = probeResult.format || 'jpeg';
+        // An image we produced earlier would get a second watermark on top of the first.
+        // When that output was marked, the mark must be there too: a hash alone can't tell a lightly
+        // watermarked image from a re-encoded copy of its source
+        const match = watermarkedHashes?.find(hash);
+        if (match && (match.forensicId === null || (await extractForensicMark(source)).id === match.forensicId)) {
+            return skip(SKIP_CODES.ALREADY_WATERMARKED, `Already watermarked: matches an earlier output (${match.distance} of 256 bits differ)`);
+        }
 
-        // 3. Setup Processing Pipeline
-        const pipeline = sharp({ sequentialRead: true, failOnError: false });
+        return inspected;
+    }
 
-        // Pipe the original stream directly into the processor
-        const processedStream = response.data.pipe(pipeline.composite(compositeLayers));
+    /**
+     * Render a scaled-down preview of an inspected image, as it would look after the job
+     * @param {Object} inspected - Result of inspect()
+     * @returns {Promise<Object>} renderWatermark() result
+     */
+    async preview(inspected, tokenContext = {}, maxWidth = 800) {
+        return renderWatermark(inspected.source, this.settings, {
+            layers: this.layers,
+            assets: this.assets,
+            tokenContext,
+            metadata: inspected.probe,
+            maxWidth
+        });
+    }
 
-        if (format === 'png') {
-            processedStream.png({ compressionLevel: 9 });
-        } else if (format === 'webp') {
-            processedStream.webp({ quality: 85 });
-        } else {
-            processedStream.jpeg({ quality: 90, progressive: true, mozjpeg: true });
+    /**
+     * Processes a single image
+     * @param {string} imageUrl - Source image URL
+     * @param {Object} tokenContext - Per-product values for dynamic text tokens
+     * @param {Object} options - { watermarkedHashes }: hash index of the shop's earlier outputs (see createHashIndex)
+     * @returns {Object} { buffer, output, hash, sourceHash, metadata, timings, decisions, forensicId } where output is { format, mimeType, extension },
+     *   or { skipped: true, code, reason, hash, metadata, timings } when the source already is one of our outputs
+     *   or the small-image policy skips it
+     */
+    async process(imageUrl, tokenContext = {}, { watermarkedHashes = null } = {}) {
+        const inspected = await this.inspect(imageUrl, { watermarkedHashes });
+        const { source, probe, small, metadata, timings } = inspected;
+        if (inspected.skipped) {
+            const { code, reason, hash } = inspected;
+            return { skipped: true, code, reason, hash, metadata, timings };
         }
 
-        const sharpEnd = process.hrtime(sharpStart);
+        // 3. Render through the shared renderer (the same path as previews)
+        const rendered = await renderWatermark(source, this.settings, {
+            layers: this.layers,
+            assets: this.assets,
+            tokenContext,
+            metadata: probe
+        });
+
+        // Stored on the job item so later jobs recognise this output as already watermarked
+        const hash = await computePerceptualHash(rendered.buffer);
+
+        const sharpEnd = process.hrtime(timings.sharp_start);
         timings.sharp_ms = (sharpEnd[0] * 1000 + sharpEnd[1] / 1000000).toFixed(2);
 
         return {
-            stream: processedStream,
+            buffer: rendered.buffer,
+            output: rendered.output,
+            hash,
+            sourceHash: inspected.hash,
             metadata: {
-                width: probeResult.width,
-                height: probeResult.height,
-                format: probeResult.format,
-                input_size: inputSize
+                ...metadata,
+                ...(small?.policy === SMALL_IMAGE_POLICIES.UPSCALE ? { upscaled_to: `${rendered.metadata.width}x${rendered.metadata.height}` } : {}),
+                output_size: rendered.metadata.output_size
             },
-            timings
+            timings,
+            decisions: rendered.decisions,
+            forensicId: rendered.forensicId
         };
     }
-
-    async _prepareLayers(metadata) {
-        const layers = [];
-        const baseRes = 800;
-        const resFactor = metadata.width / baseRes;
-        const useMobile = this.settings.mobile_enabled && shouldUseMobileProfile(metadata.width, metadata.height);
-
-        if (this.logoBuffer) {
-            const logoMeta = await sharp(this.logoBuffer).metadata();
-            const scale = useMobile ? this.settings.mobile_scale : this.settings.logo_scale;
-            const position = useMobile ? this.settings.mobile_position : this.settings.logo_position;
-            const opacity = this.settings.logo_opacity;
-            const rotation = this.settings.logo_rotation || 0;
-
-            const w = Math.floor(metadata.width * scale);
-            const h = Math.floor((logoMeta.height / logoMeta.width) * w);
-
-            let logo = sharp(this.logoBuffer)
-                .resize(w, h, { fit: 'inside', withoutEnlargement: true })
-                .rotate(rotation, { background: { r: 0, g: 0, b: 0, alpha: 0 } });
-
-            if (opacity < 1.0) {
-                logo = logo.composite([{
-                    input: Buffer.from([255, 255, 255, Math.floor(opacity * 255)]),
-                    raw: { width: 1, height: 1, channels: 4 },
-                    tile: true, blend: 'dest-in'
-                }]);
-            }
-
-            const processedLogo = await logo.toBuffer();
-            const finalLogoMeta = await sharp(processedLogo).metadata();
-            const margin = Math.floor(this.settings.logo_margin * resFactor);
-
-            const coords = getPositionCoordinates(
-                position, metadata.width, metadata.height,
-                finalLogoMeta.width, finalLogoMeta.height,
-                margin,
-                this.settings.use_custom_placement ? { x: this.settings.logo_x, y: this.settings.logo_y } : null
-            );
-
-            console.log(`[Processor] Logo Position: ${coords.x},${coords.y} | Size: ${finalLogoMeta.width}x${finalLogoMeta.height}`);
-
-            layers.push({
-                input: processedLogo,
-                top: Math.max(0, Math.floor(coords.y)),
-                left: Math.max(0, Math.floor(coords.x))
-            });
-        }
-
-        if (this.settings.text_content) {
-            const scale = useMobile ? this.settings.mobile_scale : 1.0;
-            const position = useMobile ? this.settings.mobile_position : this.settings.text_position;
-            const opacity = this.settings.text_opacity;
-            const scaledSize = Math.floor(this.settings.text_size * scale * resFactor);
-            const scaledMargin = Math.floor(20 * resFactor);
-
-            const textSVG = this._generateTextSVG(
-                this.settings.text_content, this.settings.text_font, scaledSize,
-                this.settings.text_color, this.settings.text_outline_color,
-                this.settings.text_outline, resFactor
-            );
-
-            let text = sharp(textSVG).png();
-            if (opacity < 1.0) {
-                text = text.composite([{
-                    input: Buffer.from([255, 255, 255, Math.floor(opacity * 255)]),
-                    raw: { width: 1, height: 1, channels: 4 },
-                    tile: true, blend: 'dest-in'
-                }]);
-            }
-
-            const processedText = await text.toBuffer();
-            const finalTextMeta = await sharp(processedText).metadata();
-
-            const coords = getPositionCoordinates(
-                position, metadata.width, metadata.height,
-                finalTextMeta.width, finalTextMeta.height,
-                scaledMargin,
-                this.settings.use_custom_placement ? { x: this.settings.text_x, y: this.settings.text_y } : null
-            );
-
-            layers.push({
-                input: processedText,
-                top: Math.floor(coords.y),
-                left: Math.floor(coords.x)
-            });
-        }
-
-        return layers;
-    }
-
-    _generateTextSVG(text, font, size, color, outlineColor, outline, resFactor) {
-        const escapedText = text.replace(/[<>&'"]/g, c => ({
-            '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
-        }[c]));
-
-        const w = Math.ceil(text.length * size * 1.0);
-        const h = Math.ceil(size * 1.6);
-
-        let svg = `<svg width="${w}" height="${h}" viewBox="0 0 ${w} ${h}" xmlns="http://www.w3.org/2000/svg">`;
-        if (outline) {
-            const strokeWidth = Math.max(2, Math.floor(4 * resFactor));
-            svg += `<text x="50%" y="50%" font-family="${font}" font-size="${size}" fill="none" stroke="${outlineColor}" stroke-width="${strokeWidth}" text-anchor="middle" dominant-baseline="middle" font-weight="bold">${escapedText}</text>`;
-        }
-        svg += `<text x="50%" y="50%" font-family="${font}" font-size="${size}" fill="${color}" text-anchor="middle" dominant-baseline="middle" font-weight="bold">${escapedText}</text></svg>`;
-
-        return Buffer.from(svg);
-    }
 }
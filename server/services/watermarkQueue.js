@@ -29,6 +29,23 @@ export const watermarkRollbackQueue = new Queue(QUEUE_NAMES.WATERMARK_ROLLBACK,
     }
 });
 
+export const watermarkScheduleQueue = new Queue(QUEUE_NAMES.WATERMARK_SCHEDULE, {
+    connection: redisConnection,
+    defaultJobOptions: {
+        attempts: 3,
+        backoff: {
+            type: 'exponential',
+            delay: 5000,
+        },
+        removeOnComplete: true,
+    }
+});
+
+// ID of a schedule's delayed job or job scheduler in the schedule queue
+function scheduledRunId(scheduleId) {
+    return `schedule-${scheduleId}`;
+}
+
 /**
  * Add a new watermark apply job to the queue
  */
@@ -83,3 +100,52 @@ export async function addRollbackJob(jobId, shop, targetJobId) {
         throw error;
     }
 }
+
+/**
+ * Queue the runs of a schedule, replacing what was queued for it before:
+ * a delayed job at run_at, or a job scheduler for the cron recurrence (starting at run_at when set)
+ */
+export async function addScheduledRun(schedule) {
+    const id = scheduledRunId(schedule.id);
+    const name = `schedule:${schedule.shop}:${schedule.id}`;
+    const data = { scheduleId: schedule.id, shop: schedule.shop };
+
+    try {
+        await removeScheduledRun(schedule.id);
+
+        if (schedule.cron) {
+            await watermarkScheduleQueue.upsertJobScheduler(id, {
+                pattern: schedule.cron,
+                tz: schedule.timezone,
+                ...(schedule.run_at ? { startDate: new Date(schedule.run_at) } : {})
+            }, { name, data });
+            console.log(`[Queue] Scheduled recurring job ${id} (${schedule.cron}, ${schedule.timezone})`);
+        } else {
+            const delay = Math.max(0, new Date(schedule.run_at).getTime() - Date.now());
+            await watermarkScheduleQueue.add(name, data, { jobId: id, delay });
+            console.log(`[Queue] Scheduled job ${id} in ${Math.round(delay / 1000)}s`);
+        }
+    } catch (error) {
+        console.error('[Queue] Error scheduling job:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Remove the queued runs of a schedule. A run that already started finishes.
+ */
+export async function removeScheduledRun(scheduleId) {
+    const id = scheduledRunId(scheduleId);
+
+    try {
+        await watermarkScheduleQueue.removeJobScheduler(id);
+        const job = await watermarkScheduleQueue.getJob(id);
+        if (job && !(await job.isActive())) {
+            await job.remove();
+            console.log(`[Queue] Removed scheduled job ${id}`);
+        }
+    } catch (error) {
+        console.error('[Queue] Error removing scheduled job:', error.message);
+        throw error;
+    }
+}
@@ -1,12 +1,19 @@
 import { Worker } from 'bullmq';
 import { redisConnection } from '../config/redis.js';
 import pool from '../db/index.js';
-import { QUEUE_NAMES, JOB_STATUS, JOB_ITEM_STATUS, SCOPE_TYPE } from '../constants/watermark.js';
-import { startJob, completeJob, incrementProcessedProducts, incrementFailedProducts, getWatermarkJob, setTotalProducts } from '../db/repositories/watermarkJobsRepository.js';
-import { createJobItem, markJobItemCompleted, markJobItemFailed } from '../db/repositories/watermarkJobItemsRepository.js';
+import { QUEUE_NAMES, JOB_STATUS, JOB_ITEM_STATUS, JOB_TYPE, SCOPE_TYPE, CHECKPOINT_STATUS, ERROR_CODES } from '../constants/watermark.js';
+import { startJob, completeJob, incrementProcessedProducts, incrementFailedProducts, getWatermarkJob, setTotalProducts, updateJobProgress } from '../db/repositories/watermarkJobsRepository.js';
+import { getJobCheckpoints, setProductCheckpoint } from '../db/repositories/watermarkJobCheckpointsRepository.js';
+import { createJobItem, markJobItemCompleted, markJobItemFailed, markJobItemSkipped, getWatermarkedImageHashes, getFailedJobItems } from '../db/repositories/watermarkJobItemsRepository.js';
 import { getWatermarkSettings } from '../db/repositories/watermarkSettingsRepository.js';
 import { WatermarkProcessor } from './watermark/watermarkProcessor.js';
 import { uploadToShopify } from './watermark/shopifyUpload.js';
+import { buildTokenContext } from './watermark/textTokens.js';
+import { createHashIndex } from './watermark/perceptualHash.js';
+import { getActiveLayers, layersUseTextTokens } from './watermark/layers.js';
+import { reconcileProduct, watermarkedMediaAlt } from './jobReconcile.js';
+import { classifyJobError } from './jobErrors.js';
+import { runDryRun } from './jobDryRun.js';
 import { shopify } from '../config/shopify-app.js';
 import {
     GET_PRODUCT_MEDIA,
@@ -16,7 +23,8 @@ import {
     PRODUCT_REORDER_MEDIA,
     PRODUCT_VARIANTS_BULK_UPDATE,
     STAGED_UPLOADS_CREATE,
-    FILE_CREATE
+    FILE_CREATE,
+    GET_SHOP_INFO
 } from '../graphql/watermark-queries.js';
 import { resolveFileIdFromMaybeMediaId, detachFileFromProduct } from './mediaService.js';
 import { getShopToken } from '../db/repositories/shopRepository.js';
@@ -36,30 +44,75 @@ export const watermarkWorker = new Worker(
             const jobRecord = await getWatermarkJob(jobId);
             if (!jobRecord) throw new Error(`Job ${jobId} not found`);
 
-            const { scope_type, scope_value, settings_snapshot } = jobRecord;
+            const { job_type, scope_type, scope_value, settings_snapshot } = jobRecord;
             const accessToken = await getShopToken(shop);
             const settings = settings_snapshot || await getWatermarkSettings(shop);
 
             await startJob(jobId);
-            const productIds = await resolveProductIds(shop, accessToken, scope_type, scope_value);
+            const retryTargets = scope_type === SCOPE_TYPE.RETRY ? await resolveRetryTargets(scope_value) : null;
+            const productIds = retryTargets
+                ? [...retryTargets.keys()]
+                : await resolveProductIds(shop, accessToken, scope_type, scope_value, jobRecord.created_after);
 
             // 📊 Update total products count once we know it
             await setTotalProducts(jobId, productIds.length);
+
+            // A retried or restarted job skips the products an earlier attempt finished.
+            // The counters are rebuilt from the checkpoints, as that attempt may have stopped between the two.
+            const checkpoints = await getJobCheckpoints(jobId);
+            if (checkpoints.size > 0) {
+                const statuses = [...checkpoints.values()];
+                const completed = statuses.filter(status => status === CHECKPOINT_STATUS.COMPLETED).length;
+                const failed = statuses.filter(status => status === CHECKPOINT_STATUS.FAILED).length;
+                await updateJobProgress(jobId, completed, failed);
+                console.log(`[Worker] Resuming job ${jobId}: ${completed + failed} of ${productIds.length} products already done`);
+            }
             console.log(`[Worker] Processing ${productIds.length} products with concurrency 3`);
 
             const processor = new WatermarkProcessor(settings);
             await processor.init();
 
+            // Outputs of earlier jobs: a source matching one of them already carries our watermark
+            const watermarkedHashes = createHashIndex(await getWatermarkedImageHashes(shop));
+            console.log(`[Worker] Loaded ${watermarkedHashes.size} watermarked image hashes for ${shop}`);
+
+            // Shop-level token values are fetched once per job, and only when a text layer uses tokens
+            let shopInfo = null;
+            if (layersUseTextTokens(getActiveLayers(settings))) {
+                const shopRes = await graphqlRequest(shop, accessToken, GET_SHOP_INFO);
+                shopInfo = shopRes.shop;
+            }
+
+            // A dry run only reports what the job would do
+            if (job_type === JOB_TYPE.DRY_RUN) {
+                await runDryRun(jobId, productIds, processor, { shop, accessToken, shopInfo, watermarkedHashes });
+                await completeJob(jobId, JOB_STATUS.COMPLETED);
+                return;
+            }
+
             // Process products with controlled concurrency
             const CONCURRENCY = 3;
             for (let i = 0; i < productIds.length; i += CONCURRENCY) {
                 const chunk = productIds.slice(i, i + CONCURRENCY);
                 await Promise.all(chunk.map(async (productId) => {
+                    const checkpoint = checkpoints.get(productId);
+                    if (checkpoint === CHECKPOINT_STATUS.COMPLETED || checkpoint === CHECKPOINT_STATUS.FAILED) return;
+
                     try {
-                        await processProduct(shop, accessToken, productId, jobId, processor);
+                        // Products an earlier attempt started are reconciled, keeping their swapped images
+                        if (!checkpoint) await setProductCheckpoint(jobId, productId, CHECKPOINT_STATUS.PROCESSING);
+                        await processProduct(shop, accessToken, productId, jobId, processor, {
+                            shopInfo,
+                            watermarkedHashes,
+                            resume: !!checkpoint,
+                            mediaIds: retryTargets?.get(productId) || null
+                        });
+                        await setProductCheckpoint(jobId, productId, CHECKPOINT_STATUS.COMPLETED);
                         await incrementProcessedProducts(jobId);
                     } catch (error) {
                         console.error(`[Worker] Product ${productId} failed:`, error.message);
+                        await recordFailedProduct(jobId, productId, error);
+                        await setProductCheckpoint(jobId, productId, CHECKPOINT_STATUS.FAILED, error.message).catch(() => {});
                         await incrementFailedProducts(jobId);
                     }
                 }));
@@ -81,18 +134,45 @@ export const watermarkWorker = new Worker(
     }
 );
 
-async function resolveProductIds(shop, accessToken, scopeType, scopeValue) {
+/**
+ * Images a retry job covers: the failed items of the earlier job, by product.
+ * A product maps to null when it failed as a whole, so all of its images are retried.
+ * @returns {Promise<Map<string, Set<string>|null>>}
+ */
+async function resolveRetryTargets(sourceJobId) {
+    const targets = new Map();
+    for (const item of await getFailedJobItems(sourceJobId)) {
+        const current = targets.get(item.product_id);
+        if (!item.original_media_id || current === null) {
+            targets.set(item.product_id, null);
+        } else {
+            targets.set(item.product_id, (current || new Set()).add(item.original_media_id));
+        }
+    }
+    return targets;
+}
+
+/**
+ * @param {Date|null} createdAfter - Only products created after this time (scheduled jobs)
+ */
+async function resolveProductIds(shop, accessToken, scopeType, scopeValue, createdAfter = null) {
     const client = new shopify.api.clients.Graphql({ session: { shop, accessToken } });
     let productIds = [];
     if (scopeType === SCOPE_TYPE.MANUAL) return Array.isArray(scopeValue) ? scopeValue : [scopeValue];
 
+    // Products are filtered by the search query; collection products can't be searched, so they're filtered here
+    const since = createdAfter ? new Date(createdAfter) : null;
+    const search = since ? `status:active AND created_at:>'${since.toISOString()}'` : 'status:active';
+
     try {
         let hasNextPage = true, cursor = null;
         while (hasNextPage) {
             const query = scopeType === SCOPE_TYPE.COLLECTION ? GET_PRODUCTS_BY_COLLECTION : GET_ALL_PRODUCTS;
-            const res = await client.request(query, { variables: { collectionId: scopeValue, cursor } });
+            const res = await client.request(query, { variables: { collectionId: scopeValue, cursor, query: search } });
             const connection = scopeType === SCOPE_TYPE.COLLECTION ? res.data.collection.products : res.data.products;
-            productIds.push(...connection.edges.map(e => e.node.id));
+            productIds.push(...connection.edges
+                .filter(e => !since || scopeType !== SCOPE_TYPE.COLLECTION || new Date(e.node.createdAt) > since)
+                .map(e => e.node.id));
             hasNextPage = connection.pageInfo.hasNextPage;
             cursor = connection.pageInfo.endCursor;
             if (productIds.length > 5000) break;
@@ -104,7 +184,41 @@ async function resolveProductIds(shop, accessToken, scopeType, scopeValue) {
     return productIds;
 }
 
-async function processProduct(shop, accessToken, productId, jobId, processor) {
+/**
+ * Record an image that could not be watermarked, so the job shows why and it can be retried
+ * @param {string} fallbackCode - Error code of the step it failed in (see classifyJobError)
+ */
+async function recordFailedImage(jobId, productId, productName, targetImage, index, error, fallbackCode = ERROR_CODES.PROCESSING_FAILED) {
+    try {
+        const jobItem = await createJobItem(
+            jobId, productId, productName, targetImage.id,
+            targetImage.image?.url, index + 1, index === 0, null
+        );
+        await markJobItemFailed(jobItem.id, error.message, classifyJobError(error, fallbackCode));
+    } catch (dbErr) {
+        console.warn(`[Worker] Could not record failed image ${index} in ${productId}:`, dbErr.message);
+    }
+}
+
+/**
+ * Record a product that failed before its images were reached (an item without media)
+ */
+async function recordFailedProduct(jobId, productId, error) {
+    try {
+        const jobItem = await createJobItem(jobId, productId, null, null, null, null, false, null);
+        await markJobItemFailed(jobItem.id, error.message, classifyJobError(error, ERROR_CODES.SHOPIFY_API_ERROR));
+    } catch (dbErr) {
+        console.warn(`[Worker] Could not record failed product ${productId}:`, dbErr.message);
+    }
+}
+
+/**
+ * Watermark a product's images and swap them in for the originals
+ * @param {Object} options - { shopInfo, watermarkedHashes, resume, mediaIds }
+ *   resume: an earlier attempt of this job started the product (see reconcileProduct);
+ *   mediaIds: only render these images (retry jobs), null for all
+ */
+async function processProduct(shop, accessToken, productId, jobId, processor, { shopInfo = null, watermarkedHashes = null, resume = false, mediaIds = null } = {}) {
     const apiStart = Date.now();
     // A. Fetch current media
     const mediaRes = await graphqlRequest(shop, accessToken, GET_PRODUCT_MEDIA, { id: productId });
@@ -115,126 +229,186 @@ async function processProduct(shop, accessToken, productId, jobId, processor) {
         .filter(m => m.mediaContentType === 'IMAGE');
 
     const variants = productNode.variants.edges.map(e => e.node);
+
+    // Images an earlier attempt of this job already swapped are finished, not rendered again
+    const { swapped, handled } = resume
+        ? await reconcileProduct(jobId, productNode)
+        : { swapped: [], handled: new Set() };
     if (mediaNodes.length === 0) return;
 
-    // B. Batch Staged Upload URLs
+    // B. Render images in batches, then request staged upload URLs for each batch.
+    // Targets are created after encoding so their filename and mime type match the real output format.
     const processedItems = [];
     const MAX_STAGED_BATCH = 25;
-    const stagedTargets = [];
 
-    for (let i = 0; i < mediaNodes.length; i += MAX_STAGED_BATCH) {
-        const batch = mediaNodes.slice(i, i + MAX_STAGED_BATCH);
-        const stagedInputs = batch.map((_, idx) => ({
-            filename: `wm_${Date.now()}_${productId.split('/').pop()}_${i + idx}.jpg`,
-            mimeType: 'image/jpeg',
+    for (let start = 0; start < mediaNodes.length; start += MAX_STAGED_BATCH) {
+        const rendered = [];
+
+        for (let i = start; i < Math.min(start + MAX_STAGED_BATCH, mediaNodes.length); i++) {
+            const targetImage = mediaNodes[i];
+            if (handled.has(targetImage.id) || (mediaIds && !mediaIds.has(targetImage.id))) continue;
+            try {
+                // High-Res Timber starts inside processor.process
+                const tokenContext = buildTokenContext(productNode, targetImage.image?.id, shopInfo);
+                const result = await processor.process(targetImage.image.url, tokenContext, { watermarkedHashes });
+
+                if (result.skipped) {
+                    console.log(`[Worker] Skipping image ${i} in ${productId}: ${result.reason}`);
+                    const jobItem = await createJobItem(
+                        jobId, productId, productName, targetImage.id,
+                        targetImage.image.url, i + 1, i === 0, result.hash
+                    );
+                    await markJobItemSkipped(jobItem.id, result.reason);
+                    continue;
+                }
+
+                rendered.push({ index: i, targetImage, ...result });
+            } catch (err) {
+                console.error(`[Worker] Image ${i} in ${productId} failed:`, err.message);
+                await recordFailedImage(jobId, productId, productName, targetImage, i, err);
+            }
+        }
+
+        if (rendered.length === 0) continue;
+
+        const stagedInputs = rendered.map(({ index, output }) => ({
+            filename: `wm_${Date.now()}_${productId.split('/').pop()}_${index}.${output.extension}`,
+            mimeType: output.mimeType,
             resource: 'IMAGE',
             httpMethod: 'POST'
         }));
 
-        const stagedRes = await graphqlRequest(shop, accessToken, STAGED_UPLOADS_CREATE, { input: stagedInputs });
-        stagedTargets.push(...stagedRes.stagedUploadsCreate.stagedTargets);
-    }
+        let stagedTargets;
+        try {
+            const stagedRes = await graphqlRequest(shop, accessToken, STAGED_UPLOADS_CREATE, { input: stagedInputs });
+            stagedTargets = stagedRes.stagedUploadsCreate.stagedTargets;
+        } catch (err) {
+            console.error(`[Worker] Staged upload request for ${productId} failed:`, err.message);
+            for (const { index, targetImage } of rendered) {
+                await recordFailedImage(jobId, productId, productName, targetImage, index, err, ERROR_CODES.UPLOAD_FAILED);
+            }
+            continue;
+        }
 
-    // C. Process images with streams and timers
-    for (let i = 0; i < mediaNodes.length; i++) {
-        const targetImage = mediaNodes[i];
-        const target = stagedTargets[i];
-        if (!target) continue;
+        // C. Archive originals and upload the rendered images
+        for (let r = 0; r < rendered.length; r++) {
+            const { index: i, targetImage, buffer, output, hash, sourceHash, metadata, timings, decisions, forensicId } = rendered[r];
+            const target = stagedTargets[r];
+            // Drop the batch's reference so each encoded image can be freed after its upload
+            rendered[r] = null;
+            if (!target) continue;
 
-        try {
-            // High-Res Timber starts inside processor.process
-            const { stream, metadata, timings } = await processor.process(targetImage.image.url);
-
-            // --- ARCHIVE & DUPLICATE CHECK ("mağaza medyasında kalmalı") ---
-            let archivedSource = targetImage.image.url;
-            const isAlreadyFile = archivedSource.includes('/files/');
-
-            if (!isAlreadyFile) {
-                // Check if we already archived this SPECIFIC media ID in a previous job
-                try {
-                    const { rows } = await pool.query(`
-                        SELECT i.original_media_url
-                        FROM watermark_job_items i
-                        JOIN watermark_jobs j ON i.job_id = j.id
-                        WHERE j.shop = $1 AND i.original_media_id = $2
-                          AND (i.original_media_url LIKE '%/files/%' OR i.original_media_url LIKE 'gid://shopify/%')
-                          AND i.status = 'completed'
-                        LIMIT 1
-                    `, [shop, targetImage.id]);
-
-                    if (rows.length > 0) {
-                        archivedSource = rows[0].original_media_url;
-                        console.log(`[Worker] Found existing archive for ${targetImage.id}: ${archivedSource}`);
-                    } else {
-                        // Truly new, archive it to Shopify Files
-                        console.log(`[Worker] Archiving original image for ${productId}...`);
-                        const archiveRes = await graphqlRequest(shop, accessToken, FILE_CREATE, {
-                            files: [{
-                                originalSource: targetImage.image.url.split('?')[0],
-                                contentType: 'IMAGE',
-                                alt: `Original Backup: ${productName}`
-                            }]
-                        });
+            try {
+                // --- ARCHIVE & DUPLICATE CHECK ("mağaza medyasında kalmalı") ---
+                let archivedSource = targetImage.image.url;
+                const isAlreadyFile = archivedSource.includes('/files/');
 
-                        // Log archive errors
-                        const errors = archiveRes.fileCreate?.userErrors || [];
-                        if (errors.length > 0) {
-                            console.error(`[Worker] Archive Error for ${productId}:`, JSON.stringify(errors));
+                if (!isAlreadyFile) {
+                    // Check if we already archived this SPECIFIC media ID in a previous job
+                    try {
+                        const { rows } = await pool.query(`
+                            SELECT i.original_media_url
+                            FROM watermark_job_items i
+                            JOIN watermark_jobs j ON i.job_id = j.id
+                            WHERE j.shop = $1 AND i.original_media_id = $2
+                              AND (i.original_media_url LIKE '%/files/%' OR i.original_media_url LIKE 'gid://shopify/%')
+                              AND i.status = 'completed'
+                            LIMIT 1
+                        `, [shop, targetImage.id]);
+
+                        if (rows.length > 0) {
+                            archivedSource = rows[0].original_media_url;
+                            console.log(`[Worker] Found existing archive for ${targetImage.id}: ${archivedSource}`);
+                        } else {
+                            // Truly new, archive it to Shopify Files
+                            console.log(`[Worker] Archiving original image for ${productId}...`);
+                            const archiveRes = await graphqlRequest(shop, accessToken, FILE_CREATE, {
+                                files: [{
+                                    originalSource: targetImage.image.url.split('?')[0],
+                                    contentType: 'IMAGE',
+                                    alt: `Original Backup: ${productName}`
+                                }]
+                            });
+
+                            // Log archive errors
+                            const errors = archiveRes.fileCreate?.userErrors || [];
+                            if (errors.length > 0) {
+                                console.error(`[Worker] Archive Error for ${productId}:`, JSON.stringify(errors));
+                            }
+
+                            // Store the File ID (GID) as it's the most robust source for restoration
+                            const archivedFile = archiveRes.fileCreate?.files?.[0];
+                            archivedSource = archivedFile?.id || archivedFile?.image?.url || targetImage.image.url;
+                            console.log(`[Worker] Archived ${targetImage.id} to permanent source: ${archivedSource}`);
                         }
-
-                        // Store the File ID (GID) as it's the most robust source for restoration
-                        const archivedFile = archiveRes.fileCreate?.files?.[0];
-                        archivedSource = archivedFile?.id || archivedFile?.image?.url || targetImage.image.url;
-                        console.log(`[Worker] Archived ${targetImage.id} to permanent source: ${archivedSource}`);
+                    } catch (dbErr) {
+                        console.warn(`[Worker] Archive lookup failed, defaulting to CDN:`, dbErr.message);
                     }
-                } catch (dbErr) {
-                    console.warn(`[Worker] Archive lookup failed, defaulting to CDN:`, dbErr.message);
                 }
-            }
-
-            // Upload Watermarked Stream
-            const uploadRes = await uploadToShopify(target, stream, 'image/jpeg', `wm_${i}.jpg`);
-
-            timings.upload_ms = uploadRes.upload_ms;
-            const totalEnd = process.hrtime(timings.total_start);
-            timings.total_ms = (totalEnd[0] * 1000 + totalEnd[1] / 1000000).toFixed(2);
 
-            console.log(`[Worker] Image Processed: ${productName} | Size: ${metadata.input_size}b -> ? | Timings: DL:${timings.download_ms}ms, SH:${timings.sharp_ms}ms, UP:${timings.upload_ms}ms, Total:${timings.total_ms}ms`);
-
-            processedItems.push({
-                originalMediaId: targetImage.id,
-                originalUrl: archivedSource, // GID or URL
-                resourceUrl: target.resourceUrl,
-                index: i,
-                variantIds: variants.filter(v => v.image?.id === targetImage.image?.id).map(v => v.id)
-            });
-        } catch (err) {
-            console.error(`[Worker] Image ${i} in ${productId} failed:`, err.message);
+                // Upload Watermarked Image
+                const uploadRes = await uploadToShopify(target, buffer, output.mimeType, `wm_${i}.${output.extension}`);
+
+                timings.upload_ms = uploadRes.upload_ms;
+                const totalEnd = process.hrtime(timings.total_start);
+                timings.total_ms = (totalEnd[0] * 1000 + totalEnd[1] / 1000000).toFixed(2);
+
+                console.log(`[Worker] Image Processed: ${productName} | Size: ${metadata.input_size}b -> ${metadata.output_size}b (${output.format}) | Timings: DL:${timings.download_ms}ms, SH:${timings.sharp_ms}ms, UP:${timings.upload_ms}ms, Total:${timings.total_ms}ms`);
+
+                processedItems.push({
+                    originalMediaId: targetImage.id,
+                    originalUrl: archivedSource, // GID or URL
+                    resourceUrl: target.resourceUrl,
+                    index: i,
+                    variantIds: variants.filter(v => v.image?.id === targetImage.image?.id).map(v => v.id),
+                    renderDecisions: decisions,
+                    forensicId,
+                    hash,
+                    sourceHash
+                });
+            } catch (err) {
+                console.error(`[Worker] Image ${i} in ${productId} failed:`, err.message);
+                await recordFailedImage(jobId, productId, productName, targetImage, i, err, ERROR_CODES.UPLOAD_FAILED);
+            }
         }
     }
 
-    if (processedItems.length === 0) return;
+    if (processedItems.length === 0 && swapped.length === 0) return;
+
+    // From here on product media changes: a retry reconciles the product instead of rendering it again
+    await setProductCheckpoint(jobId, productId, CHECKPOINT_STATUS.SWAPPING);
 
     // E & F. Create Media on Product and Save to DB
     const moves = [];
     const variantUpdates = [];
+    // Originals that got their replacement; the others stay on the product so they can be retried
+    const replacedOriginalIds = [];
     // We do this sequentially per image within a product to ensure ID alignment is perfect.
     for (let i = 0; i < processedItems.length; i++) {
         const item = processedItems[i];
+        let jobItem = null;
 
         try {
+            // Saved before the media exists, so a retry can match media created just before a crash
+            jobItem = await createJobItem(
+                jobId, productId, productName, item.originalMediaId,
+                item.originalUrl, item.index + 1, item.index === 0, item.hash,
+                item.variantIds, item.renderDecisions, item.forensicId, item.sourceHash
+            );
+
             const createRes = await graphqlRequest(shop, accessToken, PRODUCT_CREATE_MEDIA, {
                 productId,
                 media: [{
                     originalSource: item.resourceUrl,
                     mediaContentType: 'IMAGE',
-                    alt: `Watermarked ${productName}`
+                    alt: watermarkedMediaAlt(productName)
                 }]
             });
 
             const errors = createRes.productCreateMedia?.mediaUserErrors || [];
             if (errors.length > 0) {
                 console.error(`[Worker] Shopify MediaCreate Error for ${productId} (Index ${item.index}):`, JSON.stringify(errors));
+                await markJobItemFailed(jobItem.id, `Media create failed: ${errors.map(e => e.message).join('; ')}`, ERROR_CODES.SHOPIFY_API_ERROR);
                 continue;
             }
 
@@ -243,6 +417,7 @@ async function processProduct(shop, accessToken, productId, jobId, processor) {
 
             if (!newMediaId) {
                 console.error(`[Worker] Failed to get new media ID for ${productId} (Index ${item.index})`);
+                await markJobItemFailed(jobItem.id, 'Media create returned no media', ERROR_CODES.SHOPIFY_API_ERROR);
                 continue;
             }
 
@@ -256,21 +431,27 @@ async function processProduct(shop, accessToken, productId, jobId, processor) {
             }
 
             // Save to Database
-            const jobItem = await createJobItem(
-                jobId, productId, productName, item.originalMediaId,
-                item.originalUrl, item.index + 1, item.index === 0, 'STREAM_PROCESSED',
-                item.variantIds
-            );
             await markJobItemCompleted(jobItem.id, newMediaId, item.resourceUrl);
+            watermarkedHashes?.add({ hash: item.hash, sourceHash: item.sourceHash, forensicId: item.forensicId });
+            replacedOriginalIds.push(item.originalMediaId);
 
             // Add to move list for reordering
             moves.push({ id: newMediaId, newPosition: item.index.toString() });
 
         } catch (err) {
             console.error(`[Worker] Media creation/DB save failed for ${productId} (Index ${item.index}):`, err.message);
+            if (jobItem) await markJobItemFailed(jobItem.id, err.message, classifyJobError(err, ERROR_CODES.SHOPIFY_API_ERROR)).catch(() => {});
         }
     }
 
+    // Images swapped by an earlier attempt: redo the steps that may not have run (all safe to repeat)
+    for (const item of swapped) {
+        (item.variant_ids || []).forEach(vId => {
+            variantUpdates.push({ id: vId, mediaId: item.new_media_id });
+        });
+        moves.push({ id: item.new_media_id, newPosition: String(item.original_position - 1) });
+    }
+
     // G. Assign new media to variants if needed
     if (variantUpdates.length > 0) {
         try {
@@ -291,7 +472,11 @@ async function processProduct(shop, accessToken, productId, jobId, processor) {
     }
 
     // I. DETACH ORIGINAL MEDIA (Do not delete, just remove reference)
-    const originalMediaIds = processedItems.map(item => item.originalMediaId).filter(id => id);
+    const attachedIds = new Set(mediaNodes.map(m => m.id));
+    const originalMediaIds = [
+        ...replacedOriginalIds,
+        ...swapped.map(item => item.original_media_id).filter(id => attachedIds.has(id))
+    ].filter(id => id);
     if (originalMediaIds.length > 0) {
         // We do this concurrently or sequentially? Sequentially is safer for rate limits.
         for (const originalId of originalMediaIds) {
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { renderWatermark } from '../services/watermark/renderer.js';
+import { createAnimatedGif } from './fixtures.js';
+
+const COLORS = [[220, 40, 40], [40, 200, 60], [40, 80, 220]];
+const source = createAnimatedGif(COLORS, { delays: [100, 200, 300], loop: 2 });
+
+const settings = extra => ({
+    layers: [{ id: 'badge', type: 'shape', position: 'bottom-right', width: 25, height: 20, fill: '#ffffff', opacity: 1, margin: 0 }],
+    ...extra
+});
+
+async function framePixel(buffer, frame, x, y) {
+    const { data, info } = await sharp(buffer, { page: frame }).raw().toBuffer({ resolveWithObject: true });
+    const at = (y * info.width + x) * info.channels;
+    return [...data.subarray(at, at + 3)];
+}
+
+test('watermarks every frame and keeps frame delays and looping', async () => {
+    const rendered = await renderWatermark(source, settings({ output_format: 'original' }));
+    const input = await sharp(source).metadata();
+    const output = await sharp(rendered.buffer).metadata();
+
+    assert.equal(rendered.output.format, 'gif');
+    assert.equal(rendered.metadata.frames, 3);
+    assert.deepEqual([output.pages, output.width, output.height], [3, 120, 90]);
+    assert.deepEqual(output.delay, [100, 200, 300]);
+    assert.equal(output.loop, input.loop);
+
+    for (let frame = 0; frame < COLORS.length; frame++) {
+        // Palette quantization may shift colours slightly
+        const badge = await framePixel(rendered.buffer, frame, 115, 85);
+        const background = await framePixel(rendered.buffer, frame, 60, 5);
+        assert.ok(badge.every(channel => channel > 240), `frame ${frame} badge is ${badge}`);
+        assert.ok(background.every((channel, i) => Math.abs(channel - COLORS[frame][i]) < 16), `frame ${frame} background is ${background}`);
+    }
+});
+
+test('keeps an animation a GIF when a still format is requested', async () => {
+    const rendered = await renderWatermark(source, settings({ output_format: 'jpeg' }));
+    const output = await sharp(rendered.buffer).metadata();
+
+    assert.equal(rendered.output.format, 'gif');
+    assert.equal(rendered.output.mimeType, 'image/gif');
+    assert.deepEqual([output.format, output.pages], ['gif', 3]);
+    assert.deepEqual(output.delay, [100, 200, 300]);
+});
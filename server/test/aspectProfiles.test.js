@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    normalizeAspectProfile,
+    legacyMobileToProfiles,
+    getAspectProfiles,
+    matchAspectProfile,
+    applyAspectProfile
+} from '../services/watermark/aspectProfiles.js';
+import { WATERMARK_DEFAULTS } from '../constants/watermark.js';
+
+const PROFILES = [
+    { id: 'portrait', kind: 'portrait', logo: { position: 'bottom-center' } },
+    { id: 'tall', kind: 'custom', min_ratio: 0.5, max_ratio: 0.6, logo: { scale: 0.1 } },
+    { id: 'wide', kind: 'landscape', enabled: false }
+].map(normalizeAspectProfile);
+
+test('prefers a custom ratio range over the built-in kind', () => {
+    // 9:16 is portrait, but also inside the custom 0.5-0.6 range
+    assert.equal(matchAspectProfile(PROFILES, 900, 1600).id, 'tall');
+    assert.equal(matchAspectProfile(PROFILES, 800, 1200).id, 'portrait');
+});
+
+test('matches only enabled profiles', () => {
+    assert.equal(matchAspectProfile(PROFILES, 1600, 900), null);
+    assert.equal(matchAspectProfile(PROFILES, 1000, 1000), null);
+    assert.equal(matchAspectProfile([], 900, 1600), null);
+});
+
+test('a position override replaces free placement', () => {
+    const layer = { id: 'logo', type: 'logo', position: 'center', custom_placement: true, x: 10, y: 90, scale: 0.3 };
+    const applied = applyAspectProfile(layer, PROFILES[0]);
+
+    assert.equal(applied.position, 'bottom-center');
+    assert.equal(applied.custom_placement, false);
+    assert.equal(applied.scale, 0.3);
+    assert.equal(layer.custom_placement, true);
+});
+
+test('overrides without a position keep free placement and other layer types', () => {
+    const logo = { id: 'logo', type: 'logo', custom_placement: true, scale: 0.3 };
+    const shape = { id: 'badge', type: 'shape', position: 'center' };
+
+    assert.deepEqual(applyAspectProfile(logo, PROFILES[1]), { ...logo, scale: 0.1 });
+    assert.equal(applyAspectProfile(shape, PROFILES[0]), shape);
+    assert.equal(applyAspectProfile(logo, null), logo);
+});
+
+test('converts the legacy mobile settings into a portrait profile', () => {
+    const [profile] = legacyMobileToProfiles({ mobile_enabled: true, mobile_position: 'top-left', mobile_scale: '0.15' });
+
+    assert.equal(profile.kind, 'portrait');
+    assert.deepEqual([profile.logo.position, profile.logo.scale], ['top-left', 0.15]);
+    // The mobile scale was only ever meant for logos
+    assert.deepEqual([profile.text.position, profile.text.scale], ['top-left', null]);
+
+    const [defaults] = legacyMobileToProfiles({ mobile_enabled: true });
+    assert.equal(defaults.logo.position, WATERMARK_DEFAULTS.MOBILE_POSITION);
+    assert.equal(legacyMobileToProfiles({ mobile_enabled: false, mobile_position: 'top-left' }).length, 0);
+});
+
+test('uses the legacy mobile settings only when no profiles were saved', () => {
+    const legacy = { mobile_enabled: true, mobile_position: 'top-left' };
+
+    assert.equal(getAspectProfiles({ ...legacy, aspect_profiles: null })[0].id, 'mobile');
+    assert.deepEqual(getAspectProfiles({ ...legacy, aspect_profiles: [] }), []);
+});
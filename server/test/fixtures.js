@@ -0,0 +1,188 @@
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+
+const GOLDEN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'golden');
+
+// Fixtures are computed pixel by pixel rather than drawn from SVG, so they don't depend on the font or SVG renderer
+function rawImage(width, height, channels, pixel) {
+    const data = Buffer.alloc(width * height * channels);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const px = pixel(x, y);
+            data.set(px, (y * width + x) * channels);
+        }
+    }
+    return sharp(data, { raw: { width, height, channels } });
+}
+
+/**
+ * Product photo stand-in: a smooth gradient with a busy checkerboard across the top third
+ */
+export function createProductImage(width = 600, height = 400) {
+    return rawImage(width, height, 3, (x, y) => {
+        if (y < height / 3 && (Math.floor(x / 12) + Math.floor(y / 12)) % 2) {
+            return [30, 30, 40];
+        }
+        return [
+            Math.round(40 + 180 * x / width),
+            Math.round(90 + 100 * y / height),
+            Math.round(200 - 120 * x / width)
+        ];
+    });
+}
+
+/**
+ * Logo stand-in: a soft-edged ring on a transparent background
+ */
+export function createLogo(size = 100) {
+    const c = size / 2;
+    return rawImage(size, size, 4, (x, y) => {
+        const d = Math.hypot(x + 0.5 - c, y + 0.5 - c);
+        const ring = Math.max(0, 1 - Math.abs(d - size * 0.35) / (size * 0.1));
+        return [255, 240, 220, Math.round(255 * Math.min(1, ring * 1.5))];
+    }).png().toBuffer();
+}
+
+/**
+ * Animated GIF stand-in: one frame per colour, each with a dark square further to the right.
+ * sharp can't assemble frames into an animation, so the file is written by hand: pixels are
+ * stored as 8-bit LZW literals, with a clear code before the code table would need 9 bits.
+ * @param {Array<number[]>} colors - RGB background of each frame
+ * @param {Object} options - { width, height, delays (ms per frame), loop (repeats after the first play, 0 = forever) }
+ */
+export function createAnimatedGif(colors, { width = 120, height = 90, delays = [], loop = 0 } = {}) {
+    const CLEAR = 128;
+    const END = 129;
+    const SQUARE = colors.length;
+
+    const palette = Buffer.alloc(128 * 3);
+    colors.forEach((color, i) => palette.set(color, i * 3));
+    palette.set([20, 20, 20], SQUARE * 3);
+
+    const screen = Buffer.alloc(13);
+    screen.write('GIF89a', 0, 'latin1');
+    screen.writeUInt16LE(width, 6);
+    screen.writeUInt16LE(height, 8);
+    // Global colour table of 128 entries
+    screen[10] = 0xF6;
+
+    const netscape = Buffer.concat([
+        Buffer.from([0x21, 0xFF, 0x0B]),
+        Buffer.from('NETSCAPE2.0', 'latin1'),
+        Buffer.from([0x03, 0x01, loop & 0xFF, loop >> 8, 0x00])
+    ]);
+
+    const frames = colors.map((_, frame) => {
+        const codes = [];
+        for (let i = 0; i < width * height; i++) {
+            if (i % 100 === 0) codes.push(CLEAR);
+            const x = i % width - frame * 30;
+            const y = Math.floor(i / width);
+            codes.push(x >= 10 && x < 30 && y >= 10 && y < 30 ? SQUARE : frame);
+        }
+        codes.push(END);
+
+        const blocks = [];
+        for (let i = 0; i < codes.length; i += 255) {
+            const block = codes.slice(i, i + 255);
+            blocks.push(Buffer.from([block.length, ...block]));
+        }
+
+        const control = Buffer.from([0x21, 0xF9, 0x04, 0x04, 0, 0, 0, 0x00]);
+        control.writeUInt16LE(Math.round((delays[frame] ?? 100) / 10), 4);
+        const descriptor = Buffer.alloc(10);
+        descriptor[0] = 0x2C;
+        descriptor.writeUInt16LE(width, 5);
+        descriptor.writeUInt16LE(height, 7);
+
+        return Buffer.concat([control, descriptor, Buffer.from([7]), ...blocks, Buffer.from([0])]);
+    });
+
+    return Buffer.concat([screen, palette, netscape, ...frames, Buffer.from([0x3B])]);
+}
+
+/**
+ * Serve fixture buffers over HTTP, as the processor only takes image URLs
+ * @returns {Promise<{ url: (name: string) => string, close: () => void }>}
+ */
+export async function serveImages(files) {
+    const server = http.createServer((req, res) => {
+        const body = files[req.url.slice(1)];
+        res.statusCode = body ? 200 : 404;
+        res.end(body);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    return {
+        url: name => `http://127.0.0.1:${port}/${name}`,
+        close: () => server.close()
+    };
+}
+
+/**
+ * Mean absolute difference per channel (0-255) between two images, compared as RGBA at the first one's size
+ */
+export async function meanDifference(a, b) {
+    const first = await sharp(a).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    const second = await sharp(b)
+        .resize(first.info.width, first.info.height, { fit: 'fill' })
+        .ensureAlpha()
+        .raw()
+        .toBuffer();
+
+    let total = 0;
+    for (let i = 0; i < first.data.length; i++) {
+        total += Math.abs(first.data[i] - second[i]);
+    }
+    return total / first.data.length;
+}
+
+/**
+ * Compare a rendered image with its stored golden image.
+ * UPDATE_GOLDEN=1 writes the goldens from the renders, for new cases or after an intended change;
+ * otherwise a missing golden fails the test.
+ * @returns {Promise<number>} Mean difference, 0 when the golden was (re)written
+ */
+export async function compareWithGolden(name, buffer) {
+    const file = path.join(GOLDEN_DIR, `${name}.png`);
+    // An all-opaque alpha channel only makes the stored golden bigger
+    const { isOpaque } = await sharp(buffer).stats();
+    const png = await (isOpaque ? sharp(buffer).removeAlpha() : sharp(buffer))
+        .png({ compressionLevel: 9, adaptiveFiltering: true })
+        .toBuffer();
+
+    if (process.env.UPDATE_GOLDEN) {
+        fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+        fs.writeFileSync(file, png);
+        return 0;
+    }
+    if (!fs.existsSync(file)) {
+        throw new Error(`No golden image for ${name}: run the tests with UPDATE_GOLDEN=1 to create test/golden/${name}.png`);
+    }
+
+    const golden = fs.readFileSync(file);
+    const [actual, expected] = await Promise.all([sharp(png).metadata(), sharp(golden).metadata()]);
+    if (actual.width !== expected.width || actual.height !== expected.height) {
+        return Infinity;
+    }
+    return meanDifference(golden, png);
+}
+
+/**
+ * Answer the repositories' queries without a database: respond(sql, params) returns the rows
+ * @returns {{ calls: Array<{ sql: string, params: Array }>, restore: () => void }}
+ */
+export function stubQueries(pool, respond) {
+    const query = pool.query;
+    const calls = [];
+    pool.query = async (sql, params = []) => {
+        calls.push({ sql, params });
+        const rows = (await respond(sql, params)) ?? [];
+        return { rows, rowCount: rows.length };
+    };
+    return { calls, restore: () => { pool.query = query; } };
+}
@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { woffToSfnt, readFontFamily, renameFont } from '../services/watermark/fontLoader.js';
+
+/**
+ * 'name' table with Windows (UTF-16BE) records: [[nameId, value], ...]
+ */
+function nameTable(records) {
+    const strings = records.map(([, value]) => Buffer.from(value, 'utf16le').swap16());
+    const table = Buffer.alloc(6 + records.length * 12);
+    table.writeUInt16BE(records.length, 2);
+    table.writeUInt16BE(table.length, 4);
+
+    let offset = 0;
+    records.forEach(([nameId], i) => {
+        const record = 6 + i * 12;
+        table.writeUInt16BE(3, record);
+        table.writeUInt16BE(1, record + 2);
+        table.writeUInt16BE(0x409, record + 4);
+        table.writeUInt16BE(nameId, record + 6);
+        table.writeUInt16BE(strings[i].length, record + 8);
+        table.writeUInt16BE(offset, record + 10);
+        offset += strings[i].length;
+    });
+    return Buffer.concat([table, ...strings]);
+}
+
+// Tables of a stand-in TrueType font, sorted by tag like in a real one
+const TABLES = [
+    ['OS/2', Buffer.alloc(96, 7)],
+    ['head', Buffer.from('0001000000000000000000005f0f3cf5', 'hex')],
+    ['name', nameTable([[1, 'Acme Sans Bold'], [16, 'Acme Sans']])],
+    ['post', Buffer.alloc(32)]
+];
+const checksumOf = tag => tag.charCodeAt(0) * 0x1000000 + 0x1234;
+
+/**
+ * The TTF woffToSfnt should rebuild: directory, then each table padded to 4 bytes
+ */
+function buildSfnt(tables) {
+    const entrySelector = Math.floor(Math.log2(tables.length));
+    const searchRange = 2 ** entrySelector * 16;
+    const header = Buffer.alloc(12 + tables.length * 16);
+    header.writeUInt32BE(0x00010000, 0);
+    header.writeUInt16BE(tables.length, 4);
+    header.writeUInt16BE(searchRange, 6);
+    header.writeUInt16BE(entrySelector, 8);
+    header.writeUInt16BE(tables.length * 16 - searchRange, 10);
+
+    const chunks = [header];
+    let offset = header.length;
+    tables.forEach(([tag, data], i) => {
+        const record = 12 + i * 16;
+        header.write(tag, record, 4, 'latin1');
+        header.writeUInt32BE(checksumOf(tag), record + 4);
+        header.writeUInt32BE(offset, record + 8);
+        header.writeUInt32BE(data.length, record + 12);
+        const padded = Buffer.alloc(Math.ceil(data.length / 4) * 4);
+        data.copy(padded);
+        chunks.push(padded);
+        offset += padded.length;
+    });
+    return Buffer.concat(chunks);
+}
+
+/**
+ * WOFF 1.0 file of the same tables, listed in the given order. Tables zlib doesn't shrink are stored as-is.
+ */
+function buildWoff(tables) {
+    const header = Buffer.alloc(44 + tables.length * 20);
+    header.write('wOFF', 0, 4, 'latin1');
+    header.writeUInt32BE(0x00010000, 4);
+    header.writeUInt16BE(tables.length, 12);
+
+    const chunks = [header];
+    let offset = header.length;
+    tables.forEach(([tag, data], i) => {
+        const compressed = zlib.deflateSync(data);
+        const stored = compressed.length < data.length ? compressed : data;
+        const record = 44 + i * 20;
+        header.write(tag, record, 4, 'latin1');
+        header.writeUInt32BE(offset, record + 4);
+        header.writeUInt32BE(stored.length, record + 8);
+        header.writeUInt32BE(data.length, record + 12);
+        header.writeUInt32BE(checksumOf(tag), record + 16);
+        const padded = Buffer.alloc(Math.ceil(stored.length / 4) * 4);
+        stored.copy(padded);
+        chunks.push(padded);
+        offset += padded.length;
+    });
+    const woff = Buffer.concat(chunks);
+    woff.writeUInt32BE(woff.length, 8);
+    return woff;
+}
+
+test('repacks a WOFF file as the TrueType font it was made from', () => {
+    const woff = buildWoff(TABLES);
+
+    assert.deepEqual(woffToSfnt(woff), buildSfnt(TABLES));
+});
+
+test('sorts the tables of a WOFF file listed out of order', () => {
+    const woff = buildWoff([...TABLES].reverse());
+
+    assert.deepEqual(woffToSfnt(woff), buildSfnt(TABLES));
+});
+
+test('reads the family name from TrueType and WOFF files alike', () => {
+    assert.equal(readFontFamily(buildSfnt(TABLES)), 'Acme Sans');
+    assert.equal(readFontFamily(buildWoff(TABLES)), 'Acme Sans');
+});
+
+test('falls back to the legacy family name', () => {
+    const tables = TABLES.map(([tag, data]) => [tag, tag === 'name' ? nameTable([[1, 'Acme Sans Bold']]) : data]);
+
+    assert.equal(readFontFamily(buildWoff(tables)), 'Acme Sans Bold');
+});
+
+test('renames a font to its alias, keeping the other tables', () => {
+    const sfnt = buildSfnt(TABLES);
+    const renamed = renameFont(sfnt, 'wm-0123456789abcdef');
+
+    assert.equal(readFontFamily(renamed), 'wm-0123456789abcdef');
+    for (let i = 0; i < TABLES.length; i++) {
+        const [tag, data] = TABLES[i];
+        const record = 12 + i * 16;
+        assert.equal(renamed.toString('latin1', record, record + 4), tag);
+        if (tag !== 'name') {
+            const offset = renamed.readUInt32BE(record + 8);
+            assert.deepEqual(renamed.subarray(offset, offset + data.length), data);
+            assert.equal(renamed.readUInt32BE(record + 4), checksumOf(tag));
+        }
+    }
+});
+
+test('rejects files that are not fonts', () => {
+    assert.throws(() => readFontFamily(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>')), /Unsupported font format/);
+});
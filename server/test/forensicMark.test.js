@@ -0,0 +1,52 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { generateForensicId, embedForensicMark, extractForensicMark } from '../services/watermark/forensicMark.js';
+import { createProductImage } from './fixtures.js';
+
+let source;
+
+// Encoded like the renderer's default JPEG output
+const markJpeg = async (input, id) => (await embedForensicMark(sharp(input), id))
+    .jpeg({ quality: 90, progressive: true, mozjpeg: true })
+    .toBuffer();
+
+before(async () => {
+    source = await createProductImage().jpeg({ quality: 95 }).toBuffer();
+});
+
+test('reads back the embedded ID', async () => {
+    for (let i = 0; i < 5; i++) {
+        const id = generateForensicId();
+        const { id: found, confidence } = await extractForensicMark(await markJpeg(source, id));
+        assert.equal(found, id);
+        assert.ok(confidence >= 0.6, `confidence ${confidence}`);
+    }
+});
+
+test('reads the ID from a resized and re-compressed copy', async () => {
+    const id = generateForensicId();
+    const copy = await sharp(await markJpeg(source, id)).resize(300).jpeg({ quality: 75 }).toBuffer();
+
+    assert.equal((await extractForensicMark(copy)).id, id);
+});
+
+test('finds no ID in an unmarked image', async () => {
+    assert.equal((await extractForensicMark(source)).id, null);
+});
+
+test('finds no ID in a mirrored copy', async () => {
+    // Mirroring moves every block and flips the sign of one coefficient, scrambling the payload
+    const mirrored = await sharp(await markJpeg(source, generateForensicId())).flop().jpeg().toBuffer();
+
+    assert.equal((await extractForensicMark(mirrored)).id, null);
+});
+
+test('rejects a confident read whose checksum does not match', async () => {
+    // A second mark over the first only flips some blocks: the payload read is a mix of both IDs
+    const first = await (await embedForensicMark(sharp(source), 0x123456789abc)).png().toBuffer();
+    const { id, confidence } = await extractForensicMark(await markJpeg(first, 0x56876543));
+
+    assert.ok(confidence >= 0.6, `confidence ${confidence}`);
+    assert.equal(id, null);
+});
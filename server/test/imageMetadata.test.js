@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { encodeImage } from '../services/watermark/outputEncoder.js';
+import { getSourceFormat } from '../services/watermark/imageMetadata.js';
+
+const RIGHTS = { copyright: '© 2026 Acme Store', creator: 'Jane Doe', usageTerms: 'No reuse without permission' };
+
+async function encode(format, rights = RIGHTS) {
+    const image = sharp({ create: { width: 64, height: 48, channels: 3, background: '#336699' } });
+    const { buffer } = await encodeImage(image, format, { quality: 80, rights });
+    return { buffer, metadata: await sharp(buffer).metadata() };
+}
+
+/**
+ * Value of an IPTC-IIM dataset in a Photoshop IRB, or null
+ */
+function readIptcDataset(irb, record, dataset) {
+    const marker = Buffer.from([0x1c, record, dataset]);
+    const at = irb.indexOf(marker);
+    return at < 0 ? null : irb.subarray(at + 5, at + 5 + irb.readUInt16BE(at + 3));
+}
+
+function assertXmpRights(xmp, rights = RIGHTS) {
+    const text = xmp.toString('utf8');
+    assert.match(text, /<xmpRights:Marked>True<\/xmpRights:Marked>/);
+    assert.ok(text.includes(rights.copyright), text);
+    assert.ok(text.includes(rights.creator), text);
+    assert.ok(text.includes(rights.usageTerms), text);
+}
+
+test('writes EXIF, XMP and IPTC into JPEG', async () => {
+    const { metadata } = await encode('jpeg');
+
+    assert.deepEqual([metadata.format, metadata.width, metadata.height], ['jpeg', 64, 48]);
+    assertXmpRights(metadata.xmp);
+    assert.ok(metadata.exif.includes(Buffer.from(RIGHTS.creator)));
+    assert.equal(readIptcDataset(metadata.iptc, 2, 80).toString('utf8'), RIGHTS.creator);
+    assert.equal(readIptcDataset(metadata.iptc, 2, 116).toString('utf8'), RIGHTS.copyright);
+});
+
+test('pads the IPTC resource of a JPEG to an even length', async () => {
+    for (const creator of ['Jane', 'Janet']) {
+        const { metadata } = await encode('jpeg', { ...RIGHTS, creator });
+        const resource = metadata.iptc.indexOf('8BIM');
+        const size = metadata.iptc.readUInt32BE(resource + 8);
+
+        assert.equal(readIptcDataset(metadata.iptc, 2, 80).toString('utf8'), creator);
+        assert.equal(metadata.iptc.length - resource, 12 + size + size % 2);
+    }
+});
+
+test('cuts IPTC values at their byte limit without splitting a character', async () => {
+    const copyright = `a${'€'.repeat(50)}`;
+    const { metadata } = await encode('jpeg', { copyright, creator: null, usageTerms: null });
+    const value = readIptcDataset(metadata.iptc, 2, 116);
+
+    // 128 bytes would end in the middle of the 43rd euro sign
+    assert.equal(value.length, 127);
+    assert.equal(value.toString('utf8'), `a${'€'.repeat(42)}`);
+    assert.ok(metadata.xmp.toString('utf8').includes(copyright));
+    assert.equal(readIptcDataset(metadata.iptc, 2, 80), null);
+});
+
+test('writes XMP into PNG with a valid chunk checksum', async () => {
+    const { buffer, metadata } = await encode('png');
+
+    assert.deepEqual([metadata.format, metadata.width], ['png', 64]);
+    assertXmpRights(metadata.xmp);
+    // A bad CRC would make sharp reject the chunk or the whole file
+    await sharp(buffer).raw().toBuffer();
+    assert.equal(buffer.toString('latin1', 37, 41), 'iTXt');
+});
+
+test('writes XMP into WebP and keeps the RIFF size right for odd and even chunks', async () => {
+    for (const creator of ['Jane', 'Janet']) {
+        const { buffer, metadata } = await encode('webp', { ...RIGHTS, creator });
+
+        assert.equal(metadata.format, 'webp');
+        assertXmpRights(metadata.xmp, { ...RIGHTS, creator });
+        assert.equal(buffer.readUInt32LE(4), buffer.length - 8);
+        assert.equal(buffer.length % 2, 0);
+        assert.ok(buffer[20] & 0x04, 'XMP flag set in VP8X');
+        await sharp(buffer).raw().toBuffer();
+    }
+});
+
+test('keeps only EXIF in AVIF', async () => {
+    const { metadata } = await encode('avif');
+
+    assert.equal(getSourceFormat(metadata), 'avif');
+    assert.ok(metadata.exif.includes(Buffer.from(RIGHTS.creator)));
+    assert.equal(metadata.xmp, undefined);
+    assert.equal(metadata.iptc, undefined);
+});
+
+test('leaves images without rights settings untouched', async () => {
+    const { metadata } = await encode('jpeg', null);
+
+    assert.equal(metadata.xmp, undefined);
+    assert.equal(metadata.iptc, undefined);
+});
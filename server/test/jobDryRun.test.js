@@ -0,0 +1,81 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import pool from '../db/index.js';
+import { UPDATE_JOB_PROGRESS, SAVE_JOB_REPORT } from '../db/watermark-queries.js';
+import { SKIP_CODES, ERROR_CODES } from '../constants/watermark.js';
+import { WatermarkProcessor } from '../services/watermark/watermarkProcessor.js';
+import { createProductImage, serveImages, stubQueries } from './fixtures.js';
+
+// The Admin API client sends its requests through fetch, which the Shopify library picks up when it is imported
+const fetch = globalThis.fetch;
+const graphqlCalls = [];
+let products = {};
+globalThis.fetch = async (url, init) => {
+    const { query, variables } = JSON.parse(init.body);
+    graphqlCalls.push(query);
+    const data = query.includes('getProductMedia') ? { product: products[variables.id] ?? null } : {};
+    return new Response(JSON.stringify({ data }), { headers: { 'Content-Type': 'application/json' } });
+};
+process.env.SHOPIFY_API_KEY ??= 'test-key';
+process.env.SHOPIFY_API_SECRET ??= 'test-secret';
+const { runDryRun } = await import('../services/jobDryRun.js');
+
+const image = (id, url) => ({ node: { id, alt: '', mediaContentType: 'IMAGE', image: { id: `${id}-image`, url } } });
+const product = (id, title, media) => ({ id, title, variants: { edges: [] }, media: { edges: media } });
+
+let server;
+before(async () => {
+    server = await serveImages({
+        'photo.jpg': await createProductImage(600, 400).jpeg().toBuffer(),
+        'tiny.jpg': await createProductImage(80, 60).jpeg().toBuffer()
+    });
+    products = {
+        'gid://shopify/Product/1': product('gid://shopify/Product/1', 'Linen Shirt', [
+            image('media-1', server.url('photo.jpg')),
+            image('media-2', server.url('tiny.jpg'))
+        ]),
+        'gid://shopify/Product/2': product('gid://shopify/Product/2', 'Wool Scarf', [
+            image('media-3', server.url('missing.jpg'))
+        ])
+    };
+});
+after(() => {
+    server.close();
+    globalThis.fetch = fetch;
+});
+
+test('reports what a job would change without changing anything', async t => {
+    const db = stubQueries(pool, () => [{ id: 5 }]);
+    t.after(db.restore);
+    const processor = new WatermarkProcessor({
+        layers: [{ id: 'badge', type: 'shape', position: 'center', width: 20, height: 10, fill: '#ffffff' }],
+        output_format: 'png'
+    });
+    await processor.init();
+    t.mock.method(processor, 'process');
+
+    const productIds = ['gid://shopify/Product/1', 'gid://shopify/Product/2', 'gid://shopify/Product/3'];
+    const report = await runDryRun(5, productIds, processor, {
+        shop: 'acme.myshopify.com',
+        accessToken: 'token',
+        shopInfo: { name: 'Acme' },
+        watermarkedHashes: null
+    });
+
+    assert.deepEqual(report.products, { total: 3, would_change: 1, unchanged: 1, failed: 1 });
+    assert.deepEqual(report.images, { total: 3, would_change: 1, skipped: 1, failed: 1 });
+    assert.deepEqual(report.skip_reasons, { [SKIP_CODES.TOO_SMALL]: 1 });
+    assert.deepEqual(report.error_codes, { [ERROR_CODES.DOWNLOAD_FAILED]: 1, [ERROR_CODES.SHOPIFY_API_ERROR]: 1 });
+    assert.deepEqual(report.previews.map(p => p.media_id), ['media-1']);
+    assert.match(report.previews[0].preview, /^data:image\/png;base64,/);
+
+    // Only product media was read: no staged upload, media or variant mutation, and nothing rendered in full
+    assert.equal(processor.process.mock.callCount(), 0);
+    assert.equal(graphqlCalls.length, productIds.length);
+    assert.ok(graphqlCalls.every(query => !/\bmutation\b/.test(query)), 'a mutation was sent');
+
+    // Of the database, only the job row is written: progress, product counters and the report
+    assert.ok(db.calls.every(call => /^\s*UPDATE watermark_jobs\b/.test(call.sql)), db.calls.map(call => call.sql).join('\n'));
+    assert.equal(db.calls[0].sql, UPDATE_JOB_PROGRESS);
+    assert.equal(db.calls.at(-1).sql, SAVE_JOB_REPORT);
+});
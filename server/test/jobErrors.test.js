@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { classifyJobError } from '../services/jobErrors.js';
+import { validateImage } from '../services/watermark/renderer.js';
+import { ERROR_CODES } from '../constants/watermark.js';
+import { serveImages } from './fixtures.js';
+
+/**
+ * The error axios throws for a request the server answers with the given status
+ */
+async function httpError(t, status) {
+    const server = await serveImages({});
+    t.after(() => server.close());
+    const error = await axios.get(server.url('missing.jpg')).catch(e => e);
+    error.response.status = status;
+    return error;
+}
+
+test('keeps the code an error carries', async () => {
+    const error = await validateImage(Buffer.from('not an image')).catch(e => e);
+
+    assert.equal(classifyJobError(error), ERROR_CODES.INVALID_IMAGE);
+    assert.equal(classifyJobError(error, ERROR_CODES.UPLOAD_FAILED), ERROR_CODES.INVALID_IMAGE);
+});
+
+test('recognises throttling by status and message', async t => {
+    assert.equal(classifyJobError(await httpError(t, 429), ERROR_CODES.UPLOAD_FAILED), ERROR_CODES.RATE_LIMIT_EXCEEDED);
+    assert.equal(classifyJobError(new Error('Throttled'), ERROR_CODES.SHOPIFY_API_ERROR), ERROR_CODES.RATE_LIMIT_EXCEEDED);
+    assert.equal(classifyJobError({ message: 'GraphQL error', response: { code: 429 } }, ERROR_CODES.SHOPIFY_API_ERROR), ERROR_CODES.RATE_LIMIT_EXCEEDED);
+});
+
+test('treats failed requests while rendering as download failures', async t => {
+    assert.equal(classifyJobError(await httpError(t, 404)), ERROR_CODES.DOWNLOAD_FAILED);
+    assert.equal(classifyJobError(await httpError(t, 404), ERROR_CODES.UPLOAD_FAILED), ERROR_CODES.UPLOAD_FAILED);
+});
+
+test('falls back to the code of the step', () => {
+    assert.equal(classifyJobError(new Error('sharp: unsupported')), ERROR_CODES.PROCESSING_FAILED);
+    assert.equal(classifyJobError(new Error('Media not found'), ERROR_CODES.SHOPIFY_API_ERROR), ERROR_CODES.SHOPIFY_API_ERROR);
+    assert.equal(classifyJobError(undefined), ERROR_CODES.PROCESSING_FAILED);
+});
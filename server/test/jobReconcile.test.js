@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import pool from '../db/index.js';
+import {
+    GET_PRODUCT_JOB_ITEMS,
+    UPDATE_JOB_ITEM_COMPLETED,
+    DELETE_UNFINISHED_PRODUCT_JOB_ITEMS
+} from '../db/watermark-queries.js';
+import { JOB_ITEM_STATUS } from '../constants/watermark.js';
+import { computePerceptualHash } from '../services/watermark/perceptualHash.js';
+import { reconcileProduct, watermarkedMediaAlt } from '../services/jobReconcile.js';
+import { createProductImage, serveImages, stubQueries } from './fixtures.js';
+
+const PRODUCT_ID = 'gid://shopify/Product/7';
+const TITLE = 'Linen Shirt';
+
+const image = (id, url, alt = '') => ({ node: { id, alt, mediaContentType: 'IMAGE', image: { url } } });
+
+/**
+ * A product an attempt stopped on: image 1 was swapped, image 2 was uploaded without being recorded,
+ * image 3 was never uploaded. Another product image carries the job's alt text too.
+ */
+async function interruptedProduct(t) {
+    const output = await createProductImage(600, 400).jpeg().toBuffer();
+    const source = await createProductImage(600, 400).flop().jpeg().toBuffer();
+    const other = await createProductImage(400, 600).rotate(90).jpeg().toBuffer();
+    const server = await serveImages({ 'output.jpg': output, 'other.jpg': other });
+    t.after(() => server.close());
+
+    const items = [
+        { id: 1, status: JOB_ITEM_STATUS.COMPLETED, original_media_id: 'media-1', new_media_id: 'media-1w', image_hash: 'ffff0000ffff0000' },
+        { id: 2, status: JOB_ITEM_STATUS.PENDING, original_media_id: 'media-2', new_media_id: null, image_hash: await computePerceptualHash(output), source_hash: await computePerceptualHash(source) },
+        { id: 3, status: JOB_ITEM_STATUS.PENDING, original_media_id: 'media-3', new_media_id: null, image_hash: null }
+    ];
+    const alt = watermarkedMediaAlt(TITLE);
+    const productNode = {
+        id: PRODUCT_ID,
+        title: TITLE,
+        media: {
+            edges: [
+                image('media-1w', server.url('output.jpg'), alt),
+                image('media-2', server.url('source.jpg')),
+                image('media-3', server.url('source.jpg')),
+                image('media-4', server.url('other.jpg'), alt),
+                image('media-2w', server.url('output.jpg'), alt)
+            ]
+        }
+    };
+    return { items, productNode };
+}
+
+test('adopts media an attempt uploaded without recording it', async t => {
+    const { items, productNode } = await interruptedProduct(t);
+    const db = stubQueries(pool, (sql, params) => {
+        if (sql === GET_PRODUCT_JOB_ITEMS) return items;
+        if (sql === UPDATE_JOB_ITEM_COMPLETED) {
+            const item = items.find(i => i.id === params[0]);
+            return [{ ...item, status: JOB_ITEM_STATUS.COMPLETED, new_media_id: params[1], new_media_url: params[2] }];
+        }
+        if (sql === DELETE_UNFINISHED_PRODUCT_JOB_ITEMS) return [{}];
+    });
+    t.after(db.restore);
+
+    const { swapped, handled } = await reconcileProduct(11, productNode);
+
+    assert.deepEqual(swapped.map(item => [item.id, item.new_media_id]), [[1, 'media-1w'], [2, 'media-2w']]);
+    assert.deepEqual([...handled].sort(), ['media-1', 'media-1w', 'media-2', 'media-2w']);
+
+    const adopted = db.calls.filter(call => call.sql === UPDATE_JOB_ITEM_COMPLETED);
+    assert.equal(adopted.length, 1);
+    assert.deepEqual(adopted[0].params.slice(0, 2), [2, 'media-2w']);
+    assert.ok(db.calls.some(call => call.sql === DELETE_UNFINISHED_PRODUCT_JOB_ITEMS && call.params[1] === PRODUCT_ID));
+});
+
+test('clears unfinished items when nothing matches', async t => {
+    const { items, productNode } = await interruptedProduct(t);
+    productNode.media.edges = productNode.media.edges.filter(e => e.node.id !== 'media-2w');
+    const db = stubQueries(pool, sql => {
+        if (sql === GET_PRODUCT_JOB_ITEMS) return items;
+        if (sql === DELETE_UNFINISHED_PRODUCT_JOB_ITEMS) return [{}, {}];
+    });
+    t.after(db.restore);
+
+    const { swapped, handled } = await reconcileProduct(11, productNode);
+
+    assert.deepEqual(swapped.map(item => item.id), [1]);
+    assert.deepEqual([...handled].sort(), ['media-1', 'media-1w']);
+    assert.ok(!db.calls.some(call => call.sql === UPDATE_JOB_ITEM_COMPLETED));
+    assert.ok(db.calls.some(call => call.sql === DELETE_UNFINISHED_PRODUCT_JOB_ITEMS));
+});
+
+test('keeps the swapped images of a product with nothing pending', async t => {
+    const { items, productNode } = await interruptedProduct(t);
+    const db = stubQueries(pool, sql => (sql === GET_PRODUCT_JOB_ITEMS ? items.slice(0, 1) : []));
+    t.after(db.restore);
+
+    const { swapped } = await reconcileProduct(11, productNode);
+
+    assert.deepEqual(swapped.map(item => item.id), [1]);
+    assert.deepEqual(db.calls.map(call => call.sql), [GET_PRODUCT_JOB_ITEMS, DELETE_UNFINISHED_PRODUCT_JOB_ITEMS]);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeSchedule, validateSchedule, getNextRun } from '../services/jobSchedules.js';
+import { SCOPE_TYPE, SCHEDULE_LIMITS } from '../constants/watermark.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const validate = body => validateSchedule(normalizeSchedule({ scopeType: SCOPE_TYPE.ALL, ...body }));
+
+test('accepts a future one-off run and an hourly recurrence', () => {
+    assert.equal(validate({ runAt: new Date(Date.now() + HOUR).toISOString() }), null);
+    assert.equal(validate({ cron: '0 * * * *', timezone: 'Europe/Paris' }), null);
+    assert.equal(validate({ cron: '0 0 3 * * 1', runAt: '2020-01-01T00:00:00Z', createdWithinHours: '24' }), null);
+});
+
+test('rejects a one-off run in the past', () => {
+    assert.equal(validate({ runAt: new Date(Date.now() - 1000).toISOString() }), 'runAt must be in the future');
+    assert.equal(validate({ runAt: 'next tuesday' }), 'runAt must be a date');
+    assert.match(validate({}), /runAt.*or a recurrence/);
+});
+
+test('rejects invalid cron patterns', () => {
+    assert.match(validate({ cron: '0 25 * * *' }), /^Invalid cron pattern/);
+    assert.match(validate({ cron: 'every hour' }), /^Invalid cron pattern/);
+});
+
+test('rejects recurrences that run more often than the minimum interval', () => {
+    const tooOften = `Recurring jobs can run at most every ${SCHEDULE_LIMITS.MIN_INTERVAL_MINUTES} minutes`;
+
+    assert.equal(validate({ cron: '*/15 * * * *' }), tooOften);
+    assert.equal(validate({ cron: '0 * * * * *' }), tooOften);
+    // Runs are checked pairwise, so one short gap is enough
+    assert.equal(validate({ cron: '0,30 9 * * *' }), tooOften);
+});
+
+test('rejects an unknown timezone, scope or filter window', () => {
+    assert.match(validate({ cron: '0 * * * *', timezone: 'Mars/Olympus' }), /Invalid timezone/);
+    assert.match(validate({ cron: '0 * * * *', scopeType: SCOPE_TYPE.COLLECTION }), /collection/);
+    assert.match(validate({ cron: '0 * * * *', createdWithinHours: 0 }), /createdWithinHours/);
+    assert.match(validate({ cron: '0 * * * *', createdWithinHours: 1.5 }), /createdWithinHours/);
+});
+
+test('finds the next run of a schedule', () => {
+    const from = new Date('2026-03-05T10:20:00Z');
+
+    assert.equal(getNextRun({ cron: '0 * * * *', timezone: 'UTC' }, from).toISOString(), '2026-03-05T11:00:00.000Z');
+    assert.equal(getNextRun({ cron: '0 9 * * *', timezone: 'America/New_York', run_at: '2026-04-01T00:00:00Z' }, from).toISOString(), '2026-04-01T13:00:00.000Z');
+    assert.equal(getNextRun({ cron: null, run_at: '2026-03-05T12:00:00Z' }, from).toISOString(), '2026-03-05T12:00:00.000Z');
+    assert.equal(getNextRun({ cron: null, run_at: '2026-03-05T09:00:00Z' }, from), null);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateLayers } from '../services/watermark/layers.js';
+
+const qr = fields => ({ type: 'qr', qr_url: '{{product.url}}', ...fields });
+
+test('accepts QR codes with hex colours and a transparent background', () => {
+    assert.equal(validateLayers([qr({ color: '#1a1a1a', fill: '#FFF' })]), null);
+    assert.equal(validateLayers([qr({ color: '#000000', fill: null })]), null);
+});
+
+test('rejects QR colours sharp cannot parse', () => {
+    assert.match(validateLayers([qr({ color: 'nope' })]), /Invalid color colour: nope/);
+    assert.match(validateLayers([qr({ fill: 'white' })]), /Invalid fill colour: white/);
+    assert.match(validateLayers([qr({ color: '#12345' })]), /Invalid color colour/);
+});
+
+test('rejects tile spacing and angles out of range', () => {
+    const logo = fields => ({ type: 'logo', url: 'https://cdn.shopify.com/logo.png', layout: 'tile', ...fields });
+
+    assert.equal(validateLayers([logo({ tile_spacing: 120, tile_angle: -45 })]), null);
+    assert.match(validateLayers([logo({ tile_spacing: 1e7 })]), /tile_spacing must be between 0 and 1000/);
+    assert.match(validateLayers([logo({ tile_spacing: -5 })]), /tile_spacing/);
+    assert.match(validateLayers([logo({ tile_angle: 1e9 })]), /tile_angle must be between -360 and 360/);
+    assert.match(validateLayers([logo({ tile_angle: 'steep' })]), /tile_angle/);
+});
+
+test('rejects numeric properties out of range', () => {
+    assert.match(validateLayers([{ type: 'logo', scale: 500 }]), /scale must be between/);
+    assert.match(validateLayers([{ type: 'logo', opacity: -3 }]), /opacity must be between 0 and 1/);
+    assert.match(validateLayers([{ type: 'logo', rotation: 1e9 }]), /rotation/);
+    assert.match(validateLayers([{ type: 'text', content: 'Hi', size: 1e6 }]), /size must be between/);
+    assert.match(validateLayers([{ type: 'frame', frame_width: -5 }]), /frame_width/);
+    assert.match(validateLayers([{ type: 'shape', shadow_blur: 'blurry' }]), /shadow_blur/);
+});
+
+test('accepts numeric properties in range, as numbers or strings, and unset clamps', () => {
+    const layers = [
+        { type: 'logo', url: 'https://cdn.shopify.com/logo.png', scale: '0.2', opacity: 0.8, rotation: -45, min_size_px: null, max_size_px: '' },
+        { type: 'text', content: 'Hi', size: 24, line_height: 1.2, letter_spacing: -2 },
+        { type: 'caption', content: 'Hi', fill_opacity: 0.6, shadow_offset_x: -4 }
+    ];
+
+    assert.equal(validateLayers(layers), null);
+});
+
+test('rejects colours that are not hex colours', () => {
+    assert.match(validateLayers([{ type: 'frame', frame_width: 10, fill: 'zzz' }]), /Invalid fill colour: zzz \(frame layer/);
+    assert.match(validateLayers([{ type: 'frame', fill: '#FFFFFF', fill_end: 'url(#x)' }]), /fill_end/);
+    assert.match(validateLayers([{ type: 'text', content: 'Hi', outline_color: 'black' }]), /outline_color/);
+    assert.match(validateLayers([{ type: 'shape', shadow_color: '#00000' }]), /shadow_color/);
+    assert.equal(validateLayers([{ type: 'frame', fill: '#abc', fill_end: null }]), null);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { processLogo } from '../services/watermark/logoProcessing.js';
+
+/**
+ * 100×100 black ring (outer diameter 68px) on white, with the same white inside the ring
+ */
+function ringLogo() {
+    return sharp(Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100">
+        <rect width="100" height="100" fill="#ffffff"/>
+        <circle cx="50" cy="50" r="30" fill="none" stroke="#000000" stroke-width="8"/>
+    </svg>`)).png().toBuffer();
+}
+
+async function pixels(png) {
+    const { data, info } = await sharp(png).raw().toBuffer({ resolveWithObject: true });
+    const at = (x, y) => [...data.subarray((y * info.width + x) * info.channels, (y * info.width + x + 1) * info.channels)];
+    return { data, info, at };
+}
+
+test('knocks out the white around a logo but not the white inside it', async () => {
+    const { info, at } = await pixels(await processLogo(await ringLogo(), { knockout: 'white' }));
+
+    assert.deepEqual([info.width, info.height, info.channels], [100, 100, 4]);
+    assert.equal(at(0, 0)[3], 0);
+    assert.equal(at(99, 50)[3], 0);
+    assert.deepEqual(at(50, 50), [255, 255, 255, 255]);
+    assert.deepEqual(at(50, 20), [0, 0, 0, 255]);
+});
+
+test('trims solid and knocked-out padding', async () => {
+    const solid = await pixels(await processLogo(await ringLogo(), { trim: true }));
+    const knockedOut = await pixels(await processLogo(await ringLogo(), { trim: true, knockout: 'white' }));
+
+    for (const { info, at } of [solid, knockedOut]) {
+        // Anti-aliased edges may keep a pixel either side of the 68px ring
+        assert.ok(Math.abs(info.width - 68) <= 2, `width ${info.width}`);
+        assert.ok(Math.abs(info.height - 68) <= 2, `height ${info.height}`);
+        assert.deepEqual(at(Math.floor(info.width / 2), 1).slice(0, 3), [0, 0, 0]);
+    }
+    assert.equal(knockedOut.at(0, 0)[3], 0);
+});
+
+test('tints a logo keeping only its alpha shape', async () => {
+    const knockedOut = await processLogo(await ringLogo(), { knockout: 'white' });
+    const tinted = await pixels(await processLogo(knockedOut, { tint: '#ff0000' }));
+    const alpha = await sharp(knockedOut).extractChannel('alpha').raw().toBuffer();
+
+    for (let i = 0; i < alpha.length; i++) {
+        assert.deepEqual([...tinted.data.subarray(i * 4, i * 4 + 4)], [255, 0, 0, alpha[i]]);
+    }
+    // The white inside the ring is opaque, so it is tinted too
+    assert.deepEqual(tinted.at(50, 50), [255, 0, 0, 255]);
+});
@@ -0,0 +1,72 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderWatermark } from '../services/watermark/renderer.js';
+import { computePerceptualHash, createHashIndex } from '../services/watermark/perceptualHash.js';
+import { WatermarkProcessor } from '../services/watermark/watermarkProcessor.js';
+import { SKIP_CODES } from '../constants/watermark.js';
+import { createProductImage, createLogo, serveImages } from './fixtures.js';
+
+const LOGO_URL = 'https://fixtures.test/logo.png';
+
+// A small corner logo: it moves the hash of the fixture by only a few bits
+const settings = {
+    layers: [{ id: 'logo', type: 'logo', url: LOGO_URL, position: 'bottom-right', scale: 0.1, opacity: 0.8, margin: 24 }],
+    output_format: 'jpeg'
+};
+
+let source;
+let logo;
+let server;
+
+const assets = () => new Map([[LOGO_URL, logo]]);
+
+before(async () => {
+    source = await createProductImage().jpeg({ quality: 95 }).toBuffer();
+    logo = await createLogo();
+});
+
+after(() => server?.close());
+
+test('an unwatermarked source does not match its own output', async () => {
+    const rendered = await renderWatermark(source, settings, { assets: assets() });
+    const sourceHash = await computePerceptualHash(source);
+    const outputHash = await computePerceptualHash(rendered.buffer);
+
+    const index = createHashIndex([{ hash: outputHash, sourceHash }]);
+    assert.equal(index.find(sourceHash), null);
+    assert.equal(index.find(outputHash)?.distance, 0);
+
+    // As added by a job for the images it just swapped, so a duplicate later in the job is still watermarked
+    const inJob = createHashIndex();
+    inJob.add({ hash: outputHash, sourceHash });
+    assert.equal(inJob.find(sourceHash), null);
+});
+
+test('outputs saved without their source only match nearly exactly', async () => {
+    const rendered = await renderWatermark(source, settings, { assets: assets() });
+    const sourceHash = await computePerceptualHash(source);
+    const outputHash = await computePerceptualHash(rendered.buffer);
+
+    const index = createHashIndex([outputHash]);
+    assert.equal(index.find(sourceHash), null);
+    assert.equal(index.find(outputHash)?.distance, 0);
+});
+
+test('a hash match is only skipped when the image carries the forensic mark of the output', async () => {
+    const marked = await renderWatermark(source, { ...settings, forensic_enabled: true }, { assets: assets() });
+    server = await serveImages({ 'source.jpg': source, 'marked.jpg': marked.buffer });
+
+    const processor = new WatermarkProcessor(settings);
+    processor.assets = assets();
+
+    const outputHash = await computePerceptualHash(marked.buffer);
+    const sourceHash = await computePerceptualHash(source);
+    const index = createHashIndex([{ hash: outputHash, forensicId: marked.forensicId }]);
+    const again = await processor.inspect(server.url('marked.jpg'), { watermarkedHashes: index });
+    assert.equal(again.code, SKIP_CODES.ALREADY_WATERMARKED);
+
+    // Same hash as a marked output, but the source never carried the mark
+    const lookalike = createHashIndex([{ hash: sourceHash, forensicId: marked.forensicId }]);
+    const original = await processor.inspect(server.url('source.jpg'), { watermarkedHashes: lookalike });
+    assert.equal(original.skipped, undefined);
+});
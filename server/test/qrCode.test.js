@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import QRCode from 'qrcode';
+import { buildQrUrl, renderQrCode } from '../services/watermark/qrCode.js';
+import { WATERMARK_DEFAULTS } from '../constants/watermark.js';
+
+const context = { product: { url: 'https://acme.test/products/linen-shirt', handle: 'linen-shirt' } };
+
+test('appends UTM parameters, replacing those already in the template', () => {
+    const url = buildQrUrl({
+        qr_url: '{{product.url}}?utm_source=old&ref=tag',
+        utm_source: 'packaging',
+        utm_campaign: '{{product.handle}}'
+    }, context);
+
+    const { searchParams } = new URL(url);
+    assert.deepEqual(searchParams.getAll('utm_source'), ['packaging']);
+    assert.equal(searchParams.get('utm_campaign'), 'linen-shirt');
+    assert.equal(searchParams.get('ref'), 'tag');
+    assert.equal(searchParams.has('utm_medium'), false);
+});
+
+test('rejects templates that are not http(s) links', () => {
+    assert.equal(buildQrUrl({ qr_url: 'javascript:alert(1)' }, context), null);
+    assert.equal(buildQrUrl({ qr_url: 'ftp://acme.test/file' }, context), null);
+    assert.equal(buildQrUrl({ qr_url: 'acme.test/products' }, context), null);
+    assert.equal(buildQrUrl({ qr_url: '{{product.vendor}}' }, context), null);
+});
+
+test('renders whole pixels per module, quiet zone included', async () => {
+    const text = 'https://acme.test/products/linen-shirt';
+    const side = QRCode.create(text, { errorCorrectionLevel: 'H' }).modules.size + WATERMARK_DEFAULTS.QR_QUIET_ZONE * 2;
+
+    const code = await renderQrCode(text, 200, { color: '#000000', background: null, errorCorrection: 'H' });
+    const { width, height, channels } = await sharp(code).metadata();
+
+    assert.equal(width, side * Math.floor(200 / side));
+    assert.equal(height, width);
+    assert.equal(channels, 4);
+});
+
+test('never renders modules smaller than a pixel', async () => {
+    const text = 'https://acme.test/products/linen-shirt';
+    const side = QRCode.create(text, { errorCorrectionLevel: 'M' }).modules.size + WATERMARK_DEFAULTS.QR_QUIET_ZONE * 2;
+
+    const code = await renderQrCode(text, 10, { color: '#000000', background: '#FFFFFF', errorCorrection: 'M' });
+    const { data, info } = await sharp(code).raw().toBuffer({ resolveWithObject: true });
+
+    assert.equal(info.width, side);
+    // Opaque background, and the quiet zone corner stays background-coloured
+    assert.deepEqual([...data.subarray(0, 4)], [255, 255, 255, 255]);
+});
@@ -0,0 +1,121 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { renderWatermark } from '../services/watermark/renderer.js';
+import { generatePreview } from '../services/watermark/imageEngine.js';
+import { WatermarkProcessor } from '../services/watermark/watermarkProcessor.js';
+import { createProductImage, createLogo, serveImages, meanDifference, compareWithGolden } from './fixtures.js';
+
+// Largest mean per-channel difference (0-255) still treated as the same image
+const GOLDEN_TOLERANCE = 0.5;
+// A preview is rendered at a lower resolution: edges resample differently and tile spacing rounds to whole pixels
+const PREVIEW_TOLERANCE = 1;
+
+const LOGO_URL = 'https://fixtures.test/logo.png';
+
+// Rendered as PNG so the goldens compare layer math, not lossy encoder output
+const CASES = {
+    'logo-bottom-right': {
+        layers: [{ id: 'logo', type: 'logo', url: LOGO_URL, position: 'bottom-right', scale: 0.2, opacity: 0.8, margin: 24 }]
+    },
+    'shape-auto-position': {
+        layers: [{ id: 'badge', type: 'shape', position: 'auto', width: 25, height: 12, fill: '#ffffff', radius: 12, opacity: 0.9, margin: 16 }]
+    },
+    'logo-tiled-multiply': {
+        layers: [{ id: 'tile', type: 'logo', url: LOGO_URL, layout: 'tile', scale: 0.1, opacity: 0.6, blend_mode: 'multiply' }]
+    },
+    'stacked-rotated-shadow': {
+        layers: [
+            { id: 'band', type: 'shape', position: 'bottom-center', width: 100, height: 15, fill: '#000000', opacity: 0.4 },
+            { id: 'logo', type: 'logo', url: LOGO_URL, position: 'center', scale: 0.3, rotation: 30, shadow: 'drop', shadow_blur: 6 }
+        ]
+    },
+    'frame-solid': {
+        layers: [{ id: 'frame', type: 'frame', frame_width: 16, fill: '#ffffff' }]
+    },
+    'frame-gradient': {
+        layers: [{ id: 'frame', type: 'frame', frame_width: 24, fill: '#d72c0d', fill_end: '#1a1a1a', opacity: 0.9 }]
+    },
+    'ribbon-corner': {
+        layers: [{ id: 'sale', type: 'ribbon', ribbon_style: 'ribbon', position: 'top-right', content: 'SALE', size: 28 }]
+    },
+    // A ribbon anchored away from a corner is drawn as a badge
+    'ribbon-badge-fallback': {
+        layers: [{ id: 'sale', type: 'ribbon', ribbon_style: 'ribbon', position: 'bottom-center', content: 'SALE', size: 28, margin: 16 }]
+    },
+    // Too wide for the bar at size 60, so the text is scaled down to fit
+    'caption-scale-to-fit': {
+        layers: [{ id: 'caption', type: 'caption', position: 'bottom-center', content: 'Handmade linen shirt, washed for softness', size: 60, margin: 0 }]
+    }
+};
+
+let source;
+let rotatedSource;
+let logo;
+let server;
+
+const assets = () => new Map([[LOGO_URL, logo]]);
+const settingsFor = (name, extra = {}) => ({ ...CASES[name], output_format: 'png', ...extra });
+
+before(async () => {
+    source = await createProductImage().jpeg({ quality: 95 }).toBuffer();
+    // Stored sideways with EXIF orientation 6, as phone cameras do
+    rotatedSource = await createProductImage(400, 600).rotate(-90).jpeg({ quality: 95 }).withMetadata({ orientation: 6 }).toBuffer();
+    logo = await createLogo();
+    server = await serveImages({ 'product.jpg': source, 'logo.png': logo });
+});
+
+after(() => server?.close());
+
+for (const name of Object.keys(CASES)) {
+    test(`renders ${name} like its golden image`, async () => {
+        const rendered = await renderWatermark(source, settingsFor(name), { assets: assets() });
+        const difference = await compareWithGolden(name, rendered.buffer);
+        assert.ok(difference <= GOLDEN_TOLERANCE, `${name} differs from its golden image by ${difference.toFixed(3)}`);
+    });
+
+    test(`preview of ${name} matches the full-size render`, async () => {
+        const full = await renderWatermark(source, settingsFor(name), { assets: assets() });
+        const preview = await renderWatermark(source, settingsFor(name), { assets: assets(), maxWidth: 300 });
+
+        assert.equal(preview.metadata.width, 300);
+        assert.deepEqual(preview.decisions, full.decisions);
+        const difference = await meanDifference(preview.buffer, full.buffer);
+        assert.ok(difference <= PREVIEW_TOLERANCE, `preview differs from the full render by ${difference.toFixed(3)}`);
+    });
+}
+
+test('lays layers out on the upright image for EXIF-rotated sources', async () => {
+    const rendered = await renderWatermark(rotatedSource, settingsFor('logo-bottom-right'), { assets: assets() });
+    const { width, height } = await sharp(rendered.buffer).metadata();
+
+    assert.deepEqual({ width, height }, { width: 400, height: 600 });
+    const difference = await compareWithGolden('exif-rotated', rendered.buffer);
+    assert.ok(difference <= GOLDEN_TOLERANCE, `exif-rotated differs from its golden image by ${difference.toFixed(3)}`);
+});
+
+test('auto position picks the calm lower area of the fixture', async () => {
+    const rendered = await renderWatermark(source, settingsFor('shape-auto-position'), { assets: assets() });
+    assert.match(rendered.decisions[0].position, /^(bottom|middle)-/);
+});
+
+test('jobs render byte for byte what the shared renderer renders', async () => {
+    const settings = settingsFor('stacked-rotated-shadow', { output_format: 'original', output_quality: 85 });
+    const processor = new WatermarkProcessor(settings);
+    processor.assets = assets();
+
+    const job = await processor.process(server.url('product.jpg'));
+    const direct = await renderWatermark(source, settings, { assets: assets() });
+
+    assert.equal(job.output.format, 'jpeg');
+    assert.ok(job.buffer.equals(direct.buffer), 'job output differs from the renderer output');
+});
+
+test('previews render byte for byte what the shared renderer renders', async () => {
+    const settings = { ...settingsFor('logo-bottom-right'), layers: [{ ...CASES['logo-bottom-right'].layers[0], url: server.url('logo.png') }] };
+
+    const preview = await generatePreview(server.url('product.jpg'), settings, 300, {});
+    const direct = await renderWatermark(source, settings, { maxWidth: 300 });
+
+    assert.equal(preview.base64, `data:image/png;base64,${direct.buffer.toString('base64')}`);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { planSmallImage, validateSmallImageSettings } from '../services/watermark/smallImages.js';
+import { renderWatermark } from '../services/watermark/renderer.js';
+import { SMALL_IMAGE_POLICIES, WATERMARK_DEFAULTS } from '../constants/watermark.js';
+import { createProductImage } from './fixtures.js';
+
+test('leaves images at or above the threshold alone', () => {
+    assert.equal(planSmallImage({ width: 800, height: 400 }, { small_image_min_px: 400 }), null);
+    assert.equal(planSmallImage({ width: 600, height: WATERMARK_DEFAULTS.SMALL_IMAGE_MIN_PX }), null);
+});
+
+test('applies the policy by the shorter side', () => {
+    const plan = planSmallImage({ width: 1200, height: 300 }, { small_image_policy: SMALL_IMAGE_POLICIES.SKIP, small_image_min_px: 400 });
+
+    assert.equal(plan.policy, SMALL_IMAGE_POLICIES.SKIP);
+    assert.equal(plan.scale, 1);
+    assert.match(plan.reason, /1200x300px/);
+});
+
+test('upscales to the threshold', () => {
+    const plan = planSmallImage({ width: 300, height: 200 }, { small_image_policy: SMALL_IMAGE_POLICIES.UPSCALE, small_image_min_px: 500 });
+
+    assert.equal(plan.policy, SMALL_IMAGE_POLICIES.UPSCALE);
+    assert.equal(plan.scale, 2.5);
+});
+
+test('shrinks animations instead of upscaling them', () => {
+    const plan = planSmallImage({ width: 300, height: 200 }, { small_image_policy: SMALL_IMAGE_POLICIES.UPSCALE, small_image_min_px: 500 }, true);
+
+    assert.equal(plan.policy, SMALL_IMAGE_POLICIES.SHRINK);
+    assert.equal(plan.scale, 1);
+});
+
+test('skips images under the minimum dimension unless they are upscaled', () => {
+    const tiny = { width: 80, height: 60 };
+
+    assert.equal(planSmallImage(tiny, { small_image_policy: SMALL_IMAGE_POLICIES.SHRINK }).policy, SMALL_IMAGE_POLICIES.SKIP);
+    assert.equal(planSmallImage(tiny, { small_image_policy: SMALL_IMAGE_POLICIES.UPSCALE }).policy, SMALL_IMAGE_POLICIES.UPSCALE);
+});
+
+test('renders an upscaled image at the threshold size', async () => {
+    const source = await createProductImage(300, 200).jpeg().toBuffer();
+    const settings = {
+        layers: [{ id: 'badge', type: 'shape', position: 'center', width: 20, height: 10, fill: '#ffffff' }],
+        output_format: 'png',
+        small_image_policy: SMALL_IMAGE_POLICIES.UPSCALE,
+        small_image_min_px: 400
+    };
+
+    const rendered = await renderWatermark(source, settings);
+    const { width, height } = await sharp(rendered.buffer).metadata();
+
+    assert.deepEqual({ width, height }, { width: 600, height: 400 });
+});
+
+test('validates the policy and threshold', () => {
+    assert.equal(validateSmallImageSettings({ small_image_policy: SMALL_IMAGE_POLICIES.UPSCALE, small_image_min_px: 400 }), null);
+    assert.match(validateSmallImageSettings({ small_image_policy: 'stretch' }), /Invalid small image policy/);
+    assert.match(validateSmallImageSettings({ small_image_min_px: 50 }), /between/);
+    assert.match(validateSmallImageSettings({ small_image_min_px: 450.5 }), /between/);
+});
@@ -0,0 +1,57 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { renderWatermark } from '../services/watermark/renderer.js';
+import { getSourceFormat } from '../services/watermark/imageMetadata.js';
+import { createProductImage, meanDifference } from './fixtures.js';
+
+const settings = {
+    layers: [{ id: 'badge', type: 'shape', position: 'center', width: 20, height: 10, fill: '#ffffff', opacity: 1 }],
+    output_format: 'original'
+};
+
+let avif;
+let tiff;
+let transparentTiff;
+
+before(async () => {
+    avif = await createProductImage(300, 200).avif({ quality: 80 }).toBuffer();
+    tiff = await createProductImage(300, 200).tiff({ compression: 'lzw' }).toBuffer();
+    // sharp's default TIFF compression is JPEG, which has no alpha channel
+    transparentTiff = await createProductImage(300, 200).ensureAlpha(0.5).tiff({ compression: 'lzw' }).toBuffer();
+});
+
+test('tells AVIF apart from other HEIF images', async () => {
+    const metadata = await sharp(avif).metadata();
+
+    assert.equal(metadata.format, 'heif');
+    assert.equal(getSourceFormat(metadata), 'avif');
+    assert.equal(getSourceFormat({ format: 'heif', compression: 'hevc' }), 'heic');
+    assert.equal(getSourceFormat(await sharp(tiff).metadata()), 'tiff');
+});
+
+test('keeps AVIF sources in AVIF', async () => {
+    const rendered = await renderWatermark(avif, settings);
+    const output = await sharp(rendered.buffer).metadata();
+
+    assert.equal(rendered.metadata.format, 'avif');
+    assert.deepEqual([rendered.output.format, rendered.output.mimeType], ['avif', 'image/avif']);
+    assert.deepEqual([getSourceFormat(output), output.width, output.height], ['avif', 300, 200]);
+});
+
+test('encodes TIFF sources to JPEG, or PNG when they have transparency', async () => {
+    const opaque = await renderWatermark(tiff, settings);
+    const transparent = await renderWatermark(transparentTiff, settings);
+
+    assert.equal(opaque.metadata.format, 'tiff');
+    assert.deepEqual([opaque.output.format, opaque.output.extension], ['jpeg', 'jpg']);
+    assert.equal((await sharp(opaque.buffer).metadata()).format, 'jpeg');
+
+    assert.equal(transparent.output.format, 'png');
+    const output = await sharp(transparent.buffer).metadata();
+    assert.deepEqual([output.format, output.hasAlpha], ['png', true]);
+
+    // The badge is drawn on the decoded TIFF, not on a blank canvas
+    const untouched = await sharp(tiff).jpeg().toBuffer();
+    assert.ok(await meanDifference(untouched, opaque.buffer) < 10);
+});
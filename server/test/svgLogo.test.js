@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeSvg, readSvgSize, looksLikeSvg } from '../services/watermark/svgLogo.js';
+
+const sanitize = svg => sanitizeSvg(Buffer.from(svg)).toString();
+
+const PIXEL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+test('drops script elements with their content and event handlers', () => {
+    const svg = sanitize(`<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10" onload="alert(1)">
+        <script type="text/javascript"><![CDATA[alert(document.cookie)]]></script>
+        <rect width="10" height="10" fill="red" onclick="alert(2)"/>
+    </svg>`);
+
+    assert.doesNotMatch(svg, /script|alert|onload|onclick/i);
+    assert.match(svg, /<rect width="10" height="10" fill="red"\/>/);
+});
+
+test('drops embedded documents and animation', () => {
+    const svg = sanitize(`<svg xmlns="http://www.w3.org/2000/svg">
+        <foreignObject><iframe src="https://evil.test"></iframe><p>hi</p></foreignObject>
+        <a href="#logo"><set attributeName="href" to="javascript:alert(1)"/></a>
+        <svg:animate xmlns:svg="http://www.w3.org/2000/svg" attributeName="fill" values="red"/>
+    </svg>`);
+
+    assert.doesNotMatch(svg, /foreignObject|iframe|evil|<p>|<set|javascript|animate/i);
+    assert.match(svg, /<a href="#logo"><\/a>/);
+});
+
+test('keeps only same-document and embedded image links', () => {
+    const svg = sanitize(`<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
+        <use xlink:href="#mark"/>
+        <use href="https://evil.test/sprite.svg#mark"/>
+        <image href="${PIXEL}"/>
+        <image xlink:href="file:///etc/passwd"/>
+        <image href="data:image/svg+xml;base64,PHN2Zy8+"/>
+        <a href="javascript:alert(1)"/>
+    </svg>`);
+
+    assert.match(svg, /<use xlink:href="#mark"\/>/);
+    assert.match(svg, new RegExp(`<image href="${PIXEL.replace(/[+/]/g, '\\$&')}"/>`));
+    assert.doesNotMatch(svg, /evil|passwd|svg\+xml|javascript/);
+});
+
+test('strips external urls and imports from styles', () => {
+    const svg = sanitize(`<svg xmlns="http://www.w3.org/2000/svg">
+        <style>@import url(https://evil.test/a.css); rect { fill: url(https://evil.test/p.svg#g); stroke: url(#grad) }</style>
+        <rect style="fill: url('https://evil.test/x'); stroke: red" filter="url(https://evil.test/f.svg#f)" mask="url(#m)"/>
+    </svg>`);
+
+    assert.doesNotMatch(svg, /evil|@import/);
+    assert.match(svg, /stroke: url\(#grad\)/);
+    assert.match(svg, /style="fill: none; stroke: red"/);
+    assert.match(svg, /mask="url\(#m\)"/);
+});
+
+test('removes DOCTYPEs and processing instructions', () => {
+    const svg = sanitize(`<?xml version="1.0"?><!DOCTYPE svg [<!ENTITY lol "lol">]><?xml-stylesheet href="https://evil.test/s.css"?>
+        <svg xmlns="http://www.w3.org/2000/svg"><text>&lol;</text></svg>`);
+
+    assert.doesNotMatch(svg, /DOCTYPE|ENTITY|xml-stylesheet|evil/);
+});
+
+test('rejects files that are not SVG documents', () => {
+    assert.equal(looksLikeSvg(Buffer.from('<html><svg/></html>')), false);
+    assert.throws(() => sanitizeSvg(Buffer.from('GIF89a')), /Not an SVG document/);
+});
+
+test('reads the size of a sanitized SVG', async () => {
+    const size = await readSvgSize(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="120" height="40"><script>x()</script><rect width="120" height="40"/></svg>'));
+
+    assert.deepEqual(size, { width: 120, height: 40 });
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { measureTextLine, generateTextSVG } from '../services/watermark/textRenderer.js';
+
+/**
+ * Leftmost and rightmost columns with any ink in a rendered SVG
+ */
+async function inkColumns(svg) {
+    const { data, info } = await sharp(svg).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    let left = info.width;
+    let right = -1;
+    for (let y = 0; y < info.height; y++) {
+        for (let x = 0; x < info.width; x++) {
+            if (data[(y * info.width + x) * 4 + 3] > 0) {
+                left = Math.min(left, x);
+                right = Math.max(right, x);
+            }
+        }
+    }
+    return { left, right, width: info.width };
+}
+
+test('measures lines by their glyphs, not their length', async () => {
+    const wide = await measureTextLine('WWWW', 'Arial', 40);
+    const narrow = await measureTextLine('iiii', 'Arial', 40);
+
+    assert.ok(wide > narrow * 2, `WWWW is ${wide}px, iiii ${narrow}px`);
+    assert.equal(await measureTextLine('  ', 'Arial', 40), 0);
+});
+
+test('adds letter spacing to the measured width', async () => {
+    const plain = await measureTextLine('WWWW', 'Arial', 40);
+    const spaced = await measureTextLine('WWWW', 'Arial', 40, 10);
+
+    assert.ok(spaced - plain >= 30, `spacing added ${spaced - plain}px`);
+});
+
+test('lays out one text element per line, sized to the widest line', async () => {
+    const single = await generateTextSVG('Summer sale', { outline: false, line_height: 1.5 }, 40);
+    const lines = await generateTextSVG('Summer sale\nEverything -20%', { outline: false, line_height: 1.5 }, 40);
+    const svg = lines.svg.toString();
+
+    assert.equal(svg.match(/<text /g).length, 2);
+    assert.ok(lines.width > single.width);
+    assert.equal(lines.height - single.height, 60);
+});
+
+test('keeps wide text inside its canvas', async () => {
+    const { svg } = await generateTextSVG('WIDE GLYPHS WWW MMM', { outline: true }, 48);
+    const ink = await inkColumns(svg);
+
+    assert.ok(ink.left > 0 && ink.right < ink.width - 1, `ink spans ${ink.left}-${ink.right} of ${ink.width}px`);
+});
+
+test('anchors lines by alignment', async () => {
+    const left = (await generateTextSVG('A\nBB', { outline: false, align: 'left' }, 40)).svg.toString();
+    const right = (await generateTextSVG('A\nBB', { outline: false, align: 'right' }, 40)).svg.toString();
+
+    assert.match(left, /text-anchor="start"/);
+    assert.match(right, /text-anchor="end"/);
+});
+
+test('sizes rotated text to its rotated bounding box', async () => {
+    const flat = await generateTextSVG('Summer sale', { outline: false }, 40);
+    const upright = await generateTextSVG('Summer sale', { outline: false, rotation: 90 }, 40);
+
+    // cos(90°) isn't exactly 0, so a dimension may round up by a pixel
+    assert.ok(Math.abs(upright.width - flat.height) <= 1, `${upright.width}px wide, unrotated ${flat.height}px high`);
+    assert.ok(Math.abs(upright.height - flat.width) <= 1, `${upright.height}px high, unrotated ${flat.width}px wide`);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveTextTokens, buildTokenContext, hasTextTokens } from '../services/watermark/textTokens.js';
+
+const NOW = new Date('2026-03-05T10:00:00Z');
+
+const product = {
+    id: 'gid://shopify/Product/42',
+    title: 'Linen Shirt',
+    vendor: 'Acme',
+    productType: 'Shirts',
+    handle: 'linen-shirt',
+    onlineStoreUrl: null,
+    variants: {
+        edges: [
+            { node: { sku: 'LS-S', title: 'Small', image: { id: 'gid://shopify/ProductImage/1' } } },
+            { node: { sku: 'LS-M', title: 'Medium', image: { id: 'gid://shopify/ProductImage/2' } } }
+        ]
+    }
+};
+const shopInfo = { name: 'Acme Store', myshopifyDomain: 'acme.myshopify.com', primaryDomain: null };
+
+test('resolves product, variant and shop tokens', () => {
+    const context = buildTokenContext(product, 'gid://shopify/ProductImage/2', shopInfo);
+
+    assert.equal(
+        resolveTextTokens('{{product.title}} by {{ product.vendor }} ({{variant.sku}}) - {{shop.name}}', context, NOW),
+        'Linen Shirt by Acme (LS-M) - Acme Store'
+    );
+    assert.equal(resolveTextTokens('{{product.url}}', context, NOW), 'https://acme.myshopify.com/products/linen-shirt');
+    assert.equal(resolveTextTokens('#{{product.id}}', context, NOW), '#42');
+});
+
+test('uses the first variant when no variant shows the image', () => {
+    const context = buildTokenContext(product, 'gid://shopify/ProductImage/9', shopInfo);
+
+    assert.equal(resolveTextTokens('{{variant.title}}', context, NOW), 'Small');
+});
+
+test('resolves date tokens from the given time', () => {
+    assert.equal(resolveTextTokens('© {{year}} · {{date}}', {}, NOW), '© 2026 · 2026-03-05');
+});
+
+test('resolves the year in UTC like the date, whatever the server timezone', t => {
+    const timezone = process.env.TZ;
+    t.after(() => {
+        if (timezone === undefined) delete process.env.TZ;
+        else process.env.TZ = timezone;
+    });
+    // Already 2027 in Auckland, still 2026 in UTC
+    process.env.TZ = 'Pacific/Auckland';
+
+    assert.equal(resolveTextTokens('{{year}} {{date}}', {}, new Date('2026-12-31T20:00:00Z')), '2026 2026-12-31');
+});
+
+test('matches token names case-insensitively', () => {
+    assert.equal(resolveTextTokens('{{Product.Title}}', { product: { title: 'Mug' } }, NOW), 'Mug');
+});
+
+test('drops known tokens without a value and the spaces around them', () => {
+    assert.equal(resolveTextTokens('{{product.vendor}}  {{product.title}}  {{variant.sku}}', { product: { title: 'Mug' } }, NOW), 'Mug');
+});
+
+test('leaves unknown tokens in place', () => {
+    assert.equal(resolveTextTokens('{{product.titel}} {{product.title}}', { product: { title: 'Mug' } }, NOW), '{{product.titel}} Mug');
+});
+
+test('detects templates with tokens', () => {
+    assert.equal(hasTextTokens('© {{year}}'), true);
+    assert.equal(hasTextTokens('© Acme'), false);
+    assert.equal(hasTextTokens(''), false);
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { buildTiledOverlay } from '../services/watermark/tileLayout.js';
+import { createLogo } from './fixtures.js';
+
+test('repeats the mark across the image', async () => {
+    const overlay = await buildTiledOverlay(await createLogo(40), 300, 200, { pattern: 'grid', spacing: 20 });
+    const { data, info } = await sharp(overlay).raw().toBuffer({ resolveWithObject: true });
+
+    assert.deepEqual([info.width, info.height], [300, 200]);
+    // 60px cells: the ring's opaque band shows up in every column of cells
+    const opaqueCells = new Set();
+    for (let x = 0; x < info.width; x++) {
+        for (let y = 0; y < info.height; y++) {
+            if (data[(y * info.width + x) * 4 + 3] > 200) opaqueCells.add(Math.floor(x / 60));
+        }
+    }
+    assert.equal(opaqueCells.size, 5);
+});
+
+test('caps the spacing at the image size', async () => {
+    const overlay = await buildTiledOverlay(await createLogo(40), 300, 200, { pattern: 'diagonal', angle: -30, spacing: 1e7, stagger: true });
+    const { width, height } = await sharp(overlay).metadata();
+
+    assert.deepEqual([width, height], [300, 200]);
+});
@@ -1,7 +1,7 @@
 import { useMemo } from 'react';
 import { useAppBridge } from '@shopify/app-bridge-react';
 import { authenticatedFetch } from '../utils/authenticatedFetch';
-import { AuthStatus, AuthConfig, BillingInfo } from '../types/api';
+import { AspectKind, AuthStatus, AuthConfig, BillingInfo, LogoProcessing, WatermarkJob, WatermarkSchedule, WatermarkScheduleInput } from '../types/api';
 
 export function useApi() {
     const app = useAppBridge();
@@ -66,7 +66,7 @@ export function useApi() {
              * Generate watermark preview
              */
             generatePreview: (imageUrl: string, settings: any) =>
-                jsonRequest<{ preview: string; width: number; height: number }>('/api/watermark/preview', {
+                jsonRequest<{ preview: string; width: number; height: number; aspectKind: AspectKind }>('/api/watermark/preview', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify({ imageUrl, settings })
@@ -75,13 +75,19 @@ export function useApi() {
             /**
              * Create watermark job
              */
-            createJob: (scopeType: string, scopeValue: any, totalProducts: number) =>
+            createJob: (scopeType: string, scopeValue: any, totalProducts: number, dryRun = false) =>
                 jsonRequest<{ success: boolean; job: any }>('/api/watermark/jobs', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ scopeType, scopeValue, totalProducts })
+                    body: JSON.stringify({ scopeType, scopeValue, totalProducts, dryRun })
                 }),
 
+            /**
+             * Get a job, with a dry run's full report
+             */
+            getJob: (jobId: string) =>
+                jsonRequest<{ success: boolean; job: WatermarkJob }>(`/api/watermark/jobs/${jobId}`),
+
             /**
              * Get jobs list
              */
@@ -96,20 +102,71 @@ export function useApi() {
                     method: 'POST'
                 }),
 
+            /**
+             * Queue a new job for the images that failed in a finished job
+             */
+            retryFailedJob: (jobId: string) =>
+                jsonRequest<{ success: boolean; job: any }>(`/api/watermark/jobs/${jobId}/retry-failed`, {
+                    method: 'POST'
+                }),
+
+            /**
+             * Get scheduled and recurring jobs
+             */
+            getSchedules: () =>
+                jsonRequest<{ success: boolean; schedules: WatermarkSchedule[] }>('/api/watermark/schedules'),
+
+            /**
+             * Schedule a job to run once later or on a recurrence
+             */
+            createSchedule: (schedule: WatermarkScheduleInput) =>
+                jsonRequest<{ success: boolean; schedule: WatermarkSchedule }>('/api/watermark/schedules', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(schedule)
+                }),
+
+            /**
+             * Update an active schedule
+             */
+            updateSchedule: (scheduleId: number, schedule: WatermarkScheduleInput) =>
+                jsonRequest<{ success: boolean; schedule: WatermarkSchedule }>(`/api/watermark/schedules/${scheduleId}`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(schedule)
+                }),
+
+            /**
+             * Cancel an active schedule
+             */
+            cancelSchedule: (scheduleId: number) =>
+                jsonRequest<{ success: boolean; schedule: WatermarkSchedule }>(`/api/watermark/schedules/${scheduleId}/cancel`, {
+                    method: 'POST'
+                }),
+
             /**
              * Get Shopify collections list
              */
             getCollections: () => jsonRequest<{ success: boolean; collections: any[] }>('/api/watermark/shopify/collections'),
 
-            getStagedUploadUrl: (filename: string, mimeType: string) =>
+            /**
+             * Get uploaded assets, optionally filtered by type ('logo' | 'font')
+             */
+            getAssets: (type?: 'logo' | 'font') =>
+                jsonRequest<{ success: boolean; assets: any[] }>(`/api/watermark/assets${type ? `?type=${type}` : ''}`),
+
+            getStagedUploadUrl: (filename: string, mimeType: string, assetType: 'logo' | 'font' = 'logo') =>
                 jsonRequest<{ success: boolean; target: any }>('/api/watermark/assets/staged-url', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ filename, mimeType })
+                    body: JSON.stringify({ filename, mimeType, assetType })
                 }),
 
-            registerAsset: (data: { resourceUrl: string, filename: string, mimeType: string, fileSize: number }) =>
-                jsonRequest<{ success: boolean; asset: any }>('/api/watermark/assets/register', {
+            /**
+             * Register an uploaded file; logos can ask for derived variants, returned as linked assets
+             */
+            registerAsset: (data: { resourceUrl: string, filename: string, mimeType: string, fileSize: number, assetType?: 'logo' | 'font', variants?: LogoProcessing[] }) =>
+                jsonRequest<{ success: boolean; asset: any; variants: any[]; fontFamily?: string | null }>('/api/watermark/assets/register', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify(data)
@@ -18,7 +18,9 @@ import {
   Select,
   List,
   Spinner,
-  ProgressBar
+  ProgressBar,
+  TextField,
+  Checkbox
 } from '@shopify/polaris';
 import {
   CheckCircleIcon,
@@ -27,11 +29,40 @@ import {
   SettingsIcon,
   PlayIcon,
   UndoIcon,
+  ReplayIcon,
+  ViewIcon,
+  CalendarTimeIcon,
+  XCircleIcon,
+  EditIcon,
   ChevronRightIcon
 } from '@shopify/polaris-icons';
 import { useNavigate } from 'react-router-dom';
 import { useApi } from '../hooks/useApi';
-import type { WatermarkJob } from '../types/api';
+import type { WatermarkJob, WatermarkSchedule } from '../types/api';
+
+const RECURRING_HOUR_OPTIONS = Array.from({ length: 24 }, (_, hour) => ({
+  label: `${String(hour).padStart(2, '0')}:00`,
+  value: String(hour)
+}));
+
+// Hour of a nightly recurrence as created by the wizard, or undefined for other patterns
+const nightlyHour = (cron: string | null) => cron?.match(/^0 (\d+) \* \* \*$/)?.[1];
+
+// Date in the local time format of a datetime-local field
+const toLocalInput = (iso: string) => {
+  const date = new Date(iso);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const describeSchedule = (schedule: WatermarkSchedule) => {
+  const cronHour = nightlyHour(schedule.cron);
+  const when = schedule.cron
+    ? (cronHour ? `Every night at ${cronHour.padStart(2, '0')}:00` : `Recurring (${schedule.cron})`)
+    : 'Once';
+  const scope = schedule.scope_type === 'all' ? 'All products' : 'Collection';
+  const filter = schedule.created_within_hours ? `, created in the last ${schedule.created_within_hours}h` : '';
+  return `${when} · ${scope}${filter}`;
+};
 
 export function Dashboard() {
   const navigate = useNavigate();
@@ -54,6 +85,16 @@ export function Dashboard() {
   const [isRollbackModalOpen, setIsRollbackModalOpen] = useState(false);
   const [selectedJobForRollback, setSelectedJobForRollback] = useState<string | null>(null);
   const [isRollingBack, setIsRollingBack] = useState(false);
+  const [retryingJobId, setRetryingJobId] = useState<string | null>(null);
+  const [reportJob, setReportJob] = useState<WatermarkJob | null>(null);
+  const [loadingReportId, setLoadingReportId] = useState<string | null>(null);
+  const [runMode, setRunMode] = useState<'now' | 'once' | 'recurring'>('now');
+  const [runAt, setRunAt] = useState('');
+  const [recurringHour, setRecurringHour] = useState('2');
+  const [onlyNewProducts, setOnlyNewProducts] = useState(true);
+  const [schedules, setSchedules] = useState<WatermarkSchedule[]>([]);
+  const [cancellingScheduleId, setCancellingScheduleId] = useState<number | null>(null);
+  const [editingSchedule, setEditingSchedule] = useState<WatermarkSchedule | null>(null);
 
   const fetchData = useCallback(async () => {
     try {
@@ -63,7 +104,9 @@ export function Dashboard() {
 
         const active = data.jobs.filter((j: any) => j.status === 'processing' || j.status === 'pending').length;
         const failed = data.jobs.filter((j: any) => j.status === 'failed').length;
-        const total = data.jobs.reduce((acc: number, j: any) => acc + (Number(j.processed_products) || 0), 0);
+        const total = data.jobs
+          .filter((j: any) => j.job_type !== 'dry_run')
+          .reduce((acc: number, j: any) => acc + (Number(j.processed_products) || 0), 0);
 
         setStats({
           activeJobs: active,
@@ -71,6 +114,11 @@ export function Dashboard() {
           totalProcessed: total
         });
       }
+
+      const scheduleData = await api.getSchedules();
+      if (scheduleData.success) {
+        setSchedules(scheduleData.schedules.filter(schedule => schedule.status === 'active'));
+      }
     } catch (error) {
       console.error('Dashboard load failed:', error);
     } finally {
@@ -97,17 +145,47 @@ export function Dashboard() {
   }, [api]);
 
   const handleOpenModal = () => {
+    setEditingSchedule(null);
+    setIsModalOpen(true);
+    setModalStep(1);
+    loadCollections();
+  };
+
+  // Open the wizard on a schedule's current values; only one-off and nightly schedules fit it
+  const handleEditSchedule = (schedule: WatermarkSchedule) => {
+    const hour = nightlyHour(schedule.cron);
+    setEditingSchedule(schedule);
+    setScopeType(schedule.scope_type);
+    setSelectedCollection(schedule.scope_value || '');
+    setRunMode(hour ? 'recurring' : 'once');
+    setRunAt(!hour && schedule.run_at ? toLocalInput(schedule.run_at) : '');
+    setRecurringHour(hour || '2');
+    setOnlyNewProducts(!!schedule.created_within_hours);
     setIsModalOpen(true);
     setModalStep(1);
     loadCollections();
   };
 
-  const handleStartJob = async () => {
+  const handleStartJob = async (dryRun = false) => {
     setCreatingJob(true);
     try {
       const value = scopeType === 'collection' ? selectedCollection : null;
       const total = scopeType === 'collection' ? collections.find(c => c.value === selectedCollection)?.count || 0 : 0;
-      const data = await api.createJob(scopeType, value, total);
+      const schedule = {
+        name: editingSchedule?.name || undefined,
+        scopeType: scopeType as 'all' | 'collection',
+        scopeValue: value,
+        runAt: runMode === 'once' ? new Date(runAt).toISOString() : null,
+        cron: runMode === 'recurring' ? `0 ${recurringHour} * * *` : null,
+        // An edited schedule keeps the timezone its hour was set in
+        timezone: editingSchedule?.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+        createdWithinHours: runMode === 'recurring' && onlyNewProducts ? 24 : null
+      };
+      const data = editingSchedule
+        ? await api.updateSchedule(editingSchedule.id, schedule)
+        : runMode === 'now'
+          ? await api.createJob(scopeType, value, total, dryRun)
+          : await api.createSchedule(schedule);
       if (data.success) {
         setIsModalOpen(false);
         fetchData();
@@ -136,6 +214,48 @@ export function Dashboard() {
     }
   };
 
+  const handleRetryFailed = async (jobId: string) => {
+    setRetryingJobId(jobId);
+    try {
+      const data = await api.retryFailedJob(jobId);
+      if (data.success) {
+        fetchData();
+      }
+    } catch (error) {
+      console.error('Retry failed:', error);
+    } finally {
+      setRetryingJobId(null);
+    }
+  };
+
+  const handleCancelSchedule = async (scheduleId: number) => {
+    setCancellingScheduleId(scheduleId);
+    try {
+      const data = await api.cancelSchedule(scheduleId);
+      if (data.success) {
+        fetchData();
+      }
+    } catch (error) {
+      console.error('Failed to cancel schedule:', error);
+    } finally {
+      setCancellingScheduleId(null);
+    }
+  };
+
+  const openReport = async (jobId: string) => {
+    setLoadingReportId(jobId);
+    try {
+      const data = await api.getJob(jobId);
+      if (data.success) {
+        setReportJob(data.job);
+      }
+    } catch (error) {
+      console.error('Failed to load dry run report:', error);
+    } finally {
+      setLoadingReportId(null);
+    }
+  };
+
   const openRollbackModal = (jobId: string) => {
     setSelectedJobForRollback(jobId);
     setIsRollbackModalOpen(true);
@@ -159,7 +279,7 @@ export function Dashboard() {
 
     return [
       <Text variant="bodyMd" fontWeight="bold" as="span">#{job.id.slice(0, 8)}</Text>,
-      job.job_type.toUpperCase(),
+      job.job_type.replace('_', ' ').toUpperCase(),
       getStatusBadge(job.status),
       <Box minWidth="150px" paddingBlockEnd="200" paddingInlineEnd="400">
         <BlockStack gap="100">
@@ -177,16 +297,39 @@ export function Dashboard() {
         </BlockStack>
       </Box>,
       job.created_at ? new Date(job.created_at).toLocaleDateString() : '...',
-      <div key={job.id} style={{ display: 'flex', gap: '8px' }}>
-        <Button
-          variant="tertiary"
-          icon={UndoIcon}
-          disabled={job.status !== 'completed'}
-          onClick={() => openRollbackModal(job.id)}
-        >
-          Rollback
-        </Button>
-      </div>
+      job.job_type === 'dry_run' ? (
+        <div key={job.id} style={{ display: 'flex', gap: '8px' }}>
+          <Button
+            variant="tertiary"
+            icon={ViewIcon}
+            disabled={job.status !== 'completed' || !job.report}
+            loading={loadingReportId === job.id}
+            onClick={() => openReport(job.id)}
+          >
+            View report
+          </Button>
+        </div>
+      ) : (
+        <div key={job.id} style={{ display: 'flex', gap: '8px' }}>
+          <Button
+            variant="tertiary"
+            icon={UndoIcon}
+            disabled={job.status !== 'completed'}
+            onClick={() => openRollbackModal(job.id)}
+          >
+            Rollback
+          </Button>
+          <Button
+            variant="tertiary"
+            icon={ReplayIcon}
+            disabled={job.job_type !== 'apply' || (job.status !== 'completed' && job.status !== 'failed') || !job.failed_items}
+            loading={retryingJobId === job.id}
+            onClick={() => handleRetryFailed(job.id)}
+          >
+            {job.failed_items ? `Retry ${job.failed_items} failed` : 'Retry failed'}
+          </Button>
+        </div>
+      )
     ];
   });
 
@@ -320,6 +463,50 @@ export function Dashboard() {
               </InlineStack>
             </Layout.Section>
 
+            {/* Scheduled Jobs */}
+            {schedules.length > 0 && (
+              <Layout.Section>
+                <Card padding="0">
+                  <Box padding="400" borderBlockEndWidth="025" borderColor="border">
+                    <InlineStack gap="200" blockAlign="center">
+                      <Icon source={CalendarTimeIcon} tone="base" />
+                      <Text variant="headingMd" as="h2">Scheduled Jobs</Text>
+                    </InlineStack>
+                  </Box>
+                  <div style={{ padding: '0 16px' }}>
+                    <DataTable
+                      columnContentTypes={['text', 'text', 'text', 'text']}
+                      headings={['Schedule', 'Next run', 'Last run', 'Actions']}
+                      rows={schedules.map(schedule => [
+                        describeSchedule(schedule),
+                        schedule.next_run_at ? new Date(schedule.next_run_at).toLocaleString() : '...',
+                        schedule.last_error || (schedule.last_run_at ? new Date(schedule.last_run_at).toLocaleString() : 'Not yet'),
+                        <InlineStack key={schedule.id} gap="200">
+                          {(!schedule.cron || nightlyHour(schedule.cron)) && (
+                            <Button
+                              variant="tertiary"
+                              icon={EditIcon}
+                              onClick={() => handleEditSchedule(schedule)}
+                            >
+                              Edit
+                            </Button>
+                          )}
+                          <Button
+                            variant="tertiary"
+                            icon={XCircleIcon}
+                            loading={cancellingScheduleId === schedule.id}
+                            onClick={() => handleCancelSchedule(schedule.id)}
+                          >
+                            Cancel
+                          </Button>
+                        </InlineStack>
+                      ]) as any}
+                    />
+                  </div>
+                </Card>
+              </Layout.Section>
+            )}
+
             {/* Activity Table */}
             <Layout.Section>
               <Card padding="0">
@@ -361,18 +548,23 @@ export function Dashboard() {
       <Modal
         open={isModalOpen}
         onClose={() => setIsModalOpen(false)}
-        title="Quick Apply Wizard"
+        title={editingSchedule ? 'Edit Scheduled Job' : 'Quick Apply Wizard'}
         primaryAction={{
-          content: modalStep === 1 ? 'Continue' : 'Start Processing',
-          onAction: modalStep === 1 ? () => setModalStep(2) : handleStartJob,
+          content: modalStep === 1 ? 'Continue' : (editingSchedule ? 'Save Schedule' : runMode === 'now' ? 'Start Processing' : 'Schedule Job'),
+          onAction: modalStep === 1 ? () => setModalStep(2) : () => handleStartJob(),
           loading: creatingJob,
-          disabled: scopeType === 'collection' && !selectedCollection
+          disabled: (scopeType === 'collection' && !selectedCollection) || (runMode === 'once' && !runAt)
         }}
         secondaryActions={[
           {
             content: modalStep === 1 ? 'Cancel' : 'Back',
             onAction: modalStep === 1 ? () => setIsModalOpen(false) : () => setModalStep(1),
           },
+          ...(modalStep === 2 && runMode === 'now' ? [{
+            content: 'Dry run first',
+            onAction: () => handleStartJob(true),
+            disabled: creatingJob
+          }] : []),
         ]}
       >
         <Modal.Section>
@@ -414,6 +606,44 @@ export function Dashboard() {
                   )}
                 </BlockStack>
               </Box>
+              <Box padding="200" background="bg-surface-secondary" borderRadius="200">
+                <BlockStack gap="200">
+                  <Select
+                    label="When to run"
+                    options={[
+                      ...(editingSchedule ? [] : [{ label: 'Now', value: 'now' }]),
+                      { label: 'Once, at a later time', value: 'once' },
+                      { label: 'Every night', value: 'recurring' }
+                    ]}
+                    value={runMode}
+                    onChange={(value) => setRunMode(value as 'now' | 'once' | 'recurring')}
+                  />
+                  {runMode === 'once' && (
+                    <TextField
+                      label="Run at"
+                      type="datetime-local"
+                      value={runAt}
+                      onChange={setRunAt}
+                      autoComplete="off"
+                    />
+                  )}
+                  {runMode === 'recurring' && (
+                    <>
+                      <Select
+                        label="Time"
+                        options={RECURRING_HOUR_OPTIONS}
+                        value={recurringHour}
+                        onChange={setRecurringHour}
+                      />
+                      <Checkbox
+                        label="Only products created in the last 24 hours"
+                        checked={onlyNewProducts}
+                        onChange={setOnlyNewProducts}
+                      />
+                    </>
+                  )}
+                </BlockStack>
+              </Box>
             </BlockStack>
           ) : (
             <BlockStack gap="400">
@@ -432,15 +662,105 @@ export function Dashboard() {
               <Box padding="400" background="bg-surface-secondary" borderRadius="200">
                 <List type="bullet">
                   <List.Item>Target: <b>{scopeType === 'all' ? 'All Products' : 'Selected Collection'}</b></List.Item>
+                  {runMode === 'once' && runAt && (
+                    <List.Item>Runs once at <b>{new Date(runAt).toLocaleString()}</b>, with your settings at that time.</List.Item>
+                  )}
+                  {runMode === 'recurring' && (
+                    <List.Item>
+                      Runs every night at <b>{recurringHour.padStart(2, '0')}:00</b>
+                      {onlyNewProducts ? ' on products created in the last 24 hours' : ''}, with your settings at that time.
+                    </List.Item>
+                  )}
                   <List.Item>Estimated duration depends on the number of images.</List.Item>
                   <List.Item>New images will automatically become the primary product images.</List.Item>
                 </List>
               </Box>
+              {runMode === 'now' && (
+                <Text variant="bodySm" tone="subdued" as="p">
+                  Not sure yet? A dry run checks every product and reports what would change, with a few previews, without touching your store.
+                </Text>
+              )}
             </BlockStack>
           )}
         </Modal.Section>
       </Modal>
 
+      <Modal
+        open={!!reportJob}
+        onClose={() => setReportJob(null)}
+        title={`Dry run report #${reportJob?.id.slice(0, 8) || ''}`}
+        secondaryActions={[
+          {
+            content: 'Close',
+            onAction: () => setReportJob(null),
+          },
+        ]}
+        size="large"
+      >
+        {reportJob?.report && (
+          <Modal.Section>
+            <BlockStack gap="400">
+              <Banner tone="info">
+                <p>Nothing in your store was changed. This is what an apply job with the same scope and settings would do.</p>
+              </Banner>
+              <Box padding="400" background="bg-surface-secondary" borderRadius="200">
+                <List type="bullet">
+                  <List.Item>
+                    Products: <b>{reportJob.report.products.would_change}</b> of {reportJob.report.products.total} would change
+                    ({reportJob.report.products.unchanged} unchanged, {reportJob.report.products.failed} could not be read)
+                  </List.Item>
+                  <List.Item>
+                    Images: <b>{reportJob.report.images.would_change}</b> of {reportJob.report.images.total} would be watermarked
+                    ({reportJob.report.images.skipped} skipped, {reportJob.report.images.failed} failed)
+                  </List.Item>
+                  {Object.entries(reportJob.report.skip_reasons).map(([code, count]) => (
+                    <List.Item key={code}>Skipped as {code.replace(/_/g, ' ')}: {count}</List.Item>
+                  ))}
+                  {Object.entries(reportJob.report.error_codes).map(([code, count]) => (
+                    <List.Item key={code}>Failed with {code}: {count}</List.Item>
+                  ))}
+                </List>
+              </Box>
+              {(reportJob.report.previews?.length ?? 0) > 0 && (
+                <BlockStack gap="200">
+                  <Text variant="headingSm" as="h3">Previews</Text>
+                  <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '12px' }}>
+                    {reportJob.report.previews?.map(item => (
+                      <BlockStack key={item.media_id} gap="100">
+                        <img src={item.preview} alt={item.product_title || ''} style={{ width: '100%', borderRadius: '8px' }} />
+                        <Text variant="bodySm" tone="subdued" as="p" truncate>{item.product_title}</Text>
+                      </BlockStack>
+                    ))}
+                  </div>
+                </BlockStack>
+              )}
+              {reportJob.report.skipped.length > 0 && (
+                <BlockStack gap="200">
+                  <Text variant="headingSm" as="h3">Skipped images</Text>
+                  <List type="bullet">
+                    {reportJob.report.skipped.map(item => (
+                      <List.Item key={item.media_id}><b>{item.product_title}</b>: {item.reason}</List.Item>
+                    ))}
+                  </List>
+                </BlockStack>
+              )}
+              {reportJob.report.failed.length > 0 && (
+                <BlockStack gap="200">
+                  <Text variant="headingSm" as="h3">Failures</Text>
+                  <List type="bullet">
+                    {reportJob.report.failed.map(item => (
+                      <List.Item key={item.media_id || item.product_id}>
+                        <b>{item.product_title || item.product_id}</b>: {item.error} ({item.error_code})
+                      </List.Item>
+                    ))}
+                  </List>
+                </BlockStack>
+              )}
+            </BlockStack>
+          </Modal.Section>
+        )}
+      </Modal>
+
       <Modal
         open={isRollbackModalOpen}
         onClose={() => setIsRollbackModalOpen(false)}
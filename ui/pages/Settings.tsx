@@ -15,13 +15,11 @@ import {
     SkeletonBodyText,
     Badge,
     Box,
-    ProgressBar,
     Text,
     ButtonGroup,
     Button,
     Spinner,
-    DropZone,
-    Thumbnail
+    DropZone
 } from '@shopify/polaris';
 import {
     PlusIcon,
@@ -30,10 +28,20 @@ import {
     TextIcon,
     MobileIcon,
     ViewIcon,
-    SaveIcon
+    SaveIcon,
+    ColorIcon,
+    LayoutSectionIcon,
+    ArrowUpIcon,
+    ArrowDownIcon,
+    DeleteIcon,
+    FileIcon,
+    LayoutBlockIcon,
+    DiscountIcon,
+    LayoutFooterIcon,
+    BarcodeIcon
 } from '@shopify/polaris-icons';
 import { useApi } from '../hooks/useApi';
-import type { WatermarkSettings } from '../types/api';
+import type { WatermarkSettings, WatermarkLayer, WatermarkLayerType, AspectKind, AspectProfile, AspectProfileOverrides, LogoProcessing } from '../types/api';
 
 const POSITION_OPTIONS = [
     { label: 'Top Left', value: 'top-left' },
@@ -45,6 +53,54 @@ const POSITION_OPTIONS = [
     { label: 'Bottom Left', value: 'bottom-left' },
     { label: 'Bottom Center', value: 'bottom-center' },
     { label: 'Bottom Right', value: 'bottom-right' },
+    { label: 'Auto (calmest area)', value: 'auto' },
+];
+
+const LAYOUT_OPTIONS = [
+    { label: 'Single Placement', value: 'single' },
+    { label: 'Tiled Pattern', value: 'tile' },
+];
+
+const TILE_PATTERN_OPTIONS = [
+    { label: 'Grid', value: 'grid' },
+    { label: 'Diagonal', value: 'diagonal' },
+];
+
+// Sample values for dynamic text tokens, mirroring the server preview
+const TOKEN_PREVIEW_VALUES: Record<string, string> = {
+    'product.title': 'Sample Product',
+    'product.vendor': 'Sample Vendor',
+    'product.type': 'Sample Type',
+    'product.handle': 'sample-product',
+    'product.url': 'https://sample-store.com/products/sample-product',
+    'product.id': '1234567890',
+    'variant.sku': 'SKU-0001',
+    'variant.title': 'Default Title',
+    'shop.name': 'Sample Store',
+    'shop.url': 'https://sample-store.com',
+    'date': new Date().toISOString().slice(0, 10),
+    'year': String(new Date().getFullYear()),
+};
+
+const renderTokenPreview = (text: string) =>
+    text.replace(/\{\{\s*([a-z_.]+)\s*\}\}/gi, (match, key) => TOKEN_PREVIEW_VALUES[key.toLowerCase()] ?? match);
+
+const TEXT_ALIGN_OPTIONS = [
+    { label: 'Left', value: 'left' },
+    { label: 'Center', value: 'center' },
+    { label: 'Right', value: 'right' },
+];
+
+const SIZE_BASIS_OPTIONS = [
+    { label: 'Image width', value: 'width' },
+    { label: 'Image height', value: 'height' },
+    { label: 'Shorter side', value: 'shorter' },
+];
+
+const SMALL_IMAGE_POLICY_OPTIONS = [
+    { label: 'Shrink the watermark with the image', value: 'shrink' },
+    { label: 'Upscale the image first', value: 'upscale' },
+    { label: 'Skip the image', value: 'skip' },
 ];
 
 const FONT_OPTIONS = [
@@ -56,6 +112,412 @@ const FONT_OPTIONS = [
     { label: 'Impact', value: 'Impact' },
 ];
 
+const FONT_WEIGHT_OPTIONS = [
+    { label: 'Regular', value: 'normal' },
+    { label: 'Bold', value: 'bold' },
+];
+
+const FONT_STYLE_OPTIONS = [
+    { label: 'Normal', value: 'normal' },
+    { label: 'Italic', value: 'italic' },
+];
+
+const KNOCKOUT_OPTIONS = [
+    { label: 'Keep background', value: '' },
+    { label: 'Remove white background', value: 'white' },
+    { label: 'Remove black background', value: 'black' },
+];
+
+const TINT_OPTIONS = [
+    { label: 'Keep colors', value: '' },
+    { label: 'White', value: '#FFFFFF' },
+    { label: 'Black', value: '#000000' },
+    { label: 'Brand color', value: 'custom' },
+];
+
+const SHAPE_OPTIONS = [
+    { label: 'Rectangle', value: 'rectangle' },
+    { label: 'Ellipse', value: 'ellipse' },
+];
+
+const RIBBON_STYLE_OPTIONS = [
+    { label: 'Corner Ribbon', value: 'ribbon' },
+    { label: 'Badge', value: 'badge' },
+];
+
+const CORNER_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+const QR_ERROR_CORRECTION_OPTIONS = [
+    { label: 'Low (7%)', value: 'L' },
+    { label: 'Medium (15%)', value: 'M' },
+    { label: 'Quartile (25%)', value: 'Q' },
+    { label: 'High (30%)', value: 'H' },
+];
+
+const BLEND_MODE_OPTIONS = [
+    { label: 'Normal', value: 'over' },
+    { label: 'Multiply', value: 'multiply' },
+    { label: 'Screen', value: 'screen' },
+    { label: 'Overlay', value: 'overlay' },
+    { label: 'Soft Light', value: 'soft-light' },
+    { label: 'Difference', value: 'difference' },
+];
+
+const SHADOW_OPTIONS = [
+    { label: 'None', value: 'none' },
+    { label: 'Drop Shadow', value: 'drop' },
+    { label: 'Glow', value: 'glow' },
+];
+
+const OUTPUT_FORMAT_OPTIONS = [
+    { label: 'Keep original format', value: 'original' },
+    { label: 'JPEG', value: 'jpeg' },
+    { label: 'PNG', value: 'png' },
+    { label: 'WebP', value: 'webp' },
+    { label: 'AVIF', value: 'avif' },
+];
+
+const COLOR_PROFILE_OPTIONS = [
+    { label: 'Convert to sRGB', value: 'srgb' },
+    { label: 'Keep original profile', value: 'keep' },
+];
+
+// Family name prefix used to load uploaded fonts into the browser for the live preview
+const PREVIEW_FONT_FAMILY = 'WatermarkCustomFont';
+
+const FONT_MIME_TYPES: Record<string, string> = {
+    ttf: 'font/ttf',
+    otf: 'font/otf',
+    woff: 'font/woff',
+};
+
+// Mirrors LAYER_LIMITS.MAX_LAYERS on the server
+const MAX_LAYERS = 10;
+
+// Mirrors ASPECT_PROFILE_LIMITS on the server
+const MAX_ASPECT_PROFILES = 10;
+
+const ASPECT_PROFILE_LABELS: Record<AspectProfile['kind'], string> = {
+    portrait: 'Portrait',
+    landscape: 'Landscape',
+    square: 'Square',
+    custom: 'Custom Ratio',
+};
+
+const PROFILE_POSITION_OPTIONS = [{ label: 'Same as layer', value: '' }, ...POSITION_OPTIONS];
+
+const createAspectProfile = (kind: AspectProfile['kind']): AspectProfile => {
+    const overrides = (): AspectProfileOverrides => ({ position: null, scale: null, margin: null, opacity: null, rotation: null });
+    return {
+        id: crypto.randomUUID(),
+        kind,
+        name: null,
+        enabled: true,
+        min_ratio: kind === 'custom' ? 1.5 : null,
+        max_ratio: kind === 'custom' ? 3 : null,
+        logo: overrides(),
+        text: overrides(),
+    };
+};
+
+/**
+ * Enabled profile for an image of the given size, matched like the server does:
+ * custom ranges first, then the built-in shape the preview endpoint classified the image as
+ */
+const matchAspectProfile = (profiles: AspectProfile[], width: number, height: number, kind: AspectKind | null) => {
+    if (!width || !height) return null;
+    const ratio = width / height;
+    const enabled = profiles.filter(profile => profile.enabled);
+    const custom = enabled.find(profile => profile.kind === 'custom'
+        && ratio >= Number(profile.min_ratio) && ratio <= Number(profile.max_ratio));
+    if (custom) return custom;
+
+    return (kind && enabled.find(profile => profile.kind === kind)) || null;
+};
+
+const applyAspectProfile = (layer: WatermarkLayer, profile: AspectProfile | null): WatermarkLayer => {
+    if (!profile || (layer.type !== 'logo' && layer.type !== 'text')) return layer;
+
+    // A profile position replaces free placement, so the layer follows the profile's preset
+    const { position, scale, margin, opacity, rotation } = profile[layer.type];
+    return {
+        ...layer,
+        ...(position !== null && { position, custom_placement: false }),
+        ...(scale !== null && { scale }),
+        ...(margin !== null && { margin }),
+        ...(opacity !== null && { opacity }),
+        ...(rotation !== null && { rotation }),
+    };
+};
+
+const LAYER_ICONS: Record<WatermarkLayerType, any> = {
+    logo: ImageIcon,
+    text: TextIcon,
+    shape: ColorIcon,
+    frame: LayoutBlockIcon,
+    ribbon: DiscountIcon,
+    caption: LayoutFooterIcon,
+    qr: BarcodeIcon,
+};
+
+const LAYER_HEADINGS: Record<WatermarkLayerType, string> = {
+    logo: 'Identity & Branding',
+    text: 'Copyright Overlay',
+    shape: 'Shape',
+    frame: 'Frame',
+    ribbon: 'Ribbon & Badge',
+    caption: 'Caption Bar',
+    qr: 'QR Code',
+};
+
+const SIZE_DEFAULTS = {
+    size_basis: 'width' as const,
+    min_size_px: null,
+    max_size_px: null,
+};
+
+const FONT_DEFAULTS = {
+    font: 'Arial',
+    font_url: null,
+    font_weight: 'bold' as const,
+    font_style: 'normal' as const,
+};
+
+/**
+ * New layer with the same defaults the server applies
+ */
+const createLayer = (type: WatermarkLayerType, zIndex: number): WatermarkLayer => {
+    const common = {
+        id: crypto.randomUUID(),
+        type,
+        enabled: true,
+        z_index: zIndex,
+        custom_placement: false,
+        x: 50,
+        y: 50,
+        rotation: 0,
+        layout: 'single' as const,
+        tile_pattern: 'grid' as const,
+        tile_spacing: 40,
+        tile_stagger: false,
+        tile_angle: -30,
+        blend_mode: 'over' as const,
+        shadow: 'none' as const,
+        shadow_color: '#000000',
+        shadow_offset_x: 4,
+        shadow_offset_y: 4,
+        shadow_blur: 6,
+        shadow_opacity: 0.6,
+        adaptive: false,
+    };
+
+    if (type === 'logo') {
+        return { ...common, position: 'bottom-right', margin: 20, opacity: 0.8, url: null, light_url: null, dark_url: null, scale: 0.2, ...SIZE_DEFAULTS };
+    }
+    if (type === 'text') {
+        return {
+            ...common,
+            position: 'bottom-right',
+            margin: 20,
+            opacity: 0.8,
+            content: '© {{year}} {{shop.name}}',
+            ...FONT_DEFAULTS,
+            size: 40,
+            scale: 1,
+            ...SIZE_DEFAULTS,
+            color: '#FFFFFF',
+            light_color: '#FFFFFF',
+            dark_color: '#000000',
+            outline: true,
+            outline_color: '#000000',
+            align: 'center',
+            line_height: 1.2,
+            letter_spacing: 0,
+        };
+    }
+    if (type === 'frame') {
+        return { ...common, position: 'center', margin: 0, opacity: 1, frame_width: 24, fill: '#FFFFFF', fill_end: null };
+    }
+    if (type === 'ribbon') {
+        return {
+            ...common,
+            position: 'top-left',
+            margin: 20,
+            opacity: 1,
+            ribbon_style: 'ribbon',
+            content: 'SALE',
+            ...FONT_DEFAULTS,
+            size: 28,
+            scale: 1,
+            color: '#FFFFFF',
+            fill: '#D72C0D',
+        };
+    }
+    if (type === 'caption') {
+        return {
+            ...common,
+            position: 'bottom-center',
+            margin: 0,
+            opacity: 1,
+            content: '',
+            ...FONT_DEFAULTS,
+            size: 28,
+            scale: 1,
+            color: '#FFFFFF',
+            line_height: 1.2,
+            fill: '#000000',
+            fill_opacity: 0.6,
+        };
+    }
+    if (type === 'qr') {
+        return {
+            ...common,
+            position: 'bottom-right',
+            margin: 20,
+            opacity: 1,
+            qr_url: '{{product.url}}',
+            utm_source: null,
+            utm_medium: null,
+            utm_campaign: null,
+            error_correction: 'M',
+            color: '#000000',
+            fill: '#FFFFFF',
+            scale: 0.15,
+            ...SIZE_DEFAULTS,
+        };
+    }
+    return {
+        ...common,
+        position: 'bottom-right',
+        margin: 0,
+        opacity: 0.5,
+        shape: 'rectangle',
+        width: 100,
+        height: 10,
+        fill: '#000000',
+        stroke: null,
+        stroke_width: 0,
+        radius: 0,
+    };
+};
+
+// Logo shown in the preview; adaptive layers fall back to their light variant
+const previewLogoUrl = (layer: WatermarkLayer) =>
+    layer.url || (layer.adaptive ? layer.light_url || layer.dark_url : null) || null;
+
+const layerHasContent = (layer: WatermarkLayer) => {
+    if (layer.type === 'logo') return !!previewLogoUrl(layer);
+    if (layer.type === 'text' || layer.type === 'ribbon' || layer.type === 'caption') return !!layer.content?.trim();
+    if (layer.type === 'frame') return (layer.frame_width || 0) > 0;
+    if (layer.type === 'qr') return !!layer.qr_url?.trim();
+    return (layer.width || 0) > 0 && (layer.height || 0) > 0;
+};
+
+const layerTitle = (layer: WatermarkLayer) => {
+    if (layer.type === 'logo') {
+        const url = previewLogoUrl(layer);
+        return url ? url.split('?')[0].split('/').pop() || 'Logo' : 'Logo (no image)';
+    }
+    if (layer.type === 'text') return layer.content?.split('\n')[0] || 'Text (empty)';
+    if (layer.type === 'ribbon') return layer.content || 'Ribbon (empty)';
+    if (layer.type === 'caption') return layer.content?.split('\n')[0] || 'Caption (empty)';
+    if (layer.type === 'frame') return `Frame (${layer.frame_width}px)`;
+    if (layer.type === 'qr') return layer.qr_url || 'QR code (no link)';
+    return layer.shape === 'ellipse' ? 'Ellipse' : 'Rectangle';
+};
+
+/**
+ * CSS positioning for a layer overlay, matching the server's preset/custom placement
+ */
+const placementStyle = (layer: WatermarkLayer): React.CSSProperties => {
+    if (layer.custom_placement) {
+        return { left: `${layer.x}%`, top: `${layer.y}%`, transform: 'translate(-50%, -50%)' };
+    }
+
+    const position = layer.position;
+    const margin = `${layer.margin / 8}%`;
+    const centeredX = position.includes('center');
+    const centeredY = position.includes('middle') || position === 'center';
+
+    return {
+        top: position.includes('top') ? margin : centeredY ? '50%' : 'auto',
+        bottom: position.includes('bottom') ? margin : 'auto',
+        left: position.includes('left') ? margin : centeredX ? '50%' : 'auto',
+        right: position.includes('right') ? margin : 'auto',
+        transform: `translate(${centeredX ? '-50%' : '0'}, ${centeredY ? '-50%' : '0'})`
+    };
+};
+
+/**
+ * #rrggbbaa form of a hex color at the given opacity
+ */
+const withAlpha = (color: string, opacity: number) => {
+    const hex = color.length === 4 ? color.replace(/#(.)(.)(.)/, '#$1$1$2$2$3$3') : color;
+    return `${hex}${Math.round(opacity * 255).toString(16).padStart(2, '0')}`;
+};
+
+/**
+ * CSS equivalents of a layer's blend mode and shadow/glow for the live preview
+ */
+const effectStyle = (layer: WatermarkLayer): React.CSSProperties => {
+    const style: React.CSSProperties = {
+        mixBlendMode: (layer.blend_mode === 'over' ? 'normal' : layer.blend_mode) as React.CSSProperties['mixBlendMode']
+    };
+
+    if (layer.shadow && layer.shadow !== 'none') {
+        const glow = layer.shadow === 'glow';
+        const x = glow ? 0 : layer.shadow_offset_x / 8;
+        const y = glow ? 0 : layer.shadow_offset_y / 8;
+        style.filter = `drop-shadow(${x}cqw ${y}cqw ${layer.shadow_blur / 16}cqw ${withAlpha(layer.shadow_color, layer.shadow_opacity)})`;
+    }
+
+    return style;
+};
+
+interface ColorFieldProps {
+    label: string;
+    value: string;
+    onChange: (value: string) => void;
+}
+
+function ColorField({ label, value, onChange }: ColorFieldProps) {
+    return (
+        <TextField
+            label={label}
+            type="text"
+            value={value}
+            onChange={onChange}
+            autoComplete="off"
+            suffix={
+                <div style={{ position: 'relative', width: '24px', height: '24px' }}>
+                    <input
+                        type="color"
+                        value={value.length === 4 ? value.replace(/#(.)(.)(.)/, '#$1$1$2$2$3$3') : value}
+                        onChange={(e) => onChange(e.target.value)}
+                        style={{
+                            position: 'absolute',
+                            top: 0,
+                            left: 0,
+                            width: '100%',
+                            height: '100%',
+                            opacity: 0,
+                            cursor: 'pointer'
+                        }}
+                    />
+                    <div style={{
+                        width: '100%',
+                        height: '100%',
+                        background: value,
+                        border: '1px solid var(--p-color-border-subdued)',
+                        borderRadius: '4px',
+                        boxShadow: 'inset 0 1px 2px rgba(0,0,0,0.1)'
+                    }} />
+                </div>
+            }
+        />
+    );
+}
+
 export function Settings() {
     const api = useApi();
     const [loading, setLoading] = useState(true);
@@ -80,24 +542,74 @@ export function Settings() {
         text_outline: true,
         text_outline_color: '#000000',
         text_rotation: 0,
+        text_align: 'center',
+        text_line_height: 1.2,
+        text_letter_spacing: 0,
         text_x: 10, // Default to top-leftish
         text_y: 90,
         use_custom_placement: false,
-        mobile_enabled: false,
-        mobile_position: 'bottom-right',
-        mobile_scale: 0.15,
+        logo_layout: 'single',
+        text_layout: 'single',
+        tile_pattern: 'grid',
+        tile_spacing: 40,
+        tile_stagger: false,
+        tile_angle: -30,
+        text_font_url: null,
+        text_font_weight: 'bold',
+        text_font_style: 'normal',
+        layers: [],
+        output_format: 'original',
+        output_quality: 90,
+        output_max_bytes: null,
+        color_profile: 'srgb',
+        metadata_copyright: null,
+        metadata_creator: null,
+        metadata_usage_terms: null,
+        forensic_enabled: false,
+        aspect_profiles: [],
+        small_image_policy: 'shrink',
+        small_image_min_px: 400,
     });
+    const [sampleSize, setSampleSize] = useState<{ width: number; height: number } | null>(null);
+    // Shape the server classified the sample as on the last preview, for the URL it was rendered from
+    const [sampleAspect, setSampleAspect] = useState<{ url: string; kind: AspectKind } | null>(null);
+    const [selectedLayerId, setSelectedLayerId] = useState<string | null>(null);
+    const [logoProcessing, setLogoProcessing] = useState<LogoProcessing>({ trim: false, knockout: null, tint: null });
+    const [fontAssets, setFontAssets] = useState<any[]>([]);
+    const [fontUploading, setFontUploading] = useState(false);
+    const [fontError, setFontError] = useState<string | null>(null);
+    const [previewFonts, setPreviewFonts] = useState<Record<string, string>>({});
+    const previewFontCount = useRef(0);
 
     const [previewImage, setPreviewImage] = useState<string | null>(null);
     const [sampleUrl, setSampleUrl] = useState('https://cdn.shopify.com/s/files/1/0533/2089/files/placeholder-images-image_large.png');
 
+    // Layers ordered bottom to top
+    const layers = useMemo(
+        () => [...settings.layers].sort((a, b) => a.z_index - b.z_index),
+        [settings.layers]
+    );
+    const selectedLayer = layers.find(layer => layer.id === selectedLayerId) || null;
+    const visibleLayers = layers.filter(layer => layer.enabled && layerHasContent(layer));
+
+    // Tiled patterns and auto placement can't be approximated with CSS overlays, so they use the server-rendered preview
+    const needsRenderedPreview = visibleLayers.some(layer =>
+        layer.layout === 'tile' || (!layer.custom_placement && layer.position === 'auto')
+    );
+    const showRenderedPreview = needsRenderedPreview && !!previewImage;
+
     // Load initial settings
     useEffect(() => {
         const loadSettings = async () => {
             try {
                 const data = await api.getWatermarkSettings();
                 if (data.success && data.settings) {
-                    setSettings(data.settings);
+                    const loadedLayers = data.settings.layers || [];
+                    setSettings({ ...data.settings, layers: loadedLayers });
+
+                    // Start with the top-most layer selected
+                    const top = [...loadedLayers].sort((a, b) => b.z_index - a.z_index)[0];
+                    setSelectedLayerId(top?.id || null);
                 }
             } catch (error) {
                 console.error('Failed to load settings:', error);
@@ -109,6 +621,31 @@ export function Settings() {
         loadSettings();
     }, [api]);
 
+    // Load uploaded fonts for the font picker
+    useEffect(() => {
+        api.getAssets('font')
+            .then(data => setFontAssets(data.assets || []))
+            .catch(error => console.error('Failed to load fonts:', error));
+    }, [api]);
+
+    // Load custom fonts into the browser so the CSS preview matches the output
+    const fontUrls = useMemo(
+        () => Array.from(new Set(settings.layers.map(layer => layer.font_url).filter((url): url is string => !!url))),
+        [settings.layers]
+    );
+
+    useEffect(() => {
+        fontUrls.filter(url => !previewFonts[url]).forEach(url => {
+            const family = `${PREVIEW_FONT_FAMILY}${++previewFontCount.current}`;
+            new FontFace(family, `url(${url})`).load()
+                .then(loaded => {
+                    document.fonts.add(loaded);
+                    setPreviewFonts(prev => ({ ...prev, [url]: family }));
+                })
+                .catch(error => console.error('Failed to load preview font:', error));
+        });
+    }, [fontUrls]);
+
     // Handle preview generation
     const generatePreview = useCallback(async () => {
         setPreviewLoading(true);
@@ -116,6 +653,7 @@ export function Settings() {
             const data = await api.generatePreview(sampleUrl, settings);
             if (data.preview) {
                 setPreviewImage(data.preview);
+                setSampleAspect({ url: sampleUrl, kind: data.aspectKind });
             }
         } catch (error) {
             console.error('Preview failed:', error);
@@ -146,31 +684,96 @@ export function Settings() {
     };
 
     const containerRef = useRef<HTMLDivElement>(null);
-    const [draggingElement, setDraggingElement] = useState<'logo' | 'text' | null>(null);
+    const [draggingLayerId, setDraggingLayerId] = useState<string | null>(null);
+
+    const updateSetting = (key: keyof WatermarkSettings, value: any) => {
+        setSettings(prev => ({ ...prev, [key]: value }));
+    };
+
+    const updateLayer = useCallback((id: string, patch: Partial<WatermarkLayer>) => {
+        setSettings(prev => ({
+            ...prev,
+            layers: prev.layers.map(layer => layer.id === id ? { ...layer, ...patch } : layer)
+        }));
+    }, []);
+
+    const addLayer = (type: WatermarkLayerType) => {
+        const zIndex = layers.length ? layers[layers.length - 1].z_index + 1 : 0;
+        const layer = createLayer(type, zIndex);
+        setSettings(prev => ({ ...prev, layers: [...prev.layers, layer] }));
+        setSelectedLayerId(layer.id);
+    };
+
+    const removeLayer = (id: string) => {
+        setSettings(prev => ({ ...prev, layers: prev.layers.filter(layer => layer.id !== id) }));
+        if (selectedLayerId === id) setSelectedLayerId(null);
+    };
+
+    // Swap a layer with its neighbour and renumber z-order from the bottom
+    const moveLayer = (id: string, direction: 1 | -1) => {
+        const index = layers.findIndex(layer => layer.id === id);
+        const target = index + direction;
+        if (index < 0 || target < 0 || target >= layers.length) return;
+
+        const reordered = [...layers];
+        [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+        setSettings(prev => ({
+            ...prev,
+            layers: reordered.map((layer, z) => ({ ...layer, z_index: z }))
+        }));
+    };
+
+    const aspectProfiles = settings.aspect_profiles || [];
+
+    const addAspectProfile = (kind: AspectProfile['kind']) => {
+        setSettings(prev => ({ ...prev, aspect_profiles: [...(prev.aspect_profiles || []), createAspectProfile(kind)] }));
+    };
+
+    const updateAspectProfile = (id: string, patch: Partial<AspectProfile>) => {
+        setSettings(prev => ({
+            ...prev,
+            aspect_profiles: prev.aspect_profiles.map(profile => profile.id === id ? { ...profile, ...patch } : profile)
+        }));
+    };
+
+    const updateProfileOverride = (profile: AspectProfile, group: 'logo' | 'text', key: keyof AspectProfileOverrides, value: string | number | null) => {
+        updateAspectProfile(profile.id, { [group]: { ...profile[group], [key]: value } });
+    };
+
+    const removeAspectProfile = (id: string) => {
+        setSettings(prev => ({ ...prev, aspect_profiles: prev.aspect_profiles.filter(profile => profile.id !== id) }));
+    };
+
+    // Profile the sample image falls under, applied to the live overlays
+    const sampleKind = sampleAspect?.url === sampleUrl ? sampleAspect.kind : null;
+    const previewProfile = sampleSize ? matchAspectProfile(aspectProfiles, sampleSize.width, sampleSize.height, sampleKind) : null;
+
+    // Overlays are sized in fractions of the preview width; other size bases scale them by the sample's shape
+    const basisFactor = (layer: WatermarkLayer) => {
+        if (!sampleSize || !layer.size_basis || layer.size_basis === 'width') return 1;
+        const { width, height } = sampleSize;
+        return (layer.size_basis === 'height' ? height : Math.min(width, height)) / width;
+    };
 
     const handleMouseMove = useCallback((e: MouseEvent) => {
-        if (!draggingElement || !containerRef.current || !settings.use_custom_placement) return;
+        if (!draggingLayerId || !containerRef.current) return;
 
         const rect = containerRef.current.getBoundingClientRect();
         const x = ((e.clientX - rect.left) / rect.width) * 100;
         const y = ((e.clientY - rect.top) / rect.height) * 100;
 
-        const constrainedX = Math.round(Math.max(0, Math.min(100, x)));
-        const constrainedY = Math.round(Math.max(0, Math.min(100, y)));
-
-        if (draggingElement === 'logo') {
-            setSettings(prev => ({ ...prev, logo_x: constrainedX, logo_y: constrainedY }));
-        } else if (draggingElement === 'text') {
-            setSettings(prev => ({ ...prev, text_x: constrainedX, text_y: constrainedY }));
-        }
-    }, [draggingElement, settings.use_custom_placement]);
+        updateLayer(draggingLayerId, {
+            x: Math.round(Math.max(0, Math.min(100, x))),
+            y: Math.round(Math.max(0, Math.min(100, y)))
+        });
+    }, [draggingLayerId, updateLayer]);
 
     const handleMouseUp = useCallback(() => {
-        setDraggingElement(null);
+        setDraggingLayerId(null);
     }, []);
 
     useEffect(() => {
-        if (draggingElement) {
+        if (draggingLayerId) {
             window.addEventListener('mousemove', handleMouseMove);
             window.addEventListener('mouseup', handleMouseUp);
         } else {
@@ -181,40 +784,49 @@ export function Settings() {
             window.removeEventListener('mousemove', handleMouseMove);
             window.removeEventListener('mouseup', handleMouseUp);
         };
-    }, [draggingElement, handleMouseMove, handleMouseUp]);
+    }, [draggingLayerId, handleMouseMove, handleMouseUp]);
 
-    const updateSetting = (key: keyof WatermarkSettings, value: any) => {
-        setSettings(prev => ({ ...prev, [key]: value }));
-    };
+    // Staged upload flow shared by logos and fonts
+    const uploadAsset = useCallback(async (file: File, assetType: 'logo' | 'font', variants: LogoProcessing[] = []) => {
+        const extension = file.name.split('.').pop()?.toLowerCase() || '';
+        const mimeType = file.type || FONT_MIME_TYPES[extension] || 'application/octet-stream';
+
+        // 1. Get staged URL from our backend
+        const { target } = await api.getStagedUploadUrl(file.name, mimeType, assetType);
+
+        // 2. Upload directly to Shopify's staged storage (usually S3)
+        const formData = new FormData();
+        target.parameters.forEach((p: any) => formData.append(p.name, p.value));
+        formData.append('file', file);
+
+        await fetch(target.url, {
+            method: 'POST',
+            body: formData
+        });
+
+        // 3. Register the file in Shopify and save record in our DB
+        return api.registerAsset({
+            resourceUrl: target.resourceUrl,
+            filename: file.name,
+            mimeType,
+            fileSize: file.size,
+            assetType,
+            variants
+        });
+    }, [api]);
 
     const handleDrop = useCallback(async (_droppedFiles: File[], acceptedFiles: File[], _rejectedFiles: File[]) => {
-        if (acceptedFiles.length > 0) {
+        if (acceptedFiles.length > 0 && selectedLayerId) {
             setUploading(true);
-            const file = acceptedFiles[0];
             try {
-                // 1. Get staged URL from our backend
-                const { target } = await api.getStagedUploadUrl(file.name, file.type);
-
-                // 2. Upload directly to Shopify's staged storage (usually S3)
-                const formData = new FormData();
-                target.parameters.forEach((p: any) => formData.append(p.name, p.value));
-                formData.append('file', file);
-
-                await fetch(target.url, {
-                    method: 'POST',
-                    body: formData
-                });
-
-                // 3. Register the file in Shopify and save record in our DB
-                const { asset } = await api.registerAsset({
-                    resourceUrl: target.resourceUrl,
-                    filename: file.name,
-                    mimeType: file.type,
-                    fileSize: file.size
-                });
-
-                // 4. Update the logo_url setting
-                updateSetting('logo_url', asset.file_url);
+                // SVG logos are vectors: the clean-up options only apply to bitmaps
+                const file = acceptedFiles[0];
+                const svg = file.type === 'image/svg+xml' || file.name.toLowerCase().endsWith('.svg');
+                const processed = !svg && (logoProcessing.trim || !!logoProcessing.knockout || !!logoProcessing.tint);
+                const { asset, variants } = await uploadAsset(file, 'logo', processed ? [logoProcessing] : []);
+
+                // 4. Point the selected logo layer at the uploaded file (its cleaned-up variant when requested)
+                updateLayer(selectedLayerId, { url: variants?.[0]?.file_url || asset.file_url });
 
             } catch (error) {
                 console.error('Upload failed:', error);
@@ -222,7 +834,38 @@ export function Settings() {
                 setUploading(false);
             }
         }
-    }, [api, updateSetting]);
+    }, [uploadAsset, updateLayer, selectedLayerId, logoProcessing]);
+
+    const handleFontDrop = useCallback(async (_droppedFiles: File[], acceptedFiles: File[], _rejectedFiles: File[]) => {
+        if (acceptedFiles.length > 0 && selectedLayerId) {
+            setFontUploading(true);
+            setFontError(null);
+            try {
+                const { asset } = await uploadAsset(acceptedFiles[0], 'font');
+                setFontAssets(prev => [asset, ...prev]);
+                updateLayer(selectedLayerId, { font_url: asset.file_url });
+            } catch (error: any) {
+                console.error('Font upload failed:', error);
+                setFontError('Font could not be uploaded. Use a valid TTF, OTF or WOFF file.');
+            } finally {
+                setFontUploading(false);
+            }
+        }
+    }, [uploadAsset, updateLayer, selectedLayerId]);
+
+    // Uploaded fonts are selected by URL, system fonts by name
+    const fontOptions = [
+        ...FONT_OPTIONS,
+        ...fontAssets.map(asset => ({ label: `${asset.file_name} (uploaded)`, value: asset.file_url }))
+    ];
+
+    const handleFontChange = (layer: WatermarkLayer, value: string) => {
+        if (fontAssets.some(asset => asset.file_url === value)) {
+            updateLayer(layer.id, { font_url: value });
+        } else {
+            updateLayer(layer.id, { font: value, font_url: null });
+        }
+    };
 
     if (loading) {
         return (
@@ -243,6 +886,1138 @@ export function Settings() {
         );
     }
 
+    // Decorations turn off the controls that don't apply to them
+    const renderPlacementControls = (layer: WatermarkLayer, { tileable = true, placeable = true, rotatable = true } = {}) => (
+        <>
+            {tileable && (
+                <Select
+                    label="Layout"
+                    options={LAYOUT_OPTIONS}
+                    value={layer.layout}
+                    onChange={(val) => updateLayer(layer.id, { layout: val as WatermarkLayer['layout'] })}
+                />
+            )}
+            {tileable && layer.layout === 'tile' ? (
+                <Box padding="200" background="bg-surface-secondary" borderRadius="100">
+                    <BlockStack gap="300">
+                        <Select
+                            label="Pattern"
+                            options={TILE_PATTERN_OPTIONS}
+                            value={layer.tile_pattern}
+                            onChange={(val) => updateLayer(layer.id, { tile_pattern: val as WatermarkLayer['tile_pattern'] })}
+                        />
+                        <RangeSlider
+                            label={`Spacing: ${layer.tile_spacing}px`}
+                            value={layer.tile_spacing}
+                            min={0}
+                            max={300}
+                            step={5}
+                            onChange={(val) => updateLayer(layer.id, { tile_spacing: val as number })}
+                            output
+                        />
+                        {layer.tile_pattern === 'diagonal' && (
+                            <RangeSlider
+                                label={`Pattern Angle: ${layer.tile_angle}°`}
+                                value={layer.tile_angle}
+                                min={-90}
+                                max={90}
+                                step={1}
+                                onChange={(val) => updateLayer(layer.id, { tile_angle: val as number })}
+                                output
+                            />
+                        )}
+                        <Checkbox
+                            label="Stagger alternate rows"
+                            checked={layer.tile_stagger}
+                            onChange={(val) => updateLayer(layer.id, { tile_stagger: val })}
+                        />
+                    </BlockStack>
+                </Box>
+            ) : placeable && (
+                <>
+                    <Checkbox
+                        label="Free placement (drag on the preview)"
+                        checked={layer.custom_placement}
+                        onChange={(val) => updateLayer(layer.id, { custom_placement: val })}
+                    />
+                    {layer.custom_placement ? (
+                        <Box padding="200" background="bg-surface-secondary" borderRadius="100">
+                            <InlineStack gap="400" align="start">
+                                <div style={{ flex: 1 }}>
+                                    <RangeSlider
+                                        label={`Horizontal Position (X): ${layer.x}%`}
+                                        value={layer.x}
+                                        min={0}
+                                        max={100}
+                                        onChange={(val) => updateLayer(layer.id, { x: val as number })}
+                                        output
+                                    />
+                                </div>
+                                <div style={{ flex: 1 }}>
+                                    <RangeSlider
+                                        label={`Vertical Position (Y): ${layer.y}%`}
+                                        value={layer.y}
+                                        min={0}
+                                        max={100}
+                                        onChange={(val) => updateLayer(layer.id, { y: val as number })}
+                                        output
+                                    />
+                                </div>
+                            </InlineStack>
+                        </Box>
+                    ) : (
+                        <>
+                            <Select
+                                label="Placement"
+                                options={POSITION_OPTIONS}
+                                value={layer.position}
+                                onChange={(val) => updateLayer(layer.id, { position: val })}
+                                helpText={layer.position === 'auto' ? 'Placed in the least detailed corner or edge of each image, away from the product. Use Final Check to preview.' : undefined}
+                            />
+                            <TextField
+                                label="Margin Offset (px)"
+                                type="number"
+                                value={layer.margin.toString()}
+                                onChange={(val) => updateLayer(layer.id, { margin: parseInt(val) || 0 })}
+                                autoComplete="off"
+                            />
+                        </>
+                    )}
+                </>
+            )}
+            <RangeSlider
+                label={`Opacity: ${Math.round(layer.opacity * 100)}%`}
+                value={layer.opacity}
+                min={0.1}
+                max={1.0}
+                step={0.1}
+                onChange={(val) => updateLayer(layer.id, { opacity: val as number })}
+                output
+            />
+            {rotatable && (
+                <RangeSlider
+                    label={`Rotation: ${layer.rotation}°`}
+                    value={layer.rotation}
+                    min={-180}
+                    max={180}
+                    step={1}
+                    onChange={(val) => updateLayer(layer.id, { rotation: val as number })}
+                    output
+                />
+            )}
+            <Select
+                label="Blend Mode"
+                options={BLEND_MODE_OPTIONS}
+                value={layer.blend_mode}
+                onChange={(val) => updateLayer(layer.id, { blend_mode: val as WatermarkLayer['blend_mode'] })}
+                helpText="Multiply keeps light marks visible on white product backgrounds."
+            />
+            <Select
+                label="Shadow"
+                options={SHADOW_OPTIONS}
+                value={layer.shadow}
+                onChange={(val) => updateLayer(layer.id, { shadow: val as WatermarkLayer['shadow'] })}
+            />
+            {layer.shadow !== 'none' && (
+                <Box padding="200" background="bg-surface-secondary" borderRadius="100">
+                    <BlockStack gap="300">
+                        <ColorField
+                            label={layer.shadow === 'glow' ? 'Glow Color' : 'Shadow Color'}
+                            value={layer.shadow_color}
+                            onChange={(val) => updateLayer(layer.id, { shadow_color: val })}
+                        />
+                        {layer.shadow === 'drop' && (
+                            <InlineStack gap="400" align="start">
+                                <div style={{ flex: 1 }}>
+                                    <RangeSlider
+                                        label={`Offset X: ${layer.shadow_offset_x}px`}
+                                        value={layer.shadow_offset_x}
+                                        min={-30}
+                                        max={30}
+                                        step={1}
+                                        onChange={(val) => updateLayer(layer.id, { shadow_offset_x: val as number })}
+                                        output
+                                    />
+                                </div>
+                                <div style={{ flex: 1 }}>
+                                    <RangeSlider
+                                        label={`Offset Y: ${layer.shadow_offset_y}px`}
+                                        value={layer.shadow_offset_y}
+                                        min={-30}
+                                        max={30}
+                                        step={1}
+                                        onChange={(val) => updateLayer(layer.id, { shadow_offset_y: val as number })}
+                                        output
+                                    />
+                                </div>
+                            </InlineStack>
+                        )}
+                        <InlineStack gap="400" align="start">
+                            <div style={{ flex: 1 }}>
+                                <RangeSlider
+                                    label={`Blur: ${layer.shadow_blur}px`}
+                                    value={layer.shadow_blur}
+                                    min={0}
+                                    max={40}
+                                    step={1}
+                                    onChange={(val) => updateLayer(layer.id, { shadow_blur: val as number })}
+                                    output
+                                />
+                            </div>
+                            <div style={{ flex: 1 }}>
+                                <RangeSlider
+                                    label={`Strength: ${Math.round(layer.shadow_opacity * 100)}%`}
+                                    value={layer.shadow_opacity}
+                                    min={0.1}
+                                    max={1.0}
+                                    step={0.1}
+                                    onChange={(val) => updateLayer(layer.id, { shadow_opacity: val as number })}
+                                    output
+                                />
+                            </div>
+                        </InlineStack>
+                    </BlockStack>
+                </Box>
+            )}
+        </>
+    );
+
+    const renderSizeLimits = (layer: WatermarkLayer, noun: string) => {
+        const parsePx = (val: string) => (val === '' ? null : Math.max(0, parseInt(val) || 0));
+        return (
+            <>
+                <Select
+                    label="Scale relative to"
+                    options={SIZE_BASIS_OPTIONS}
+                    value={layer.size_basis || 'width'}
+                    onChange={(val) => updateLayer(layer.id, { size_basis: val as WatermarkLayer['size_basis'] })}
+                    helpText="Height or the shorter side keep the watermark readable on tall and panoramic images."
+                />
+                <InlineStack gap="400" align="start">
+                    <div style={{ flex: 1 }}>
+                        <TextField
+                            label={`Min ${noun} (px)`}
+                            type="number"
+                            min={0}
+                            value={layer.min_size_px != null ? String(layer.min_size_px) : ''}
+                            onChange={(val) => updateLayer(layer.id, { min_size_px: parsePx(val) })}
+                            placeholder="No limit"
+                            autoComplete="off"
+                        />
+                    </div>
+                    <div style={{ flex: 1 }}>
+                        <TextField
+                            label={`Max ${noun} (px)`}
+                            type="number"
+                            min={0}
+                            value={layer.max_size_px != null ? String(layer.max_size_px) : ''}
+                            onChange={(val) => updateLayer(layer.id, { max_size_px: parsePx(val) })}
+                            placeholder="No limit"
+                            autoComplete="off"
+                        />
+                    </div>
+                </InlineStack>
+            </>
+        );
+    };
+
+    const renderLogoEditor = (layer: WatermarkLayer) => (
+        <FormLayout>
+            <BlockStack gap="300">
+                <TextField
+                    label="Logo URL"
+                    value={layer.url || ''}
+                    onChange={(val) => updateLayer(layer.id, { url: val || null })}
+                    autoComplete="off"
+                    placeholder="https://your-domain.com/logo.png"
+                    helpText="Supports PNG, JPEG, WebP, GIF and SVG. SVG logos stay sharp at any size; transparent PNG works well too."
+                />
+                <Box padding="200" background="bg-surface-secondary" borderRadius="100">
+                    <BlockStack gap="200">
+                        <Text variant="headingSm" as="h3">Clean up on upload</Text>
+                        <Checkbox
+                            label="Trim empty padding"
+                            checked={logoProcessing.trim}
+                            onChange={(val) => setLogoProcessing(prev => ({ ...prev, trim: val }))}
+                        />
+                        <Select
+                            label="Background"
+                            options={KNOCKOUT_OPTIONS}
+                            value={logoProcessing.knockout || ''}
+                            onChange={(val) => setLogoProcessing(prev => ({ ...prev, knockout: (val || null) as LogoProcessing['knockout'] }))}
+                            helpText="Turns the flat box around a JPEG logo transparent. Clean-up doesn't apply to SVG logos."
+                        />
+                        <Select
+                            label="Recolor"
+                            options={TINT_OPTIONS}
+                            value={!logoProcessing.tint ? '' : ['#FFFFFF', '#000000'].includes(logoProcessing.tint) ? logoProcessing.tint : 'custom'}
+                            onChange={(val) => setLogoProcessing(prev => ({ ...prev, tint: val === 'custom' ? '#5C6AC4' : val || null }))}
+                            helpText="Single-color version of the logo. Remove the background too if the logo has one."
+                        />
+                        {logoProcessing.tint && !['#FFFFFF', '#000000'].includes(logoProcessing.tint) && (
+                            <ColorField
+                                label="Brand Color"
+                                value={logoProcessing.tint}
+                                onChange={(val) => setLogoProcessing(prev => ({ ...prev, tint: val }))}
+                            />
+                        )}
+                    </BlockStack>
+                </Box>
+                <DropZone
+                    onDrop={handleDrop}
+                    label="Or Upload Logo"
+                    accept="image/png,image/jpeg,image/webp,image/gif,image/svg+xml,.svg"
+                    type="image"
+                    disabled={uploading}
+                >
+                    {uploading ? (
+                        <div style={{ padding: '20px', textAlign: 'center' }}>
+                            <BlockStack gap="200" align="center">
+                                <Spinner size="small" />
+                                <Text as="p">Uploading logo...</Text>
+                            </BlockStack>
+                        </div>
+                    ) : layer.url ? (
+                        <DropZone.FileUpload actionHint="Replace logo" />
+                    ) : (
+                        <DropZone.FileUpload actionTitle="Add logo" />
+                    )}
+                </DropZone>
+                <Checkbox
+                    label="Adaptive contrast"
+                    checked={layer.adaptive}
+                    onChange={(val) => updateLayer(layer.id, { adaptive: val })}
+                    helpText="Uses the light or dark logo on each image, whichever stands out more from the background behind it."
+                />
+                {layer.adaptive && (
+                    <Box padding="200" background="bg-surface-secondary" borderRadius="100">
+                        <BlockStack gap="300">
+                            <TextField
+                                label="Light Logo URL (for dark backgrounds)"
+                                value={layer.light_url || ''}
+                                onChange={(val) => updateLayer(layer.id, { light_url: val || null })}
+                                autoComplete="off"
+                                placeholder="Defaults to the logo above"
+                            />
+                            <TextField
+                                label="Dark Logo URL (for light backgrounds)"
+                                value={layer.dark_url || ''}
+                                onChange={(val) => updateLayer(layer.id, { dark_url: val || null })}
+                                autoComplete="off"
+                                placeholder="Defaults to the logo above"
+                            />
+                        </BlockStack>
+                    </Box>
+                )}
+            </BlockStack>
+            <Box padding="300" background="bg-surface-secondary" borderRadius="200">
+                <BlockStack gap="400">
+                    <RangeSlider
+                        label={`Visual Scale: ${Math.round((layer.scale || 0) * 100)}%`}
+                        value={layer.scale || 0.2}
+                        min={0.05}
+                        max={0.5}
+                        step={0.01}
+                        onChange={(val) => updateLayer(layer.id, { scale: val as number })}
+                        output
+                    />
+                    {renderSizeLimits(layer, 'logo width')}
+                    {renderPlacementControls(layer)}
+                </BlockStack>
+            </Box>
+        </FormLayout>
+    );
+
+    const renderFontControls = (layer: WatermarkLayer) => (
+        <>
+            <Select
+                label="Typography Font"
+                options={fontOptions}
+                value={layer.font_url || layer.font}
+                onChange={(val) => handleFontChange(layer, val)}
+                helpText={layer.font_url ? undefined : 'System fonts depend on the server. Upload your brand font for an exact match.'}
+            />
+            <DropZone
+                onDrop={handleFontDrop}
+                accept=".ttf,.otf,.woff"
+                type="file"
+                allowMultiple={false}
+                variableHeight
+            >
+                {fontUploading ? (
+                    <Box padding="200"><InlineStack align="center"><Spinner size="small" /></InlineStack></Box>
+                ) : (
+                    <DropZone.FileUpload actionTitle="Upload font" actionHint="TTF, OTF or WOFF" />
+                )}
+            </DropZone>
+            {fontError && (
+                <Banner tone="critical" onDismiss={() => setFontError(null)}>
+                    <p>{fontError}</p>
+                </Banner>
+            )}
+            <InlineStack gap="400" align="start">
+                <div style={{ flex: 1 }}>
+                    <Select
+                        label="Weight"
+                        options={FONT_WEIGHT_OPTIONS}
+                        value={layer.font_weight}
+                        onChange={(val) => updateLayer(layer.id, { font_weight: val as WatermarkLayer['font_weight'] })}
+                    />
+                </div>
+                <div style={{ flex: 1 }}>
+                    <Select
+                        label="Style"
+                        options={FONT_STYLE_OPTIONS}
+                        value={layer.font_style}
+                        onChange={(val) => updateLayer(layer.id, { font_style: val as WatermarkLayer['font_style'] })}
+                    />
+                </div>
+            </InlineStack>
+        </>
+    );
+
+    const renderTextEditor = (layer: WatermarkLayer) => (
+        <FormLayout>
+            <TextField
+                label="Watermark Content"
+                value={layer.content || ''}
+                onChange={(val) => updateLayer(layer.id, { content: val })}
+                placeholder="e.g. © 2026 Your Store Name"
+                multiline={2}
+                autoComplete="off"
+                helpText="Dynamic tokens: {{product.title}}, {{product.vendor}}, {{variant.sku}}, {{shop.name}}, {{date}}. Resolved per product when the watermark is applied."
+            />
+            <Box padding="300" background="bg-surface-secondary" borderRadius="200">
+                <BlockStack gap="400">
+                    {renderFontControls(layer)}
+                    <TextField
+                        label="Text Size (px)"
+                        type="number"
+                        value={(layer.size || 0).toString()}
+                        onChange={(val) => updateLayer(layer.id, { size: parseInt(val) || 0 })}
+                        autoComplete="off"
+                    />
+                    {renderSizeLimits(layer, 'text size')}
+                    <Select
+                        label="Text Alignment"
+                        options={TEXT_ALIGN_OPTIONS}
+                        value={layer.align}
+                        onChange={(val) => updateLayer(layer.id, { align: val as WatermarkLayer['align'] })}
+                    />
+                    <InlineStack gap="400" align="start">
+                        <div style={{ flex: 1 }}>
+                            <RangeSlider
+                                label={`Line Height: ${Number(layer.line_height).toFixed(1)}`}
+                                value={Number(layer.line_height)}
+                                min={0.8}
+                                max={3}
+                                step={0.1}
+                                onChange={(val) => updateLayer(layer.id, { line_height: val as number })}
+                                output
+                            />
+                        </div>
+                        <div style={{ flex: 1 }}>
+                            <RangeSlider
+                                label={`Letter Spacing: ${layer.letter_spacing}px`}
+                                value={layer.letter_spacing || 0}
+                                min={-5}
+                                max={30}
+                                step={1}
+                                onChange={(val) => updateLayer(layer.id, { letter_spacing: val as number })}
+                                output
+                            />
+                        </div>
+                    </InlineStack>
+                    <InlineStack gap="400">
+                        <Box width="45%">
+                            <ColorField
+                                label="Text Color"
+                                value={layer.color || '#FFFFFF'}
+                                onChange={(val) => updateLayer(layer.id, { color: val })}
+                            />
+                        </Box>
+                        <Box width="45%">
+                            <ColorField
+                                label="Outline Color"
+                                value={layer.outline_color || '#000000'}
+                                onChange={(val) => updateLayer(layer.id, { outline_color: val })}
+                            />
+                        </Box>
+                    </InlineStack>
+                    <Checkbox
+                        label="High Contrast Outline (Shadow)"
+                        checked={!!layer.outline}
+                        onChange={(val) => updateLayer(layer.id, { outline: val })}
+                    />
+                    <Checkbox
+                        label="Adaptive contrast"
+                        checked={layer.adaptive}
+                        onChange={(val) => updateLayer(layer.id, { adaptive: val })}
+                        helpText="Uses the light or dark color on each image, whichever stands out more from the background behind the text."
+                    />
+                    {layer.adaptive && (
+                        <InlineStack gap="400">
+                            <Box width="45%">
+                                <ColorField
+                                    label="Light Color"
+                                    value={layer.light_color || '#FFFFFF'}
+                                    onChange={(val) => updateLayer(layer.id, { light_color: val })}
+                                />
+                            </Box>
+                            <Box width="45%">
+                                <ColorField
+                                    label="Dark Color"
+                                    value={layer.dark_color || '#000000'}
+                                    onChange={(val) => updateLayer(layer.id, { dark_color: val })}
+                                />
+                            </Box>
+                        </InlineStack>
+                    )}
+                    {renderPlacementControls(layer)}
+                </BlockStack>
+            </Box>
+        </FormLayout>
+    );
+
+    const renderShapeEditor = (layer: WatermarkLayer) => (
+        <FormLayout>
+            <Box padding="300" background="bg-surface-secondary" borderRadius="200">
+                <BlockStack gap="400">
+                    <Select
+                        label="Shape"
+                        options={SHAPE_OPTIONS}
+                        value={layer.shape}
+                        onChange={(val) => updateLayer(layer.id, { shape: val as WatermarkLayer['shape'] })}
+                    />
+                    <InlineStack gap="400" align="start">
+                        <div style={{ flex: 1 }}>
+                            <RangeSlider
+                                label={`Width: ${layer.width}% of image`}
+                                value={layer.width || 0}
+                                min={1}
+                                max={100}
+                                step={1}
+                                onChange={(val) => updateLayer(layer.id, { width: val as number })}
+                                output
+                            />
+                        </div>
+                        <div style={{ flex: 1 }}>
+                            <RangeSlider
+                                label={`Height: ${layer.height}% of image`}
+                                value={layer.height || 0}
+                                min={1}
+                                max={100}
+                                step={1}
+                                onChange={(val) => updateLayer(layer.id, { height: val as number })}
+                                output
+                            />
+                        </div>
+                    </InlineStack>
+                    <InlineStack gap="400">
+                        <Box width="45%">
+                            <ColorField
+                                label="Fill Color"
+                                value={layer.fill || '#000000'}
+                                onChange={(val) => updateLayer(layer.id, { fill: val })}
+                            />
+                        </Box>
+                        <Box width="45%">
+                            <ColorField
+                                label="Border Color"
+                                value={layer.stroke || '#FFFFFF'}
+                                onChange={(val) => updateLayer(layer.id, { stroke: val })}
+                            />
+                        </Box>
+                    </InlineStack>
+                    <InlineStack gap="400" align="start">
+                        <div style={{ flex: 1 }}>
+                            <RangeSlider
+                                label={`Border Width: ${layer.stroke_width}px`}
+                                value={layer.stroke_width || 0}
+                                min={0}
+                                max={20}
+                                step={1}
+                                onChange={(val) => updateLayer(layer.id, {
+                                    stroke_width: val as number,
+                                    stroke: (val as number) > 0 ? (layer.stroke || '#FFFFFF') : null
+                                })}
+                                output
+                            />
+                        </div>
+                        {layer.shape !== 'ellipse' && (
+                            <div style={{ flex: 1 }}>
+                                <RangeSlider
+                                    label={`Corner Radius: ${layer.radius}px`}
+                                    value={layer.radius || 0}
+                                    min={0}
+                                    max={100}
+                                    step={1}
+                                    onChange={(val) => updateLayer(layer.id, { radius: val as number })}
+                                    output
+                                />
+                            </div>
+                        )}
+                    </InlineStack>
+                    {renderPlacementControls(layer)}
+                </BlockStack>
+            </Box>
+        </FormLayout>
+    );
+
+    const renderFrameEditor = (layer: WatermarkLayer) => (
+        <FormLayout>
+            <Box padding="300" background="bg-surface-secondary" borderRadius="200">
+                <BlockStack gap="400">
+                    <RangeSlider
+                        label={`Border Width: ${layer.frame_width}px`}
+                        value={layer.frame_width || 0}
+                        min={1}
+                        max={120}
+                        step={1}
+                        onChange={(val) => updateLayer(layer.id, { frame_width: val as number })}
+                        output
+                    />
+                    <InlineStack gap="400">
+                        <Box width="45%">
+                            <ColorField
+                                label="Border Color"
+                                value={layer.fill || '#FFFFFF'}
+                                onChange={(val) => updateLayer(layer.id, { fill: val })}
+                            />
+                        </Box>
+                        {layer.fill_end && (
+                            <Box width="45%">
+                                <ColorField
+                                    label="Gradient End Color"
+                                    value={layer.fill_end}
+                                    onChange={(val) => updateLayer(layer.id, { fill_end: val })}
+                                />
+                            </Box>
+                        )}
+                    </InlineStack>
+                    <Checkbox
+                        label="Gradient"
+                        checked={!!layer.fill_end}
+                        onChange={(val) => updateLayer(layer.id, { fill_end: val ? '#000000' : null })}
+                        helpText="Blends the border color into the end color from the top-left corner to the bottom-right."
+                    />
+                    {renderPlacementControls(layer, { tileable: false, placeable: false, rotatable: false })}
+                </BlockStack>
+            </Box>
+        </FormLayout>
+    );
+
+    const renderRibbonEditor = (layer: WatermarkLayer) => (
+        <FormLayout>
+            <TextField
+                label="Ribbon Text"
+                value={layer.content || ''}
+                onChange={(val) => updateLayer(layer.id, { content: val })}
+                placeholder="e.g. SALE"
+                autoComplete="off"
+                helpText="Supports the same dynamic tokens as text layers, e.g. {{product.vendor}}."
+            />
+            <Box padding="300" background="bg-surface-secondary" borderRadius="200">
+                <BlockStack gap="400">
+                    <Select
+                        label="Style"
+                        options={RIBBON_STYLE_OPTIONS}
+                        value={layer.ribbon_style}
+                        onChange={(val) => updateLayer(layer.id, { ribbon_style: val as WatermarkLayer['ribbon_style'] })}
+                        helpText={layer.ribbon_style === 'ribbon' && !CORNER_POSITIONS.includes(layer.position) ? 'Corner ribbons need a corner placement; elsewhere a badge is drawn.' : undefined}
+                    />
+                    {renderFontControls(layer)}
+                    <TextField
+                        label="Text Size (px)"
+                        type="number"
+                        value={(layer.size || 0).toString()}
+                        onChange={(val) => updateLayer(layer.id, { size: parseInt(val) || 0 })}
+                        autoComplete="off"
+                    />
+                    <InlineStack gap="400">
+                        <Box width="45%">
+                            <ColorField
+                                label="Ribbon Color"
+                                value={layer.fill || '#D72C0D'}
+                                onChange={(val) => updateLayer(layer.id, { fill: val })}
+                            />
+                        </Box>
+                        <Box width="45%">
+                            <ColorField
+                                label="Text Color"
+                                value={layer.color || '#FFFFFF'}
+                                onChange={(val) => updateLayer(layer.id, { color: val })}
+                            />
+                        </Box>
+                    </InlineStack>
+                    {renderPlacementControls(layer, { tileable: false, rotatable: layer.ribbon_style === 'badge' })}
+                </BlockStack>
+            </Box>
+        </FormLayout>
+    );
+
+    const renderCaptionEditor = (layer: WatermarkLayer) => (
+        <FormLayout>
+            <TextField
+                label="Caption Text"
+                value={layer.content || ''}
+                onChange={(val) => updateLayer(layer.id, { content: val })}
+                placeholder="e.g. {{product.title}}"
+                multiline={2}
+                autoComplete="off"
+                helpText="Supports the same dynamic tokens as text layers. Long captions are scaled down to fit the bar."
+            />
+            <Box padding="300" background="bg-surface-secondary" borderRadius="200">
+                <BlockStack gap="400">
+                    {renderFontControls(layer)}
+                    <TextField
+                        label="Text Size (px)"
+                        type="number"
+                        value={(layer.size || 0).toString()}
+                        onChange={(val) => updateLayer(layer.id, { size: parseInt(val) || 0 })}
+                        autoComplete="off"
+                    />
+                    <InlineStack gap="400">
+                        <Box width="45%">
+                            <ColorField
+                                label="Bar Color"
+                                value={layer.fill || '#000000'}
+                                onChange={(val) => updateLayer(layer.id, { fill: val })}
+                            />
+                        </Box>
+                        <Box width="45%">
+                            <ColorField
+                                label="Text Color"
+                                value={layer.color || '#FFFFFF'}
+                                onChange={(val) => updateLayer(layer.id, { color: val })}
+                            />
+                        </Box>
+                    </InlineStack>
+                    <RangeSlider
+                        label={`Bar Opacity: ${Math.round((layer.fill_opacity ?? 0.6) * 100)}%`}
+                        value={layer.fill_opacity ?? 0.6}
+                        min={0}
+                        max={1}
+                        step={0.05}
+                        onChange={(val) => updateLayer(layer.id, { fill_opacity: val as number })}
+                        output
+                    />
+                    <Text as="p" variant="bodySm" tone="subdued">
+                        The bar spans the image width. Top or bottom placement picks the edge; left, center or right aligns the text.
+                    </Text>
+                    {renderPlacementControls(layer, { tileable: false, rotatable: false })}
+                </BlockStack>
+            </Box>
+        </FormLayout>
+    );
+
+    const renderQrEditor = (layer: WatermarkLayer) => (
+        <FormLayout>
+            <TextField
+                label="Link"
+                value={layer.qr_url || ''}
+                onChange={(val) => updateLayer(layer.id, { qr_url: val })}
+                placeholder="{{product.url}}"
+                autoComplete="off"
+                helpText="Each product gets its own code. {{product.url}} is the product's storefront page; tokens like {{product.handle}} or {{product.id}} work in your own links too."
+            />
+            <Box padding="200" background="bg-surface-secondary" borderRadius="100">
+                <BlockStack gap="300">
+                    <Text variant="headingSm" as="h3">Campaign tracking</Text>
+                    <InlineStack gap="400" align="start">
+                        <div style={{ flex: 1 }}>
+                            <TextField
+                                label="utm_source"
+                                value={layer.utm_source || ''}
+                                onChange={(val) => updateLayer(layer.id, { utm_source: val || null })}
+                                placeholder="e.g. product-image"
+                                autoComplete="off"
+                            />
+                        </div>
+                        <div style={{ flex: 1 }}>
+                            <TextField
+                                label="utm_medium"
+                                value={layer.utm_medium || ''}
+                                onChange={(val) => updateLayer(layer.id, { utm_medium: val || null })}
+                                placeholder="e.g. qr"
+                                autoComplete="off"
+                            />
+                        </div>
+                    </InlineStack>
+                    <TextField
+                        label="utm_campaign"
+                        value={layer.utm_campaign || ''}
+                        onChange={(val) => updateLayer(layer.id, { utm_campaign: val || null })}
+                        placeholder="e.g. wholesale"
+                        autoComplete="off"
+                        helpText="Added to the link so scans show up in your analytics. Leave empty to skip."
+                    />
+                </BlockStack>
+            </Box>
+            <Box padding="300" background="bg-surface-secondary" borderRadius="200">
+                <BlockStack gap="400">
+                    <InlineStack gap="400">
+                        <Box width="45%">
+                            <ColorField
+                                label="Code Color"
+                                value={layer.color || '#000000'}
+                                onChange={(val) => updateLayer(layer.id, { color: val })}
+                            />
+                        </Box>
+                        {layer.fill && (
+                            <Box width="45%">
+                                <ColorField
+                                    label="Background Color"
+                                    value={layer.fill}
+                                    onChange={(val) => updateLayer(layer.id, { fill: val })}
+                                />
+                            </Box>
+                        )}
+                    </InlineStack>
+                    <Checkbox
+                        label="Transparent background"
+                        checked={!layer.fill}
+                        onChange={(val) => updateLayer(layer.id, { fill: val ? null : '#FFFFFF' })}
+                        helpText="Scanners need a dark code on a light background; only go transparent over light images."
+                    />
+                    <Select
+                        label="Error correction"
+                        options={QR_ERROR_CORRECTION_OPTIONS}
+                        value={layer.error_correction || 'M'}
+                        onChange={(val) => updateLayer(layer.id, { error_correction: val as WatermarkLayer['error_correction'] })}
+                        helpText="Higher levels still scan when partly covered or compressed, but make the code denser."
+                    />
+                    <RangeSlider
+                        label={`Visual Scale: ${Math.round((layer.scale || 0) * 100)}%`}
+                        value={layer.scale || 0.15}
+                        min={0.05}
+                        max={0.5}
+                        step={0.01}
+                        onChange={(val) => updateLayer(layer.id, { scale: val as number })}
+                        output
+                    />
+                    {renderSizeLimits(layer, 'code width')}
+                    {renderPlacementControls(layer, { tileable: false })}
+                </BlockStack>
+            </Box>
+        </FormLayout>
+    );
+
+    const renderProfileOverrides = (profile: AspectProfile, group: 'logo' | 'text') => {
+        const overrides = profile[group];
+        const numberField = (key: 'scale' | 'margin' | 'opacity' | 'rotation', label: string, helpText?: string) => (
+            <TextField
+                label={label}
+                type="number"
+                value={overrides[key] === null ? '' : String(overrides[key])}
+                onChange={(val) => updateProfileOverride(profile, group, key, val === '' ? null : Number(val))}
+                placeholder="Same as layer"
+                helpText={helpText}
+                autoComplete="off"
+            />
+        );
+
+        return (
+            <BlockStack gap="200">
+                <Text variant="headingSm" as="h4">{group === 'logo' ? 'Logo Layers' : 'Text Layers'}</Text>
+                <Select
+                    label="Placement"
+                    options={PROFILE_POSITION_OPTIONS}
+                    value={overrides.position || ''}
+                    onChange={(val) => updateProfileOverride(profile, group, 'position', val || null)}
+                />
+                <FormLayout.Group>
+                    {numberField('scale', 'Scale', group === 'logo' ? 'Share of the image width, e.g. 0.15' : 'Multiplier of the text size, e.g. 0.8')}
+                    {numberField('margin', 'Margin (px)')}
+                </FormLayout.Group>
+                <FormLayout.Group>
+                    {numberField('opacity', 'Opacity', '0 to 1')}
+                    {numberField('rotation', 'Rotation (°)')}
+                </FormLayout.Group>
+            </BlockStack>
+        );
+    };
+
+    const renderAspectProfile = (profile: AspectProfile) => (
+        <Box key={profile.id} padding="300" background="bg-surface-secondary" borderRadius="200">
+            <BlockStack gap="300">
+                <InlineStack align="space-between" blockAlign="center">
+                    <InlineStack gap="200" blockAlign="center">
+                        <Text variant="headingSm" as="h3">
+                            {profile.kind === 'custom' && profile.name ? profile.name : ASPECT_PROFILE_LABELS[profile.kind]}
+                        </Text>
+                        {previewProfile?.id === profile.id && <Badge tone="info">Sample image</Badge>}
+                    </InlineStack>
+                    <InlineStack gap="300" blockAlign="center">
+                        <Checkbox
+                            label="Enabled"
+                            checked={profile.enabled}
+                            onChange={(val) => updateAspectProfile(profile.id, { enabled: val })}
+                        />
+                        <Button icon={DeleteIcon} variant="plain" tone="critical" onClick={() => removeAspectProfile(profile.id)} accessibilityLabel="Remove profile" />
+                    </InlineStack>
+                </InlineStack>
+                {profile.kind === 'custom' && (
+                    <FormLayout.Group>
+                        <TextField
+                            label="Name"
+                            value={profile.name || ''}
+                            onChange={(val) => updateAspectProfile(profile.id, { name: val || null })}
+                            placeholder="e.g. Banners"
+                            autoComplete="off"
+                        />
+                        <TextField
+                            label="From ratio"
+                            type="number"
+                            step={0.05}
+                            value={String(profile.min_ratio ?? '')}
+                            onChange={(val) => updateAspectProfile(profile.id, { min_ratio: Number(val) })}
+                            autoComplete="off"
+                        />
+                        <TextField
+                            label="To ratio"
+                            type="number"
+                            step={0.05}
+                            value={String(profile.max_ratio ?? '')}
+                            onChange={(val) => updateAspectProfile(profile.id, { max_ratio: Number(val) })}
+                            autoComplete="off"
+                        />
+                    </FormLayout.Group>
+                )}
+                <InlineStack gap="400" align="start" wrap={false}>
+                    <div style={{ flex: 1 }}>{renderProfileOverrides(profile, 'logo')}</div>
+                    <div style={{ flex: 1 }}>{renderProfileOverrides(profile, 'text')}</div>
+                </InlineStack>
+            </BlockStack>
+        </Box>
+    );
+
+    const renderLayerOverlay = (layer: WatermarkLayer) => {
+        const draggable = layer.custom_placement;
+        const dragging = draggingLayerId === layer.id;
+        const selected = selectedLayerId === layer.id;
+
+        const wrapperStyle: React.CSSProperties = {
+            position: 'absolute',
+            ...placementStyle(layer),
+            cursor: draggable ? (dragging ? 'grabbing' : 'grab') : 'pointer',
+            opacity: layer.opacity,
+            transition: dragging ? 'none' : 'all 0.2s ease',
+            zIndex: 10 + layer.z_index,
+            pointerEvents: 'auto',
+            ...effectStyle(layer),
+            outline: dragging ? '2px dashed var(--p-color-border-brand)' : selected ? '1px dashed rgba(255,255,255,0.6)' : 'none',
+            borderRadius: '4px'
+        };
+
+        const onMouseDown = () => {
+            setSelectedLayerId(layer.id);
+            if (draggable) setDraggingLayerId(layer.id);
+        };
+
+        if (layer.type === 'logo') {
+            return (
+                <div key={layer.id} onMouseDown={onMouseDown} style={{ ...wrapperStyle, width: `${(layer.scale || 0) * basisFactor(layer) * 100}%`, padding: '4px' }}>
+                    <img
+                        src={previewLogoUrl(layer)!}
+                        style={{
+                            width: '100%',
+                            height: 'auto',
+                            display: 'block',
+                            transform: `rotate(${layer.rotation}deg)`
+                        }}
+                        alt="Logo"
+                    />
+                </div>
+            );
+        }
+
+        // Stand-in pattern: the real code depends on each product's link
+        if (layer.type === 'qr') {
+            const finder = (x: number, y: number) => (
+                <g key={`${x}-${y}`}>
+                    <rect x={x} y={y} width="7" height="7" fill={layer.color} />
+                    <rect x={x + 1} y={y + 1} width="5" height="5" fill={layer.fill || '#FFFFFF'} />
+                    <rect x={x + 2} y={y + 2} width="3" height="3" fill={layer.color} />
+                </g>
+            );
+            return (
+                <div key={layer.id} onMouseDown={onMouseDown} style={{ ...wrapperStyle, width: `${(layer.scale || 0) * basisFactor(layer) * 100}%` }}>
+                    <svg viewBox="0 0 25 25" style={{ width: '100%', display: 'block', transform: `rotate(${layer.rotation}deg)` }}>
+                        {layer.fill && <rect width="25" height="25" fill={layer.fill} />}
+                        {[finder(2, 2), finder(16, 2), finder(2, 16)]}
+                        <path d="M11 2h2v2h-2zM10 6h3v3h-3zM2 11h4v2H2zM11 11h3v3h-3zM16 11h2v3h-2zM20 11h3v2h-3zM11 16h2v4h-2zM15 16h3v2h-3zM19 17h4v2h-4zM16 20h2v3h-2zM20 21h3v2h-3z" fill={layer.color} />
+                    </svg>
+                </div>
+            );
+        }
+
+        const fontStyle: React.CSSProperties = {
+            color: layer.color,
+            fontSize: `${(layer.size || 0) * (layer.scale || 1) / 8}cqw`,
+            fontFamily: (layer.font_url && previewFonts[layer.font_url]) || layer.font,
+            fontWeight: layer.font_weight,
+            fontStyle: layer.font_style,
+        };
+
+        if (layer.type === 'frame') {
+            const width = `${(layer.frame_width || 0) / 8}cqw`;
+            return (
+                <div
+                    key={layer.id}
+                    style={{
+                        ...wrapperStyle,
+                        inset: 0,
+                        transform: 'none',
+                        pointerEvents: 'none',
+                        borderRadius: 0,
+                        boxSizing: 'border-box',
+                        border: `${width} solid ${layer.fill}`,
+                        borderImage: layer.fill_end ? `linear-gradient(to bottom right, ${layer.fill}, ${layer.fill_end}) 1` : undefined
+                    }}
+                />
+            );
+        }
+
+        if (layer.type === 'caption') {
+            const size = (layer.size || 0) * (layer.scale || 1);
+            const margin = `${layer.margin / 8}%`;
+            const edge = layer.custom_placement ? { top: `${layer.y}%`, transform: 'translateY(-50%)' }
+                : layer.position.startsWith('top') ? { top: margin }
+                : layer.position.startsWith('bottom') ? { bottom: margin }
+                : { top: '50%', transform: 'translateY(-50%)' };
+            return (
+                <div
+                    key={layer.id}
+                    onMouseDown={onMouseDown}
+                    style={{
+                        ...wrapperStyle,
+                        ...edge,
+                        left: margin,
+                        right: margin,
+                        ...fontStyle,
+                        background: withAlpha(layer.fill || '#000000', layer.fill_opacity ?? 0.6),
+                        borderRadius: 0,
+                        whiteSpace: 'pre',
+                        overflow: 'hidden',
+                        textAlign: layer.position.endsWith('left') ? 'left' : layer.position.endsWith('right') ? 'right' : 'center',
+                        lineHeight: Number(layer.line_height),
+                        padding: `${size * 0.4 / 8}cqw ${size * 0.6 / 8}cqw`
+                    }}
+                >
+                    {renderTokenPreview(layer.content || '')}
+                </div>
+            );
+        }
+
+        if (layer.type === 'ribbon') {
+            const size = (layer.size || 0) * (layer.scale || 1);
+
+            if (layer.ribbon_style === 'ribbon' && CORNER_POSITIONS.includes(layer.position)) {
+                // Same geometry as the server, with the text width estimated from its length
+                const thickness = size * 1.6;
+                const reach = ((layer.content || '').length * size * 0.6 + size + thickness) / Math.SQRT2;
+                const side = reach + thickness / Math.SQRT2;
+                const [vertical, horizontal] = layer.position.split('-');
+                const angle = (vertical === 'top') === (horizontal === 'left') ? -45 : 45;
+                return (
+                    <div
+                        key={layer.id}
+                        onMouseDown={onMouseDown}
+                        style={{
+                            ...wrapperStyle,
+                            [vertical]: 0,
+                            [horizontal]: 0,
+                            transform: 'none',
+                            width: `${side / 8}cqw`,
+                            height: `${side / 8}cqw`,
+                            overflow: 'hidden',
+                            borderRadius: 0
+                        }}
+                    >
+                        <div
+                            style={{
+                                ...fontStyle,
+                                position: 'absolute',
+                                [vertical]: `${(reach / 2 - thickness / 2) / 8}cqw`,
+                                [horizontal]: `${(reach / 2 - side) / 8}cqw`,
+                                width: `${side * 2 / 8}cqw`,
+                                height: `${thickness / 8}cqw`,
+                                lineHeight: `${thickness / 8}cqw`,
+                                background: layer.fill,
+                                textAlign: 'center',
+                                whiteSpace: 'nowrap',
+                                transform: `rotate(${angle}deg)`
+                            }}
+                        >
+                            {renderTokenPreview(layer.content || '')}
+                        </div>
+                    </div>
+                );
+            }
+
+            return (
+                <div key={layer.id} onMouseDown={onMouseDown} style={wrapperStyle}>
+                    <div
+                        style={{
+                            ...fontStyle,
+                            background: layer.fill,
+                            borderRadius: '999px',
+                            whiteSpace: 'nowrap',
+                            padding: `${size * 0.4 / 8}cqw ${size * 0.6 / 8}cqw`,
+                            transform: `rotate(${layer.rotation}deg)`
+                        }}
+                    >
+                        {renderTokenPreview(layer.content || '')}
+                    </div>
+                </div>
+            );
+        }
+
+        if (layer.type === 'text') {
+            return (
+                <div
+                    key={layer.id}
+                    onMouseDown={onMouseDown}
+                    style={{
+                        ...wrapperStyle,
+                        color: layer.adaptive ? layer.light_color : layer.color,
+                        fontSize: `${(layer.size || 0) * (layer.scale || 1) * basisFactor(layer) / 8}cqw`, // Adjusted scaling
+                        fontFamily: (layer.font_url && previewFonts[layer.font_url]) || layer.font,
+                        fontWeight: layer.font_weight,
+                        fontStyle: layer.font_style,
+                        whiteSpace: 'pre',
+                        textAlign: layer.align,
+                        lineHeight: Number(layer.line_height),
+                        letterSpacing: `${(layer.letter_spacing || 0) / 8}cqw`,
+                        textShadow: layer.outline ? `0 0 4px ${layer.outline_color}, 1px 1px 2px rgba(0,0,0,0.8)` : '0 1px 2px rgba(0,0,0,0.5)',
+                        padding: '4px 8px'
+                    }}
+                >
+                    <div style={{ transform: `rotate(${layer.rotation}deg)` }}>
+                        {renderTokenPreview(layer.content || '')}
+                    </div>
+                </div>
+            );
+        }
+
+        return (
+            <div key={layer.id} onMouseDown={onMouseDown} style={{ ...wrapperStyle, width: `${layer.width}%`, height: `${layer.height}%` }}>
+                <div
+                    style={{
+                        width: '100%',
+                        height: '100%',
+                        boxSizing: 'border-box',
+                        background: layer.fill,
+                        border: layer.stroke && layer.stroke_width ? `${layer.stroke_width / 8}cqw solid ${layer.stroke}` : 'none',
+                        borderRadius: layer.shape === 'ellipse' ? '50%' : `${(layer.radius || 0) / 8}cqw`,
+                        transform: `rotate(${layer.rotation}deg)`
+                    }}
+                />
+            </div>
+        );
+    };
+
     return (
         <Page
             fullWidth
@@ -260,341 +2035,243 @@ export function Settings() {
                     {/* Left: Configuration */}
                     <Layout.Section variant="oneHalf">
                         <BlockStack gap="500">
-                            {/* Logo Section */}
+                            {/* Layers Section */}
                             <Card padding="500">
                                 <BlockStack gap="400">
                                     <InlineStack align="space-between" blockAlign="center">
                                         <InlineStack gap="200" blockAlign="center">
                                             <div className="icon-circle" style={{ width: '32px', height: '32px' }}>
-                                                <Icon source={ImageIcon} tone="base" />
+                                                <Icon source={LayoutSectionIcon} tone="base" />
                                             </div>
-                                            <Text variant="headingMd" as="h2">Identity & Branding</Text>
+                                            <Text variant="headingMd" as="h2">Layers</Text>
                                         </InlineStack>
-                                        {settings.logo_url && <Badge tone="success">Logo Active</Badge>}
+                                        <Badge tone={visibleLayers.length ? 'success' : undefined}>
+                                            {`${visibleLayers.length} active`}
+                                        </Badge>
                                     </InlineStack>
 
-                                    <FormLayout>
-                                        <BlockStack gap="300">
-                                            <TextField
-                                                label="Brand Logo URL"
-                                                value={settings.logo_url || ''}
-                                                onChange={(val) => updateSetting('logo_url', val)}
-                                                autoComplete="off"
-                                                placeholder="https://your-domain.com/logo.png"
-                                                helpText="Supports PNG, SVG, and JPEG. Transparent PNG/SVG is recommended."
-                                            />
-
-                                            <div style={{ marginTop: '10px' }}>
-                                                <DropZone
-                                                    onDrop={handleDrop}
-                                                    label="Or Upload Logo"
-                                                    accept="image/*"
-                                                    type="image"
-                                                    disabled={uploading}
+                                    {layers.length === 0 ? (
+                                        <Text as="p" tone="subdued">
+                                            Add a logo, text or shape layer to start your watermark.
+                                        </Text>
+                                    ) : (
+                                        <BlockStack gap="200">
+                                            {/* Listed top-most first, like an image editor */}
+                                            {[...layers].reverse().map((layer, i) => (
+                                                <Box
+                                                    key={layer.id}
+                                                    padding="200"
+                                                    borderRadius="200"
+                                                    background={layer.id === selectedLayerId ? 'bg-surface-selected' : 'bg-surface-secondary'}
                                                 >
-                                                    {uploading ? (
-                                                        <div style={{ padding: '20px', textAlign: 'center' }}>
-                                                            <BlockStack gap="200" align="center">
-                                                                <Spinner size="small" />
-                                                                <Text as="p">Uploading logo...</Text>
-                                                            </BlockStack>
-                                                        </div>
-                                                    ) : settings.logo_url ? (
-                                                        <DropZone.FileUpload actionHint="Replace logo" />
-                                                    ) : (
-                                                        <DropZone.FileUpload actionTitle="Add logo" />
-                                                    )}
-                                                </DropZone>
-                                            </div>
+                                                    <InlineStack align="space-between" blockAlign="center" wrap={false}>
+                                                        <InlineStack gap="200" blockAlign="center" wrap={false}>
+                                                            <Checkbox
+                                                                label="Visible"
+                                                                labelHidden
+                                                                checked={layer.enabled}
+                                                                onChange={(val) => updateLayer(layer.id, { enabled: val })}
+                                                            />
+                                                            <Icon source={LAYER_ICONS[layer.type]} tone="base" />
+                                                            <Button variant="plain" onClick={() => setSelectedLayerId(layer.id)}>
+                                                                {layerTitle(layer).slice(0, 40)}
+                                                            </Button>
+                                                        </InlineStack>
+                                                        <ButtonGroup>
+                                                            <Button
+                                                                icon={ArrowUpIcon}
+                                                                accessibilityLabel="Bring forward"
+                                                                disabled={i === 0}
+                                                                onClick={() => moveLayer(layer.id, 1)}
+                                                            />
+                                                            <Button
+                                                                icon={ArrowDownIcon}
+                                                                accessibilityLabel="Send backward"
+                                                                disabled={i === layers.length - 1}
+                                                                onClick={() => moveLayer(layer.id, -1)}
+                                                            />
+                                                            <Button
+                                                                icon={DeleteIcon}
+                                                                accessibilityLabel="Remove layer"
+                                                                tone="critical"
+                                                                onClick={() => removeLayer(layer.id)}
+                                                            />
+                                                        </ButtonGroup>
+                                                    </InlineStack>
+                                                </Box>
+                                            ))}
                                         </BlockStack>
+                                    )}
 
-                                        {settings.logo_url && (
-                                            <Box padding="300" background="bg-surface-secondary" borderRadius="200">
-                                                <BlockStack gap="400">
-                                                    {settings.use_custom_placement ? (
-                                                        <Box padding="200" background="bg-surface-secondary" borderRadius="100">
-                                                            <InlineStack gap="400" align="start">
-                                                                <div style={{ flex: 1 }}>
-                                                                    <RangeSlider
-                                                                        label={`Horizontal Position (X): ${settings.logo_x}%`}
-                                                                        value={settings.logo_x}
-                                                                        min={0}
-                                                                        max={100}
-                                                                        onChange={(val) => updateSetting('logo_x', val)}
-                                                                        output
-                                                                    />
-                                                                </div>
-                                                                <div style={{ flex: 1 }}>
-                                                                    <RangeSlider
-                                                                        label={`Vertical Position (Y): ${settings.logo_y}%`}
-                                                                        value={settings.logo_y}
-                                                                        min={0}
-                                                                        max={100}
-                                                                        onChange={(val) => updateSetting('logo_y', val)}
-                                                                        output
-                                                                    />
-                                                                </div>
-                                                            </InlineStack>
-                                                        </Box>
-                                                    ) : (
-                                                        <Select
-                                                            label="Logo Placement"
-                                                            options={POSITION_OPTIONS}
-                                                            value={settings.logo_position}
-                                                            onChange={(val) => updateSetting('logo_position', val)}
-                                                        />
-                                                    )}
-                                                    <RangeSlider
-                                                        label={`Visual Scale: ${Math.round(settings.logo_scale * 100)}%`}
-                                                        value={settings.logo_scale}
-                                                        min={0.05}
-                                                        max={0.5}
-                                                        step={0.01}
-                                                        onChange={(val) => updateSetting('logo_scale', val)}
-                                                        output
-                                                    />
-                                                    <RangeSlider
-                                                        label={`Visual Opacity: ${Math.round(settings.logo_opacity * 100)}%`}
-                                                        value={settings.logo_opacity}
-                                                        min={0.1}
-                                                        max={1.0}
-                                                        step={0.1}
-                                                        onChange={(val) => updateSetting('logo_opacity', val)}
-                                                        output
-                                                    />
-                                                    <RangeSlider
-                                                        label={`Rotation: ${settings.logo_rotation}°`}
-                                                        value={settings.logo_rotation}
-                                                        min={-180}
-                                                        max={180}
-                                                        step={1}
-                                                        onChange={(val) => updateSetting('logo_rotation', val)}
-                                                        output
-                                                    />
-                                                    {!settings.use_custom_placement && (
-                                                        <TextField
-                                                            label="Margin Offset (px)"
-                                                            type="number"
-                                                            value={settings.logo_margin.toString()}
-                                                            onChange={(val) => updateSetting('logo_margin', parseInt(val) || 0)}
-                                                            autoComplete="off"
-                                                        />
-                                                    )}
-                                                </BlockStack>
-                                            </Box>
-                                        )}
-                                    </FormLayout>
+                                    <ButtonGroup>
+                                        <Button icon={PlusIcon} onClick={() => addLayer('logo')} disabled={layers.length >= MAX_LAYERS}>Logo</Button>
+                                        <Button icon={PlusIcon} onClick={() => addLayer('text')} disabled={layers.length >= MAX_LAYERS}>Text</Button>
+                                        <Button icon={PlusIcon} onClick={() => addLayer('shape')} disabled={layers.length >= MAX_LAYERS}>Shape</Button>
+                                    </ButtonGroup>
+                                    <ButtonGroup>
+                                        <Button icon={PlusIcon} onClick={() => addLayer('frame')} disabled={layers.length >= MAX_LAYERS}>Frame</Button>
+                                        <Button icon={PlusIcon} onClick={() => addLayer('ribbon')} disabled={layers.length >= MAX_LAYERS}>Ribbon</Button>
+                                        <Button icon={PlusIcon} onClick={() => addLayer('caption')} disabled={layers.length >= MAX_LAYERS}>Caption</Button>
+                                        <Button icon={PlusIcon} onClick={() => addLayer('qr')} disabled={layers.length >= MAX_LAYERS}>QR Code</Button>
+                                    </ButtonGroup>
                                 </BlockStack>
                             </Card>
 
-                            {/* Text Section */}
-                            <Card padding="500">
-                                <BlockStack gap="400">
-                                    <InlineStack align="space-between" blockAlign="center">
-                                        <InlineStack gap="200" blockAlign="center">
-                                            <div className="icon-circle" style={{ width: '32px', height: '32px' }}>
-                                                <Icon source={TextIcon} tone="base" />
-                                            </div>
-                                            <Text variant="headingMd" as="h2">Copyright Overlay</Text>
+                            {/* Selected Layer Section */}
+                            {selectedLayer && (
+                                <Card padding="500">
+                                    <BlockStack gap="400">
+                                        <InlineStack align="space-between" blockAlign="center">
+                                            <InlineStack gap="200" blockAlign="center">
+                                                <div className="icon-circle" style={{ width: '32px', height: '32px' }}>
+                                                    <Icon source={LAYER_ICONS[selectedLayer.type]} tone="base" />
+                                                </div>
+                                                <Text variant="headingMd" as="h2">
+                                                    {LAYER_HEADINGS[selectedLayer.type]}
+                                                </Text>
+                                            </InlineStack>
+                                            {!selectedLayer.enabled && <Badge>Hidden</Badge>}
                                         </InlineStack>
-                                        {settings.text_content && <Badge tone="info">Text Active</Badge>}
-                                    </InlineStack>
 
-                                    <FormLayout>
-                                        <TextField
-                                            label="Watermark Content"
-                                            value={settings.text_content || ''}
-                                            onChange={(val) => updateSetting('text_content', val)}
-                                            placeholder="e.g. © 2026 Your Store Name"
-                                            autoComplete="off"
-                                        />
+                                        {selectedLayer.type === 'logo' && renderLogoEditor(selectedLayer)}
+                                        {selectedLayer.type === 'text' && renderTextEditor(selectedLayer)}
+                                        {selectedLayer.type === 'shape' && renderShapeEditor(selectedLayer)}
+                                        {selectedLayer.type === 'frame' && renderFrameEditor(selectedLayer)}
+                                        {selectedLayer.type === 'ribbon' && renderRibbonEditor(selectedLayer)}
+                                        {selectedLayer.type === 'caption' && renderCaptionEditor(selectedLayer)}
+                                        {selectedLayer.type === 'qr' && renderQrEditor(selectedLayer)}
+                                    </BlockStack>
+                                </Card>
+                            )}
 
-                                        {settings.text_content && (
-                                            <Box padding="300" background="bg-surface-secondary" borderRadius="200">
-                                                <BlockStack gap="400">
-                                                    <Select
-                                                        label="Typography Font"
-                                                        options={FONT_OPTIONS}
-                                                        value={settings.text_font}
-                                                        onChange={(val) => updateSetting('text_font', val)}
-                                                    />
-                                                    <TextField
-                                                        label="Text Size (px)"
-                                                        type="number"
-                                                        value={settings.text_size.toString()}
-                                                        onChange={(val) => updateSetting('text_size', parseInt(val) || 0)}
-                                                        autoComplete="off"
-                                                    />
-                                                    {settings.use_custom_placement ? (
-                                                        <Box padding="200" background="bg-surface-secondary" borderRadius="100">
-                                                            <InlineStack gap="400" align="start">
-                                                                <div style={{ flex: 1 }}>
-                                                                    <RangeSlider
-                                                                        label={`Text Horizontal (X): ${settings.text_x}%`}
-                                                                        value={settings.text_x}
-                                                                        min={0}
-                                                                        max={100}
-                                                                        onChange={(val) => updateSetting('text_x', val)}
-                                                                        output
-                                                                    />
-                                                                </div>
-                                                                <div style={{ flex: 1 }}>
-                                                                    <RangeSlider
-                                                                        label={`Text Vertical (Y): ${settings.text_y}%`}
-                                                                        value={settings.text_y}
-                                                                        min={0}
-                                                                        max={100}
-                                                                        onChange={(val) => updateSetting('text_y', val)}
-                                                                        output
-                                                                    />
-                                                                </div>
-                                                            </InlineStack>
-                                                        </Box>
-                                                    ) : (
-                                                        <Select
-                                                            label="Text Placement"
-                                                            options={POSITION_OPTIONS}
-                                                            value={settings.text_position}
-                                                            onChange={(val) => updateSetting('text_position', val)}
-                                                        />
-                                                    )}
-                                                    <RangeSlider
-                                                        label={`Text Opacity: ${Math.round(settings.text_opacity * 100)}%`}
-                                                        value={settings.text_opacity}
-                                                        min={0.1}
-                                                        max={1.0}
-                                                        step={0.1}
-                                                        onChange={(val) => updateSetting('text_opacity', val)}
-                                                        output
-                                                    />
-                                                    <RangeSlider
-                                                        label={`Text Rotation: ${settings.text_rotation}°`}
-                                                        value={settings.text_rotation}
-                                                        min={-180}
-                                                        max={180}
-                                                        step={1}
-                                                        onChange={(val) => updateSetting('text_rotation', val)}
-                                                        output
-                                                    />
-                                                    <InlineStack gap="400">
-                                                        <Box width="45%">
-                                                            <TextField
-                                                                label="Text Color"
-                                                                type="text"
-                                                                value={settings.text_color}
-                                                                onChange={(val) => updateSetting('text_color', val)}
-                                                                autoComplete="off"
-                                                                suffix={
-                                                                    <div style={{ position: 'relative', width: '24px', height: '24px' }}>
-                                                                        <input
-                                                                            type="color"
-                                                                            value={settings.text_color.length === 4 ? settings.text_color.replace(/#(.)(.)(.)/, '#$1$1$2$2$3$3') : settings.text_color}
-                                                                            onChange={(e) => updateSetting('text_color', e.target.value)}
-                                                                            style={{
-                                                                                position: 'absolute',
-                                                                                top: 0,
-                                                                                left: 0,
-                                                                                width: '100%',
-                                                                                height: '100%',
-                                                                                opacity: 0,
-                                                                                cursor: 'pointer'
-                                                                            }}
-                                                                        />
-                                                                        <div style={{
-                                                                            width: '100%',
-                                                                            height: '100%',
-                                                                            background: settings.text_color,
-                                                                            border: '1px solid var(--p-color-border-subdued)',
-                                                                            borderRadius: '4px',
-                                                                            boxShadow: 'inset 0 1px 2px rgba(0,0,0,0.1)'
-                                                                        }} />
-                                                                    </div>
-                                                                }
-                                                            />
-                                                        </Box>
-                                                        <Box width="45%">
-                                                            <TextField
-                                                                label="Outline Color"
-                                                                type="text"
-                                                                value={settings.text_outline_color}
-                                                                onChange={(val) => updateSetting('text_outline_color', val)}
-                                                                autoComplete="off"
-                                                                suffix={
-                                                                    <div style={{ position: 'relative', width: '24px', height: '24px' }}>
-                                                                        <input
-                                                                            type="color"
-                                                                            value={settings.text_outline_color.length === 4 ? settings.text_outline_color.replace(/#(.)(.)(.)/, '#$1$1$2$2$3$3') : settings.text_outline_color}
-                                                                            onChange={(e) => updateSetting('text_outline_color', e.target.value)}
-                                                                            style={{
-                                                                                position: 'absolute',
-                                                                                top: 0,
-                                                                                left: 0,
-                                                                                width: '100%',
-                                                                                height: '100%',
-                                                                                opacity: 0,
-                                                                                cursor: 'pointer'
-                                                                            }}
-                                                                        />
-                                                                        <div style={{
-                                                                            width: '100%',
-                                                                            height: '100%',
-                                                                            background: settings.text_outline_color,
-                                                                            border: '1px solid var(--p-color-border-subdued)',
-                                                                            borderRadius: '4px',
-                                                                            boxShadow: 'inset 0 1px 2px rgba(0,0,0,0.1)'
-                                                                        }} />
-                                                                    </div>
-                                                                }
-                                                            />
-                                                        </Box>
-                                                    </InlineStack>
-                                                    <Checkbox
-                                                        label="High Contrast Outline (Shadow)"
-                                                        checked={settings.text_outline}
-                                                        onChange={(val) => updateSetting('text_outline', val)}
-                                                    />
-                                                </BlockStack>
-                                            </Box>
-                                        )}
-                                    </FormLayout>
+                            {/* Aspect Profiles Section */}
+                            <Card padding="500">
+                                <BlockStack gap="400">
+                                    <InlineStack gap="200" blockAlign="center">
+                                        <div className="icon-circle" style={{ width: '32px', height: '32px' }}>
+                                            <Icon source={MobileIcon} tone="base" />
+                                        </div>
+                                        <Text variant="headingMd" as="h2">Aspect Profiles</Text>
+                                    </InlineStack>
+                                    <Text as="p" variant="bodySm" tone="subdued">
+                                        Give portrait, landscape and square images their own logo and text layout. Custom ratios (width ÷ height, e.g. 1.5 to 3 for banners) are checked first. Empty fields keep the layer's own setting.
+                                    </Text>
+                                    {aspectProfiles.map(renderAspectProfile)}
+                                    <ButtonGroup>
+                                        {(['portrait', 'landscape', 'square'] as const).map(kind => (
+                                            <Button
+                                                key={kind}
+                                                icon={PlusIcon}
+                                                onClick={() => addAspectProfile(kind)}
+                                                disabled={aspectProfiles.some(profile => profile.kind === kind) || aspectProfiles.length >= MAX_ASPECT_PROFILES}
+                                            >
+                                                {ASPECT_PROFILE_LABELS[kind]}
+                                            </Button>
+                                        ))}
+                                        <Button icon={PlusIcon} onClick={() => addAspectProfile('custom')} disabled={aspectProfiles.length >= MAX_ASPECT_PROFILES}>
+                                            Custom Ratio
+                                        </Button>
+                                    </ButtonGroup>
                                 </BlockStack>
                             </Card>
 
-                            {/* Mobile Section */}
+                            {/* Output Section */}
                             <Card padding="500">
                                 <BlockStack gap="400">
                                     <InlineStack gap="200" blockAlign="center">
                                         <div className="icon-circle" style={{ width: '32px', height: '32px' }}>
-                                            <Icon source={MobileIcon} tone="base" />
+                                            <Icon source={FileIcon} tone="base" />
                                         </div>
-                                        <Text variant="headingMd" as="h2">Mobile Refinement</Text>
+                                        <Text variant="headingMd" as="h2">Output</Text>
                                     </InlineStack>
+                                    <FormLayout>
+                                        <Select
+                                            label="File Format"
+                                            options={OUTPUT_FORMAT_OPTIONS}
+                                            value={settings.output_format}
+                                            onChange={(val) => updateSetting('output_format', val)}
+                                            helpText="Keeping the original format preserves PNG transparency. JPEG fills transparent areas with white. Animated GIFs stay animated (as GIF, or WebP when selected). HEIC and TIFF originals become JPEG, or PNG when transparent."
+                                        />
+                                        <RangeSlider
+                                            label={`Quality: ${settings.output_quality}`}
+                                            value={settings.output_quality}
+                                            min={40}
+                                            max={100}
+                                            step={1}
+                                            onChange={(val) => updateSetting('output_quality', val)}
+                                            helpText="Applies to JPEG, WebP and AVIF. PNG stays lossless unless it exceeds the size limit."
+                                            output
+                                        />
+                                        <TextField
+                                            label="Max File Size"
+                                            type="number"
+                                            suffix="KB"
+                                            min={10}
+                                            value={settings.output_max_bytes ? String(Math.round(settings.output_max_bytes / 1024)) : ''}
+                                            onChange={(val) => updateSetting('output_max_bytes', val ? Math.round(Number(val) * 1024) : null)}
+                                            helpText="Optional. Quality is lowered step by step until each image fits."
+                                            placeholder="No limit"
+                                            autoComplete="off"
+                                        />
+                                        <Select
+                                            label="Color Profile"
+                                            options={COLOR_PROFILE_OPTIONS}
+                                            value={settings.color_profile}
+                                            onChange={(val) => updateSetting('color_profile', val)}
+                                            helpText="Converting keeps Adobe RGB and CMYK originals looking right everywhere. CMYK images are always converted."
+                                        />
+                                    </FormLayout>
+                                    <Text variant="headingSm" as="h3">Small Images</Text>
+                                    <FormLayout>
+                                        <TextField
+                                            label="Small below"
+                                            type="number"
+                                            suffix="px"
+                                            min={100}
+                                            max={2000}
+                                            value={String(settings.small_image_min_px)}
+                                            onChange={(val) => updateSetting('small_image_min_px', parseInt(val) || 0)}
+                                            helpText="Images whose shorter side is under this size count as small."
+                                            autoComplete="off"
+                                        />
+                                        <Select
+                                            label="Small image handling"
+                                            options={SMALL_IMAGE_POLICY_OPTIONS}
+                                            value={settings.small_image_policy}
+                                            onChange={(val) => updateSetting('small_image_policy', val)}
+                                            helpText="Shrinking ignores minimum sizes so the watermark doesn't cover a thumbnail. Animations are never upscaled, and images under 100px are skipped unless upscaled."
+                                        />
+                                    </FormLayout>
+                                    <Text variant="headingSm" as="h3">Rights Metadata</Text>
+                                    <FormLayout>
+                                        <TextField
+                                            label="Copyright"
+                                            value={settings.metadata_copyright || ''}
+                                            onChange={(val) => updateSetting('metadata_copyright', val || null)}
+                                            placeholder="© {{shop.name}} {{year}}"
+                                            autoComplete="off"
+                                        />
+                                        <TextField
+                                            label="Creator"
+                                            value={settings.metadata_creator || ''}
+                                            onChange={(val) => updateSetting('metadata_creator', val || null)}
+                                            autoComplete="off"
+                                        />
+                                        <TextField
+                                            label="Usage Terms"
+                                            value={settings.metadata_usage_terms || ''}
+                                            onChange={(val) => updateSetting('metadata_usage_terms', val || null)}
+                                            multiline={2}
+                                            helpText="Written to the EXIF, XMP and IPTC fields of every watermarked image. Text tokens are supported."
+                                            autoComplete="off"
+                                        />
+                                    </FormLayout>
                                     <Checkbox
-                                        label="Optimize for portrait/mobile orientation"
-                                        checked={settings.mobile_enabled}
-                                        onChange={(val) => updateSetting('mobile_enabled', val)}
+                                        label="Add an invisible forensic mark"
+                                        checked={settings.forensic_enabled}
+                                        onChange={(val) => updateSetting('forensic_enabled', val)}
+                                        helpText="Hides an ID in every image that survives re-compression and resizing, so copies can be traced back to the product and job that produced them."
                                     />
-                                    {settings.mobile_enabled && (
-                                        <Box padding="300" background="bg-surface-secondary" borderRadius="200">
-                                            <FormLayout.Group>
-                                                <Select
-                                                    label="Mobile Placement"
-                                                    options={POSITION_OPTIONS}
-                                                    value={settings.mobile_position}
-                                                    onChange={(val) => updateSetting('mobile_position', val)}
-                                                />
-                                                <RangeSlider
-                                                    label={`Mobile Scale: ${Math.round(settings.mobile_scale * 100)}%`}
-                                                    value={settings.mobile_scale}
-                                                    min={0.05}
-                                                    max={0.5}
-                                                    step={0.01}
-                                                    onChange={(val) => updateSetting('mobile_scale', val)}
-                                                    output
-                                                />
-                                            </FormLayout.Group>
-                                        </Box>
-                                    )}
                                 </BlockStack>
                             </Card>
                         </BlockStack>
@@ -620,12 +2297,9 @@ export function Settings() {
                                                 Final Check
                                             </Button>
                                         </InlineStack>
-                                        <Checkbox
-                                            label="Enable Manual Drag & Drop Placement"
-                                            checked={settings.use_custom_placement}
-                                            onChange={(val) => updateSetting('use_custom_placement', val)}
-                                            helpText="When enabled, you can drag elements directly on the preview to set their position."
-                                        />
+                                        <Text as="p" tone="subdued">
+                                            Click a layer on the preview to edit it. Layers with free placement can be dragged into position.
+                                        </Text>
                                     </BlockStack>
                                 </Box>
 
@@ -646,12 +2320,13 @@ export function Settings() {
                                                     width: '100%',
                                                     maxWidth: '800px',
                                                     margin: '0 auto',
-                                                    userSelect: 'none'
+                                                    userSelect: 'none',
+                                                    containerType: 'inline-size'
                                                 }}
                                             >
                                                 {/* Base Image */}
                                                 <img
-                                                    src={sampleUrl}
+                                                    src={showRenderedPreview ? previewImage! : sampleUrl}
                                                     style={{
                                                         display: 'block',
                                                         width: '100%',
@@ -662,94 +2337,21 @@ export function Settings() {
                                                         pointerEvents: 'none'
                                                     }}
                                                     alt="Composition Base"
+                                                    onLoad={(e) => setSampleSize({ width: e.currentTarget.naturalWidth, height: e.currentTarget.naturalHeight })}
                                                 />
 
-                                                {/* Logo Overlayer */}
-                                                {settings.logo_url && (
-                                                    <div
-                                                        onMouseDown={() => settings.use_custom_placement && setDraggingElement('logo')}
-                                                        style={{
-                                                            position: 'absolute',
-                                                            left: settings.use_custom_placement ? `${settings.logo_x}%` : 'auto',
-                                                            top: settings.use_custom_placement ? `${settings.logo_y}%` : 'auto',
-                                                            ...(!settings.use_custom_placement && {
-                                                                top: settings.logo_position.includes('top') ? `${settings.logo_margin / 8}%` : (settings.logo_position.includes('middle') || settings.logo_position === 'center') ? '50%' : 'auto',
-                                                                bottom: settings.logo_position.includes('bottom') ? `${settings.logo_margin / 8}%` : 'auto',
-                                                                left: settings.logo_position.includes('left') ? `${settings.logo_margin / 8}%` : (settings.logo_position.includes('center') || settings.logo_position.includes('middle')) ? '50%' : 'auto',
-                                                                right: settings.logo_position.includes('right') ? `${settings.logo_margin / 8}%` : 'auto',
-                                                                transform: `translate(${settings.logo_position.includes('center') || settings.logo_position === 'center' ? '-50%' : '0'}, ${settings.logo_position.includes('middle') || settings.logo_position === 'center' ? '-50%' : '0'})`
-                                                            }),
-                                                            ...(settings.use_custom_placement && {
-                                                                transform: 'translate(-50%, -50%)'
-                                                            }),
-                                                            cursor: settings.use_custom_placement ? (draggingElement === 'logo' ? 'grabbing' : 'grab') : 'default',
-                                                            width: `${settings.logo_scale * 100}%`,
-                                                            opacity: settings.logo_opacity,
-                                                            transition: draggingElement === 'logo' ? 'none' : 'all 0.2s ease',
-                                                            zIndex: 10,
-                                                            padding: '4px',
-                                                            border: draggingElement === 'logo' ? '2px dashed var(--p-color-border-brand)' : settings.use_custom_placement ? '1px dashed rgba(255,255,255,0.3)' : 'none',
-                                                            borderRadius: '4px'
-                                                        }}
-                                                    >
-                                                        <img
-                                                            src={settings.logo_url}
-                                                            style={{
-                                                                width: '100%',
-                                                                height: 'auto',
-                                                                display: 'block',
-                                                                transform: `rotate(${settings.logo_rotation}deg)`,
-                                                                filter: 'drop-shadow(0 2px 4px rgba(0,0,0,0.2))'
-                                                            }}
-                                                            alt="Logo"
-                                                        />
-                                                    </div>
-                                                )}
-
-                                                {/* Text Overlayer */}
-                                                {settings.text_content && (
-                                                    <div
-                                                        onMouseDown={() => settings.use_custom_placement && setDraggingElement('text')}
-                                                        style={{
-                                                            position: 'absolute',
-                                                            left: settings.use_custom_placement ? `${settings.text_x}%` : 'auto',
-                                                            top: settings.use_custom_placement ? `${settings.text_y}%` : 'auto',
-                                                            ...(!settings.use_custom_placement && {
-                                                                top: settings.text_position.includes('top') ? '20px' : (settings.text_position.includes('middle') || settings.text_position === 'center') ? '50%' : 'auto',
-                                                                bottom: settings.text_position.includes('bottom') ? '20px' : 'auto',
-                                                                left: settings.text_position.includes('left') ? '20px' : (settings.text_position.includes('center') || settings.text_position.includes('middle')) ? '50%' : 'auto',
-                                                                right: settings.text_position.includes('right') ? '20px' : 'auto',
-                                                                transform: `translate(${settings.text_position.includes('center') || settings.text_position === 'center' ? '-50%' : '0'}, ${settings.text_position.includes('middle') || settings.text_position === 'center' ? '-50%' : '0'})`
-                                                            }),
-                                                            ...(settings.use_custom_placement && {
-                                                                transform: 'translate(-50%, -50%)'
-                                                            }),
-                                                            cursor: settings.use_custom_placement ? (draggingElement === 'text' ? 'grabbing' : 'grab') : 'default',
-                                                            color: settings.text_color,
-                                                            fontSize: `${settings.text_size / 8}cqw`, // Adjusted scaling
-                                                            fontFamily: settings.text_font,
-                                                            opacity: settings.text_opacity,
-                                                            fontWeight: 'bold',
-                                                            whiteSpace: 'nowrap',
-                                                            textShadow: settings.text_outline ? `0 0 4px ${settings.text_outline_color}, 1px 1px 2px rgba(0,0,0,0.8)` : '0 1px 2px rgba(0,0,0,0.5)',
-                                                            transition: draggingElement === 'text' ? 'none' : 'all 0.2s ease',
-                                                            zIndex: 11,
-                                                            pointerEvents: 'auto',
-                                                            padding: '4px 8px',
-                                                            border: draggingElement === 'text' ? '2px dashed var(--p-color-border-brand)' : settings.use_custom_placement ? '1px dashed rgba(255,255,255,0.3)' : 'none',
-                                                            borderRadius: '4px'
-                                                        }}
-                                                    >
-                                                        <div style={{ transform: `rotate(${settings.text_rotation}deg)` }}>
-                                                            {settings.text_content}
-                                                        </div>
-                                                    </div>
-                                                )}
-
-                                                <div style={{ position: 'absolute', top: '12px', left: '12px', pointerEvents: 'none' }}>
-                                                    <Badge tone="info" icon={SettingsIcon}>
-                                                        {settings.use_custom_placement ? 'Interactive Mode' : 'Position Presets'}
-                                                    </Badge>
+                                                {/* Layer Overlays (bottom to top) */}
+                                                {!showRenderedPreview && visibleLayers.map(layer => renderLayerOverlay(applyAspectProfile(layer, previewProfile)))}
+
+                                                <div style={{ position: 'absolute', top: '12px', left: '12px', pointerEvents: 'none', zIndex: 100 }}>
+                                                    <InlineStack gap="200">
+                                                        <Badge tone="info" icon={SettingsIcon}>
+                                                            {selectedLayer?.custom_placement ? 'Interactive Mode' : 'Position Presets'}
+                                                        </Badge>
+                                                        {previewProfile && (
+                                                            <Badge>{`${previewProfile.kind === 'custom' && previewProfile.name ? previewProfile.name : ASPECT_PROFILE_LABELS[previewProfile.kind]} profile`}</Badge>
+                                                        )}
+                                                    </InlineStack>
                                                 </div>
                                             </div>
                                         )}
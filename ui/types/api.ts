@@ -20,6 +20,109 @@ export interface AuthConfig {
     apiKey: string;
 }
 
+export type WatermarkLayerType = 'logo' | 'text' | 'shape' | 'frame' | 'ribbon' | 'caption' | 'qr';
+
+export type WatermarkOutputFormat = 'original' | 'jpeg' | 'png' | 'webp' | 'avif';
+
+export type WatermarkBlendMode = 'over' | 'multiply' | 'screen' | 'overlay' | 'soft-light' | 'difference';
+
+export interface WatermarkLayer {
+    id: string;
+    type: WatermarkLayerType;
+    enabled: boolean;
+    z_index: number;
+    position: string;
+    custom_placement: boolean;
+    x: number;
+    y: number;
+    margin: number;
+    opacity: number;
+    rotation: number;
+    layout: 'single' | 'tile';
+    tile_pattern: 'grid' | 'diagonal';
+    tile_spacing: number;
+    tile_stagger: boolean;
+    tile_angle: number;
+    blend_mode: WatermarkBlendMode;
+    shadow: 'none' | 'drop' | 'glow';
+    shadow_color: string;
+    shadow_offset_x: number;
+    shadow_offset_y: number;
+    shadow_blur: number;
+    shadow_opacity: number;
+    // Pick a light or dark variant per image, whichever contrasts more with the background
+    adaptive: boolean;
+    scale?: number;
+    // Logo, QR and text layers: the image side scale is relative to, and size limits in output pixels
+    size_basis?: 'width' | 'height' | 'shorter';
+    min_size_px?: number | null;
+    max_size_px?: number | null;
+    // Logo layers
+    url?: string | null;
+    light_url?: string | null;
+    dark_url?: string | null;
+    // Text layers
+    content?: string;
+    font?: string;
+    font_url?: string | null;
+    font_weight?: 'normal' | 'bold';
+    font_style?: 'normal' | 'italic';
+    size?: number;
+    color?: string;
+    light_color?: string;
+    dark_color?: string;
+    outline?: boolean;
+    outline_color?: string;
+    align?: 'left' | 'center' | 'right';
+    line_height?: number;
+    letter_spacing?: number;
+    // Shape layers (width/height are percentages of the image)
+    shape?: 'rectangle' | 'ellipse';
+    width?: number;
+    height?: number;
+    fill?: string | null;
+    stroke?: string | null;
+    stroke_width?: number;
+    radius?: number;
+    // Frame layers (fill_end turns the fill into a diagonal gradient)
+    frame_width?: number;
+    fill_end?: string | null;
+    // Ribbon layers; caption layers use fill_opacity for their bar
+    ribbon_style?: 'ribbon' | 'badge';
+    fill_opacity?: number;
+    // QR layers: URL template (tokens allowed) and UTM parameters appended to it.
+    // color is the modules, fill the background behind them (null for transparent).
+    qr_url?: string;
+    utm_source?: string | null;
+    utm_medium?: string | null;
+    utm_campaign?: string | null;
+    error_correction?: 'L' | 'M' | 'Q' | 'H';
+}
+
+// Per-profile overrides; null keeps the layer's own value
+export interface AspectProfileOverrides {
+    position: string | null;
+    scale: number | null;
+    margin: number | null;
+    opacity: number | null;
+    rotation: number | null;
+}
+
+// Built-in image shapes, as the server classifies an image (see getAspectKind)
+export type AspectKind = 'portrait' | 'landscape' | 'square';
+
+// Layout used for images of one shape. Ratios are width / height and only apply to custom profiles.
+export interface AspectProfile {
+    id: string;
+    kind: AspectKind | 'custom';
+    name: string | null;
+    enabled: boolean;
+    min_ratio: number | null;
+    max_ratio: number | null;
+    logo: AspectProfileOverrides;
+    text: AspectProfileOverrides;
+}
+
 export interface WatermarkSettings {
     logo_url: string | null;
     logo_position: string;
@@ -38,29 +141,105 @@ export interface WatermarkSettings {
     text_outline: boolean;
     text_outline_color: string;
     text_rotation: number;
+    text_align: 'left' | 'center' | 'right';
+    text_line_height: number;
+    text_letter_spacing: number;
+    text_font_url: string | null;
+    text_font_weight: 'normal' | 'bold';
+    text_font_style: 'normal' | 'italic';
     text_x: number;
     text_y: number;
     use_custom_placement: boolean;
-    mobile_enabled: boolean;
-    mobile_position: string;
-    mobile_scale: number;
+    logo_layout: 'single' | 'tile';
+    text_layout: 'single' | 'tile';
+    tile_pattern: 'grid' | 'diagonal';
+    tile_spacing: number;
+    tile_stagger: boolean;
+    tile_angle: number;
+    layers: WatermarkLayer[];
+    aspect_profiles: AspectProfile[];
+    // Images whose shorter side is under small_image_min_px
+    small_image_policy: 'skip' | 'shrink' | 'upscale';
+    small_image_min_px: number;
+    output_format: WatermarkOutputFormat;
+    output_quality: number;
+    output_max_bytes: number | null;
+    color_profile: 'srgb' | 'keep';
+    metadata_copyright: string | null;
+    metadata_creator: string | null;
+    metadata_usage_terms: string | null;
+    forensic_enabled: boolean;
+}
+
+// Processing of a derived logo variant, applied in this order: knockout, trim, tint
+export interface LogoProcessing {
+    trim: boolean;
+    knockout: 'white' | 'black' | null;
+    tint: string | null;
+}
+
+export interface DryRunImage {
+    product_id: string;
+    product_title: string | null;
+    media_id: string | null;
+}
+
+export interface DryRunReport {
+    products: { total: number; would_change: number; unchanged: number; failed: number };
+    images: { total: number; would_change: number; skipped: number; failed: number };
+    skip_reasons: Record<string, number>;
+    error_codes: Record<string, number>;
+    skipped: (DryRunImage & { code: string; reason: string })[];
+    failed: (DryRunImage & { error_code: string; error: string })[];
+    // Only returned with the job itself, not in the jobs list
+    previews?: (DryRunImage & { preview: string; width: number; height: number })[];
 }
 
 export interface WatermarkJob {
     id: string;
     shop: string;
-    job_type: 'apply' | 'rollback';
+    job_type: 'apply' | 'rollback' | 'dry_run';
     status: 'pending' | 'processing' | 'completed' | 'failed' | 'cancelled' | 'rolled_back';
-    scope_type: 'all' | 'collection' | 'manual';
+    scope_type: 'all' | 'collection' | 'manual' | 'retry';
     scope_value: any;
     total_products: number;
     processed_products: number;
     failed_products: number;
+    failed_items?: number;
+    report?: DryRunReport | null;
     started_at: string | null;
     completed_at: string | null;
     created_at: string;
 }
 
+export interface WatermarkSchedule {
+    id: number;
+    shop: string;
+    name: string | null;
+    scope_type: 'all' | 'collection';
+    scope_value: string | null;
+    run_at: string | null;
+    cron: string | null;
+    timezone: string;
+    created_within_hours: number | null;
+    status: 'active' | 'completed' | 'cancelled';
+    last_run_at: string | null;
+    last_job_id: string | null;
+    last_error: string | null;
+    next_run_at: string | null;
+    created_at: string;
+}
+
+export interface WatermarkScheduleInput {
+    name?: string;
+    scopeType: 'all' | 'collection';
+    scopeValue?: string | null;
+    runAt?: string | null;
+    cron?: string | null;
+    timezone?: string;
+    createdWithinHours?: number | null;
+}
+
 export interface WatermarkRule {
     id: number;
     rule_name: string;